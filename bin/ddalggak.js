@@ -0,0 +1,640 @@
+#!/usr/bin/env node
+// Headless entry point: the same job/tracking/supervisor flow as the Telegram bot, printed to stdout.
+// Usage: ddalggak <run|continue|chat|jobs|approve|approvals|logs|usage|artifacts|rollback|timeline|docs> ...  (ddalggak help)
+import "dotenv/config";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { Workspace } from "../src/workspace.js";
+import { Jobs } from "../src/jobs.js";
+import { Tracking } from "../src/tracking.js";
+import { Approvals } from "../src/approvals.js";
+import { UsageLog, formatUsageReport } from "../src/usage.js";
+import { ArtifactStore, formatBytes } from "../src/artifacts.js";
+import { describeLimitHits } from "../src/limits.js";
+import { commitSelected, formatChangeLine, formatCommitDecision, listChanges } from "../src/commit.js";
+import { SnapshotStore, formatRollbackDecision, formatSnapshotLine } from "../src/snapshots.js";
+import { createSecretScanner } from "../src/secrets.js";
+import { EVENT_TYPES, EventLog, formatTimeline, summarizeEvents } from "../src/events.js";
+import { branchCommits, buildPrDescription, formatRemoteDecision, openPullRequest, pushBranch, remoteConfig } from "../src/remote.js";
+import { getAgent, loadAgents } from "../src/agents.js";
+import { getProvider } from "../src/providers.js";
+import { OrchestratorMemory } from "../src/settings.js";
+import { orchestratorNotes } from "../src/prompts.js";
+import { clip, extractCodexInstruction } from "../src/textutil.js";
+import { formatChecksFeedback, formatChecksMarkdown, readLastChecks, runConfiguredChecks } from "../src/checks.js";
+import { ensureJobWorktree } from "../src/worktree.js";
+import { loadLocalJobConfig, normalizeJobConfig } from "../src/goc_mapping.js";
+import { approvalPolicyFor } from "../src/chat/actions.js";
+import { routeWithSupervisor } from "../src/chat/supervisor_router.js";
+import { executeSupervisorActions } from "../src/chat/executor.js";
+
+const TRACK_DOC_NAMES = ["plan.md", "research.md", "progress.md", "decisions.md"];
+const JOB_WORKTREES = String(process.env.JOB_WORKTREES ?? "true").toLowerCase() !== "false";
+const CLI_USER = `cli:${os.userInfo().username}`;
+const CLI_CHAT = "cli";
+const APPROVAL_TTL_SEC = Number(process.env.APPROVAL_TTL_SEC) > 0 ? Math.floor(Number(process.env.APPROVAL_TTL_SEC)) : 86400;
+const ARTIFACT_INLINE_CHARS = 4000;
+const RISK_LEVELS = ["L0", "L1", "L2", "L3"];
+
+const USAGE = `ddalggak — headless orchestrator CLI
+
+Usage:
+  ddalggak run <goal...> [--yes] [--quiet]        새 job 생성 후 supervisor 라우팅/실행
+  ddalggak continue <jobId> [--yes] [--quiet]     plan.md 기준으로 다음 단계 실행
+  ddalggak chat [--job <jobId>] <message...>      supervisor에게 메시지 (job 생략 시 새 job)
+  ddalggak jobs [text] [--all|--archived] [--limit N]
+  ddalggak approve <jobId> <token> [--deny|--revoke]  승인/거절/철회 (커밋, 막힌 액션 재개)
+  ddalggak approvals [jobId] [--all]              대기 중인 승인 요청 (--all: 만료/처리된 것 포함)
+  ddalggak logs <jobId> [--lines N]               conversation.jsonl + job.log 끝부분
+  ddalggak usage [jobId] [--all]                  provider 호출 수/시간/토큰 (job 생략 시 전체)
+  ddalggak artifacts <jobId> [id|name]            artifact 목록 / 지정한 artifact의 파일 경로
+  ddalggak rollback <jobId> [step]                snapshot 목록(diffstat) / 지정한 snapshot으로 작업 트리 되돌리기
+  ddalggak timeline <jobId> [--limit N] [--type t1,t2] [--json]  event 기록 (route/action/승인/중단/오류) / JSON metrics
+  ddalggak docs <jobId> [name.md]                 트래킹 문서 목록/내용
+
+jobId 자리에는 전체 jobId, slug 또는 그 앞부분을 쓸 수 있습니다.
+--yes   승인이 필요한 액션(L3, 파일 쓰기)도 이번 실행에 한해 허용 (approvers/required_approvals가 설정된 level 제외)
+--quiet 에이전트 실시간 출력(stderr) 끄기
+
+Exit codes: 0 ok, 1 error, 2 usage, 3 approval required`;
+
+class UsageError extends Error {}
+
+const workspace = new Workspace();
+// Same redaction as the bot: tracking docs, conversation log and stdout never carry secrets.
+const secrets = createSecretScanner();
+const jobs = new Jobs(workspace);
+jobs.setRedactor(secrets.redactText);
+const tracking = new Tracking(jobs, { redact: secrets.redactText });
+const approvals = new Approvals(jobs, { ttlSec: APPROVAL_TTL_SEC });
+const usage = new UsageLog(jobs);
+const artifacts = new ArtifactStore(jobs);
+const snapshots = new SnapshotStore(jobs);
+const events = new EventLog(jobs, { redact: secrets.redactText });
+const memory = new OrchestratorMemory({ baseDir: jobs.baseDir });
+
+function parseArgs(argv) {
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    const token = argv[i];
+    if (!token.startsWith("--")) {
+      positional.push(token);
+      continue;
+    }
+    const key = token.slice(2);
+    if (["job", "lines", "limit", "type"].includes(key)) {
+      if (argv[i + 1] == null) throw new UsageError(`--${key} needs a value`);
+      flags[key] = argv[++i];
+    } else {
+      flags[key] = true;
+    }
+  }
+  return { positional, flags };
+}
+
+function out(text = "") {
+  process.stdout.write(`${secrets.redactText(text)}\n`);
+}
+
+function resolveJob(ref) {
+  if (!ref) throw new UsageError("jobId is required");
+  try {
+    return jobs.resolve(ref);
+  } catch (e) {
+    if (e?.code !== "EAMBIGUOUS") throw e;
+    throw new Error([
+      `여러 job이 일치합니다: ${ref}`,
+      ...e.candidates.map((meta) => `  ${meta.slug || meta.jobId.slice(0, 8)}  ${clip(String(meta.title || ""), 50)}  (${meta.jobId})`),
+    ].join("\n"));
+  }
+}
+
+function jobWorkspaceRoot(jobId) {
+  const wt = jobs.readMeta(jobId)?.worktree;
+  return wt?.path && !wt.removedAt && fs.existsSync(wt.path) ? wt.path : workspace.root;
+}
+
+function contextDocs(jobId, maxCharsPerDoc = 2200) {
+  return TRACK_DOC_NAMES.map((name) => {
+    try {
+      const text = tracking.read(jobId, name);
+      return `### ${name}\n\n${text.length > maxCharsPerDoc ? text.slice(-maxCharsPerDoc) : text}`;
+    } catch {
+      return "";
+    }
+  }).filter(Boolean).join("\n\n---\n\n");
+}
+
+async function createJob(goal) {
+  const job = jobs.createJob({ title: goal.slice(0, 80), ownerUserId: CLI_USER });
+  tracking.init(job.jobId);
+  tracking.append(job.jobId, "plan.md", orchestratorNotes({ goal }), { timestamp: false });
+  tracking.append(job.jobId, "research.md", `## Goal\n\n${goal}\n`, { timestamp: false });
+  let worktreeLine = `workspace: ${workspace.root} (shared, JOB_WORKTREES=false)`;
+  if (JOB_WORKTREES) {
+    try {
+      const wt = await ensureJobWorktree({ repoRoot: workspace.root, jobDir: job.dir, jobId: job.jobId });
+      jobs.updateMeta(job.jobId, {
+        worktree: { path: wt.path, branch: wt.branch, baseRef: wt.baseRef || "", createdAt: new Date().toISOString() },
+      });
+      jobs.log(job.jobId, `worktree ready: ${wt.path} (${wt.branch})`);
+      worktreeLine = `worktree: ${wt.path} (branch ${wt.branch})`;
+    } catch (e) {
+      const reason = clip(String(e?.message ?? e), 300);
+      jobs.log(job.jobId, `worktree unavailable, using shared workspace: ${reason}`);
+      worktreeLine = `workspace: ${workspace.root} (shared; worktree unavailable: ${reason.split("\n")[0]})`;
+    }
+  }
+  tracking.append(job.jobId, "progress.md", `## Started\n- goal: ${goal}\n- ${worktreeLine}\n`, { timestamp: false });
+  jobs.appendConversation(job.jobId, "user", goal, { kind: "goal", source: "cli" });
+  events.record(job.jobId, "job_created", { title: goal, by: CLI_USER });
+  out(`✅ Job created: ${job.slug} (${job.jobId})`);
+  out(`run_dir: ${job.dir}`);
+  return job.jobId;
+}
+
+function buildCallbacks(jobId, { signal, stream }) {
+  const onChunk = stream ? (text) => process.stderr.write(text) : undefined;
+  return {
+    runAgent: async ({ action, detailContext }) => {
+      const agentId = String(action.agent_id || "").trim().toLowerCase();
+      const agent = getAgent(agentId);
+      const adapter = getProvider(agent?.provider || agentId);
+      if (!adapter) throw new Error(`unknown agent/provider: ${agentId}`);
+      if (!adapter.capabilities.interactive && typeof adapter.run !== "function") {
+        throw new Error(`Unsupported provider for agent ${agentId}: ${adapter.id} has no command`);
+      }
+      const prompt = [
+        String(action.goal || "").trim(),
+        `[JOB CONTEXT]\n${contextDocs(jobId)}`,
+        detailContext ? `[DETAIL CONTEXT]\n${detailContext}` : "",
+        `역할 메모리:\n${memory.getAgentRole(adapter.capabilities.writesFiles ? "codex" : "gemini")}`,
+      ].filter(Boolean).join("\n\n");
+      if (adapter.capabilities.interactive) {
+        tracking.append(jobId, "plan.md", `## ${adapter.label} prompt (cli)\n\n${prompt}\n`);
+        return { output: `(${adapter.label}에 직접 붙여넣을 프롬프트)\n\n${prompt}`, provider: adapter.id, mode: "prompt" };
+      }
+      out(`▶ @${agentId} (${adapter.label}) 실행 중…`);
+      // Same id format as the bot's runs; the executor logs it with the action's events.
+      const runId = `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+      let snapshot = null;
+      if (adapter.capabilities.writesFiles) {
+        try {
+          snapshot = await snapshots.take(jobId, jobWorkspaceRoot(jobId), { agent: agentId, runId, label: "implement", prompt: action.goal, signal });
+        } catch (e) {
+          jobs.log(jobId, `snapshot skipped: ${clip(String(e?.message ?? e), 300)}`);
+        }
+      }
+      const onQuota = ({ attempt, waitSec, giveUp }) => {
+        if (!giveUp) out(`⏳ ${adapter.label} usage/rate limit → retry in ${waitSec}s (#${attempt})`);
+      };
+      const r = await adapter.run({ prompt, cwd: jobs.jobDir(jobId), signal, workspaceRoot: jobWorkspaceRoot(jobId), agent, onChunk, onQuota, spillDir: path.join(jobs.jobDir(jobId), "spill") });
+      usage.record(jobId, { agent: agentId, provider: adapter.id, model: agent?.model, label: "cli_agent_run", prompt }, r);
+      const hits = describeLimitHits(r);
+      if (hits.length > 0) out(`⚠️ @${agentId} limit reached: ${hits.join(", ")}`);
+      const label = adapter.capabilities.writesFiles ? "implement" : "research";
+      const { artifact, excerpt: text } = artifacts.putOutput(jobId, String(r.stdout || r.stderr || ""), r, {
+        name: `${label}-${agentId}.md`, agent: agentId, provider: adapter.id, runId, label: "cli_agent_run",
+      });
+      const docText = artifact ? `${clip(text, ARTIFACT_INLINE_CHARS)}\n\n→ ${artifacts.link(artifact)}` : text;
+      const doc = adapter.capabilities.writesFiles ? "progress.md" : "research.md";
+      tracking.append(jobId, doc, `## ${adapter.label} ${adapter.capabilities.writesFiles ? "output" : "notes"} (cli)\n\n${docText}\n${snapshot ? `\n되돌리기: ddalggak rollback ${jobId} ${snapshot.step} (snapshot #${snapshot.step})\n` : ""}`);
+      jobs.appendConversation(jobId, adapter.id, docText, { kind: "cli_agent_run", agent_id: agentId, ...(artifact ? { artifact: artifact.id } : {}) });
+      if (r.quota?.limited) throw new Error(`${adapter.label} usage/rate limit persisted after ${r.quota.attempts} attempt(s)${r.quota.reason ? `: ${r.quota.reason}` : ""}`);
+      if (!r.ok) throw new Error(`${adapter.label} failed (exit=${r.exitCode})\n${clip(String(r.stderr || r.stdout || ""), 1500)}`);
+      return { output: text, provider: adapter.id, mode: "cli", runId };
+    },
+    runChecks: async ({ action }) => {
+      const checked = await runConfiguredChecks(jobs.baseDir, {
+        cwd: jobWorkspaceRoot(jobId), names: action.checks, signal, spillDir: path.join(jobs.jobDir(jobId), "spill"), saveDir: jobs.jobDir(jobId),
+      });
+      if (checked.summary) tracking.append(jobId, "progress.md", formatChecksMarkdown(checked.summary));
+      return checked;
+    },
+    getStatus: async () => ({ text: `job=${jobId}\n\n${clip(tracking.read(jobId, "progress.md").slice(-1500), 1500)}` }),
+    summarize: async ({ outputs }) => ({
+      text: outputs.map((row) => `@${row.agentId}: ${clip(String(row.output || ""), 400)}`).join("\n"),
+    }),
+  };
+}
+
+// --yes stands in for one approval by the CLI user, so it only clears levels nobody was named for.
+// Levels with approvers or required_approvals > 1 keep their approval step (from the lowest such level
+// up, since require_for_risk is a threshold); file-write approval stays on when a guarded level sits below it.
+function approvalForYes(approval = {}) {
+  const guarded = RISK_LEVELS.filter((level) => {
+    const policy = approvalPolicyFor(level, approval);
+    return policy.approvers.length > 0 || policy.required > 1;
+  });
+  const thresholds = (Array.isArray(approval.require_for_risk) ? approval.require_for_risk : ["L3"])
+    .map((level) => RISK_LEVELS.indexOf(String(level || "").toUpperCase()))
+    .filter((index) => index >= 0);
+  const from = thresholds.length > 0 ? Math.min(...thresholds) : RISK_LEVELS.length;
+  const byRisk = guarded.filter((level) => RISK_LEVELS.indexOf(level) >= from);
+  const byWrite = !!approval.require_file_write && guarded.some((level) => RISK_LEVELS.indexOf(level) < from);
+  return {
+    approval: { ...approval, require_for_risk: byRisk.slice(0, 1), require_file_write: byWrite },
+    kept: [...new Set([...(byWrite ? guarded.filter((level) => RISK_LEVELS.indexOf(level) < from) : []), ...byRisk])],
+  };
+}
+
+// Actions blocked by an approval, first one marked approved so the policy lets it through.
+function resumeActions(rec) {
+  const pending = rec.payload || {};
+  const actions = Array.isArray(pending.remaining_actions) && pending.remaining_actions.length > 0
+    ? pending.remaining_actions
+    : (pending.blocked_action ? [pending.blocked_action] : []);
+  return actions.map((action, index) => (index === 0 ? { ...action, approved: true, _approved: true } : action));
+}
+
+// resume: an approved "supervisor_resume" approval record; its blocked actions run instead of a fresh route.
+async function supervise(jobId, message, { yes = false, stream = true, resume = null } = {}) {
+  const registry = loadAgents();
+  for (const error of registry.errors) process.stderr.write(`[agents] ${error}\n`);
+  const base = normalizeJobConfig(loadLocalJobConfig(jobs.jobDir(jobId), jobId), { agentsCatalog: registry.agents, toolsCatalog: [] });
+  const enabled = new Set((base.enabledAgentIds || []).map((id) => String(id).toLowerCase()));
+  const agents = registry.agents.filter((agent) => enabled.has(String(agent?.id || "").toLowerCase()));
+  let jobConfig = base.configNormalized;
+  if (yes) {
+    const relaxed = approvalForYes(base.configNormalized.approval || {});
+    jobConfig = { ...base.configNormalized, approval: relaxed.approval };
+    if (relaxed.kept.length > 0) out(`--yes: ${relaxed.kept.join(", ")} 는 approvers/required_approvals 설정이 있어 승인이 그대로 필요합니다.`);
+  }
+  const controller = new AbortController();
+  const onSigint = () => {
+    events.record(jobId, "interrupt", { mode: "cancel", reason: "SIGINT", by: CLI_USER });
+    controller.abort();
+  };
+  process.once("SIGINT", onSigint);
+
+  try {
+    const lastChecks = formatChecksFeedback(readLastChecks(jobs.jobDir(jobId)));
+    const route = resume
+      ? { reason: `resume_after_approval:${resume.token}`, actions: resumeActions(resume) }
+      : await routeWithSupervisor(message, {
+        agents,
+        tools: [],
+        jobConfig,
+        currentJobId: jobId,
+        workspaceRoot: workspace.root,
+        cwd: jobs.jobDir(jobId),
+        signal: controller.signal,
+        routerPolicy: memory.getRouterPrompt(),
+        contextSummary: [contextDocs(jobId), lastChecks].filter(Boolean).join("\n\n"),
+        onRun: (r, prompt) => usage.record(jobId, { agent: "supervisor", provider: "gemini", label: "supervisor_route", prompt }, r),
+      });
+    events.record(jobId, "route_decided", {
+      source: resume ? "approval_resume" : "cli",
+      reason: route.reason || "",
+      actions: (route.actions || []).map((a) => `${a.type}${a.agent_id ? `:${a.agent_id}` : ""}`),
+    });
+    out(`🧭 route: ${route.reason || "(none)"}`);
+    for (const action of route.actions || []) out(`  - ${action.type}${action.agent_id ? ` @${action.agent_id}` : ""}${action.risk ? ` [${action.risk}]` : ""}`);
+
+    const execution = await executeSupervisorActions({
+      chatId: CLI_CHAT,
+      userId: CLI_USER,
+      jobId,
+      plan: route,
+      jobConfig,
+      agents,
+      tools: [],
+      sessionStore: null,
+      approvals,
+      callbacks: buildCallbacks(jobId, { signal: controller.signal, stream }),
+      onEvent: (type, data) => events.record(jobId, type, data),
+    });
+
+    tracking.append(jobId, "decisions.md", [
+      resume ? "## cli approval resumed" : "## cli supervisor routing",
+      `- message: ${clip(message, 260)}`,
+      `- reason: ${route.reason || "(none)"}`,
+      `- actions: ${(route.actions || []).map((a) => a.type).join(" -> ") || "(none)"}`,
+      `- pending_approval: ${execution.pendingApproval ? execution.pendingApproval.reason : "none"}`,
+    ].join("\n"));
+
+    out("");
+    for (const row of execution.results) out(`${row.status === "ok" ? "✅" : row.status === "error" ? "❌" : "⏸"} ${row.label}: ${row.note || row.status}`);
+    for (const row of execution.outputs) {
+      out("");
+      out(`── @${row.agentId} (${row.mode || row.provider}) ──`);
+      out(String(row.output || "").trim());
+    }
+    jobs.appendConversation(jobId, "assistant", execution.outputs.map((row) => String(row.output || "")).join("\n\n"), { kind: "cli_reply" });
+    if (execution.pendingApproval) {
+      out("");
+      out(`⚠️ 승인 필요: ${execution.pendingApproval.reason} (${execution.pendingApproval.action?.type})`);
+      out(`승인 후 재개: ddalggak approve ${jobs.readMeta(jobId)?.slug || jobId} ${execution.pendingApproval.id}  (Telegram /approvals 에서도 가능)`);
+      out(`또는 이번 실행만 허용: ddalggak continue ${jobs.readMeta(jobId)?.slug || jobId} --yes`);
+      return 3;
+    }
+    return execution.results.some((row) => row.status === "error") ? 1 : 0;
+  } catch (e) {
+    if (!controller.signal.aborted) events.record(jobId, "error", { where: "cli_supervise", message: String(e?.message ?? e) });
+    throw e;
+  } finally {
+    process.removeListener("SIGINT", onSigint);
+  }
+}
+
+async function cmdRun({ positional, flags }) {
+  const goal = positional.join(" ").trim();
+  if (!goal) throw new UsageError("goal is required");
+  const jobId = await createJob(goal);
+  return await supervise(jobId, goal, { yes: !!flags.yes, stream: !flags.quiet });
+}
+
+async function cmdContinue({ positional, flags }) {
+  const jobId = resolveJob(positional[0]);
+  let instruction = "run/shared의 plan.md와 research.md를 반영해 CODEX_WORKSPACE_ROOT 코드 변경을 진행해라.";
+  try {
+    instruction = extractCodexInstruction(tracking.read(jobId, "plan.md")) || instruction;
+  } catch {}
+  jobs.appendConversation(jobId, "user", `/continue ${instruction}`, { kind: "continue", source: "cli" });
+  return await supervise(jobId, instruction, { yes: !!flags.yes, stream: !flags.quiet });
+}
+
+async function cmdChat({ positional, flags }) {
+  const message = positional.join(" ").trim();
+  if (!message) throw new UsageError("message is required");
+  let jobId = "";
+  if (flags.job) {
+    jobId = resolveJob(flags.job);
+    jobs.appendConversation(jobId, "user", message, { kind: "chat_message", source: "cli" });
+  } else {
+    jobId = await createJob(message);
+  }
+  return await supervise(jobId, message, { yes: !!flags.yes, stream: !flags.quiet });
+}
+
+function cmdJobs({ positional, flags }) {
+  const list = jobs.list({
+    text: positional.join(" "),
+    includeArchived: !!flags.all,
+    archivedOnly: !!flags.archived,
+    limit: Math.max(1, Number(flags.limit) || 20),
+  });
+  if (list.length === 0) {
+    out("(no jobs)");
+    return 0;
+  }
+  for (const meta of list) {
+    const date = String(meta.createdAt || "").slice(0, 16).replace("T", " ");
+    out(`${(meta.slug || meta.jobId.slice(0, 8)).padEnd(28)} ${date}  ${clip(String(meta.title || "(untitled)"), 60)}${meta.archivedAt ? " [archived]" : ""}`);
+  }
+  return 0;
+}
+
+async function cmdApprove({ positional, flags }) {
+  const jobId = resolveJob(positional[0]);
+  const token = String(positional[1] || "").trim();
+  if (!token) throw new UsageError("token is required");
+  const current = approvals.get(jobId, token);
+  if (current.status !== "pending") {
+    out(`ℹ️ 이미 처리된 요청입니다: ${token} (${current.status}${current.decidedBy ? ` by ${current.decidedBy}` : ""})`);
+    return 1;
+  }
+  const rec = flags.revoke
+    ? approvals.revoke(jobId, token, { by: CLI_USER, note: "via cli" })
+    : approvals.decide(jobId, token, flags.deny ? "deny" : "approve", { by: CLI_USER, note: "via cli" });
+  if (rec.status === "pending") {
+    const votes = Array.isArray(rec.approvals) ? rec.approvals.length : 0;
+    const required = Number(rec.policy?.required) || 1;
+    tracking.append(jobId, "decisions.md", `## approval vote\n- token: ${token}\n- by: ${CLI_USER}\n- progress: ${votes}/${required}`);
+    out(`🗳 승인 ${votes}/${required}: ${token} (by ${CLI_USER}) — ${required - votes}명 더 필요`);
+    return 0;
+  }
+  logApprovalDecision(rec);
+  out(`🔐 ${rec.status.toUpperCase()}: ${token} (by ${CLI_USER})`);
+  if (rec.status === "approved" && rec.payload?.action === "supervisor_resume") {
+    return await supervise(jobId, "승인된 액션 재개", { stream: !flags.quiet, resume: rec });
+  }
+  if (rec.status === "approved" && rec.payload?.action === "git_commit") {
+    // Same selection rules as the bot: the files chosen on the approval card, never protected paths.
+    const codeRoot = jobWorkspaceRoot(jobId);
+    const message = rec.payload.message ?? "commit";
+    const files = Array.isArray(rec.payload.files)
+      ? rec.payload.files
+      : (await listChanges(codeRoot)).filter((row) => !row.protected).map((row) => row.path);
+    const result = await commitSelected(codeRoot, { files, message, hashes: rec.payload.hashes, scanner: secrets });
+    const ref = jobs.readMeta(jobId)?.worktree?.branch || codeRoot;
+    tracking.append(jobId, "decisions.md", formatCommitDecision(result, { token, message, ref }));
+    if (!result.ok) {
+      out(result.changed
+        ? `⛔ 커밋하지 않았습니다: 승인 요청 이후 파일이 바뀌었습니다. 다시 커밋을 요청하세요.\n${result.changed.map((p) => `- ${p}`).join("\n")}`
+        : `⛔ 커밋하지 않았습니다: ${result.error}`);
+      return 1;
+    }
+    tracking.append(jobId, "progress.md", `## git commit\n\n\`\`\`\n${result.output}\n\`\`\`\n`);
+    out(`✅ ${result.sha}`);
+    for (const row of result.files) out(`- ${formatChangeLine(row)}`);
+    return 0;
+  }
+  if (rec.status === "approved" && (rec.payload?.action === "git_push" || rec.payload?.action === "git_pr")) {
+    return await runApprovedRemote(rec);
+  }
+  return 0;
+}
+
+// CLI side of the bot's push/PR approvals: same push, description artifact, forge call and decisions.md entry.
+async function runApprovedRemote(rec) {
+  const { jobId, token } = rec;
+  const { action, remote, branch, base, title } = rec.payload;
+  const codeRoot = jobWorkspaceRoot(jobId);
+  if (action === "git_push") {
+    const result = await pushBranch({ codeRoot, remote, branch });
+    tracking.append(jobId, "decisions.md", formatRemoteDecision(result, { action, token, remote, branch }));
+    out(result.ok ? `✅ pushed ${branch} → ${remote} (${result.sha})` : `⛔ push failed: ${result.error}`);
+    return result.ok ? 0 : 1;
+  }
+  const readDoc = (name) => {
+    try {
+      return tracking.read(jobId, name);
+    } catch {
+      return "";
+    }
+  };
+  // The docs are already redacted; commit subjects and the title are not.
+  const body = secrets.redactText(buildPrDescription({
+    title,
+    jobId,
+    plan: readDoc("plan.md"),
+    decisions: readDoc("decisions.md"),
+    commits: await branchCommits({ codeRoot, remote, base, branch }),
+  }));
+  const artifact = artifacts.put(jobId, body, { name: "pr.md", label: `PR: ${title}` });
+  const result = await openPullRequest({ codeRoot, remote, branch, base, title: secrets.redactText(title), body, forge: remoteConfig().forge });
+  tracking.append(jobId, "decisions.md", formatRemoteDecision(result, { action, token, remote, branch, base, artifact }));
+  out(`description: ${artifacts.path(jobId, artifact)}`);
+  if (!result.ok) {
+    out(`⛔ pull request failed: ${result.error}`);
+    return 1;
+  }
+  out(result.url ? `✅ ${result.url}` : `✅ pushed ${branch} → ${remote}; forge=${result.forge}, open the PR by hand`);
+  return 0;
+}
+
+// Same decisions.md entry the bot writes for every approval decision.
+function logApprovalDecision(rec) {
+  tracking.append(rec.jobId, "decisions.md", [
+    `## approval ${rec.status}`,
+    `- token: ${rec.token}`,
+    `- purpose: ${rec.purpose}`,
+    `- requested_by: ${rec.requestedBy || "-"} @ ${rec.createdAt}`,
+    `- decided_by: ${rec.decidedBy || "-"} @ ${rec.decidedAt || "-"}`,
+    ...(rec.note ? [`- note: ${rec.note}`] : []),
+  ].join("\n"));
+}
+
+function cmdApprovals({ positional, flags }) {
+  const status = flags.all ? null : "pending";
+  const list = positional[0] ? approvals.list(resolveJob(positional[0]), { status }) : approvals.listAll({ status });
+  if (list.length === 0) {
+    out("(no approvals)");
+    return 0;
+  }
+  for (const rec of list) {
+    const meta = jobs.readMeta(rec.jobId) || {};
+    const when = rec.status === "pending"
+      ? `expires ${String(rec.expiresAt || "-").slice(0, 16).replace("T", " ")}`
+      : `${rec.decidedBy || "-"} @${String(rec.decidedAt || "-").slice(0, 16).replace("T", " ")}`;
+    out(`${rec.token}  ${(meta.slug || rec.jobId.slice(0, 8)).padEnd(28)} ${rec.status.padEnd(8)} ${when}  ${clip(String(rec.summary || ""), 80)}`);
+  }
+  return 0;
+}
+
+function cmdLogs({ positional, flags }) {
+  const jobId = resolveJob(positional[0]);
+  const lines = Math.max(1, Number(flags.lines) || 40);
+  for (const row of jobs.tailConversation(jobId, lines)) {
+    out(`[${row.ts}] ${row.role}${row.kind ? ` (${row.kind})` : ""}: ${clip(String(row.text || ""), 1200)}`);
+  }
+  try {
+    const log = fs.readFileSync(path.join(jobs.jobDir(jobId), "job.log"), "utf8").trim().split("\n");
+    out("");
+    out("── job.log ──");
+    out(log.slice(-lines).join("\n"));
+  } catch {}
+  return 0;
+}
+
+function cmdUsage({ positional, flags }) {
+  if (positional[0]) {
+    const jobId = resolveJob(positional[0]);
+    out(formatUsageReport(usage.summarize(jobId), { title: `usage ${jobId}` }));
+    return 0;
+  }
+  out(formatUsageReport(usage.summarizeAll({ includeArchived: !!flags.all }), { title: "usage (all jobs)" }));
+  return 0;
+}
+
+function cmdArtifacts({ positional }) {
+  const jobId = resolveJob(positional[0]);
+  if (positional[1]) {
+    const row = artifacts.find(jobId, positional[1]);
+    if (!row) throw new Error(`artifact not found: ${positional[1]}`);
+    out(artifacts.path(jobId, row));
+    return 0;
+  }
+  for (const row of artifacts.list(jobId)) {
+    out(`${row.id}  ${row.name}  ${row.mime}  ${formatBytes(row.bytes)}  ${[row.agent, row.run_id].filter(Boolean).join(" ") || "-"}  ${row.at}`);
+  }
+  return 0;
+}
+
+async function cmdRollback({ positional }) {
+  const jobId = resolveJob(positional[0]);
+  const codeRoot = jobWorkspaceRoot(jobId);
+  if (!positional[1]) {
+    const rows = snapshots.list(jobId).reverse();
+    if (rows.length === 0) {
+      out("(no snapshots)");
+      return 0;
+    }
+    const stats = await snapshots.diffstats(jobId, codeRoot, rows);
+    for (const row of rows) out(formatSnapshotLine(row, stats.get(row.step)));
+    return 0;
+  }
+  const step = Number(positional[1]);
+  if (!Number.isInteger(step) || step <= 0) throw new UsageError("step must be a snapshot number");
+  const result = await snapshots.restore(jobId, codeRoot, step, { by: CLI_USER });
+  const target = snapshots.get(jobId, step);
+  tracking.append(jobId, "decisions.md", formatRollbackDecision(result, { target, step, by: CLI_USER }));
+  if (!result.ok) {
+    out(`⛔ ${result.error}`);
+    return 1;
+  }
+  const files = result.changes.map((c) => `${c.status} ${c.path}`);
+  out(`↩️ restored #${step} (${files.length} file(s)); undo: ddalggak rollback ${jobId} ${result.safety.step}`);
+  for (const line of files) out(`- ${line}`);
+  return 0;
+}
+
+function cmdTimeline({ positional, flags }) {
+  const jobId = resolveJob(positional[0]);
+  const types = flags.type ? String(flags.type).split(",").map((t) => t.trim()).filter(Boolean) : null;
+  const unknown = (types || []).filter((t) => !EVENT_TYPES.includes(t));
+  if (unknown.length > 0) throw new UsageError(`unknown event type: ${unknown.join(", ")} (known: ${EVENT_TYPES.join(", ")})`);
+  const all = events.list(jobId, { types });
+  const limit = Number(flags.limit) > 0 ? Math.floor(Number(flags.limit)) : 0;
+  const rows = limit > 0 ? all.slice(-limit) : all;
+  if (flags.json) {
+    out(JSON.stringify({ jobId, metrics: summarizeEvents(all), events: rows }, null, 2));
+    return 0;
+  }
+  out(formatTimeline(rows, { title: `timeline ${jobId}`, total: all.length, metrics: summarizeEvents(all) }));
+  return 0;
+}
+
+function cmdDocs({ positional }) {
+  const jobId = resolveJob(positional[0]);
+  if (!positional[1]) {
+    for (const name of tracking.list(jobId)) out(name);
+    return 0;
+  }
+  const name = positional[1].endsWith(".md") ? positional[1] : `${positional[1]}.md`;
+  out(tracking.read(jobId, name));
+  return 0;
+}
+
+const COMMANDS = {
+  run: cmdRun,
+  continue: cmdContinue,
+  chat: cmdChat,
+  jobs: cmdJobs,
+  approve: cmdApprove,
+  approvals: cmdApprovals,
+  logs: cmdLogs,
+  usage: cmdUsage,
+  artifacts: cmdArtifacts,
+  rollback: cmdRollback,
+  timeline: cmdTimeline,
+  docs: cmdDocs,
+};
+
+async function main(argv) {
+  const [name, ...rest] = argv;
+  if (!name || name === "help" || name === "--help" || name === "-h") {
+    out(USAGE);
+    return name ? 0 : 2;
+  }
+  const handler = COMMANDS[name];
+  if (!handler) throw new UsageError(`unknown command: ${name}`);
+  return await handler(parseArgs(rest));
+}
+
+try {
+  process.exitCode = await main(process.argv.slice(2));
+} catch (e) {
+  if (e instanceof UsageError) {
+    process.stderr.write(`${e.message}\n\n${USAGE}\n`);
+    process.exitCode = 2;
+  } else {
+    process.stderr.write(`❌ ${String(e?.message ?? e)}\n`);
+    process.exitCode = e?.code === "ECANCELLED" ? 130 : 1;
+  }
+}
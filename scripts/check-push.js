@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+// Pushes through src/remote.js into a throwaway bare repository: a configured remote and GIT_PUSH_REMOTE go
+// through, option-like or unknown remotes are refused before git runs. Usage: npm run check:push
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import process from "node:process";
+
+import { runCommand } from "../src/proc.js";
+import { pushBranch } from "../src/remote.js";
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), "ddalggak-push-"));
+const work = path.join(tmp, "work");
+const bare = path.join(tmp, "remote.git");
+let failed = 0;
+
+async function git(args, cwd) {
+  const r = await runCommand("git", args, { cwd, timeoutMs: 30000 });
+  if (!r.ok) throw new Error(`git ${args.join(" ")} failed: ${String(r.stderr || "").trim()}`);
+  return String(r.stdout || "").trim();
+}
+
+function check(name, pass, detail = "") {
+  if (!pass) failed += 1;
+  console.log(`${pass ? "ok  " : "FAIL"} ${name}${detail ? ` — ${detail}` : ""}`);
+}
+
+try {
+  fs.mkdirSync(work);
+  await git(["init", "-q", "--bare", bare], tmp);
+  await git(["init", "-q", "-b", "job/check-push"], work);
+  fs.writeFileSync(path.join(work, "README.md"), "check\n");
+  await git(["add", "README.md"], work);
+  await git(["-c", "user.name=check", "-c", "user.email=check@localhost", "commit", "-q", "-m", "check"], work);
+  await git(["remote", "add", "origin", bare], work);
+
+  const pushed = await pushBranch({ codeRoot: work, remote: "origin", branch: "job/check-push" });
+  const remoteSha = await git(["rev-parse", "refs/heads/job/check-push"], bare);
+  check("configured remote", pushed.ok && pushed.sha === remoteSha, pushed.error || pushed.sha);
+
+  process.env.GIT_PUSH_REMOTE = bare;
+  const byPath = await pushBranch({ codeRoot: work, remote: bare, branch: "job/check-push" });
+  check("GIT_PUSH_REMOTE path", byPath.ok, byPath.error || "");
+
+  const marker = path.join(tmp, "pwned");
+  const option = await pushBranch({ codeRoot: work, remote: `--receive-pack=touch ${marker}`, branch: "job/check-push" });
+  check("option-like remote refused", !option.ok && !fs.existsSync(marker), option.error || "pushed");
+
+  const unknown = await pushBranch({ codeRoot: work, remote: path.join(tmp, "elsewhere.git"), branch: "job/check-push" });
+  check("unconfigured remote refused", !unknown.ok, unknown.error || "pushed");
+} catch (e) {
+  failed += 1;
+  console.log(`FAIL ${String(e?.message ?? e)}`);
+} finally {
+  fs.rmSync(tmp, { recursive: true, force: true });
+}
+
+process.exit(failed > 0 ? 1 : 0);
@@ -1,13 +1,7 @@
 import { loadAgents } from "./agents.js";
 import { ensureAgentsThread, ensurePublicLibraryThreadId } from "./goc_mapping.js";
-
-const PROVIDER_ALIASES = {
-  gpt: "chatgpt",
-  openai: "chatgpt",
-  codex: "codex",
-  gemini: "gemini",
-  chatgpt: "chatgpt",
-};
+import { getProvider, normalizeProvider, resolveProviderId } from "./providers.js";
+import { normalizeLimits } from "./limits.js";
 
 function asObject(v) {
   return v && typeof v === "object" ? v : {};
@@ -28,17 +22,15 @@ function normalizeStringArray(raw) {
   return raw.map((row) => String(row || "").trim()).filter(Boolean);
 }
 
-function normalizeProvider(raw) {
-  const key = String(raw || "").trim().toLowerCase();
-  return PROVIDER_ALIASES[key] || "gemini";
-}
-
 function normalizeAgent(raw) {
   if (!raw || typeof raw !== "object") return null;
   const row = asObject(raw);
   const id = String(row.id || row.agent_id || row.agentId || "").trim().toLowerCase();
   if (!id) return null;
-  const provider = normalizeProvider(row.provider || row.model);
+  // model names ("gpt-4o", "llama3") only count as a provider hint when they match a registered adapter.
+  const provider = String(row.provider || "").trim()
+    ? normalizeProvider(row.provider)
+    : (resolveProviderId(row.model) || "gemini");
   const model = String(row.model || row.provider || "").trim() || provider;
   return {
     id,
@@ -54,6 +46,7 @@ function normalizeAgent(raw) {
       || row.systemPrompt
       || ""
     ).trim(),
+    limits: normalizeLimits(row.limits),
     meta: row.meta && typeof row.meta === "object" ? row.meta : {},
   };
 }
@@ -301,6 +294,7 @@ function buildRegistry(agents, meta = {}) {
     agents: deduped,
     byId: new Map(deduped.map((row) => [row.id, row])),
     resources: Array.isArray(meta.resources) ? meta.resources : [],
+    errors: Array.isArray(meta.errors) ? meta.errors : [],
   };
 }
 
@@ -414,6 +408,26 @@ export async function listPublicBlueprints(client) {
   return out;
 }
 
+// Public blueprints are third-party text: installing one must never bring along a command to execute.
+// Drops meta.command / meta.args (also as dotted keys) and returns the removed keys.
+function stripBlueprintCommand(profile) {
+  const stripped = [];
+  for (const key of Object.keys(profile)) {
+    if (/^meta\.(command|args)$/.test(key)) {
+      delete profile[key];
+      stripped.push(key);
+    }
+  }
+  const meta = asObject(profile.meta);
+  for (const key of ["command", "args"]) {
+    if (Object.hasOwn(meta, key)) {
+      delete meta[key];
+      stripped.push(`meta.${key}`);
+    }
+  }
+  return [...new Set(stripped)];
+}
+
 export async function installBlueprint(client, blueprintNode, { agentsThreadId, ctxId, agentIdOverride = "" } = {}) {
   if (!client) throw new Error("installBlueprint requires client");
   const threadId = String(agentsThreadId || "").trim();
@@ -447,6 +461,10 @@ export async function installBlueprint(client, blueprintNode, { agentsThreadId,
     };
   }
 
+  const strippedCommand = stripBlueprintCommand(parsedProfile);
+  if (parsedProfile.provider && getProvider(parsedProfile.provider)?.agentCommand === true) {
+    throw new Error(`blueprint ${parsed.blueprint_id} uses provider ${parsedProfile.provider}, which runs an agent-supplied command; public blueprints cannot install it`);
+  }
   if (overrideId) parsedProfile.id = overrideId;
   const finalAgentId = String(parsedProfile.id || parsed.agent_id || "").trim().toLowerCase();
   if (!finalAgentId) throw new Error("installBlueprint resolved empty agent id");
@@ -483,6 +501,7 @@ export async function installBlueprint(client, blueprintNode, { agentsThreadId,
     agent_id: finalAgentId,
     blueprint_id: parsed.blueprint_id,
     public_node_id: parsed.public_node_id,
+    stripped_command: strippedCommand,
   };
 }
 
@@ -541,6 +560,7 @@ export async function loadAgentsFromGoc({ client, baseDir, includeCompiled = tru
     ctxId: slot.ctxId,
     compiledText,
     resources,
+    errors: fallback.errors,
   });
 }
 
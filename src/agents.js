@@ -1,5 +1,7 @@
 import fs from "node:fs";
 import path from "node:path";
+import { normalizeProvider, registerProviders } from "./providers.js";
+import { normalizeLimits } from "./limits.js";
 
 const DEFAULT_AGENTS = [
   {
@@ -52,19 +54,6 @@ const DEFAULT_AGENTS = [
   },
 ];
 
-const PROVIDER_ALIASES = {
-  gpt: "chatgpt",
-  openai: "chatgpt",
-  codex: "codex",
-  gemini: "gemini",
-  chatgpt: "chatgpt",
-};
-
-function normalizeProvider(raw) {
-  const key = String(raw || "").trim().toLowerCase();
-  return PROVIDER_ALIASES[key] || "gemini";
-}
-
 function normalizeAgent(raw) {
   if (!raw || typeof raw !== "object") return null;
   const id = String(raw.id || "").trim().toLowerCase();
@@ -76,6 +65,7 @@ function normalizeAgent(raw) {
     provider: normalizeProvider(raw.provider),
     model: String(raw.model || raw.provider || "").trim() || normalizeProvider(raw.provider),
     prompt: String(raw.prompt || "").trim(),
+    limits: normalizeLimits(raw.limits),
     meta: raw.meta && typeof raw.meta === "object" ? raw.meta : {},
   };
 }
@@ -106,19 +96,28 @@ export function loadAgents() {
   const defaults = DEFAULT_AGENTS.map(normalizeAgent).filter(Boolean);
 
   let loaded = [];
+  let providers = [];
+  // What could not be loaded from the registry file; the defaults (or the rest of the file) are used instead.
+  const errors = [];
   if (fs.existsSync(registryPath)) {
     try {
       const parsed = JSON.parse(fs.readFileSync(registryPath, "utf8"));
+      if (parsed && typeof parsed === "object" && Array.isArray(parsed.providers)) {
+        const registered = registerProviders(parsed.providers);
+        providers = registered.providers;
+        errors.push(...registered.errors);
+      }
       const rows = parseRegistry(parsed);
       if (rows) loaded = rows.map(normalizeAgent).filter(Boolean);
-    } catch {
+    } catch (e) {
       loaded = [];
+      errors.push(`${path.basename(registryPath)}: ${String(e?.message ?? e)}`);
     }
   }
 
   const agents = dedupeById(loaded.length > 0 ? loaded : defaults);
   const byId = new Map(agents.map((agent) => [agent.id, agent]));
-  return { path: registryPath, agents, byId };
+  return { path: registryPath, agents, byId, providers, errors };
 }
 
 export function getAgent(agentId, registry = null) {
@@ -2,9 +2,52 @@ import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
 
+const DEFAULT_TTL_SEC = 24 * 3600;
+const FINAL_STATUSES = new Set(["approved", "denied", "expired", "revoked"]);
+
+export class ApprovalPolicyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ApprovalPolicyError";
+    this.code = "EAPPROVAL_POLICY";
+  }
+}
+
+// Approver ids in config are bare Telegram ids ("123") or platform-prefixed ("slack:U1");
+// actors are recorded as "telegram:123", so compare without the telegram prefix.
+function actorKey(id) {
+  return String(id ?? "").trim().replace(/^telegram:/, "");
+}
+
+export function sameActor(a, b) {
+  const left = actorKey(a);
+  return !!left && left === actorKey(b);
+}
+
+function normalizePolicy(raw) {
+  const row = raw && typeof raw === "object" ? raw : {};
+  const approvers = Array.isArray(row.approvers) ? row.approvers.map((id) => String(id || "").trim()).filter(Boolean) : [];
+  const required = Number.isFinite(Number(row.required)) && Number(row.required) >= 1 ? Math.floor(Number(row.required)) : 1;
+  return {
+    level: row.level ? String(row.level) : null,
+    approvers,
+    required,
+    forbid_self: row.forbid_self === true,
+  };
+}
+
+// Short enough that `approve:<jobId>:<token>` stays within Telegram's 64-byte callback_data limit.
+function newToken() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+// One store for every approval: commit requests (payload.action "git_commit") and supervisor actions
+// blocked by the approval policy (payload.action "supervisor_resume"). Records live per job under
+// <jobDir>/approvals/<token>.json and keep who requested/decided and when.
 export class Approvals {
-  constructor(jobs) {
+  constructor(jobs, { ttlSec = DEFAULT_TTL_SEC } = {}) {
     this.jobs = jobs;
+    this.ttlSec = Number.isFinite(Number(ttlSec)) && Number(ttlSec) > 0 ? Number(ttlSec) : DEFAULT_TTL_SEC;
   }
 
   _dir(jobId) {
@@ -13,25 +56,175 @@ export class Approvals {
     return dir;
   }
 
-  request(jobId, { purpose, summary, dangerLevel = "medium", payload = null }) {
-    const token = crypto.randomUUID();
-    const rec = { token, jobId, purpose, summary, dangerLevel, payload, status: "pending", createdAt: new Date().toISOString() };
-    const file = path.join(this._dir(jobId), `${token}.json`);
-    fs.writeFileSync(file, JSON.stringify(rec, null, 2), "utf8");
+  _file(jobId, token) {
+    return path.join(this._dir(jobId), `${token}.json`);
+  }
+
+  _write(rec) {
+    fs.writeFileSync(this._file(rec.jobId, rec.token), JSON.stringify(rec, null, 2), "utf8");
+  }
+
+  // Pending records past expiresAt flip to "expired" the first time they are read.
+  _expire(rec, now = Date.now()) {
+    if (rec.status !== "pending" || !rec.expiresAt) return rec;
+    if (new Date(rec.expiresAt).getTime() > now) return rec;
+    rec.status = "expired";
+    rec.decidedAt = new Date(now).toISOString();
+    this._write(rec);
+    return rec;
+  }
+
+  // policy: { level, approvers: [ids], required: N, forbid_self } from the job config (see approvalPolicyFor).
+  request(jobId, { purpose, summary, dangerLevel = "medium", payload = null, ttlSec = null, requestedBy = null, chatId = null, policy = null }) {
+    const token = newToken();
+    const ttl = Number(ttlSec) > 0 ? Number(ttlSec) : this.ttlSec;
+    const now = Date.now();
+    const rec = {
+      token,
+      jobId,
+      purpose,
+      summary,
+      dangerLevel,
+      payload,
+      status: "pending",
+      requestedBy: requestedBy == null ? null : String(requestedBy),
+      chatId: chatId == null || chatId === "" ? null : String(chatId),
+      policy: normalizePolicy(policy),
+      approvals: [],
+      cards: [],
+      createdAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + ttl * 1000).toISOString(),
+    };
+    this._write(rec);
+    return rec;
+  }
+
+  get(jobId, token) {
+    const clean = String(token || "").trim();
+    const file = /^[A-Za-z0-9-]+$/.test(clean) ? this._file(jobId, clean) : "";
+    if (!file || !fs.existsSync(file)) throw new Error(`Unknown approval token: ${token}`);
+    return this._expire(JSON.parse(fs.readFileSync(file, "utf8")));
+  }
+
+  _readAll(jobId) {
+    const dir = this._dir(jobId);
+    return fs.readdirSync(dir)
+      .filter((name) => name.endsWith(".json"))
+      .map((name) => {
+        try {
+          return JSON.parse(fs.readFileSync(path.join(dir, name), "utf8"));
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // Oldest first. status: "pending" | "approved" | "denied" | "expired" | "revoked" (or an array of them).
+  // chatId narrows to requests raised from that chat.
+  list(jobId, { status = null, chatId = null } = {}) {
+    const wanted = status == null ? null : new Set([].concat(status));
+    const now = Date.now();
+    return this._readAll(jobId)
+      .map((rec) => this._expire(rec, now))
+      .filter((rec) => !wanted || wanted.has(rec.status))
+      .filter((rec) => chatId == null || String(rec.chatId ?? "") === String(chatId))
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  // Across all (non-archived unless includeArchived) jobs, oldest first.
+  listAll({ status = null, chatId = null, includeArchived = false } = {}) {
+    const out = [];
+    for (const meta of this.jobs.list({ includeArchived })) {
+      if (!fs.existsSync(path.join(this.jobs.jobDir(meta.jobId), "approvals"))) continue;
+      out.push(...this.list(meta.jobId, { status, chatId }));
+    }
+    return out.sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)));
+  }
+
+  // Expires every stale pending record; returns the ones that just expired.
+  expireStale(now = Date.now()) {
+    const expired = [];
+    for (const meta of this.jobs.list({ includeArchived: true })) {
+      if (!fs.existsSync(path.join(this.jobs.jobDir(meta.jobId), "approvals"))) continue;
+      for (const rec of this._readAll(meta.jobId)) {
+        if (rec.status === "pending" && this._expire(rec, now).status === "expired") expired.push(rec);
+      }
+    }
+    return expired;
+  }
+
+  // Why `by` may not approve/deny this record, or "" if allowed.
+  checkDecider(rec, by) {
+    const policy = normalizePolicy(rec.policy);
+    if (policy.approvers.length > 0 && !policy.approvers.some((id) => sameActor(id, by))) {
+      return `${by || "unknown"} is not an approver for ${policy.level || "this request"} (approvers: ${policy.approvers.join(", ")})`;
+    }
+    if (policy.forbid_self && rec.requestedBy && sameActor(rec.requestedBy, by)) {
+      return "self-approval is not allowed by the approval policy";
+    }
+    return "";
+  }
+
+  // Approve adds one vote; the record turns "approved" once policy.required distinct approvers agree.
+  // A single deny from an eligible approver rejects it. Throws ApprovalPolicyError for ineligible deciders.
+  decide(jobId, token, decision, { by = null, note = null } = {}) {
+    const rec = this.get(jobId, token);
+    if (FINAL_STATUSES.has(rec.status)) return rec;
+    const denied = this.checkDecider(rec, by);
+    if (denied) throw new ApprovalPolicyError(denied);
+
+    const now = new Date().toISOString();
+    const votes = Array.isArray(rec.approvals) ? rec.approvals : [];
+    if (decision === "approve") {
+      if (votes.some((row) => sameActor(row.by, by))) throw new ApprovalPolicyError(`${by} already approved this request`);
+      votes.push({ by: by == null ? null : String(by), at: now, note });
+      rec.approvals = votes;
+      if (votes.length < normalizePolicy(rec.policy).required) {
+        this._write(rec);
+        return rec;
+      }
+      rec.status = "approved";
+    } else {
+      rec.status = "denied";
+    }
+    rec.decidedAt = now;
+    rec.decidedBy = by == null ? null : String(by);
+    rec.note = note;
+
+    this._write(rec);
     return rec;
   }
 
-  decide(jobId, token, decision, note = null) {
-    const file = path.join(this._dir(jobId), `${token}.json`);
-    if (!fs.existsSync(file)) throw new Error(`Unknown approval token: ${token}`);
-    const rec = JSON.parse(fs.readFileSync(file, "utf8"));
+  // Remembers where the approval card was posted so its progress can be edited in place.
+  attachCard(jobId, token, { chatId, messageId, text = "" }) {
+    const rec = this.get(jobId, token);
+    if (chatId == null || messageId == null || messageId === "") return rec;
+    rec.cards = [...(Array.isArray(rec.cards) ? rec.cards : []), { chatId: String(chatId), messageId, text: String(text) }];
+    this._write(rec);
+    return rec;
+  }
+
+  // Changes what a pending request would do (e.g. the files of a commit). Votes cast for the old payload
+  // are dropped so every approval counts for what actually runs.
+  updatePayload(jobId, token, patch = {}) {
+    const rec = this.get(jobId, token);
     if (rec.status !== "pending") return rec;
+    rec.payload = { ...(rec.payload || {}), ...patch };
+    rec.approvals = [];
+    this._write(rec);
+    return rec;
+  }
 
-    rec.status = decision === "approve" ? "approved" : "denied";
+  // Withdraws a pending request so it can no longer be approved.
+  revoke(jobId, token, { by = null, note = null } = {}) {
+    const rec = this.get(jobId, token);
+    if (rec.status !== "pending") return rec;
+    rec.status = "revoked";
     rec.decidedAt = new Date().toISOString();
+    rec.decidedBy = by == null ? null : String(by);
     rec.note = note;
-
-    fs.writeFileSync(file, JSON.stringify(rec, null, 2), "utf8");
+    this._write(rec);
     return rec;
   }
 }
@@ -0,0 +1,169 @@
+import crypto from "node:crypto";
+import fs from "node:fs";
+import path from "node:path";
+
+const INDEX_FILE = "index.jsonl";
+const SAFE_EXT_RE = /^\.[a-z0-9]{1,10}$/;
+const MIME_BY_EXT = {
+  ".md": "text/markdown",
+  ".txt": "text/plain",
+  ".log": "text/plain",
+  ".diff": "text/x-diff",
+  ".patch": "text/x-diff",
+  ".json": "application/json",
+  ".jsonl": "application/x-ndjson",
+  ".csv": "text/csv",
+  ".html": "text/html",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".pdf": "application/pdf",
+  ".zip": "application/zip",
+};
+
+export function mimeForName(name) {
+  return MIME_BY_EXT[path.extname(String(name || "")).toLowerCase()] || "application/octet-stream";
+}
+
+function extFor(name) {
+  const ext = path.extname(String(name || "")).toLowerCase();
+  return SAFE_EXT_RE.test(ext) ? ext : "";
+}
+
+function hashFile(file) {
+  const hash = crypto.createHash("sha256");
+  const fd = fs.openSync(file, "r");
+  const buf = Buffer.alloc(1024 * 1024);
+  try {
+    let n;
+    while ((n = fs.readSync(fd, buf, 0, buf.length, null)) > 0) hash.update(buf.subarray(0, n));
+  } finally {
+    fs.closeSync(fd);
+  }
+  return hash.digest("hex");
+}
+
+export function formatBytes(n) {
+  const v = Number(n) || 0;
+  if (v >= 1024 * 1024) return `${(v / (1024 * 1024)).toFixed(1)}MB`;
+  if (v >= 1024) return `${Math.round(v / 1024)}KB`;
+  return `${v}B`;
+}
+
+// Content-addressed outputs per job: <jobDir>/artifacts/<sha256><ext>, described by one line per artifact in
+// artifacts/index.jsonl ({ id, sha256, file, name, mime, bytes, agent, provider, run_id, label, at }).
+// Storing the same content under the same name again returns the existing entry.
+export class ArtifactStore {
+  constructor(jobs) {
+    this.jobs = jobs;
+  }
+
+  _dir(jobId) {
+    const dir = path.join(this.jobs.jobDir(jobId), "artifacts");
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  _record(jobId, sha256, bytes, { name = "", mime = "", agent = null, provider = null, runId = null, label = "" } = {}) {
+    const cleanName = path.basename(String(name || "").trim()) || `${sha256.slice(0, 12)}.bin`;
+    const existing = this.list(jobId).find((row) => row.sha256 === sha256 && row.name === cleanName);
+    if (existing) return existing;
+    const row = {
+      id: sha256.slice(0, 12),
+      sha256,
+      file: `${sha256}${extFor(cleanName)}`,
+      name: cleanName,
+      mime: String(mime || "").trim() || mimeForName(cleanName),
+      bytes,
+      agent: agent ? String(agent) : null,
+      provider: provider ? String(provider) : null,
+      run_id: runId ? String(runId) : null,
+      label: String(label || ""),
+      at: new Date().toISOString(),
+    };
+    fs.appendFileSync(path.join(this._dir(jobId), INDEX_FILE), `${JSON.stringify(row)}\n`, "utf8");
+    return row;
+  }
+
+  // content: string or Buffer. meta: { name, mime, agent, provider, runId, label }.
+  put(jobId, content, meta = {}) {
+    const buf = Buffer.isBuffer(content) ? content : Buffer.from(String(content ?? ""), "utf8");
+    const sha256 = crypto.createHash("sha256").update(buf).digest("hex");
+    const target = path.join(this._dir(jobId), `${sha256}${extFor(meta.name)}`);
+    if (!fs.existsSync(target)) fs.writeFileSync(target, buf);
+    return this._record(jobId, sha256, buf.length, meta);
+  }
+
+  // Adds an existing file without loading it into memory; move=true renames it into the store.
+  putFile(jobId, srcPath, { move = false, ...meta } = {}) {
+    const sha256 = hashFile(srcPath);
+    const name = meta.name || path.basename(srcPath);
+    const bytes = fs.statSync(srcPath).size;
+    const target = path.join(this._dir(jobId), `${sha256}${extFor(name)}`);
+    if (fs.existsSync(target)) {
+      if (move) fs.rmSync(srcPath, { force: true });
+    } else if (move) {
+      try {
+        fs.renameSync(srcPath, target);
+      } catch {
+        fs.copyFileSync(srcPath, target);
+        fs.rmSync(srcPath, { force: true });
+      }
+    } else {
+      fs.copyFileSync(srcPath, target);
+    }
+    return this._record(jobId, sha256, bytes, { ...meta, name });
+  }
+
+  // Stores a runCommand-style result's output text. When that stream was spilled (see runCommand), the
+  // spill file holds the complete output: it is moved into the store and the excerpt's marker points at it.
+  // Returns { artifact, excerpt } (artifact null for empty output).
+  putOutput(jobId, text, result = {}, meta = {}) {
+    const body = String(text || "");
+    if (!body.trim()) return { artifact: null, excerpt: body };
+    const stream = body === result?.stdout ? "stdout" : (body === result?.stderr ? "stderr" : "");
+    const spilled = stream ? String(result?.spill?.[stream] || "") : "";
+    if (spilled && fs.existsSync(spilled)) {
+      const artifact = this.putFile(jobId, spilled, { ...meta, move: true });
+      return { artifact, excerpt: body.split(spilled).join(this.path(jobId, artifact)) };
+    }
+    return { artifact: this.put(jobId, body, meta), excerpt: body };
+  }
+
+  list(jobId) {
+    const file = path.join(this.jobs.jobDir(jobId), "artifacts", INDEX_FILE);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  // ref: id / sha256 prefix (min 4 chars) or exact name; the latest match wins.
+  find(jobId, ref) {
+    const key = String(ref || "").trim();
+    if (!key) return null;
+    const rows = this.list(jobId).reverse();
+    return rows.find((row) => row.name === key)
+      || (key.length >= 4 ? rows.find((row) => row.sha256.startsWith(key.toLowerCase())) : null)
+      || null;
+  }
+
+  path(jobId, row) {
+    return path.join(this.jobs.jobDir(jobId), "artifacts", row.file);
+  }
+
+  // Markdown link relative to the tracking docs in <jobDir>/shared/.
+  link(row) {
+    return `[${row.name}](../artifacts/${row.file}) (artifact ${row.id}, ${formatBytes(row.bytes)})`;
+  }
+}
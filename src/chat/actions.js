@@ -1,3 +1,5 @@
+import { getProvider, normalizeProvider, providerCapabilities } from "../providers.js";
+
 function asObject(v) {
   return v && typeof v === "object" ? v : {};
 }
@@ -8,6 +10,21 @@ function normalizeRisk(raw, fallback = "L1") {
   return fallback;
 }
 
+// Command-backed providers run agent.meta.command / meta.args (src/providers.js makeCommandRunner), so an agent
+// profile that sets them, or picks a provider that takes its command from the agent, is command execution.
+// The supervisor's own risk label does not count for these: they always need L3 approval.
+function agentSetsCommand(profile) {
+  const row = asObject(profile);
+  const meta = asObject(row.meta);
+  if (meta.command != null || meta.args != null) return true;
+  if (Object.keys(row).some((key) => /^meta\.(command|args)$/.test(key))) return true;
+  return !!row.provider && getProvider(row.provider)?.agentCommand === true;
+}
+
+function agentRisk(profile, raw, fallback) {
+  return agentSetsCommand(profile) ? "L3" : normalizeRisk(raw, fallback);
+}
+
 function riskScore(raw) {
   const key = normalizeRisk(raw, "L0");
   if (key === "L3") return 3;
@@ -60,7 +77,7 @@ function normalizeProposeAgent(raw) {
     model: String(row.model || draft.model || row.provider || draft.provider || "gemini").trim(),
     prompt: String(row.prompt || draft.prompt || row.goal || "").trim(),
     meta: draft.meta && typeof draft.meta === "object" ? draft.meta : {},
-    risk: normalizeRisk(row.risk, "L2"),
+    risk: agentRisk({ provider: row.provider || draft.provider, meta: draft.meta }, row.risk, "L2"),
   };
 }
 
@@ -197,7 +214,7 @@ function normalizeCreateAgent(raw) {
       meta: draft.meta && typeof draft.meta === "object" ? draft.meta : {},
     },
     format: String(row.format || "json").trim() || "json",
-    risk: normalizeRisk(row.risk, "L2"),
+    risk: agentRisk(draft, row.risk, "L2"),
   };
 }
 
@@ -211,7 +228,7 @@ function normalizeUpdateAgent(raw) {
     agentId,
     patch: patchRaw,
     format: String(row.format || "json").trim() || "json",
-    risk: normalizeRisk(row.risk, "L2"),
+    risk: agentRisk(patchRaw, row.risk, "L2"),
   };
 }
 
@@ -235,6 +252,18 @@ function normalizeInterrupt(raw) {
   };
 }
 
+function normalizeRunChecks(raw) {
+  const row = asObject(raw);
+  const names = Array.isArray(row.checks)
+    ? row.checks
+    : (Array.isArray(row.names) ? row.names : (typeof row.checks === "string" ? row.checks.split(",") : []));
+  return {
+    type: "run_checks",
+    checks: names.map((name) => String(name || "").trim().toLowerCase()).filter(Boolean).slice(0, 16),
+    risk: normalizeRisk(row.risk, "L1"),
+  };
+}
+
 function normalizeSpawnAgents(raw) {
   const row = asObject(raw);
   const entries = Array.isArray(row.agents)
@@ -290,6 +319,7 @@ export function normalizeAction(raw) {
   if (type === "get_status" || type === "status") return normalizeGetStatus(row);
   if (type === "interrupt" || type === "cancel") return normalizeInterrupt(row);
   if (type === "spawn_agents" || type === "fork_join" || type === "spawn") return normalizeSpawnAgents(row);
+  if (type === "run_checks" || type === "checks" || type === "run_tests") return normalizeRunChecks(row);
   return null;
 }
 
@@ -332,6 +362,7 @@ export function defaultAllowlist() {
     "get_status",
     "interrupt",
     "spawn_agents",
+    "run_checks",
   ]);
 }
 
@@ -364,6 +395,28 @@ export function isActionAllowed(action, allowlist) {
   return allowlist.has(type);
 }
 
+// Who may approve at this risk level and how many distinct approvals are needed (N-of-M).
+// Unconfigured levels keep the old behaviour: any allowed user, one approval, self-approval allowed.
+export function approvalPolicyFor(risk, approval = {}) {
+  const policy = asObject(approval);
+  const level = normalizeRisk(risk, "L3");
+  const approverMap = asObject(policy.approvers);
+  const requiredMap = asObject(policy.required_approvals);
+  const listed = Array.isArray(approverMap[level])
+    ? approverMap[level]
+    : (Array.isArray(approverMap.default) ? approverMap.default : []);
+  const approvers = listed.map((row) => String(row || "").trim()).filter(Boolean);
+  const wanted = Number(requiredMap[level] ?? requiredMap.default ?? 1);
+  let required = Number.isFinite(wanted) && wanted >= 1 ? Math.floor(wanted) : 1;
+  if (approvers.length > 0) required = Math.min(required, approvers.length);
+  return {
+    level,
+    approvers,
+    required,
+    forbid_self: policy.forbid_self_approval === true,
+  };
+}
+
 export function actionNeedsApproval(action, {
   approval = {},
   provider = "",
@@ -378,12 +431,12 @@ export function actionNeedsApproval(action, {
   const risk = normalizeRisk(action?.risk, "L0");
   const requiresByRisk = requiredRisks.some((row) => riskScore(risk) >= riskScore(row));
   if (requiresByRisk) {
-    return { required: true, reason: `risk=${risk}` };
+    return { required: true, reason: `risk=${risk}`, policy: approvalPolicyFor(risk, policy) };
   }
 
-  const normalizedProvider = String(provider || "").trim().toLowerCase();
-  if (policy.require_file_write && action?.type === "run_agent" && normalizedProvider === "codex") {
-    return { required: true, reason: "provider=codex(file-write policy)" };
+  const normalizedProvider = normalizeProvider(provider, "");
+  if (policy.require_file_write && action?.type === "run_agent" && providerCapabilities(normalizedProvider).writesFiles) {
+    return { required: true, reason: `provider=${normalizedProvider}(file-write policy)`, policy: approvalPolicyFor(risk, policy) };
   }
   return { required: false, reason: "" };
 }
@@ -4,6 +4,7 @@ import {
   isActionAllowed,
   parseAllowlist,
 } from "./actions.js";
+import { normalizeProvider } from "../providers.js";
 
 function asObject(v) {
   return v && typeof v === "object" ? v : {};
@@ -30,6 +31,7 @@ function actionLabel(action) {
   if (type === "interrupt") return `interrupt:${action.mode || "replan"}`;
   if (type === "spawn_agents") return `spawn_agents:${Array.isArray(action.agents) ? action.agents.length : 0}`;
   if (type === "open_context") return `open_context:${action.scope || "current"}`;
+  if (type === "run_checks") return `run_checks:${Array.isArray(action.checks) && action.checks.length ? action.checks.join(",") : "all"}`;
   return type;
 }
 
@@ -38,7 +40,7 @@ function getProviderByAgent(agents = [], agentId = "") {
   if (!key) return "";
   const rows = Array.isArray(agents) ? agents : [];
   const found = rows.find((agent) => String(agent?.id || "").trim().toLowerCase() === key);
-  return String(found?.provider || "").trim().toLowerCase();
+  return normalizeProvider(found?.provider, "");
 }
 
 function nextApprovalId() {
@@ -84,7 +86,11 @@ export async function executeSupervisorActions({
   agents = [],
   tools = [],
   sessionStore = null,
+  approvals = null,
+  requestedBy = null,
+  authorize = null,
   callbacks = {},
+  onEvent = null,
 } = {}) {
   const config = asObject(jobConfig);
   const budgetCfg = asObject(config.budget);
@@ -97,6 +103,13 @@ export async function executeSupervisorActions({
 
   const results = [];
   const outputs = [];
+  // onEvent(type, data): typed per-job event log (src/events.js); a failing listener never stops the run.
+  const emit = (type, data) => {
+    if (typeof onEvent !== "function") return;
+    try {
+      onEvent(type, data);
+    } catch {}
+  };
   let detailContext = "";
   let pendingApproval = null;
   let blockedIndex = -1;
@@ -109,7 +122,6 @@ export async function executeSupervisorActions({
     sessionStore.upsert(chatId, {
       jobId: String(jobId || "").trim(),
       state: "executing",
-      pending_approval: null,
       budget: {
         max_actions: maxActions,
       },
@@ -140,6 +152,13 @@ export async function executeSupervisorActions({
       results.push({ label, status: "blocked", note: "not in allowlist" });
       continue;
     }
+    // authorize(action) returns why the requesting user's role may not run this action, or "".
+    const denied = typeof authorize === "function" ? String(authorize(action) || "") : "";
+    if (denied) {
+      blockedActions += 1;
+      results.push({ label, status: "blocked", note: `permission denied: ${denied}` });
+      continue;
+    }
     if (usedActions >= maxActions) {
       blockedActions += 1;
       results.push({ label, status: "blocked", note: `budget exceeded (max_actions=${maxActions})` });
@@ -157,31 +176,56 @@ export async function executeSupervisorActions({
       blockedActions += 1;
       blockedIndex = i;
       remainingActions = actions.slice(i);
+      const alreadyDone = {
+        results: [...results],
+        outputs: [...outputs],
+      };
+      // Persisted in the shared approval store so it survives new messages and shows up in /approvals.
+      const rec = approvals
+        ? approvals.request(jobId, {
+          purpose: "supervisor action",
+          summary: `${label} (${approval.reason})`,
+          dangerLevel: String(action?.risk || "L3"),
+          requestedBy: requestedBy ?? userId,
+          chatId,
+          policy: approval.policy,
+          payload: {
+            action: "supervisor_resume",
+            blocked_action: action,
+            reason: approval.reason,
+            blocked_index: i,
+            remaining_actions: remainingActions,
+            already_done: alreadyDone,
+          },
+        })
+        : null;
       pendingApproval = {
-        id: nextApprovalId(),
+        id: rec?.token || nextApprovalId(),
         chat_id: String(chatId || ""),
         job_id: String(jobId || ""),
         action,
         reason: approval.reason,
         blocked_index: i,
         remaining_actions: remainingActions,
-        already_done: {
-          results: [...results],
-          outputs: [...outputs],
-        },
+        already_done: alreadyDone,
         requested_by: String(userId || ""),
         ts: new Date().toISOString(),
+        expires_at: rec?.expiresAt || null,
       };
       results.push({ label, status: "blocked", note: `approval required: ${approval.reason}` });
-      if (sessionStore) {
-        sessionStore.upsert(chatId, {
-          state: "awaiting_approval",
-          pending_approval: pendingApproval,
-        });
-      }
+      emit("approval_requested", {
+        token: pendingApproval.id,
+        approval_action: "supervisor_resume",
+        summary: `${label} (${approval.reason})`,
+        by: String(requestedBy ?? userId ?? ""),
+      });
       break;
     }
 
+    const startedAt = Date.now();
+    const resultIndex = results.length;
+    let runId = null;
+    emit("action_started", { action: String(action?.type || ""), label });
     try {
       if (action.type === "need_more_detail") {
         if (typeof callbacks.needMoreDetail !== "function") {
@@ -208,6 +252,7 @@ export async function executeSupervisorActions({
           jobId,
           detailContext,
         });
+        runId = runResult?.runId || null;
         const outputText = String(runResult?.output || "");
         outputs.push({
           agentId: String(action.agent_id || "").trim().toLowerCase(),
@@ -598,6 +643,32 @@ export async function executeSupervisorActions({
         break;
       }
 
+      if (action.type === "run_checks") {
+        if (typeof callbacks.runChecks !== "function") {
+          throw new Error("runChecks callback is missing");
+        }
+        const checked = await callbacks.runChecks({
+          action,
+          jobId,
+          chatId,
+          userId,
+        });
+        outputs.push({
+          agentId: "system",
+          provider: "system",
+          mode: "run_checks",
+          output: String(checked?.text || "").trim() || "checks finished",
+          jobId: String(jobId || ""),
+        });
+        results.push({
+          label,
+          status: checked?.ok ? "ok" : "error",
+          note: checked?.note || (checked?.ok ? "pass" : "fail"),
+        });
+        usedActions += 1;
+        continue;
+      }
+
       if (action.type === "summarize") {
         if (typeof callbacks.summarize === "function") {
           const summary = await callbacks.summarize({
@@ -627,6 +698,18 @@ export async function executeSupervisorActions({
     } catch (e) {
       if (isAbortLikeError(e)) throw e;
       results.push({ label, status: "error", note: String(e?.message ?? e) });
+      emit("error", { where: label, message: String(e?.message ?? e) });
+    } finally {
+      // Also runs on `continue` and on a rethrown cancel (no result row then).
+      const row = results.length > resultIndex ? results[resultIndex] : { status: "cancelled" };
+      emit("action_finished", {
+        action: String(action?.type || ""),
+        label,
+        status: row.status,
+        note: row.note,
+        run_id: runId,
+        duration_ms: Date.now() - startedAt,
+      });
     }
 
     const interruptAfter = readInterruptState(sessionStore, chatId);
@@ -648,10 +731,7 @@ export async function executeSupervisorActions({
 
   if (sessionStore) {
     sessionStore.upsert(chatId, {
-      state: pendingApproval
-        ? "awaiting_approval"
-        : (interruptedByReplan ? "idle" : "done"),
-      pending_approval: pendingApproval,
+      state: pendingApproval || interruptedByReplan ? "idle" : "done",
       interrupt: null,
       budget: {
         max_actions: maxActions,
@@ -219,7 +219,7 @@ export class ChatRunManager {
           ...session,
           active_run_id: null,
           interrupt: null,
-          state: session.pending_approval ? "awaiting_approval" : "idle",
+          state: "idle",
         }));
       }
 
@@ -247,7 +247,6 @@ export class ChatRunManager {
     slot.nextInputKind = null;
     this.sessionStore.upsert(chatId, (session) => ({
       ...session,
-      pending_approval: null,
       pending_user_messages: [],
       interrupt: {
         requested: true,
@@ -286,12 +285,8 @@ export class ChatRunManager {
     const session = this.sessionStore.get(chatId);
     const state = String(session.state || "idle").trim().toLowerCase();
     const busy = slot.running || state === "routing" || state === "executing";
-    const awaitingApproval = state === "awaiting_approval" || !!session.pending_approval;
 
-    if (busy || awaitingApproval) {
-      this.sessionStore.upsert(chatId, {
-        pending_approval: null,
-      });
+    if (busy) {
       slot.nextInputKind = "interrupt_update";
       this._markInterrupt(chatId, "replan", cleanText);
       await this._cancelCurrent(chatId, { mode: "replan", reason: cleanText });
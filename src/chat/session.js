@@ -82,7 +82,6 @@ function normalizeSession(chatId, raw = {}) {
       used_actions: Number.isFinite(Number(budgetRaw.used_actions)) ? Math.max(0, Math.floor(Number(budgetRaw.used_actions))) : 0,
       blocked_actions: Number.isFinite(Number(budgetRaw.blocked_actions)) ? Math.max(0, Math.floor(Number(budgetRaw.blocked_actions))) : 0,
     },
-    pending_approval: row.pending_approval && typeof row.pending_approval === "object" ? row.pending_approval : null,
     pending_user_messages: pendingUserMessages,
     interrupt,
     dashboard: dashboardMessageId ? { message_id: dashboardMessageId } : null,
@@ -1,6 +1,7 @@
 import path from "node:path";
 import { runGeminiPrompt } from "../gemini.js";
 import { clip } from "../textutil.js";
+import { listProviders, normalizeProvider, providerCapabilities } from "../providers.js";
 import { normalizeActionPlan } from "./actions.js";
 
 function asObject(v) {
@@ -64,20 +65,12 @@ function parseJsonObjectFromText(text) {
   return null;
 }
 
-function normalizeProvider(raw) {
-  const key = String(raw || "").trim().toLowerCase();
-  if (["chatgpt", "gpt", "openai"].includes(key)) return "chatgpt";
-  if (["codex"].includes(key)) return "codex";
-  if (["gemini"].includes(key)) return "gemini";
-  return "gemini";
-}
-
 function pickDefaultAgent(agents = []) {
   const rows = Array.isArray(agents) ? agents : [];
   const gemini = rows.find((row) => normalizeProvider(row?.provider) === "gemini");
   if (gemini?.id) return String(gemini.id).trim().toLowerCase();
-  const nonChatgpt = rows.find((row) => normalizeProvider(row?.provider) !== "chatgpt");
-  if (nonChatgpt?.id) return String(nonChatgpt.id).trim().toLowerCase();
+  const nonInteractive = rows.find((row) => !providerCapabilities(row?.provider).interactive);
+  if (nonInteractive?.id) return String(nonInteractive.id).trim().toLowerCase();
   const first = rows[0];
   return first?.id ? String(first.id).trim().toLowerCase() : "";
 }
@@ -545,6 +538,7 @@ function buildRouterPrompt(message, context = {}) {
       .map((tool) => `- name=${tool.name || tool.id || "tool"}, action_types=${Array.isArray(tool.action_types) ? tool.action_types.join(",") : ""}, risk=${tool.risk || "L1"}`)
       .join("\n")
     : "(none)";
+  const providerList = listProviders().map((provider) => provider.id).join("|");
   const jobConfigText = clip(JSON.stringify(jobConfig, null, 2), 3200);
   const contextSummary = clip(String(row.contextSummary || ""), 4500) || "(none)";
 
@@ -556,7 +550,7 @@ function buildRouterPrompt(message, context = {}) {
     "  \"reason\": \"...\",",
     "  \"actions\": [",
     "    {\"type\":\"run_agent\",\"agent_id\":\"...\",\"goal\":\"...\",\"inputs\":{},\"risk\":\"L0|L1|L2|L3\"},",
-    "    {\"type\":\"propose_agent\",\"agent_id\":\"...\",\"name\":\"...\",\"description\":\"...\",\"provider\":\"gemini|codex|chatgpt\",\"model\":\"...\",\"prompt\":\"...\",\"meta\":{},\"risk\":\"L2|L3\"},",
+    `    {\"type\":\"propose_agent\",\"agent_id\":\"...\",\"name\":\"...\",\"description\":\"...\",\"provider\":\"${providerList}\",\"model\":\"...\",\"prompt\":\"...\",\"meta\":{},\"risk\":\"L2|L3\"},`,
     "    {\"type\":\"need_more_detail\",\"context_set_id\":\"...\",\"node_ids\":[\"...\"],\"depth\":1,\"max_chars\":7000},",
     "    {\"type\":\"search_public_agents\",\"query\":\"...\",\"limit\":5},",
     "    {\"type\":\"install_agent_blueprint\",\"blueprint_id\":\"optional\",\"public_node_id\":\"optional\",\"agent_id_override\":\"optional\"},",
@@ -567,12 +561,13 @@ function buildRouterPrompt(message, context = {}) {
     "    {\"type\":\"enable_tool\",\"tool_id\":\"...\"},",
     "    {\"type\":\"list_agents\",\"include_disabled\":true},",
     "    {\"type\":\"list_tools\",\"include_disabled\":true},",
-    "    {\"type\":\"create_agent\",\"agent\":{\"id\":\"...\",\"name\":\"...\",\"provider\":\"gemini|codex|chatgpt\",\"model\":\"...\",\"prompt\":\"...\",\"description\":\"...\",\"meta\":{}},\"format\":\"json\"},",
+    `    {\"type\":\"create_agent\",\"agent\":{\"id\":\"...\",\"name\":\"...\",\"provider\":\"${providerList}\",\"model\":\"...\",\"prompt\":\"...\",\"description\":\"...\",\"meta\":{}},\"format\":\"json\"},`,
     "    {\"type\":\"update_agent\",\"agent_id\":\"...\",\"patch\":{\"prompt\":\"...\",\"description\":\"...\"},\"format\":\"json\"},",
     "    {\"type\":\"get_status\",\"detail\":\"summary|full\"},",
     "    {\"type\":\"interrupt\",\"mode\":\"cancel|replan\",\"note\":\"...\"},",
     "    {\"type\":\"spawn_agents\",\"summary\":\"...\",\"agents\":[{\"agent_id\":\"...\",\"goal\":\"...\",\"risk\":\"L1\"}],\"max_parallel\":2},",
     "    {\"type\":\"open_context\",\"scope\":\"current|global\"},",
+    "    {\"type\":\"run_checks\",\"checks\":[\"optional check name\"]},",
     "    {\"type\":\"summarize\",\"hint\":\"...\"}",
   "  ],",
     "  \"final_response_style\": \"concise|detailed\"",
@@ -599,6 +594,7 @@ function buildRouterPrompt(message, context = {}) {
       : "- 사용자가 명시적으로 요청하지 않은 한 chatgpt agent를 선택하지 마라.",
     "- 에이전트 추가/초대/생성 요청은 propose_agent를 사용한다.",
     "- 파일 변경이 필요한 실행은 risk를 L3로 올린다.",
+    "- 코드 변경 후 검증(lint/test/build)이 필요하면 run_checks를 배치한다. context에 last checks FAIL이 있으면 실패 로그를 goal에 넣어 수정 run_agent를 우선 배치한다.",
     "",
     `current_job_id=${String(row.currentJobId || "").trim() || "(none)"}`,
     `current_context_set_id=${String(row.currentContextSetId || "").trim() || "(none)"}`,
@@ -634,6 +630,7 @@ export async function routeWithSupervisor(message, {
   locale = "ko-KR",
   routerPolicy = "",
   contextSummary = "",
+  onRun = null,
 } = {}) {
   const msg = String(message || "").trim();
   const allowChatGPTPlanner = isExplicitChatGptPlannerRequest(msg);
@@ -661,6 +658,10 @@ export async function routeWithSupervisor(message, {
       prompt,
       signal,
     });
+    // onRun(result, prompt) lets the caller account for the router call (usage log).
+    if (typeof onRun === "function") {
+      try { onRun(r, prompt); } catch {}
+    }
     if (!r?.ok) {
       if (signal?.aborted) {
         const aborted = new Error("supervisor router aborted");
@@ -690,13 +691,13 @@ export async function routeWithSupervisor(message, {
       if (action.type !== "run_agent") return true;
       if (allowChatGPTPlanner) return true;
       const provider = providerById.get(String(action.agent_id || "").trim().toLowerCase());
-      return provider !== "chatgpt";
+      return !providerCapabilities(provider).interactive;
     });
     if (filtered.length === 0) return fallback;
     const hardened = filtered.map((action) => {
       if (action.type !== "run_agent") return action;
       const provider = providerById.get(String(action.agent_id || "").trim().toLowerCase());
-      if (provider === "codex" && String(action.risk || "").toUpperCase() !== "L3") {
+      if (providerCapabilities(provider).writesFiles && String(action.risk || "").toUpperCase() !== "L3") {
         return { ...action, risk: "L3" };
       }
       return action;
@@ -0,0 +1,144 @@
+import fs from "node:fs";
+import path from "node:path";
+import { runCommand } from "./proc.js";
+
+const DEFAULT_TIMEOUT_MS = 10 * 60 * 1000;
+const LOG_TAIL_CHARS = 2500;
+const LAST_CHECKS_FILE = "checks_last.json";
+
+function asObject(v) {
+  return v && typeof v === "object" ? v : {};
+}
+
+function tail(text, max = LOG_TAIL_CHARS) {
+  const s = String(text || "").trim();
+  return s.length <= max ? s : `…(trimmed)…\n${s.slice(s.length - max)}`;
+}
+
+function normalizeCheck(raw, idx) {
+  if (typeof raw === "string") {
+    const command = raw.trim();
+    return command ? { name: `check${idx + 1}`, command, timeoutMs: DEFAULT_TIMEOUT_MS } : null;
+  }
+  const row = asObject(raw);
+  const command = String(row.command || row.cmd || "").trim();
+  if (!command) return null;
+  const timeoutSec = Number(row.timeout_sec ?? row.timeoutSec);
+  return {
+    name: String(row.name || `check${idx + 1}`).trim().toLowerCase() || `check${idx + 1}`,
+    command,
+    timeoutMs: Number.isFinite(timeoutSec) && timeoutSec > 0 ? Math.floor(timeoutSec * 1000) : DEFAULT_TIMEOUT_MS,
+  };
+}
+
+export function getChecksConfigPath(baseDir) {
+  return path.resolve(process.env.CHECKS_CONFIG_PATH || path.join(baseDir, "checks.json"));
+}
+
+// checks.json: { "checks": [{ "name": "lint", "command": "npm run lint", "timeout_sec": 600 }, ...] }
+export function loadChecks(baseDir) {
+  const configPath = getChecksConfigPath(baseDir);
+  let rows = [];
+  try {
+    const parsed = JSON.parse(fs.readFileSync(configPath, "utf8"));
+    rows = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.checks) ? parsed.checks : []);
+  } catch {
+    rows = [];
+  }
+  const checks = rows.map(normalizeCheck).filter(Boolean);
+  return { path: configPath, checks };
+}
+
+// spillDir: where runCommand keeps the full output of noisy checks; the result then lists it in logFiles.
+export async function runChecks(checks, { cwd, names = [], signal = null, spillDir = "" } = {}) {
+  const wanted = new Set((Array.isArray(names) ? names : []).map((n) => String(n || "").trim().toLowerCase()).filter(Boolean));
+  const selected = wanted.size > 0 ? checks.filter((c) => wanted.has(c.name)) : checks;
+  const startedAt = new Date().toISOString();
+  const results = [];
+  for (const check of selected) {
+    if (signal?.aborted) break;
+    const r = await runCommand(check.command, [], { cwd, shell: true, timeoutMs: check.timeoutMs, abortSignal: signal, spillDir });
+    const logFiles = Object.values(r.spill || {});
+    results.push({
+      name: check.name,
+      command: check.command,
+      ok: !!r.ok,
+      exitCode: r.exitCode,
+      durationMs: r.durationMs,
+      log: tail([r.stdout, r.stderr].filter((s) => String(s || "").trim()).join("\n")),
+      ...(logFiles.length > 0 ? { logFiles } : {}),
+    });
+  }
+  return {
+    ok: results.length > 0 && results.every((r) => r.ok),
+    startedAt,
+    cwd,
+    results,
+  };
+}
+
+// Loads the configured checks and runs them (all, or just `names`) for one job, keeping the summary in
+// saveDir as the job's last checks. Shared by the runner and the CLI; progress/conversation logging stays
+// with the caller. cancelled=true means the signal fired mid-run and nothing was saved.
+export async function runConfiguredChecks(baseDir, { cwd, names = [], signal = null, spillDir = "", saveDir = "" } = {}) {
+  const config = loadChecks(baseDir);
+  if (config.checks.length === 0) {
+    return { ok: false, configured: false, note: "not configured", text: `설정된 check가 없습니다. ${config.path} 에 {"checks":[{"name":"test","command":"npm test"}]} 형식으로 추가하세요.` };
+  }
+  const wanted = Array.isArray(names) ? names : [];
+  const summary = await runChecks(config.checks, { cwd, names: wanted, signal, spillDir });
+  if (signal?.aborted) return { ok: false, configured: true, cancelled: true, note: "cancelled", text: "checks cancelled" };
+  if (summary.results.length === 0) {
+    return { ok: false, configured: true, note: "no matching check", text: `일치하는 check가 없습니다: ${wanted.join(", ")} (available: ${config.checks.map((c) => c.name).join(", ")})` };
+  }
+  if (saveDir) saveLastChecks(saveDir, summary);
+  const lines = summary.results.map((r) => `${r.ok ? "✅" : "❌"} ${r.name} (exit=${r.exitCode}, ${Math.round(r.durationMs / 1000)}s)`);
+  const failedLogs = summary.results
+    .filter((r) => !r.ok)
+    .map((r) => `\n[${r.name}]\n${tail(r.log, 1200)}`);
+  return {
+    ok: summary.ok,
+    configured: true,
+    summary,
+    note: summary.results.filter((r) => !r.ok).map((r) => r.name).join(",") || "pass",
+    text: [`🧪 checks: ${summary.ok ? "PASS" : "FAIL"}`, ...lines, ...failedLogs].join("\n"),
+  };
+}
+
+export function formatChecksMarkdown(summary) {
+  const rows = Array.isArray(summary?.results) ? summary.results : [];
+  const lines = [`## checks: ${summary?.ok ? "PASS" : "FAIL"}`, `- cwd: ${summary?.cwd || "(unknown)"}`];
+  for (const r of rows) {
+    lines.push(`- ${r.ok ? "✅" : "❌"} ${r.name} (\`${r.command}\`, exit=${r.exitCode}, ${Math.round(r.durationMs / 1000)}s)`);
+  }
+  for (const r of rows.filter((row) => !row.ok)) {
+    lines.push("", `### ${r.name} log (tail)`, "```", r.log || "(no output)", "```");
+    for (const file of r.logFiles || []) lines.push(`- full log: ${file}`);
+  }
+  return `${lines.join("\n")}\n`;
+}
+
+// Short text fed into the next router prompt so it can schedule a fix.
+export function formatChecksFeedback(summary, maxLogChars = 1200) {
+  if (!summary || !Array.isArray(summary.results) || summary.results.length === 0) return "";
+  const failed = summary.results.filter((r) => !r.ok);
+  if (failed.length === 0) {
+    return `last checks (${summary.startedAt}): PASS (${summary.results.map((r) => r.name).join(", ")})`;
+  }
+  return [
+    `last checks (${summary.startedAt}): FAIL ${failed.map((r) => r.name).join(", ")}`,
+    ...failed.map((r) => `[${r.name}] \`${r.command}\` exit=${r.exitCode}\n${tail(r.log, maxLogChars)}`),
+  ].join("\n");
+}
+
+export function saveLastChecks(jobDir, summary) {
+  fs.writeFileSync(path.join(jobDir, LAST_CHECKS_FILE), JSON.stringify(summary, null, 2), "utf8");
+}
+
+export function readLastChecks(jobDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(jobDir, LAST_CHECKS_FILE), "utf8"));
+  } catch {
+    return null;
+  }
+}
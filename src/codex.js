@@ -1,16 +1,30 @@
 import { runCommand } from "./proc.js";
+import { withQuotaRetry } from "./quota.js";
+import { commandLimitOpts } from "./limits.js";
 
-export async function runCodexExec({ workspaceRoot, prompt, signal, cwd }) {
+const DEFAULT_TIMEOUT_MS = 45 * 60 * 1000;
+
+// Usage/rate limits are retried on the QUOTA_RETRY_SCHEDULE_SEC schedule (see quota.js).
+// limits: the agent's normalized "limits" (timeout_sec, max_output_bytes, nice).
+// spillDir: where large outputs are written in full (see runCommand).
+export async function runCodexExec({ workspaceRoot, prompt, signal, cwd, onChunk, onQuota, limits = null, spillDir = "" }) {
+  return await withQuotaRetry(
+    () => runCodexOnce({ workspaceRoot, prompt, signal, cwd, onChunk, limits, spillDir }),
+    { provider: "codex", signal, onQuota }
+  );
+}
+
+async function runCodexOnce({ workspaceRoot, prompt, signal, cwd, onChunk, limits, spillDir }) {
   // Requires Codex CLI logged in on the server
   const sandboxMode = process.env.CODEX_SANDBOX_MODE || "workspace-write";
   const approvalPolicy = process.env.CODEX_APPROVAL_POLICY || "never";
-  const timeoutMs = 45 * 60 * 1000;
+  const runOpts = { ...commandLimitOpts(limits, DEFAULT_TIMEOUT_MS), spillDir };
   const commandCwd = cwd || workspaceRoot;
 
   // Keep Codex workspace explicit (-C), while process CWD can be the run directory.
   // Feed prompt via stdin ("-") so prompt text is never parsed as CLI args.
   const modernArgs = ["exec", "-C", workspaceRoot, "--sandbox", sandboxMode, "-c", `approval_policy=${approvalPolicy}`, "-"];
-  const modern = await runCommand("codex", modernArgs, { cwd: commandCwd, timeoutMs, input: prompt, abortSignal: signal });
+  const modern = await runCommand("codex", modernArgs, { cwd: commandCwd, ...runOpts, input: prompt, abortSignal: signal, onChunk });
   if (modern.ok) return modern;
 
   // Fallback for older codex-cli variants that still support this flag in `exec`.
@@ -23,7 +37,7 @@ export async function runCodexExec({ workspaceRoot, prompt, signal, cwd }) {
   if (!optionCompatibilityError) return modern;
 
   const legacyArgs = ["exec", "-C", workspaceRoot, "--sandbox", sandboxMode, "--ask-for-approval", approvalPolicy, "-"];
-  const legacy = await runCommand("codex", legacyArgs, { cwd: commandCwd, timeoutMs, input: prompt, abortSignal: signal });
+  const legacy = await runCommand("codex", legacyArgs, { cwd: commandCwd, ...runOpts, input: prompt, abortSignal: signal, onChunk });
   if (legacy.ok) return legacy;
 
   // If legacy flag is unsupported too, keep modern error as the primary one.
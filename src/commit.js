@@ -0,0 +1,298 @@
+import fs from "node:fs";
+import path from "node:path";
+import { runCommand } from "./proc.js";
+import { createSecretScanner } from "./secrets.js";
+
+const GIT_TIMEOUT_MS = 120000;
+const SCAN_FILE_MAX_BYTES = 1024 * 1024;
+
+// Paths a commit may never include. COMMIT_PROTECTED_PATHS replaces the list ("none" disables it).
+// Patterns are gitignore-like: no "/" matches the file name at any depth, a trailing "/" matches a directory,
+// "*" stays within one path segment and "**" spans segments.
+export const DEFAULT_PROTECTED_PATHS = [".env", ".env.*", "*.pem", "*.key", "id_rsa*", "id_ed25519*", ".orchestrator/"];
+
+function git(args, cwd, signal = null) {
+  return runCommand("git", args, { cwd, timeoutMs: GIT_TIMEOUT_MS, abortSignal: signal });
+}
+
+export function protectedPathPatterns(env = process.env) {
+  const raw = env.COMMIT_PROTECTED_PATHS;
+  if (raw == null || String(raw).trim() === "") return [...DEFAULT_PROTECTED_PATHS];
+  if (String(raw).trim().toLowerCase() === "none") return [];
+  return String(raw).split(",").map((s) => s.trim()).filter(Boolean);
+}
+
+function globToRegExp(glob) {
+  let re = "";
+  for (let i = 0; i < glob.length; i += 1) {
+    const ch = glob[i];
+    if (ch === "*" && glob[i + 1] === "*") {
+      re += ".*";
+      i += 1;
+      if (glob[i + 1] === "/") i += 1;
+    } else if (ch === "*") {
+      re += "[^/]*";
+    } else if (ch === "?") {
+      re += "[^/]";
+    } else {
+      re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${re}$`);
+}
+
+// The first protected pattern `file` (repo-relative) falls under, or "".
+export function matchProtected(file, patterns) {
+  const clean = String(file || "").replace(/\\/g, "/").replace(/^\.\//, "");
+  for (const pattern of patterns) {
+    const p = pattern.replace(/^\.\//, "").replace(/^\//, "");
+    if (p.endsWith("/")) {
+      const dir = p.slice(0, -1);
+      const segments = clean.split("/").slice(0, -1);
+      const hit = dir.includes("/")
+        ? clean.startsWith(`${dir}/`)
+        : segments.some((segment) => globToRegExp(dir).test(segment));
+      if (hit) return pattern;
+      continue;
+    }
+    const target = p.includes("/") ? clean : path.posix.basename(clean);
+    if (globToRegExp(p).test(target)) return pattern;
+  }
+  return "";
+}
+
+function parseStatusZ(text) {
+  const parts = String(text || "").split("\0");
+  const out = [];
+  for (let i = 0; i < parts.length; i += 1) {
+    const entry = parts[i];
+    if (entry.length < 4) continue;
+    const xy = entry.slice(0, 2);
+    const row = { path: entry.slice(3), status: xy === "??" ? "??" : (xy.trim()[0] || "M") };
+    // Renames/copies are followed by their source path.
+    if (xy[0] === "R" || xy[0] === "C") {
+      row.from = parts[i + 1] || "";
+      i += 1;
+    }
+    out.push(row);
+  }
+  return out;
+}
+
+function parseNumstatZ(text) {
+  const parts = String(text || "").split("\0");
+  const counts = new Map();
+  for (let i = 0; i < parts.length; i += 1) {
+    const m = parts[i].match(/^(\d+|-)\t(\d+|-)\t(.*)$/s);
+    if (!m) continue;
+    let file = m[3];
+    if (!file) {
+      file = parts[i + 2] || "";
+      i += 2;
+    }
+    counts.set(file, m[1] === "-" ? { binary: true } : { added: Number(m[1]), deleted: Number(m[2]) });
+  }
+  return counts;
+}
+
+// Working-tree changes against HEAD: [{ path, status, from?, added?, deleted?, binary?, protected }].
+// status is the porcelain code (M, A, D, R, ...; "??" for untracked); protected holds the matching pattern or "".
+export async function listChanges(codeRoot, { signal = null, patterns = protectedPathPatterns() } = {}) {
+  const status = await git(["status", "--porcelain=v1", "-z", "--untracked-files=all"], codeRoot, signal);
+  if (!status.ok) throw new Error(`git status failed (exit=${status.exitCode})\n${String(status.stderr || "").trim()}`);
+  const numstat = await git(["diff", "HEAD", "--numstat", "-z", "-M"], codeRoot, signal);
+  const counts = numstat.ok ? parseNumstatZ(numstat.stdout) : new Map();
+  return parseStatusZ(status.stdout).map((row) => ({
+    ...row,
+    ...(counts.get(row.path) || {}),
+    protected: matchProtected(row.path, patterns) || (row.from ? matchProtected(row.from, patterns) : ""),
+  }));
+}
+
+export function formatChangeLine(change) {
+  const stat = change.binary
+    ? "binary"
+    : (change.added != null ? `+${change.added} -${change.deleted}` : (change.status === "??" ? "new" : ""));
+  const name = change.from ? `${change.from} → ${change.path}` : change.path;
+  return `${change.status} ${name}${stat ? ` (${stat})` : ""}`;
+}
+
+let defaultScanner = null;
+function secretScanner() {
+  defaultScanner ??= createSecretScanner();
+  return defaultScanner;
+}
+
+// Added lines per file from `git diff -U0`: Map(path -> { text, lines: [new line numbers] }).
+function addedLines(diffText) {
+  const files = new Map();
+  let current = null;
+  let inHeader = false;
+  let lineNo = 0;
+  for (const line of String(diffText || "").split("\n")) {
+    if (line.startsWith("diff --git ")) {
+      current = null;
+      inHeader = true;
+      continue;
+    }
+    if (inHeader) {
+      if (line.startsWith("+++ ")) {
+        const name = line.slice(4).trim();
+        current = name === "/dev/null" ? null : name.replace(/^b\//, "");
+        if (current && !files.has(current)) files.set(current, { text: [], lines: [] });
+      }
+      if (line.startsWith("@@")) inHeader = false;
+      else continue;
+    }
+    const hunk = line.match(/^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/);
+    if (hunk) {
+      lineNo = Number(hunk[1]);
+      continue;
+    }
+    if (!current) continue;
+    if (line.startsWith("+")) {
+      const entry = files.get(current);
+      entry.text.push(line.slice(1));
+      entry.lines.push(lineNo);
+      lineNo += 1;
+    } else if (line.startsWith(" ")) {
+      lineNo += 1;
+    }
+  }
+  return files;
+}
+
+// Secrets a commit of `changes` would add: the added lines of changed files and the whole content of new
+// untracked files. Returns [{ path, line, rule, preview }] (preview never holds the secret itself).
+export async function scanChanges(codeRoot, changes, { signal = null, scanner = secretScanner() } = {}) {
+  if (!scanner.enabled) return [];
+  const findings = [];
+  const tracked = changes.filter((row) => row.status !== "??" && row.status !== "D" && !row.binary).map((row) => row.path);
+  if (tracked.length > 0) {
+    const diff = await runCommand("git", ["diff", "HEAD", "--no-color", "--no-ext-diff", "-U0", "--", ...tracked], {
+      cwd: codeRoot, timeoutMs: GIT_TIMEOUT_MS, abortSignal: signal,
+    });
+    if (!diff.ok) throw new Error(`git diff failed (exit=${diff.exitCode})\n${String(diff.stderr || "").trim()}`);
+    for (const [file, entry] of addedLines(diff.stdout)) {
+      for (const f of scanner.scan(entry.text.join("\n"))) {
+        findings.push({ path: file, line: entry.lines[f.line - 1] ?? f.line, rule: f.rule, preview: f.preview });
+      }
+    }
+  }
+  for (const row of changes.filter((r) => r.status === "??")) {
+    const file = path.join(codeRoot, row.path);
+    let buf;
+    try {
+      if (fs.statSync(file).size > SCAN_FILE_MAX_BYTES) continue;
+      buf = fs.readFileSync(file);
+    } catch {
+      continue;
+    }
+    if (buf.includes(0)) continue;
+    for (const f of scanner.scan(buf.toString("utf8"))) findings.push({ path: row.path, line: f.line, rule: f.rule, preview: f.preview });
+  }
+  return findings;
+}
+
+export function formatSecretFinding(f) {
+  return `${f.path}:${f.line} ${f.rule} ${f.preview}`;
+}
+
+// Content fingerprint per path at this moment: the blob id `git hash-object` gives a regular file (clean
+// filters applied, so it matches what `git add` would stage), "link:<target>" for a symlink and "" for a path
+// that is gone or not a file. Recorded when a commit is requested so the approved content is what gets committed.
+export async function hashChanges(codeRoot, files, { signal = null } = {}) {
+  const out = {};
+  const regular = [];
+  for (const file of (Array.isArray(files) ? files : []).map(String)) {
+    let st = null;
+    try {
+      st = fs.lstatSync(path.join(codeRoot, file));
+    } catch {}
+    if (st?.isSymbolicLink()) out[file] = `link:${fs.readlinkSync(path.join(codeRoot, file))}`;
+    else if (st?.isFile()) regular.push(file);
+    else out[file] = "";
+  }
+  if (regular.length > 0) {
+    const res = await git(["hash-object", "--", ...regular], codeRoot, signal);
+    const ids = String(res.stdout || "").trim().split("\n");
+    if (!res.ok || ids.length !== regular.length) {
+      throw new Error(`git hash-object failed (exit=${res.exitCode})\n${String(res.stderr || "").trim()}`);
+    }
+    regular.forEach((file, idx) => { out[file] = ids[idx].trim(); });
+  }
+  return out;
+}
+
+// Commits exactly `files` (paths from listChanges) with `message`, leaving every other change (staged or not)
+// out of the commit. Refuses when a selected path is protected, what it would add contains secrets
+// (scanChanges) or nothing selected is still changed. With `hashes` (hashChanges at request time) it also refuses
+// when a selected file's content is no longer what was recorded, listing those paths in `changed`.
+// Returns { ok, sha, files: [changes committed], output } or { ok: false, error, blocked?, findings?, changed? }.
+export async function commitSelected(codeRoot, { files, message, hashes = null, signal = null, patterns = protectedPathPatterns(), scanner = secretScanner() }) {
+  const wanted = new Set((Array.isArray(files) ? files : []).map(String));
+  if (hashes && typeof hashes === "object") {
+    const now = await hashChanges(codeRoot, [...wanted], { signal });
+    const changed = [...wanted].filter((file) => !Object.hasOwn(hashes, file) || hashes[file] !== now[file]);
+    if (changed.length > 0) {
+      return {
+        ok: false,
+        blocked: changed,
+        changed,
+        error: `files changed since the commit was requested: ${changed.join(", ")}`,
+      };
+    }
+  }
+  const changes = (await listChanges(codeRoot, { signal, patterns })).filter((row) => wanted.has(row.path));
+  const blocked = changes.filter((row) => row.protected);
+  if (blocked.length > 0) {
+    return {
+      ok: false,
+      blocked: blocked.map((row) => row.path),
+      error: `protected paths selected: ${blocked.map((row) => `${row.path} (${row.protected})`).join(", ")}`,
+    };
+  }
+  if (changes.length === 0) return { ok: false, error: "none of the selected files has changes to commit" };
+  const findings = await scanChanges(codeRoot, changes, { signal, scanner });
+  if (findings.length > 0) {
+    return {
+      ok: false,
+      blocked: [...new Set(findings.map((f) => f.path))],
+      findings,
+      error: `secrets found: ${findings.slice(0, 5).map(formatSecretFinding).join(", ")}${findings.length > 5 ? ` (+${findings.length - 5} more)` : ""}`,
+    };
+  }
+
+  const removed = changes.flatMap((row) => [...(row.from ? [row.from] : []), ...(row.status === "D" ? [row.path] : [])]);
+  const present = changes.filter((row) => row.status !== "D").map((row) => row.path);
+  if (removed.length > 0) {
+    const rm = await git(["rm", "-r", "-q", "--cached", "--ignore-unmatch", "--", ...removed], codeRoot, signal);
+    if (!rm.ok) return { ok: false, error: `git rm failed (exit=${rm.exitCode})\n${String(rm.stderr || "").trim()}` };
+  }
+  if (present.length > 0) {
+    const add = await git(["add", "-A", "--", ...present], codeRoot, signal);
+    if (!add.ok) return { ok: false, error: `git add failed (exit=${add.exitCode})\n${String(add.stderr || "").trim()}` };
+  }
+  const pathspecs = [...new Set([...removed, ...present])];
+  // --only commits just these paths even if other changes were already staged.
+  const commit = await git(["commit", "-m", String(message || "commit"), "--only", "--", ...pathspecs], codeRoot, signal);
+  const output = String(commit.stdout || commit.stderr || "").trim();
+  if (!commit.ok) return { ok: false, error: `git commit failed (exit=${commit.exitCode})\n${output}` };
+  const sha = await git(["rev-parse", "HEAD"], codeRoot, signal);
+  return { ok: true, sha: String(sha.stdout || "").trim(), files: changes, output };
+}
+
+// decisions.md entry for a commit attempt; ref is the branch (or workspace) it went to.
+export function formatCommitDecision(result, { token = "", message = "", ref = "" } = {}) {
+  const heading = result.ok ? "## git commit" : (result.blocked ? "## git commit blocked" : "## git commit failed");
+  const files = Array.isArray(result.files) ? result.files : [];
+  return [
+    heading,
+    ...(token ? [`- token: ${token}`] : []),
+    `- message: ${message}`,
+    ...(ref ? [`- ref: ${ref}`] : []),
+    ...(result.ok ? [`- sha: ${result.sha}`, `- files (${files.length}):`, ...files.map((row) => `  - ${formatChangeLine(row)}`)] : []),
+    ...(result.ok ? [] : [`- error: ${String(result.error || "").split("\n")[0]}`]),
+    ...(Array.isArray(result.findings) ? [`- findings (${result.findings.length}):`, ...result.findings.map((f) => `  - ${formatSecretFinding(f)}`)] : []),
+  ].join("\n");
+}
@@ -0,0 +1,199 @@
+import fs from "node:fs";
+import path from "node:path";
+
+const EVENTS_FILE = "events.jsonl";
+const TEXT_CHARS = 300;
+
+// What the orchestrator did for a job, one typed row per event (job.log and conversation.jsonl stay free-form):
+//   job_created          { title, by }
+//   route_decided        { reason, actions: [labels], source }
+//   action_started       { action, label, run_id?, agent?, provider? }
+//   action_finished      { action, label, status, duration_ms, run_id?, note? }
+//   approval_requested   { token, approval_action, summary, by }
+//   interrupt            { mode, reason, by? }
+//   error                { where, message, run_id? }
+export const EVENT_TYPES = [
+  "job_created",
+  "route_decided",
+  "action_started",
+  "action_finished",
+  "approval_requested",
+  "interrupt",
+  "error",
+];
+
+const KNOWN_TYPES = new Set(EVENT_TYPES);
+
+function cleanText(value) {
+  return String(value ?? "").replace(/\s+/g, " ").trim().slice(0, TEXT_CHARS);
+}
+
+// <jobDir>/events.jsonl: { ts, type, ...data }. Undefined/null fields are dropped, free text is clipped
+// (and redacted with setRedactor) so the log can be read back into chat safely.
+export class EventLog {
+  constructor(jobs, { redact = null } = {}) {
+    this.jobs = jobs;
+    this.redact = typeof redact === "function" ? redact : null;
+  }
+
+  setRedactor(redact) {
+    this.redact = typeof redact === "function" ? redact : null;
+  }
+
+  _file(jobId) {
+    return path.join(this.jobs.jobDir(jobId), EVENTS_FILE);
+  }
+
+  _text(value) {
+    const text = cleanText(value);
+    return this.redact ? this.redact(text) : text;
+  }
+
+  emit(jobId, type, data = {}) {
+    if (!KNOWN_TYPES.has(type)) throw new Error(`unknown event type: ${type}`);
+    const row = { ts: new Date().toISOString(), type };
+    for (const [key, value] of Object.entries(data || {})) {
+      if (value == null) continue;
+      if (typeof value === "string") {
+        row[key] = this._text(value);
+      } else if (Array.isArray(value)) {
+        row[key] = value.map((item) => (typeof item === "string" ? this._text(item) : item));
+      } else {
+        row[key] = value;
+      }
+    }
+    const file = this._file(jobId);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.appendFileSync(file, `${JSON.stringify(row)}\n`, "utf8");
+    return row;
+  }
+
+  // Like emit() but never throws: event logging must not break the action it describes.
+  record(jobId, type, data = {}) {
+    try {
+      return this.emit(jobId, type, data);
+    } catch {
+      return null;
+    }
+  }
+
+  // Times an action: action_started now, action_finished (with duration_ms) when finish()/fail() is called.
+  // fail(e) also writes an error event; an abort/cancel should be finished with status "cancelled" instead.
+  start(jobId, { action, label = action, runId = null, ...data } = {}) {
+    const startedAt = Date.now();
+    const base = { action, label, run_id: runId || null };
+    this.record(jobId, "action_started", { ...base, ...data });
+    const finish = (status = "ok", extra = {}) => this.record(jobId, "action_finished", {
+      ...base,
+      status,
+      duration_ms: Date.now() - startedAt,
+      ...extra,
+    });
+    return {
+      finish,
+      fail: (e, where = label) => {
+        const message = String(e?.message ?? e);
+        finish("error", { note: message });
+        this.record(jobId, "error", { where, message, run_id: base.run_id });
+      },
+    };
+  }
+
+  // Oldest first; types filters, limit keeps the newest rows.
+  list(jobId, { types = null, limit = 0 } = {}) {
+    const file = this._file(jobId);
+    if (!fs.existsSync(file)) return [];
+    const wanted = Array.isArray(types) && types.length > 0 ? new Set(types) : null;
+    const rows = fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter((row) => row && (!wanted || wanted.has(row.type)));
+    return limit > 0 ? rows.slice(-limit) : rows;
+  }
+}
+
+// JSON metrics for a job's events: counts per type, per-action count/status/duration totals and the last error.
+export function summarizeEvents(rows = []) {
+  const out = {
+    events: rows.length,
+    first_at: rows[0]?.ts || null,
+    last_at: rows[rows.length - 1]?.ts || null,
+    by_type: {},
+    actions: {},
+    approvals: 0,
+    interrupts: 0,
+    errors: 0,
+    last_error: null,
+  };
+  for (const row of rows) {
+    out.by_type[row.type] = (out.by_type[row.type] || 0) + 1;
+    if (row.type === "action_finished") {
+      const key = String(row.action || "-");
+      const a = out.actions[key] || { count: 0, ok: 0, failed: 0, duration_ms: 0, max_ms: 0 };
+      const ms = Number(row.duration_ms) || 0;
+      a.count += 1;
+      if (row.status === "ok") a.ok += 1;
+      else a.failed += 1;
+      a.duration_ms += ms;
+      a.max_ms = Math.max(a.max_ms, ms);
+      out.actions[key] = a;
+    }
+    if (row.type === "approval_requested") out.approvals += 1;
+    if (row.type === "interrupt") out.interrupts += 1;
+    if (row.type === "error") {
+      out.errors += 1;
+      out.last_error = { ts: row.ts, where: row.where || null, message: row.message || "" };
+    }
+  }
+  return out;
+}
+
+function formatDuration(ms) {
+  const n = Number(ms) || 0;
+  if (n < 1000) return `${n}ms`;
+  const secs = n / 1000;
+  return secs >= 60 ? `${Math.floor(secs / 60)}m${Math.round(secs % 60)}s` : `${secs.toFixed(1)}s`;
+}
+
+const STATUS_ICONS = { ok: "✅", error: "❌", cancelled: "⏹", blocked: "⏸", skip: "⏭" };
+
+export function formatEventLine(row) {
+  const at = String(row.ts || "").slice(11, 19);
+  const run = row.run_id ? ` ${row.run_id}` : "";
+  if (row.type === "job_created") return `${at} 🆕 job ${row.title || ""}${row.by ? ` (${row.by})` : ""}`;
+  if (row.type === "route_decided") {
+    const actions = Array.isArray(row.actions) && row.actions.length > 0 ? row.actions.join(" → ") : "(none)";
+    return `${at} 🧭 route${row.source ? `[${row.source}]` : ""}: ${actions}${row.reason ? ` — ${row.reason}` : ""}`;
+  }
+  if (row.type === "action_started") return `${at} ▶ ${row.label || row.action}${run}`;
+  if (row.type === "action_finished") {
+    const icon = STATUS_ICONS[row.status] || "•";
+    return `${at} ${icon} ${row.label || row.action}${run} ${formatDuration(row.duration_ms)}${row.note ? ` — ${row.note}` : ""}`;
+  }
+  if (row.type === "approval_requested") return `${at} 🔐 approval ${row.approval_action || ""} ${row.token || ""}${row.summary ? ` — ${row.summary}` : ""}`;
+  if (row.type === "interrupt") return `${at} ✋ interrupt(${row.mode || "-"})${row.reason ? ` — ${row.reason}` : ""}`;
+  if (row.type === "error") return `${at} ⚠️ error${row.where ? ` [${row.where}]` : ""}${run}: ${row.message || ""}`;
+  return `${at} ${row.type}`;
+}
+
+// Text shared by /timeline and `ddalggak timeline`: the newest rows (already limited by the caller) plus
+// totals, which come from metrics (summarizeEvents over the whole log) when given.
+export function formatTimeline(rows, { title = "🕒 timeline", total = rows.length, metrics = summarizeEvents(rows) } = {}) {
+  if (rows.length === 0) return `${title}\n(기록 없음)`;
+  const actions = Object.entries(metrics.actions)
+    .map(([name, a]) => `${name} ${a.count}회${a.failed ? `(실패 ${a.failed})` : ""} ${formatDuration(a.duration_ms)}`);
+  return [
+    `${title}${total > rows.length ? ` (최근 ${rows.length}/${total})` : ""}`,
+    ...rows.map(formatEventLine),
+    "",
+    `actions: ${actions.join(", ") || "-"}`,
+    `approvals: ${metrics.approvals}, interrupts: ${metrics.interrupts}, errors: ${metrics.errors}`,
+  ].join("\n");
+}
@@ -1,4 +1,6 @@
 import { runCommand } from "./proc.js";
+import { withQuotaRetry } from "./quota.js";
+import { commandLimitOpts } from "./limits.js";
 
 const VALID_APPROVAL_MODES = new Set(["default", "auto_edit", "yolo", "plan"]);
 const PLAN_DISABLED_RE = /Approval mode "plan" is only available when experimental\.plan is enabled\./i;
@@ -10,15 +12,16 @@ function resolveApprovalMode() {
   return VALID_APPROVAL_MODES.has(raw) ? raw : "default";
 }
 
-async function invokeGemini({ promptText, approvalMode, commandCwd, timeoutMs, signal }) {
+async function invokeGemini({ promptText, approvalMode, commandCwd, runOpts, signal, onChunk }) {
   // Keep CLI prompt argument simple and stream the real prompt via stdin.
   // This avoids parser issues when prompt text starts with "-" or markdown fences.
   const stdinArgs = ["--prompt", ".", "--output-format", "text", "--approval-mode", approvalMode];
   const stdinRun = await runCommand("gemini", stdinArgs, {
     cwd: commandCwd,
-    timeoutMs,
+    ...runOpts,
     input: promptText,
     abortSignal: signal,
+    onChunk,
   });
   if (stdinRun.ok) return stdinRun;
 
@@ -26,8 +29,9 @@ async function invokeGemini({ promptText, approvalMode, commandCwd, timeoutMs, s
   const inlineArgs = ["--prompt", promptText, "--output-format", "text", "--approval-mode", approvalMode];
   const inlineRun = await runCommand("gemini", inlineArgs, {
     cwd: commandCwd,
-    timeoutMs,
+    ...runOpts,
     abortSignal: signal,
+    onChunk,
   });
   if (inlineRun.ok) return inlineRun;
 
@@ -37,13 +41,22 @@ async function invokeGemini({ promptText, approvalMode, commandCwd, timeoutMs, s
   };
 }
 
-export async function runGeminiPrompt({ workspaceRoot, prompt, signal, cwd }) {
+// Usage/rate limits are retried on the QUOTA_RETRY_SCHEDULE_SEC schedule (see quota.js).
+// limits: the agent's normalized "limits" (timeout_sec, max_output_bytes, nice).
+// spillDir: where large outputs are written in full (see runCommand).
+export async function runGeminiPrompt({ workspaceRoot, prompt, signal, cwd, onChunk, onQuota, limits = null, spillDir = "" }) {
   const promptText = String(prompt ?? "");
   if (!promptText.trim()) {
     return { ok: false, exitCode: -1, stdout: "", stderr: "[gemini] empty prompt", durationMs: 0 };
   }
+  return await withQuotaRetry(
+    () => runGeminiOnce({ workspaceRoot, promptText, signal, cwd, onChunk, limits, spillDir }),
+    { provider: "gemini", signal, onQuota }
+  );
+}
 
-  const timeoutMs = 30 * 60 * 1000;
+async function runGeminiOnce({ workspaceRoot, promptText, signal, cwd, onChunk, limits, spillDir }) {
+  const runOpts = { ...commandLimitOpts(limits, 30 * 60 * 1000), spillDir };
   const commandCwd = cwd || workspaceRoot;
   const requestedMode = resolveApprovalMode();
   const firstMode = requestedMode === "plan" && planModeAvailability === false ? "default" : requestedMode;
@@ -52,8 +65,9 @@ export async function runGeminiPrompt({ workspaceRoot, prompt, signal, cwd }) {
     promptText,
     approvalMode: firstMode,
     commandCwd,
-    timeoutMs,
+    runOpts,
     signal,
+    onChunk,
   });
   if (first.ok) {
     if (firstMode === "plan") planModeAvailability = true;
@@ -66,8 +80,9 @@ export async function runGeminiPrompt({ workspaceRoot, prompt, signal, cwd }) {
       promptText,
       approvalMode: "default",
       commandCwd,
-      timeoutMs,
+      runOpts,
       signal,
+      onChunk,
     });
     return {
       ...retry,
@@ -183,6 +183,7 @@ function defaultJobConfig(jobId) {
       "get_status",
       "interrupt",
       "spawn_agents",
+      "run_checks",
     ],
     budget: {
       max_actions: 4,
@@ -192,6 +193,9 @@ function defaultJobConfig(jobId) {
     approval: {
       require_for_risk: ["L3"],
       require_file_write: false,
+      approvers: {},
+      required_approvals: {},
+      forbid_self_approval: false,
     },
     policies: {
       forbid_chatgpt_planner_by_default: true,
@@ -200,6 +204,31 @@ function defaultJobConfig(jobId) {
   };
 }
 
+// approval.approvers: { "L3": ["123", "slack:U1"], "default": [...] } -> upper-cased levels, string ids.
+function normalizeApproverMap(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [level, ids] of Object.entries(raw)) {
+    const key = String(level || "").trim();
+    if (!key) continue;
+    const list = normalizeStringList(ids, { lower: false });
+    if (list.length > 0) out[key.toLowerCase() === "default" ? "default" : key.toUpperCase()] = list;
+  }
+  return out;
+}
+
+// approval.required_approvals: { "L3": 2 } -> N-of-M per level (minimum 1).
+function normalizeRequiredApprovals(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return out;
+  for (const [level, count] of Object.entries(raw)) {
+    const n = parseOptionalPositiveInt(count);
+    const key = String(level || "").trim();
+    if (key && n) out[key.toLowerCase() === "default" ? "default" : key.toUpperCase()] = n;
+  }
+  return out;
+}
+
 export function normalizeJobConfig(jobConfig, { agentsCatalog = [], toolsCatalog = [] } = {}) {
   const row = jobConfig && typeof jobConfig === "object" ? jobConfig : {};
   const jobId = String(row.job_id || row.jobId || "").trim();
@@ -220,6 +249,8 @@ export function normalizeJobConfig(jobConfig, { agentsCatalog = [], toolsCatalog
       : base.approval.require_for_risk,
     { lower: false }
   ).map((entry) => entry.toUpperCase());
+  const approvers = normalizeApproverMap(approvalRaw.approvers);
+  const requiredApprovals = normalizeRequiredApprovals(approvalRaw.required_approvals);
 
   const fromParticipantAgentSet = participants.length > 0
     ? { mode: "selected", selected: participants, disabled: [] }
@@ -273,6 +304,11 @@ export function normalizeJobConfig(jobConfig, { agentsCatalog = [], toolsCatalog
       require_file_write: typeof approvalRaw.require_file_write === "boolean"
         ? approvalRaw.require_file_write
         : base.approval.require_file_write,
+      approvers,
+      required_approvals: requiredApprovals,
+      forbid_self_approval: typeof approvalRaw.forbid_self_approval === "boolean"
+        ? approvalRaw.forbid_self_approval
+        : base.approval.forbid_self_approval,
     },
     agent_set: agentSet,
     tool_set: toolSet,
@@ -332,6 +368,20 @@ export function saveGocMap(jobDir, mapData) {
   return final;
 }
 
+// Local-mode job config (MEMORY_MODE=local): optional <jobDir>/job_config.json, same shape as the GoC job_config resource.
+export function localJobConfigPath(jobDir) {
+  return path.join(jobDir, "job_config.json");
+}
+
+export function loadLocalJobConfig(jobDir, jobId = "") {
+  const p = localJobConfigPath(jobDir);
+  try {
+    const parsed = JSON.parse(fs.readFileSync(p, "utf8"));
+    if (parsed && typeof parsed === "object") return { ...parsed, job_id: String(jobId || parsed.job_id || "").trim() };
+  } catch {}
+  return { job_id: String(jobId || "").trim() };
+}
+
 async function ensureSharedContextSet(client, threadId) {
   const list = await client.listContextSets(threadId);
   const existing = list.find((row) => row.name === "shared");
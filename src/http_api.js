@@ -0,0 +1,152 @@
+import http from "node:http";
+import crypto from "node:crypto";
+
+const MAX_BODY_BYTES = 1024 * 1024;
+const OUTBOX_LIMIT = 200;
+
+export class HttpError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+function tokenMatches(expected, given) {
+  const a = Buffer.from(String(expected || ""));
+  const b = Buffer.from(String(given || ""));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+function requestToken(req) {
+  const auth = String(req.headers.authorization || "");
+  if (/^bearer\s+/i.test(auth)) return auth.replace(/^bearer\s+/i, "").trim();
+  return String(req.headers["x-api-token"] || "").trim();
+}
+
+async function readJsonBody(req) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new HttpError(413, "request body too large");
+    chunks.push(chunk);
+  }
+  const raw = Buffer.concat(chunks).toString("utf8").trim();
+  if (!raw) return {};
+  try {
+    const parsed = JSON.parse(raw);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch {
+    throw new HttpError(400, "invalid JSON body");
+  }
+}
+
+function sendJson(res, statusCode, body) {
+  const text = JSON.stringify(body, null, 2);
+  res.writeHead(statusCode, {
+    "content-type": "application/json; charset=utf-8",
+    "content-length": Buffer.byteLength(text),
+  });
+  res.end(text);
+}
+
+// Route patterns use ":name" segments, e.g. "/api/jobs/:job/docs/:name".
+function compileRoute(method, pattern, handler) {
+  const names = [];
+  const source = pattern.replace(/:([a-zA-Z]+)/g, (_, name) => {
+    names.push(name);
+    return "([^/]+)";
+  });
+  return { method, re: new RegExp(`^${source}/?$`), names, handler };
+}
+
+// Stand-in for the Telegram bot when a run is started over HTTP without a chatId:
+// the runner keeps calling bot.sendMessage(...) and the messages land in an in-memory outbox.
+// redact(text) -> text is applied to everything stored in the outbox, like TransportHub.setRedactor.
+export function createHeadlessBot({ redact = (text) => text } = {}) {
+  const outbox = new Map();
+  let nextId = 1;
+  const push = (chatId, row) => {
+    const key = String(chatId);
+    const list = outbox.get(key) || [];
+    list.push(row);
+    if (list.length > OUTBOX_LIMIT) list.splice(0, list.length - OUTBOX_LIMIT);
+    outbox.set(key, list);
+    return row;
+  };
+  return {
+    headless: true,
+    async sendMessage(chatId, text, opts = {}) {
+      const row = push(chatId, {
+        message_id: nextId++,
+        at: new Date().toISOString(),
+        text: redact(String(text ?? "")),
+        buttons: (opts?.reply_markup?.inline_keyboard || []).flat().map((b) => b.text),
+      });
+      return { message_id: row.message_id, chat: { id: chatId } };
+    },
+    async editMessageText(text, opts = {}) {
+      const list = outbox.get(String(opts.chat_id)) || [];
+      const row = list.find((m) => m.message_id === opts.message_id);
+      if (row) {
+        row.text = redact(String(text ?? ""));
+        row.editedAt = new Date().toISOString();
+      }
+      return true;
+    },
+    async sendDocument(chatId, doc, opts = {}) {
+      push(chatId, { message_id: nextId++, at: new Date().toISOString(), text: redact(String(opts?.caption || "(document)")), document: String(doc?.path || doc || "") });
+      return { message_id: nextId - 1, chat: { id: chatId } };
+    },
+    async answerCallbackQuery() {
+      return true;
+    },
+    messages(chatId) {
+      return [...(outbox.get(String(chatId)) || [])];
+    },
+  };
+}
+
+// routes: [{ method, path, handler({ params, query, body, req }) -> { status?, body } | body }]
+// redact(text) -> text is applied to error bodies, which may carry command stderr.
+export function startHttpApi({ host = "127.0.0.1", port = 8787, token, routes = [], redact = (text) => text } = {}) {
+  if (!String(token || "").trim()) throw new Error("HTTP_API_TOKEN is required when the HTTP API is enabled");
+  const compiled = routes.map((r) => compileRoute(String(r.method || "GET").toUpperCase(), r.path, r.handler));
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url || "/", "http://localhost");
+      if (!tokenMatches(token, requestToken(req))) throw new HttpError(401, "unauthorized");
+      const method = String(req.method || "GET").toUpperCase();
+      let matched = null;
+      let params = {};
+      let methodMismatch = false;
+      for (const route of compiled) {
+        const m = url.pathname.match(route.re);
+        if (!m) continue;
+        if (route.method !== method) {
+          methodMismatch = true;
+          continue;
+        }
+        matched = route;
+        params = Object.fromEntries(route.names.map((name, idx) => [name, decodeURIComponent(m[idx + 1])]));
+        break;
+      }
+      if (!matched) throw new HttpError(methodMismatch ? 405 : 404, methodMismatch ? "method not allowed" : "not found");
+      const body = method === "GET" ? {} : await readJsonBody(req);
+      const query = Object.fromEntries(url.searchParams.entries());
+      const out = await matched.handler({ params, query, body, req });
+      if (out && typeof out === "object" && "status" in out && "body" in out) {
+        sendJson(res, out.status, out.body);
+      } else {
+        sendJson(res, 200, out ?? {});
+      }
+    } catch (e) {
+      const statusCode = Number(e?.statusCode) || 500;
+      sendJson(res, statusCode, { error: redact(String(e?.message ?? e)) });
+    }
+  });
+
+  server.listen(port, host);
+  return server;
+}
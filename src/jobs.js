@@ -2,6 +2,40 @@ import fs from "node:fs";
 import path from "node:path";
 import crypto from "node:crypto";
 
+const SAFE_JOB_ID_RE = /^[a-zA-Z0-9_-]+$/;
+const SLUG_ALPHABET = "abcdefghijklmnopqrstuvwxyz0123456789";
+
+// "Fix the login redirect bug" -> "fix-login-redirect"; non-latin titles fall back to "job".
+function slugBase(title) {
+  const stop = new Set(["a", "an", "the", "to", "of", "for", "and", "in", "on", "with"]);
+  const words = String(title || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[^a-z0-9\s-]/g, " ")
+    .split(/[\s-]+/)
+    .filter((w) => w && !stop.has(w));
+  let base = "";
+  for (const word of words.slice(0, 3)) {
+    const next = base ? `${base}-${word}` : word;
+    if (next.length > 24) break;
+    base = next;
+  }
+  return base || "job";
+}
+
+function randomSuffix(len = 3) {
+  const bytes = crypto.randomBytes(len);
+  return Array.from(bytes, (b) => SLUG_ALPHABET[b % SLUG_ALPHABET.length]).join("");
+}
+
+export class AmbiguousJobError extends Error {
+  constructor(ref, candidates) {
+    super(`Ambiguous job reference "${ref}": ${candidates.map((m) => m.slug || m.jobId).join(", ")}`);
+    this.code = "EAMBIGUOUS";
+    this.candidates = candidates;
+  }
+}
+
 export class Jobs {
   constructor(workspace) {
     const base = process.env.RUNS_DIR
@@ -9,17 +43,38 @@ export class Jobs {
       : path.join(workspace.root, ".orchestrator");
     this.baseDir = base;
     this.runsDir = path.join(base, "runs");
+    this.redact = null;
     fs.mkdirSync(this.runsDir, { recursive: true });
   }
 
+  // redact(text) -> text, applied to conversation.jsonl entries.
+  setRedactor(redact) {
+    this.redact = typeof redact === "function" ? redact : null;
+    return this.redact;
+  }
+
+  _uniqueSlug(title) {
+    const taken = new Set(this.list({ includeArchived: true }).map((meta) => meta.slug).filter(Boolean));
+    const base = slugBase(title);
+    for (let len = 3; len <= 6; len += 1) {
+      for (let attempt = 0; attempt < 8; attempt += 1) {
+        const slug = `${base}-${randomSuffix(len)}`;
+        if (!taken.has(slug)) return slug;
+      }
+    }
+    return `${base}-${crypto.randomUUID().slice(0, 8)}`;
+  }
+
   createJob({ title, ownerUserId = null, ownerChatId = null }) {
     const jobId = crypto.randomUUID();
+    const slug = this._uniqueSlug(title);
     const dir = path.join(this.runsDir, jobId);
     fs.mkdirSync(dir, { recursive: true });
     fs.mkdirSync(path.join(dir, "shared"), { recursive: true });
 
     const meta = {
       jobId,
+      slug,
       title,
       ownerUserId: ownerUserId == null ? null : String(ownerUserId),
       ownerChatId: ownerChatId == null ? null : String(ownerChatId),
@@ -36,6 +91,106 @@ export class Jobs {
     return dir;
   }
 
+  readMeta(jobId) {
+    const p = path.join(this.jobDir(jobId), "meta.json");
+    try {
+      return JSON.parse(fs.readFileSync(p, "utf8"));
+    } catch {
+      return { jobId };
+    }
+  }
+
+  updateMeta(jobId, patch = {}) {
+    const p = path.join(this.jobDir(jobId), "meta.json");
+    const next = { ...this.readMeta(jobId), ...patch, jobId };
+    fs.writeFileSync(p, JSON.stringify(next, null, 2), "utf8");
+    return next;
+  }
+
+  // Newest first. Filters: ownerUserId, ownerChatId, since/until (Date|ISO), text (title or jobId substring).
+  list({ ownerUserId = null, ownerChatId = null, since = null, until = null, text = "", includeArchived = false, archivedOnly = false, limit = 0 } = {}) {
+    const sinceMs = since ? new Date(since).getTime() : NaN;
+    const untilMs = until ? new Date(until).getTime() : NaN;
+    const needle = String(text || "").trim().toLowerCase();
+    let names = [];
+    try {
+      names = fs.readdirSync(this.runsDir, { withFileTypes: true }).filter((d) => d.isDirectory()).map((d) => d.name);
+    } catch {
+      names = [];
+    }
+    const out = [];
+    for (const name of names) {
+      const p = path.join(this.runsDir, name, "meta.json");
+      let meta;
+      try {
+        meta = JSON.parse(fs.readFileSync(p, "utf8"));
+      } catch {
+        continue;
+      }
+      meta = { ...meta, jobId: String(meta.jobId || name) };
+      if (meta.archivedAt ? !(includeArchived || archivedOnly) : archivedOnly) continue;
+      if (ownerUserId != null && String(meta.ownerUserId ?? "") !== String(ownerUserId)) continue;
+      if (ownerChatId != null && String(meta.ownerChatId ?? "") !== String(ownerChatId)) continue;
+      const createdMs = new Date(meta.createdAt || 0).getTime();
+      if (Number.isFinite(sinceMs) && !(createdMs >= sinceMs)) continue;
+      if (Number.isFinite(untilMs) && !(createdMs <= untilMs)) continue;
+      if (needle && !`${meta.title || ""}\n${meta.jobId}\n${meta.slug || ""}`.toLowerCase().includes(needle)) continue;
+      out.push(meta);
+    }
+    out.sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
+    return limit > 0 ? out.slice(0, limit) : out;
+  }
+
+  // jobId prefix match first; falls back to title/jobId text search.
+  find(query, opts = {}) {
+    const q = String(query || "").trim().toLowerCase();
+    if (!q) return [];
+    const all = this.list({ ...opts, text: "", includeArchived: true, limit: 0 });
+    const exact = all.filter((meta) => meta.jobId.toLowerCase() === q || String(meta.slug || "").toLowerCase() === q);
+    if (exact.length > 0) return exact;
+    const byPrefix = all.filter((meta) => meta.jobId.toLowerCase().startsWith(q) || String(meta.slug || "").toLowerCase().startsWith(q));
+    if (byPrefix.length > 0) return byPrefix;
+    return all.filter((meta) => String(meta.title || "").toLowerCase().includes(q));
+  }
+
+  // Accepts a full jobId, a slug, or a unique prefix of either.
+  resolve(ref) {
+    const q = String(ref || "").trim().toLowerCase();
+    if (!q) throw new Error("jobId is required");
+    if (SAFE_JOB_ID_RE.test(q) && fs.existsSync(path.join(this.runsDir, q, "meta.json"))) return q;
+    const all = this.list({ includeArchived: true });
+    const exact = all.filter((meta) => String(meta.slug || "").toLowerCase() === q);
+    if (exact.length === 1) return exact[0].jobId;
+    const matches = all.filter((meta) => meta.jobId.toLowerCase().startsWith(q) || String(meta.slug || "").toLowerCase().startsWith(q));
+    if (matches.length === 1) return matches[0].jobId;
+    if (matches.length > 1) throw new AmbiguousJobError(ref, matches.slice(0, 10));
+    throw new Error(`Unknown jobId: ${ref}`);
+  }
+
+  rename(jobId, title) {
+    const next = String(title || "").trim();
+    if (!next) throw new Error("title cannot be empty");
+    return this.updateMeta(jobId, { title: next.slice(0, 120) });
+  }
+
+  archive(jobId, { unarchive = false } = {}) {
+    return this.updateMeta(jobId, { archivedAt: unarchive ? null : new Date().toISOString() });
+  }
+
+  // Removes the job directory for good. What lives outside it (the worktree's registration and branch, snapshot
+  // refs) is the caller's to clear first: a job whose worktree is still checked out is refused, so git is never
+  // left pointing at a deleted checkout.
+  delete(jobId) {
+    if (!SAFE_JOB_ID_RE.test(String(jobId || ""))) throw new Error(`Invalid jobId: ${jobId}`);
+    const dir = this.jobDir(jobId);
+    const wt = this.readMeta(jobId).worktree;
+    if ((wt?.path && !wt.removedAt) || fs.existsSync(path.join(dir, "worktree", ".git"))) {
+      throw new Error(`job ${jobId} still has a worktree (${wt?.path || path.join(dir, "worktree")}); remove it first`);
+    }
+    fs.rmSync(dir, { recursive: true, force: true });
+    return { jobId, dir };
+  }
+
   log(jobId, line) {
     const p = path.join(this.jobDir(jobId), "job.log");
     fs.appendFileSync(p, `[${new Date().toISOString()}] ${line}\n`, "utf8");
@@ -43,7 +198,7 @@ export class Jobs {
 
   appendConversation(jobId, role, text, meta = {}) {
     const p = path.join(this.jobDir(jobId), "conversation.jsonl");
-    const rec = { ts: new Date().toISOString(), role, text, ...meta };
+    const rec = { ts: new Date().toISOString(), role, text: this.redact ? this.redact(String(text ?? "")) : text, ...meta };
     fs.appendFileSync(p, JSON.stringify(rec) + "\n", "utf8");
   }
 
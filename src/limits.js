@@ -0,0 +1,45 @@
+// Per-agent resource limits from agents.json:
+//   "limits": { "timeout_sec": 600, "max_output_bytes": 200000, "max_job_wall_clock_sec": 3600, "nice": 10 }
+// timeout_sec / max_output_bytes / nice apply to each CLI run (runCommand); max_job_wall_clock_sec caps
+// the total time one agent may spend inside a single job (summed from usage.jsonl).
+
+function positive(raw) {
+  const n = Number(raw);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : null;
+}
+
+export function normalizeLimits(raw) {
+  const row = raw && typeof raw === "object" ? raw : {};
+  const nice = Number(row.nice);
+  return {
+    timeout_sec: positive(row.timeout_sec ?? row.timeoutSec),
+    max_output_bytes: positive(row.max_output_bytes ?? row.maxOutputBytes),
+    max_job_wall_clock_sec: positive(row.max_job_wall_clock_sec ?? row.maxJobWallClockSec),
+    // Unix niceness 0..19; negative values would need root, so they are ignored.
+    nice: Number.isFinite(nice) && nice > 0 ? Math.min(19, Math.floor(nice)) : null,
+    // Set by the runner (not agents.json): what is left of max_job_wall_clock_sec for this run.
+    remaining_job_sec: positive(row.remaining_job_sec),
+  };
+}
+
+// runCommand options for a run: the agent's limits win over the provider's default timeout.
+export function commandLimitOpts(limits, defaultTimeoutMs) {
+  const l = normalizeLimits(limits);
+  const timeoutMs = l.timeout_sec ? l.timeout_sec * 1000 : defaultTimeoutMs;
+  return {
+    timeoutMs: l.remaining_job_sec ? Math.min(timeoutMs, l.remaining_job_sec * 1000) : timeoutMs,
+    maxOutputBytes: l.max_output_bytes || 0,
+    nice: l.nice || 0,
+  };
+}
+
+// Which limits a runCommand result ran into, as short human-readable lines ([] when none).
+export function describeLimitHits(result) {
+  const hits = [];
+  if (result?.timedOut) hits.push(`timeout (${Math.ceil((Number(result.timeoutMs) || 0) / 1000)}s)`);
+  const dropped = result?.truncated || {};
+  for (const stream of ["stdout", "stderr"]) {
+    if (dropped[stream] > 0) hits.push(`${stream} truncated (${dropped[stream]} bytes over max_output_bytes)`);
+  }
+  return hits;
+}
@@ -1,15 +1,143 @@
 import { spawn } from "node:child_process";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { StringDecoder } from "node:string_decoder";
 
+// In-memory bound per stream. Output beyond it keeps the first quarter and a rolling tail (ring buffer);
+// with a spillDir the complete stream goes to a file and the excerpt points at it.
+export const DEFAULT_CAPTURE_BYTES = 256 * 1024;
+
+let spillSeq = 0;
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return `${(n / (1024 * 1024)).toFixed(1)}MB`;
+  if (n >= 1024) return `${Math.round(n / 1024)}KB`;
+  return `${n}B`;
+}
+
+class StreamCapture {
+  constructor({ limit, spillFile }) {
+    this.limit = limit;
+    this.headBytes = Math.floor(limit / 4);
+    this.tailBytes = limit - this.headBytes;
+    this.spillFile = spillFile;
+    this.fd = null;
+    this.chunks = [];
+    this.held = 0;
+    this.total = 0;
+    this.head = null;
+    this.tail = [];
+    this.tailLen = 0;
+  }
+
+  push(buf) {
+    if (buf.length === 0) return;
+    this.total += buf.length;
+    if (!this.head) {
+      this.chunks.push(buf);
+      this.held += buf.length;
+      if (this.held > this.limit) this._overflow();
+      return;
+    }
+    this._spill(buf);
+    this._pushTail(buf);
+  }
+
+  _overflow() {
+    const all = Buffer.concat(this.chunks);
+    this.chunks = [];
+    if (this.spillFile) {
+      try {
+        fs.mkdirSync(path.dirname(this.spillFile), { recursive: true });
+        this.fd = fs.openSync(this.spillFile, "w");
+      } catch {
+        this.spillFile = "";
+      }
+    }
+    this._spill(all);
+    this.head = all.subarray(0, this.headBytes);
+    this._pushTail(all.subarray(this.headBytes));
+  }
+
+  _spill(buf) {
+    if (this.fd == null) return;
+    try {
+      fs.writeSync(this.fd, buf);
+    } catch {
+      try { fs.closeSync(this.fd); } catch {}
+      this.fd = null;
+      this.spillFile = "";
+    }
+  }
+
+  _pushTail(buf) {
+    this.tail.push(buf);
+    this.tailLen += buf.length;
+    while (this.tail.length > 1 && this.tailLen - this.tail[0].length >= this.tailBytes) {
+      this.tailLen -= this.tail.shift().length;
+    }
+  }
+
+  finish() {
+    if (this.fd != null) {
+      try { fs.closeSync(this.fd); } catch {}
+      this.fd = null;
+    }
+    if (!this.head) return { text: Buffer.concat(this.chunks).toString("utf8"), file: "" };
+    const tail = Buffer.concat(this.tail);
+    const kept = tail.subarray(Math.max(0, tail.length - this.tailBytes));
+    const omitted = this.total - this.head.length - kept.length;
+    const where = this.spillFile ? `full output: ${this.spillFile}` : "not saved";
+    return {
+      text: `${this.head.toString("utf8")}\n…[${formatBytes(omitted)} omitted of ${formatBytes(this.total)}; ${where}]…\n${kept.toString("utf8")}`,
+      file: this.spillFile || "",
+    };
+  }
+}
+
+// maxOutputBytes caps what is kept of each stream (the rest is counted and replaced by a marker);
+// captureBytes bounds what is held in memory (see StreamCapture) and spillDir receives the full streams
+// of large outputs; nice lowers the child's scheduling priority.
+// Results report timedOut, truncated bytes when capped, and spill: { stdout, stderr } file paths when spilled.
 export async function runCommand(command, args = [], opts = {}) {
-  const { cwd, shell = false, timeoutMs = 120000, env = {}, input, abortSignal } = opts;
+  const {
+    cwd,
+    shell = false,
+    timeoutMs = 120000,
+    env = {},
+    input,
+    abortSignal,
+    onChunk,
+    maxOutputBytes = 0,
+    nice = 0,
+    captureBytes = DEFAULT_CAPTURE_BYTES,
+    spillDir = "",
+  } = opts;
   const startedAt = Date.now();
+  const cap = Number(maxOutputBytes) > 0 ? Math.floor(Number(maxOutputBytes)) : 0;
+  const limit = Number(captureBytes) > 0 ? Math.floor(Number(captureBytes)) : DEFAULT_CAPTURE_BYTES;
+  const name = path.basename(String(command)).replace(/[^A-Za-z0-9_-]/g, "_").slice(0, 40) || "cmd";
+  const spillBase = spillDir
+    ? path.join(spillDir, `${new Date(startedAt).toISOString().replace(/[:.]/g, "-")}-${process.pid}-${++spillSeq}-${name}`)
+    : "";
 
   return await new Promise((resolve) => {
-    let stdout = "";
-    let stderr = "";
+    const capture = {
+      stdout: new StreamCapture({ limit, spillFile: spillBase ? `${spillBase}.stdout.log` : "" }),
+      stderr: new StreamCapture({ limit, spillFile: spillBase ? `${spillBase}.stderr.log` : "" }),
+    };
+    let notes = "";
     let wasAborted = false;
+    let timedOut = false;
+    let settled = false;
+    const kept = { stdout: 0, stderr: 0 };
+    const dropped = { stdout: 0, stderr: 0 };
 
     const child = spawn(command, args, { cwd, shell, env: { ...process.env, ...env } });
+    if (Number(nice) > 0 && child.pid) {
+      try { os.setPriority(child.pid, Math.min(19, Math.floor(Number(nice)))); } catch {}
+    }
 
     if (typeof input !== "undefined") {
       try {
@@ -21,13 +149,14 @@ export async function runCommand(command, args = [], opts = {}) {
     }
 
     const killTimer = setTimeout(() => {
-      stderr += `\n[timeout] killed after ${timeoutMs}ms`;
+      timedOut = true;
+      notes += `\n[timeout] killed after ${timeoutMs}ms`;
       try { child.kill("SIGKILL"); } catch {}
     }, timeoutMs);
 
     const abortHandler = () => {
       wasAborted = true;
-      stderr += "\n[aborted]";
+      notes += "\n[aborted]";
       try { child.kill("SIGTERM"); } catch {}
       setTimeout(() => {
         try { child.kill("SIGKILL"); } catch {}
@@ -38,25 +167,66 @@ export async function runCommand(command, args = [], opts = {}) {
       else abortSignal.addEventListener("abort", abortHandler, { once: true });
     }
 
-    child.stdout?.on("data", d => (stdout += d.toString("utf8")));
-    child.stderr?.on("data", d => (stderr += d.toString("utf8")));
-
-    child.on("error", e => {
-      if (abortSignal) abortSignal.removeEventListener("abort", abortHandler);
-      clearTimeout(killTimer);
-      resolve({ ok: false, exitCode: -1, stdout, stderr: stderr + `\n[spawn error] ${String(e?.message ?? e)}`, durationMs: Date.now() - startedAt });
+    // onChunk(text, stream) sees output as it arrives; the bounded buffers are returned on close.
+    // One decoder per stream holds back a multibyte character split across pipe chunks instead of emitting U+FFFD.
+    const decoders = { stdout: new StringDecoder("utf8"), stderr: new StringDecoder("utf8") };
+    const emitChunk = (d, stream) => {
+      if (typeof onChunk !== "function") return;
+      const text = Buffer.isBuffer(d) ? decoders[stream].write(d) : d;
+      if (!text) return;
+      try { onChunk(text, stream); } catch {}
+    };
+    // Feeds the part of a chunk that still fits under maxOutputBytes to the capture.
+    const keep = (d, stream) => {
+      if (!cap) {
+        capture[stream].push(d);
+        return;
+      }
+      const room = Math.max(0, cap - kept[stream]);
+      const part = d.length <= room ? d : d.subarray(0, room);
+      kept[stream] += part.length;
+      dropped[stream] += d.length - part.length;
+      capture[stream].push(part);
+    };
+    const marker = (stream) => (dropped[stream] > 0
+      ? `\n…[truncated ${dropped[stream]} bytes: max_output_bytes=${cap}]…\n`
+      : "");
+    child.stdout?.on("data", d => {
+      keep(d, "stdout");
+      emitChunk(d, "stdout");
+    });
+    child.stderr?.on("data", d => {
+      keep(d, "stderr");
+      emitChunk(d, "stderr");
     });
 
-    child.on("close", code => {
+    const finish = (ok, exitCode, extra = "") => {
+      if (settled) return;
+      settled = true;
       if (abortSignal) abortSignal.removeEventListener("abort", abortHandler);
       clearTimeout(killTimer);
+      emitChunk(decoders.stdout.end(), "stdout");
+      emitChunk(decoders.stderr.end(), "stderr");
+      const out = capture.stdout.finish();
+      const err = capture.stderr.finish();
+      const spill = {
+        ...(out.file ? { stdout: out.file } : {}),
+        ...(err.file ? { stderr: err.file } : {}),
+      };
       resolve({
-        ok: !wasAborted && code === 0,
-        exitCode: wasAborted ? -1 : (code ?? -1),
-        stdout,
-        stderr,
+        ok,
+        exitCode,
+        stdout: out.text + marker("stdout"),
+        stderr: err.text + marker("stderr") + notes + extra,
         durationMs: Date.now() - startedAt,
+        timedOut,
+        timeoutMs,
+        ...(dropped.stdout > 0 || dropped.stderr > 0 ? { truncated: { ...dropped } } : {}),
+        ...(Object.keys(spill).length > 0 ? { spill } : {}),
       });
-    });
+    };
+
+    child.on("error", e => finish(false, -1, `\n[spawn error] ${String(e?.message ?? e)}`));
+    child.on("close", code => finish(!wasAborted && code === 0, wasAborted ? -1 : (code ?? -1)));
   });
 }
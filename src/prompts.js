@@ -19,5 +19,5 @@ export function buildChatGPTNextStepPrompt({
     ? `\n## 에이전트 라우팅 기준\n${routerPrompt}\n`
     : "";
 
-  return `# 요청: 중앙 통제 AI(=ChatGPT)로 다음 단계 결정\n\n너는 중앙 통제 AI다. 아래 컨텍스트를 보고 다음 단계를 결정해라.\n너의 답변은 **사람이 Telegram에 붙여넣어도 자동 실행될 수 있게** JSON 액션 플랜을 포함해야 한다.\n\n## 목표(jobId=${jobId})\n${goal}\n\n## 질문/요청\n${question}${routerBlock}${roleBlock}\n## 기록: shared docs\n${contextDocsText}\n\n## 기록: 최근 대화\n${convoText}\n\n## 반드시 포함할 JSON (단일 JSON 객체)\n아래 형식으로만 출력해줘. (설명은 JSON 아래에 짧게 5줄 이내)\n\n\`\`\`json\n{\n  \"jobId\": \"${jobId}\",\n  \"actions\": [\n    {\"type\":\"track_append\",\"doc\":\"plan.md\",\"markdown\":\"(필요한 계획/체크리스트)\"},\n    {\"type\":\"agent_run\",\"agent\":\"researcher\",\"prompt\":\"(조사가 더 필요하면)\",\"inputs\":{}},\n    {\"type\":\"agent_run\",\"agent\":\"coder\",\"prompt\":\"(짧고 명확한 구현 지시)\",\"inputs\":{}},\n    {\"type\":\"git_summary\"}\n  ]\n}\n\`\`\`\n\n추가 규칙:\n- 에이전트 역할이 겹치지 않게, 필요한 액션만 최소로 구성하라.\n- commit_request는 정말 필요할 때만 추가하라(실제 커밋은 승인 필요).\n- agent_run 프롬프트는 짧고 명확하게.\n- plan.md에 \"Codex에게 줄 작업 지시문\" 섹션을 만들어주면 이후 /continue가 그 부분을 우선 사용한다.\n`;
+  return `# 요청: 중앙 통제 AI(=ChatGPT)로 다음 단계 결정\n\n너는 중앙 통제 AI다. 아래 컨텍스트를 보고 다음 단계를 결정해라.\n너의 답변은 **사람이 Telegram에 붙여넣어도 자동 실행될 수 있게** JSON 액션 플랜을 포함해야 한다.\n\n## 목표(jobId=${jobId})\n${goal}\n\n## 질문/요청\n${question}${routerBlock}${roleBlock}\n## 기록: shared docs\n${contextDocsText}\n\n## 기록: 최근 대화\n${convoText}\n\n## 반드시 포함할 JSON (단일 JSON 객체)\n아래 형식으로만 출력해줘. (설명은 JSON 아래에 짧게 5줄 이내)\n\n\`\`\`json\n{\n  \"jobId\": \"${jobId}\",\n  \"actions\": [\n    {\"type\":\"track_append\",\"doc\":\"plan.md\",\"markdown\":\"(필요한 계획/체크리스트)\"},\n    {\"type\":\"agent_run\",\"agent\":\"researcher\",\"prompt\":\"(조사가 더 필요하면)\",\"inputs\":{}},\n    {\"type\":\"agent_run\",\"agent\":\"coder\",\"prompt\":\"(짧고 명확한 구현 지시)\",\"inputs\":{}},\n    {\"type\":\"run_checks\",\"checks\":[]},\n    {\"type\":\"git_summary\"}\n  ]\n}\n\`\`\`\n\n추가 규칙:\n- 에이전트 역할이 겹치지 않게, 필요한 액션만 최소로 구성하라.\n- commit_request는 정말 필요할 때만 추가하라(실제 커밋은 승인 필요).\n- 커밋 후 원격 반영이 필요하면 push_request 또는 pr_request({\"type\":\"pr_request\",\"title\":\"...\"})를 추가하라(승인 필요).\n- 직전 코드 수정이 잘못됐으면 rollback({\"type\":\"rollback\"}, step 생략 시 마지막 agent 실행 직전)으로 되돌려라.\n- 구현 후에는 run_checks로 lint/test/build를 검증하라(checks 이름 생략 시 전체 실행).\n- agent_run 프롬프트는 짧고 명확하게.\n- plan.md에 \"Codex에게 줄 작업 지시문\" 섹션을 만들어주면 이후 /continue가 그 부분을 우선 사용한다.\n`;
 }
@@ -0,0 +1,216 @@
+import { runCommand } from "./proc.js";
+import { runCodexExec } from "./codex.js";
+import { runGeminiPrompt } from "./gemini.js";
+import { commandLimitOpts } from "./limits.js";
+
+const DEFAULT_PROVIDER = "gemini";
+const COMMAND_TIMEOUT_MS = 30 * 60 * 1000;
+
+const DEFAULT_CAPABILITIES = {
+  writesFiles: false,
+  interactive: false,
+};
+
+// Command presets for CLIs that only need "prompt in, text out".
+// args placeholders: {prompt}, {model}, {workspace}, {cwd}. Without {prompt}, the prompt goes to stdin.
+const COMMAND_PRESETS = [
+  {
+    id: "claude-cli",
+    label: "Claude CLI",
+    aliases: ["claude", "claude-code"],
+    command: "claude",
+    args: ["-p", "--output-format", "text", "--permission-mode", "acceptEdits"],
+    capabilities: { writesFiles: true },
+  },
+  {
+    id: "aider",
+    label: "Aider",
+    command: "aider",
+    args: ["--message", "{prompt}", "--yes-always", "--no-auto-commits", "--no-pretty"],
+    capabilities: { writesFiles: true },
+  },
+  {
+    id: "ollama",
+    label: "Ollama",
+    command: "ollama",
+    args: ["run", "{model}"],
+    defaultModel: "llama3",
+    capabilities: { writesFiles: false },
+  },
+  {
+    // Generic adapter: the agent itself supplies meta.command / meta.args.
+    id: "shell",
+    label: "Shell command",
+    aliases: ["command", "cmd"],
+    command: "",
+    args: [],
+    capabilities: { writesFiles: false },
+  },
+];
+
+const providers = new Map();
+const aliases = new Map();
+
+function asObject(v) {
+  return v && typeof v === "object" ? v : {};
+}
+
+function normalizeKey(raw) {
+  return String(raw || "").trim().toLowerCase();
+}
+
+function normalizeCapabilities(raw) {
+  const row = asObject(raw);
+  return {
+    writesFiles: row.writesFiles === true || row.writes_files === true || row.file_write === true,
+    interactive: row.interactive === true,
+  };
+}
+
+function normalizeArgs(raw) {
+  if (Array.isArray(raw)) return raw.map((arg) => String(arg ?? ""));
+  if (typeof raw === "string" && raw.trim()) return raw.trim().split(/\s+/);
+  return [];
+}
+
+function expandArgs(args, vars) {
+  return args.map((arg) => arg.replace(/\{(prompt|model|workspace|cwd)\}/g, (_, key) => String(vars[key] ?? "")));
+}
+
+function makeCommandRunner(spec) {
+  return async ({ prompt, cwd, signal, workspaceRoot, agent = null, onChunk, spillDir = "" }) => {
+    // Only a provider without a command of its own (the "shell" adapter) takes it from the agent: an agent's
+    // meta must not swap the binary or arguments of a preset or of a provider declared in agents.json.
+    const meta = spec.command ? {} : asObject(agent?.meta);
+    const command = String(spec.command || meta.command || "").trim();
+    if (!command) {
+      return { ok: false, exitCode: -1, stdout: "", stderr: `[${spec.id}] missing command (set meta.command on the agent)`, durationMs: 0 };
+    }
+    const args = normalizeArgs(spec.command ? spec.args : meta.args);
+    const model = String(agent?.model || "").trim();
+    const vars = {
+      prompt: String(prompt ?? ""),
+      model: model && model !== spec.id ? model : (spec.defaultModel || model),
+      workspace: workspaceRoot || cwd || "",
+      cwd: cwd || workspaceRoot || "",
+    };
+    const promptInArgs = args.some((arg) => arg.includes("{prompt}"));
+    return await runCommand(command, expandArgs(args, vars), {
+      cwd: spec.capabilities.writesFiles ? (workspaceRoot || cwd) : (cwd || workspaceRoot),
+      ...commandLimitOpts(agent?.limits, spec.timeoutMs),
+      input: promptInArgs ? undefined : vars.prompt,
+      abortSignal: signal,
+      onChunk,
+      spillDir,
+    });
+  };
+}
+
+export function registerProvider(raw) {
+  const row = asObject(raw);
+  const id = normalizeKey(row.id);
+  if (!id) throw new Error("provider id is required");
+  const timeoutRaw = Number(row.timeout_sec ?? row.timeoutSec);
+  const spec = {
+    id,
+    label: String(row.label || row.name || id).trim() || id,
+    command: String(row.command || "").trim(),
+    args: normalizeArgs(row.args),
+    defaultModel: String(row.defaultModel || row.default_model || "").trim(),
+    timeoutMs: Number.isFinite(timeoutRaw) && timeoutRaw > 0
+      ? Math.floor(timeoutRaw * 1000)
+      : (Number.isFinite(Number(row.timeoutMs)) ? Number(row.timeoutMs) : COMMAND_TIMEOUT_MS),
+    capabilities: normalizeCapabilities(row.capabilities),
+  };
+  const adapter = {
+    id,
+    label: spec.label,
+    capabilities: spec.capabilities,
+    builtin: row.builtin === true,
+    // Runs whatever command the agent's meta names (the "shell" preset); see agentSetsCommand in chat/actions.js.
+    agentCommand: typeof row.run !== "function" && !spec.command && id === "shell",
+    run: typeof row.run === "function" ? row.run : (spec.command || id === "shell" ? makeCommandRunner(spec) : null),
+  };
+  providers.set(id, adapter);
+  aliases.set(id, id);
+  for (const alias of Array.isArray(row.aliases) ? row.aliases : []) {
+    const key = normalizeKey(alias);
+    if (key) aliases.set(key, id);
+  }
+  return adapter;
+}
+
+// agents.json may declare { "providers": [{ id, command, args, capabilities }] }.
+// Built-in providers cannot be overridden from the registry file. Entries that are skipped or fail to register
+// come back in errors (["providers[2]: ..."]) so the caller can report them.
+export function registerProviders(list = []) {
+  const out = [];
+  const errors = [];
+  (Array.isArray(list) ? list : []).forEach((row, idx) => {
+    const id = normalizeKey(row?.id);
+    if (!id) {
+      errors.push(`providers[${idx}]: provider id is required`);
+      return;
+    }
+    if (providers.get(id)?.builtin) {
+      errors.push(`providers[${idx}]: ${id} is built in and cannot be overridden`);
+      return;
+    }
+    try {
+      out.push(registerProvider({ ...row, builtin: false }));
+    } catch (e) {
+      errors.push(`providers[${idx}] ${id}: ${String(e?.message ?? e)}`);
+    }
+  });
+  return { providers: out, errors };
+}
+
+export function resolveProviderId(raw) {
+  return aliases.get(normalizeKey(raw)) || "";
+}
+
+// Unknown providers keep their id so the executor can report them instead of silently running gemini.
+export function normalizeProvider(raw, fallback = DEFAULT_PROVIDER) {
+  const key = normalizeKey(raw);
+  if (!key) return fallback;
+  return resolveProviderId(key) || key;
+}
+
+export function getProvider(raw) {
+  const id = resolveProviderId(raw);
+  return id ? providers.get(id) || null : null;
+}
+
+export function providerCapabilities(raw) {
+  const adapter = getProvider(raw);
+  return adapter ? { ...adapter.capabilities } : { ...DEFAULT_CAPABILITIES };
+}
+
+export function listProviders() {
+  return Array.from(providers.values());
+}
+
+registerProvider({
+  id: "codex",
+  label: "Codex",
+  builtin: true,
+  capabilities: { writesFiles: true },
+  run: ({ prompt, cwd, signal, workspaceRoot, agent, onChunk, onQuota, spillDir }) => runCodexExec({ workspaceRoot, prompt, signal, cwd, onChunk, onQuota, limits: agent?.limits, spillDir }),
+});
+registerProvider({
+  id: "gemini",
+  label: "Gemini",
+  builtin: true,
+  capabilities: { writesFiles: false },
+  run: ({ prompt, cwd, signal, workspaceRoot, agent, onChunk, onQuota, spillDir }) => runGeminiPrompt({ workspaceRoot, prompt, signal, cwd, onChunk, onQuota, limits: agent?.limits, spillDir }),
+});
+// ChatGPT has no CLI: the runner turns its turns into copy/paste prompts.
+registerProvider({
+  id: "chatgpt",
+  label: "ChatGPT",
+  builtin: true,
+  aliases: ["gpt", "openai"],
+  capabilities: { interactive: true },
+  run: null,
+});
+for (const preset of COMMAND_PRESETS) registerProvider({ ...preset, builtin: true });
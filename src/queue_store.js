@@ -0,0 +1,149 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const QUEUE_STATES = ["queued", "running", "done", "failed", "interrupted"];
+const ACTIVE_STATES = new Set(["queued", "running"]);
+const MAX_FINISHED_ENTRIES = 300;
+
+function asObject(v) {
+  return v && typeof v === "object" ? v : {};
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function normalizeEntry(raw) {
+  const row = asObject(raw);
+  const id = String(row.id || "").trim();
+  if (!id) return null;
+  const state = String(row.state || "").trim().toLowerCase();
+  return {
+    id,
+    jobId: String(row.jobId || "").trim(),
+    chatId: String(row.chatId || "").trim(),
+    label: String(row.label || "").trim(),
+    state: QUEUE_STATES.includes(state) ? state : "queued",
+    enqueuedAt: String(row.enqueuedAt || nowIso()),
+    startedAt: row.startedAt ? String(row.startedAt) : null,
+    finishedAt: row.finishedAt ? String(row.finishedAt) : null,
+    error: String(row.error || "").trim(),
+    recovered: row.recovered === true,
+    resumedAt: row.resumedAt ? String(row.resumedAt) : null,
+  };
+}
+
+function normalizeQueue(raw = {}) {
+  const row = asObject(raw);
+  const entries = (Array.isArray(row.entries) ? row.entries : []).map(normalizeEntry).filter(Boolean);
+  return {
+    version: 1,
+    updated_at: String(row.updated_at || nowIso()),
+    entries,
+  };
+}
+
+// Durable mirror of the in-memory run queue (RUNS_DIR/queue.json).
+// The closures themselves cannot be persisted; after a restart we only know what was lost.
+export class QueueStore {
+  constructor({ baseDir } = {}) {
+    const dir = path.resolve(baseDir || process.cwd());
+    this.filePath = path.join(dir, "queue.json");
+    this.state = this._load();
+  }
+
+  _load() {
+    try {
+      return normalizeQueue(JSON.parse(fs.readFileSync(this.filePath, "utf8")));
+    } catch {
+      return normalizeQueue({});
+    }
+  }
+
+  _save(next) {
+    const normalized = normalizeQueue(next);
+    const active = normalized.entries.filter((e) => ACTIVE_STATES.has(e.state));
+    const finished = normalized.entries.filter((e) => !ACTIVE_STATES.has(e.state));
+    normalized.entries = [...finished.slice(-MAX_FINISHED_ENTRIES), ...active]
+      .sort((a, b) => a.enqueuedAt.localeCompare(b.enqueuedAt));
+    normalized.updated_at = nowIso();
+    fs.writeFileSync(this.filePath, JSON.stringify(normalized, null, 2), "utf8");
+    this.state = normalized;
+    return normalized;
+  }
+
+  add({ jobId = "", chatId = "", label = "" } = {}) {
+    const entry = normalizeEntry({
+      id: `q_${Date.now().toString(36)}_${crypto.randomBytes(3).toString("hex")}`,
+      jobId,
+      chatId: chatId == null ? "" : String(chatId),
+      label,
+      state: "queued",
+      enqueuedAt: nowIso(),
+    });
+    this._save({ ...this.state, entries: [...this.state.entries, entry] });
+    return entry;
+  }
+
+  update(id, patch = {}) {
+    const key = String(id || "").trim();
+    let updated = null;
+    const entries = this.state.entries.map((entry) => {
+      if (entry.id !== key) return entry;
+      updated = normalizeEntry({ ...entry, ...asObject(patch), id: entry.id });
+      return updated;
+    });
+    if (!updated) return null;
+    this._save({ ...this.state, entries });
+    return updated;
+  }
+
+  markRunning(id) {
+    return this.update(id, { state: "running", startedAt: nowIso() });
+  }
+
+  markFinished(id, state, error = "") {
+    const next = QUEUE_STATES.includes(state) && !ACTIVE_STATES.has(state) ? state : "failed";
+    return this.update(id, { state: next, finishedAt: nowIso(), error: String(error || "").slice(0, 500) });
+  }
+
+  list({ jobId = "", states = [], limit = 0 } = {}) {
+    const wantedStates = new Set((Array.isArray(states) ? states : []).map((s) => String(s).toLowerCase()));
+    const key = String(jobId || "").trim();
+    const rows = this.state.entries.filter((entry) => {
+      if (key && entry.jobId !== key) return false;
+      if (wantedStates.size > 0 && !wantedStates.has(entry.state)) return false;
+      return true;
+    });
+    return limit > 0 ? rows.slice(-limit) : rows;
+  }
+
+  // Boot recovery: anything still queued/running belonged to the previous process.
+  recoverOrphans() {
+    const recovered = [];
+    const entries = this.state.entries.map((entry) => {
+      if (!ACTIVE_STATES.has(entry.state)) return entry;
+      const next = normalizeEntry({
+        ...entry,
+        state: "interrupted",
+        finishedAt: nowIso(),
+        error: `process restarted while ${entry.state}`,
+        recovered: true,
+      });
+      recovered.push(next);
+      return next;
+    });
+    if (recovered.length > 0) this._save({ ...this.state, entries });
+    return recovered;
+  }
+
+  markResumed(jobId) {
+    const key = String(jobId || "").trim();
+    const stamp = nowIso();
+    const entries = this.state.entries.map((entry) => (
+      entry.jobId === key && entry.recovered && !entry.resumedAt ? { ...entry, resumedAt: stamp } : entry
+    ));
+    this._save({ ...this.state, entries });
+  }
+}
@@ -0,0 +1,121 @@
+// Usage-limit / rate-limit handling shared by the Codex and Gemini runners.
+
+// Error signatures each CLI prints on stderr when the provider refuses a request for quota/rate reasons.
+// Deliberately narrow: words like "quota" or "rate limit" in ordinary output (code, docs, the agent's own
+// reasoning) must not turn a failed run into a retried one.
+const HTTP_429_RE = /\b429 Too Many Requests\b|\b(?:status|code|HTTP)"?\s*[:=]?\s*429\b/i;
+const QUOTA_SIGNATURES = {
+  codex: [HTTP_429_RE, /you've hit your usage limit/i, /\busage_limit_reached\b/, /\binsufficient_quota\b/, /\brate_limit_exceeded\b/],
+  gemini: [HTTP_429_RE, /\bRESOURCE_EXHAUSTED\b/, /Quota exceeded for quota metric/i],
+};
+const ANY_SIGNATURE = [...new Set(Object.values(QUOTA_SIGNATURES).flat())];
+
+function signaturesFor(provider) {
+  return QUOTA_SIGNATURES[String(provider || "").toLowerCase()] || ANY_SIGNATURE;
+}
+
+function matchesSignature(text, provider) {
+  return signaturesFor(provider).some((re) => re.test(text));
+}
+const DEFAULT_SCHEDULE_SEC = [30, 120];
+const DEFAULT_MAX_WAIT_SEC = 600;
+
+export class QuotaExceededError extends Error {
+  constructor(message, { provider = "", retryAfterSec = null, attempts = 0 } = {}) {
+    super(message);
+    this.name = "QuotaExceededError";
+    this.code = "EQUOTA";
+    this.provider = provider;
+    this.retryAfterSec = retryAfterSec;
+    this.attempts = attempts;
+  }
+}
+
+function parseSchedule(raw) {
+  const list = String(raw ?? "").split(",").map((s) => Number(s.trim())).filter((n) => Number.isFinite(n) && n >= 0);
+  return list.length > 0 ? list : DEFAULT_SCHEDULE_SEC;
+}
+
+// QUOTA_RETRY_SCHEDULE_SEC="30,120" waits 30s before the 2nd attempt and 120s before the 3rd ("0" disables retries).
+// A "retry after" hint from the CLI replaces the scheduled wait unless it exceeds QUOTA_RETRY_MAX_WAIT_SEC,
+// in which case retrying is pointless (e.g. a daily usage cap) and the limit is reported right away.
+export function quotaRetryConfig(env = process.env) {
+  const raw = String(env.QUOTA_RETRY_SCHEDULE_SEC ?? "").trim();
+  const maxWait = Number(env.QUOTA_RETRY_MAX_WAIT_SEC);
+  return {
+    scheduleSec: raw === "0" ? [] : parseSchedule(raw),
+    maxWaitSec: Number.isFinite(maxWait) && maxWait > 0 ? maxWait : DEFAULT_MAX_WAIT_SEC,
+  };
+}
+
+// Only stderr of a failed run is inspected: stdout is the agent's output, which may well talk about rate limits.
+function failureText(result) {
+  return String(result?.stderr || "");
+}
+
+// provider picks the signatures ("codex", "gemini"); any other value accepts every known one.
+export function isQuotaError(result, provider = "") {
+  if (!result || result.ok) return false;
+  if (/\[aborted\]/.test(String(result.stderr || ""))) return false;
+  return matchesSignature(failureText(result), provider);
+}
+
+const UNIT_SEC = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400 };
+
+// "try again in 20s", "retry after 2 minutes", "retryDelay": "12s", "Retry-After: 30" → seconds, or null.
+export function retryAfterSec(result) {
+  const text = failureText(result);
+  const m = text.match(/(?:try again|retry)(?:\s+(?:in|after))?\s*[:=]?\s*"?(\d+(?:\.\d+)?)\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?)\b/i)
+    || text.match(/retry[-_ ]?after"?\s*[:=]\s*"?(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?/i)
+    || text.match(/retryDelay"?\s*[:=]\s*"?(\d+(?:\.\d+)?)(ms|s)/i);
+  if (!m) return null;
+  const unit = String(m[2] || "s").toLowerCase();
+  const key = unit.startsWith("ms") || unit.startsWith("milli") ? "ms" : unit[0];
+  return Math.ceil(Number(m[1]) * (UNIT_SEC[key] ?? 1));
+}
+
+function clipLine(text, provider) {
+  const line = String(text || "").split("\n").map((s) => s.trim()).find((s) => matchesSignature(s, provider)) || "";
+  return line.length > 200 ? `${line.slice(0, 200)}…` : line;
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve();
+    const timer = setTimeout(done, ms);
+    function done() {
+      clearTimeout(timer);
+      signal?.removeEventListener?.("abort", done);
+      resolve();
+    }
+    signal?.addEventListener?.("abort", done, { once: true });
+  });
+}
+
+// Runs attempt() and retries while it fails with a quota/rate-limit error.
+// onQuota({ provider, attempt, waitSec, retryAfterSec, giveUp }) is told about every wait and the final give-up.
+// The returned result carries `quota: { limited, attempts, retryAfterSec, reason }` when the limit persisted.
+export async function withQuotaRetry(attempt, { provider = "", signal = null, onQuota = null, config = quotaRetryConfig() } = {}) {
+  const notify = async (info) => {
+    if (typeof onQuota !== "function") return;
+    try {
+      await onQuota({ provider, ...info });
+    } catch {}
+  };
+  let result = await attempt();
+  for (let i = 0; ; i += 1) {
+    if (!isQuotaError(result, provider) || signal?.aborted) return result;
+    const hint = retryAfterSec(result);
+    const tooLong = hint != null && hint > config.maxWaitSec;
+    if (i >= config.scheduleSec.length || tooLong) {
+      const reason = clipLine(failureText(result), provider);
+      await notify({ attempt: i + 1, waitSec: 0, retryAfterSec: hint, giveUp: true, reason });
+      return { ...result, quota: { limited: true, attempts: i + 1, retryAfterSec: hint, reason } };
+    }
+    const waitSec = hint != null ? Math.max(hint, 1) : config.scheduleSec[i];
+    await notify({ attempt: i + 1, waitSec, retryAfterSec: hint, giveUp: false });
+    await sleep(waitSec * 1000, signal);
+    if (signal?.aborted) return result;
+    result = await attempt();
+  }
+}
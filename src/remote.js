@@ -0,0 +1,199 @@
+import { runCommand } from "./proc.js";
+
+const GIT_TIMEOUT_MS = 5 * 60 * 1000;
+const SECTION_LIMIT = 12;
+
+function git(args, cwd, signal = null) {
+  return runCommand("git", args, { cwd, timeoutMs: GIT_TIMEOUT_MS, abortSignal: signal });
+}
+
+function firstLine(result) {
+  return String(result?.stderr || result?.stdout || "").trim().split("\n").slice(-1)[0] || `exit=${result?.exitCode}`;
+}
+
+// GIT_PUSH_REMOTE: remote name ("origin") or any URL/path git push accepts, e.g. a local bare repo.
+// GIT_PR_BASE: branch pull requests target. FORGE: hosted service adapter ("none" keeps the description local).
+export function remoteConfig(env = process.env) {
+  return {
+    remote: String(env.GIT_PUSH_REMOTE || "origin").trim() || "origin",
+    base: String(env.GIT_PR_BASE || "main").trim() || "main",
+    forge: String(env.FORGE || "none").trim().toLowerCase() || "none",
+  };
+}
+
+export async function currentBranch(codeRoot, signal = null) {
+  const r = await git(["rev-parse", "--abbrev-ref", "HEAD"], codeRoot, signal);
+  const name = String(r.stdout || "").trim();
+  return r.ok && name && name !== "HEAD" ? name : "";
+}
+
+export async function remoteUrl(codeRoot, remote, signal = null) {
+  const r = await git(["remote", "get-url", "--", remote], codeRoot, signal);
+  return r.ok ? String(r.stdout || "").trim() : remote;
+}
+
+// `remote` comes from chat commands and LLM/plan JSON, so only a remote configured in the repo (`git remote`)
+// or the operator's GIT_PUSH_REMOTE (which may be a URL/path) is pushed to; anything starting with "-" never is.
+// Returns "" when allowed, else the reason.
+export async function checkRemote(codeRoot, remote, { env = process.env, signal = null } = {}) {
+  const name = String(remote || "");
+  if (!name.trim()) return "no remote to push to";
+  if (name.startsWith("-")) return `invalid remote: ${name}`;
+  if (name === remoteConfig(env).remote) return "";
+  const list = await git(["remote"], codeRoot, signal);
+  const known = String(list.stdout || "").split("\n").map((s) => s.trim()).filter(Boolean);
+  if (known.includes(name)) return "";
+  return `remote ${name} is not configured (known: ${known.join(", ") || "none"}; or set GIT_PUSH_REMOTE)`;
+}
+
+// Pushes refs/heads/<branch> to the same name on `remote` and confirms it with ls-remote.
+// Returns { ok, remote, branch, sha, output } or { ok: false, error }.
+export async function pushBranch({ codeRoot, remote, branch, signal = null }) {
+  if (!branch) return { ok: false, error: "no branch to push (detached HEAD?)" };
+  const refused = await checkRemote(codeRoot, remote, { signal });
+  if (refused) return { ok: false, error: refused };
+  const head = await git(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`], codeRoot, signal);
+  if (!head.ok) return { ok: false, error: `unknown branch: ${branch}` };
+  const sha = String(head.stdout || "").trim();
+  const push = await git(["push", "--porcelain", "--", remote, `refs/heads/${branch}:refs/heads/${branch}`], codeRoot, signal);
+  const output = [push.stdout, push.stderr].map((s) => String(s || "").trim()).filter(Boolean).join("\n");
+  if (!push.ok) return { ok: false, error: `git push failed: ${firstLine(push)}`, output };
+  const check = await git(["ls-remote", "--", remote, `refs/heads/${branch}`], codeRoot, signal);
+  const remoteSha = String(check.stdout || "").trim().split(/\s+/)[0] || "";
+  if (remoteSha !== sha) return { ok: false, error: `remote ${remote} has ${remoteSha || "nothing"} for ${branch}, expected ${sha}`, output };
+  return { ok: true, remote, branch, sha, output };
+}
+
+// Commits on `branch` that `base` lacks, newest first (remote-tracking base preferred).
+export async function branchCommits({ codeRoot, remote, base, branch, signal = null, limit = 30 }) {
+  for (const ref of [`refs/remotes/${remote}/${base}`, `refs/heads/${base}`]) {
+    const r = await git(["log", `--max-count=${limit}`, "--format=%h %s", `${ref}..refs/heads/${branch}`], codeRoot, signal);
+    if (r.ok) return String(r.stdout || "").split("\n").map((s) => s.trim()).filter(Boolean);
+  }
+  return [];
+}
+
+function docBody(markdown) {
+  return String(markdown || "")
+    .replace(/^# .*\n/, "")
+    .replace(/^\s*> createdAt:.*\n/m, "")
+    .trim();
+}
+
+// Headings plus their bullet lines from the last sections of a tracking doc (sections are separated by "---").
+function sectionDigest(markdown, limit = SECTION_LIMIT) {
+  const sections = docBody(markdown).split(/\n---\n/).map((s) => s.trim()).filter(Boolean).slice(-limit);
+  return sections.map((section) => {
+    const lines = section.split("\n");
+    const heading = lines.find((line) => line.startsWith("## ")) || "";
+    const bullets = lines.filter((line) => /^\s*- /.test(line)).slice(0, 6);
+    return [heading.replace(/^## /, "### "), ...bullets].filter(Boolean).join("\n");
+  }).filter(Boolean).join("\n\n");
+}
+
+function clipText(text, max) {
+  const s = String(text || "").trim();
+  return s.length <= max ? s : `${s.slice(0, max)}\n…(truncated)…`;
+}
+
+// PR body from the job's tracking docs: plan.md for the what, decisions.md for approvals/commits.
+export function buildPrDescription({ title = "", jobId = "", plan = "", decisions = "", commits = [] } = {}) {
+  const decisionText = sectionDigest(decisions);
+  return [
+    "## Summary",
+    [title, jobId ? `job: \`${jobId}\`` : ""].filter(Boolean).join("\n\n"),
+    "## Plan",
+    clipText(docBody(plan), 3000) || "(plan.md is empty)",
+    ...(commits.length > 0 ? ["## Commits", commits.map((line) => `- ${line}`).join("\n")] : []),
+    ...(decisionText ? ["## Decisions", clipText(decisionText, 3000)] : []),
+  ].filter(Boolean).join("\n\n");
+}
+
+// Forge adapters open the pull request on a hosted service:
+//   createPullRequest({ codeRoot, remote, remoteUrl, branch, base, title, body, signal }) -> { url, number? }
+// "none" opens nothing; the caller keeps the description (artifact) for a human to paste.
+const forges = new Map();
+
+export function registerForge(raw) {
+  const id = String(raw?.id || "").trim().toLowerCase();
+  if (!id) throw new Error("forge id is required");
+  if (typeof raw.createPullRequest !== "function") throw new Error(`forge ${id} needs createPullRequest()`);
+  const forge = { id, label: String(raw.label || id), createPullRequest: raw.createPullRequest };
+  forges.set(id, forge);
+  return forge;
+}
+
+export function getForge(id) {
+  return forges.get(String(id || "").trim().toLowerCase()) || null;
+}
+
+// "owner/name" from git@github.com:owner/name.git or https://github.com/owner/name(.git).
+export function githubRepoFromUrl(url) {
+  const m = String(url || "").match(/github\.com[:/]([^/]+)\/([^/]+?)(?:\.git)?\/?$/);
+  return m ? `${m[1]}/${m[2]}` : "";
+}
+
+registerForge({
+  id: "none",
+  label: "none (description only)",
+  createPullRequest: async () => ({ url: null }),
+});
+
+// GITHUB_TOKEN + FORGE_REPO ("owner/name", default: parsed from the remote URL); FORGE_API_URL for GitHub Enterprise.
+registerForge({
+  id: "github",
+  label: "GitHub",
+  createPullRequest: async ({ remoteUrl: url, branch, base, title, body, signal }) => {
+    const token = String(process.env.GITHUB_TOKEN || "").trim();
+    const repo = String(process.env.FORGE_REPO || "").trim() || githubRepoFromUrl(url);
+    if (!token) throw new Error("GITHUB_TOKEN is not set");
+    if (!repo) throw new Error(`cannot tell the GitHub repository from ${url}; set FORGE_REPO=owner/name`);
+    const api = String(process.env.FORGE_API_URL || "https://api.github.com").replace(/\/+$/, "");
+    const res = await fetch(`${api}/repos/${repo}/pulls`, {
+      method: "POST",
+      headers: {
+        Authorization: `Bearer ${token}`,
+        Accept: "application/vnd.github+json",
+        "Content-Type": "application/json",
+      },
+      body: JSON.stringify({ title, head: branch, base, body }),
+      signal: signal || undefined,
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(`GitHub ${res.status}: ${data?.message || res.statusText}`);
+    return { url: data.html_url || null, number: data.number ?? null };
+  },
+});
+
+// Push + forge call for a pr_request. The description is built by the caller (it also keeps it as an artifact).
+// Returns { ok, push, forge, url, number } or { ok: false, push?, error }.
+export async function openPullRequest({ codeRoot, remote, branch, base, title, body, forge = "none", signal = null }) {
+  const adapter = getForge(forge);
+  if (!adapter) return { ok: false, error: `unknown forge: ${forge} (known: ${[...forges.keys()].join(", ")})` };
+  const push = await pushBranch({ codeRoot, remote, branch, signal });
+  if (!push.ok) return { ok: false, push, error: push.error };
+  try {
+    const url = await remoteUrl(codeRoot, remote, signal);
+    const pr = await adapter.createPullRequest({ codeRoot, remote, remoteUrl: url, branch, base, title, body, signal });
+    return { ok: true, push, forge: adapter.id, url: pr?.url || null, number: pr?.number ?? null };
+  } catch (e) {
+    return { ok: false, push, forge: adapter.id, error: `${adapter.label}: ${String(e?.message ?? e)}` };
+  }
+}
+
+// decisions.md entry for a push or pull-request attempt. artifact is the stored PR description, if any.
+export function formatRemoteDecision(result, { action = "git_push", token = "", remote = "", branch = "", base = "", artifact = null } = {}) {
+  const what = action === "git_pr" ? "pull request" : "git push";
+  return [
+    result.ok ? `## ${what}` : `## ${what} failed`,
+    ...(token ? [`- token: ${token}`] : []),
+    `- remote: ${remote}`,
+    `- branch: ${branch || "-"}`,
+    ...(action === "git_pr" ? [`- base: ${base}`] : []),
+    ...(result.push?.sha ? [`- sha: ${result.push.sha}`] : []),
+    ...(result.forge ? [`- forge: ${result.forge}`] : []),
+    ...(action === "git_pr" && result.ok ? [`- url: ${result.url || "(none; open it from the description)"}`] : []),
+    ...(artifact ? [`- description: artifact ${artifact.id}`] : []),
+    ...(result.ok ? [] : [`- error: ${String(result.error || "").split("\n")[0]}`]),
+  ].join("\n");
+}
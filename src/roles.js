@@ -0,0 +1,295 @@
+import fs from "node:fs";
+import path from "node:path";
+
+// Ordered from least to most privileged. "none" (not listed) means the bot ignores the user.
+export const ROLES = ["viewer", "operator", "admin"];
+
+export function normalizeRole(raw, fallback = "") {
+  const key = String(raw || "").trim().toLowerCase();
+  if (ROLES.includes(key) || key === "none") return key;
+  return fallback;
+}
+
+export function roleRank(role) {
+  return ROLES.indexOf(normalizeRole(role, "none"));
+}
+
+export function roleAllows(role, required) {
+  return roleRank(role) >= 0 && roleRank(role) >= roleRank(required);
+}
+
+// Minimum role per command. "/cmd sub" entries override the bare command for that subcommand.
+const COMMAND_ROLES = {
+  "/help": "viewer",
+  "/start": "viewer",
+  "/whoami": "viewer",
+  "/running": "viewer",
+  "/queue": "viewer",
+  "/usage": "viewer",
+  "/timeline": "viewer",
+  "/artifacts": "viewer",
+  "/context": "viewer",
+  "/jobs": "viewer",
+  "/job": "viewer",
+  "/agents": "viewer",
+  "/approvals": "viewer",
+  "/schedule": "operator",
+  "/schedule list": "viewer",
+  "/memory": "admin",
+  "/memory show": "viewer",
+  "/memory md": "viewer",
+  "/memory agents": "viewer",
+  "/memory note": "operator",
+  "/memory lesson": "operator",
+  "/run": "operator",
+  "/continue": "operator",
+  "/chat": "operator",
+  "/stop": "operator",
+  "/rollback": "operator",
+  "/archive": "operator",
+  "/archive --delete": "admin",
+  "/rename": "operator",
+  "/gptprompt": "operator",
+  "/gptapply": "operator",
+  "/gptdone": "operator",
+  "/approve": "operator",
+  "/deny": "operator",
+  "/revoke": "operator",
+  "/commit": "admin",
+  "/push": "admin",
+  "/pr": "admin",
+  "/merge": "admin",
+  "/cleanup": "admin",
+  "/role": "admin",
+};
+
+export function requiredRoleForCommand(cmd, args = []) {
+  let key = String(cmd || "").trim().toLowerCase();
+  if (key === "/settings") key = "/memory";
+  if (key === "/schedules") key = "/schedule";
+  const sub = String(args[0] || "").trim().toLowerCase();
+  if (key === "/memory" && !sub) return COMMAND_ROLES["/memory show"];
+  if (key === "/schedule" && !sub) return COMMAND_ROLES["/schedule list"];
+  if (key === "/archive" && args.some((arg) => String(arg).trim().toLowerCase() === "--delete")) return COMMAND_ROLES["/archive --delete"];
+  return COMMAND_ROLES[`${key} ${sub}`] || COMMAND_ROLES[key] || "viewer";
+}
+
+// Supervisor action types: read-only lookups for viewers, running agents for operators,
+// changing the agent/tool set for admins. Unknown types need operator.
+const ACTION_ROLES = {
+  need_more_detail: "viewer",
+  open_context: "viewer",
+  summarize: "viewer",
+  list_agents: "viewer",
+  list_tools: "viewer",
+  get_status: "viewer",
+  search_public_agents: "viewer",
+  run_agent: "operator",
+  spawn_agents: "operator",
+  run_checks: "operator",
+  interrupt: "operator",
+  propose_agent: "operator",
+  create_agent: "admin",
+  update_agent: "admin",
+  enable_agent: "admin",
+  disable_agent: "admin",
+  enable_tool: "admin",
+  disable_tool: "admin",
+  install_agent_blueprint: "admin",
+  publish_agent: "admin",
+  // ChatGPT plan actions (executeActions) with the same effect as an admin/operator command.
+  commit_request: "admin",
+  push_request: "admin",
+  pr_request: "admin",
+  rollback: "operator",
+};
+
+export function requiredRoleForAction(type) {
+  return ACTION_ROLES[String(type || "").trim().toLowerCase()] || "operator";
+}
+
+// Deciding an approval runs its payload, so commits and pushes need the role of /commit, /push and /pr.
+const APPROVAL_ROLES = {
+  git_commit: "admin",
+  git_push: "admin",
+  git_pr: "admin",
+};
+
+export function requiredRoleForApproval(payloadAction) {
+  return APPROVAL_ROLES[String(payloadAction || "").trim().toLowerCase()] || "operator";
+}
+
+// Inline-button callback_data prefixes.
+const CALLBACK_ROLES = {
+  use_job: "viewer",
+  art: "viewer",
+  open_agents_ui: "viewer",
+  approve_action: "viewer",
+  reject_action: "viewer",
+  resume: "operator",
+  resume_skip: "operator",
+  stop: "operator",
+  archive_job: "operator",
+  unarchive_job: "operator",
+  gptapply: "operator",
+  sched_on: "operator",
+  sched_off: "operator",
+  sched_rm: "operator",
+  approve: "operator",
+  deny: "operator",
+  cf: "operator",
+  rb: "operator",
+  revoke: "operator",
+  approve_agent: "admin",
+  reject_agent: "admin",
+};
+
+export function requiredRoleForCallback(data) {
+  const prefix = String(data || "").split(":")[0].trim().toLowerCase();
+  return CALLBACK_ROLES[prefix] || "operator";
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function asObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v) ? v : {};
+}
+
+function normalizeUserRoles(raw) {
+  const out = {};
+  for (const [id, role] of Object.entries(asObject(raw))) {
+    const key = String(id || "").trim();
+    const value = normalizeRole(role);
+    if (key && value) out[key] = value;
+  }
+  return out;
+}
+
+function normalizeRoles(raw = {}) {
+  const row = asObject(raw);
+  const chats = {};
+  for (const [chatId, chat] of Object.entries(asObject(row.chats))) {
+    const key = String(chatId || "").trim();
+    if (!key) continue;
+    const c = asObject(chat);
+    chats[key] = {
+      default_role: normalizeRole(c.default_role) || null,
+      users: normalizeUserRoles(c.users),
+    };
+  }
+  return {
+    version: 1,
+    users: normalizeUserRoles(row.users),
+    chats,
+    updated_at: String(row.updated_at || nowIso()),
+  };
+}
+
+// Roles live in RUNS_DIR/roles.json (edited with /role); env lists seed them.
+// Lookup order: per-chat user role > global user role (file, then env) > chat default > defaultRole.
+export class RoleStore {
+  constructor({ baseDir, seed = {}, defaultRole = "" } = {}) {
+    const dir = path.resolve(baseDir || process.cwd());
+    this.filePath = path.join(dir, "roles.json");
+    this.seed = normalizeUserRoles(seed);
+    this.state = this._load();
+    this.explicitDefault = normalizeRole(defaultRole);
+  }
+
+  // Some user or chat role, or DEFAULT_ROLE, was set: unknown users are no longer admins by default.
+  get configured() {
+    return !!this.explicitDefault
+      || Object.keys(this.seed).length > 0
+      || Object.keys(this.state.users).length > 0
+      || Object.keys(this.state.chats).length > 0;
+  }
+
+  // Nothing configured at all: keep the historical "everyone may do everything" behaviour.
+  get defaultRole() {
+    if (this.explicitDefault) return this.explicitDefault;
+    return this.configured ? "none" : "admin";
+  }
+
+  _load() {
+    try {
+      return normalizeRoles(JSON.parse(fs.readFileSync(this.filePath, "utf8")));
+    } catch {
+      return normalizeRoles({});
+    }
+  }
+
+  _save(next) {
+    const normalized = normalizeRoles(next);
+    normalized.updated_at = nowIso();
+    fs.writeFileSync(this.filePath, JSON.stringify(normalized, null, 2), "utf8");
+    this.state = normalized;
+    return normalized;
+  }
+
+  roleFor(userId, chatId = null) {
+    const user = String(userId ?? "").trim();
+    const chat = chatId == null ? null : this.state.chats[String(chatId)];
+    return chat?.users[user]
+      || this.state.users[user]
+      || this.seed[user]
+      || chat?.default_role
+      || this.defaultRole;
+  }
+
+  // A chat whose default is "none" and that has no per-user entries is ignored entirely.
+  chatAllowed(chatId) {
+    const chat = this.state.chats[String(chatId ?? "")];
+    if (!chat) return true;
+    return !(chat.default_role === "none" && Object.keys(chat.users).length === 0);
+  }
+
+  setUserRole(userId, role, { chatId = null } = {}) {
+    const user = String(userId ?? "").trim();
+    const value = normalizeRole(role);
+    if (!user) throw new Error("userId is required");
+    if (!value) throw new Error(`role must be one of: ${[...ROLES, "none"].join(", ")}`);
+    const next = normalizeRoles(this.state);
+    if (chatId == null) {
+      next.users[user] = value;
+    } else {
+      const key = String(chatId);
+      next.chats[key] = next.chats[key] || { default_role: null, users: {} };
+      next.chats[key].users[user] = value;
+    }
+    return this._save(next);
+  }
+
+  removeUser(userId, { chatId = null } = {}) {
+    const user = String(userId ?? "").trim();
+    const next = normalizeRoles(this.state);
+    if (chatId == null) {
+      delete next.users[user];
+    } else if (next.chats[String(chatId)]) {
+      delete next.chats[String(chatId)].users[user];
+    }
+    return this._save(next);
+  }
+
+  setChatDefault(chatId, role) {
+    const key = String(chatId ?? "").trim();
+    if (!key) throw new Error("chatId is required");
+    const value = role == null ? null : normalizeRole(role);
+    if (role != null && !value) throw new Error(`role must be one of: ${[...ROLES, "none"].join(", ")}`);
+    const next = normalizeRoles(this.state);
+    next.chats[key] = next.chats[key] || { default_role: null, users: {} };
+    next.chats[key].default_role = value;
+    if (!value && Object.keys(next.chats[key].users).length === 0) delete next.chats[key];
+    return this._save(next);
+  }
+
+  list() {
+    return {
+      defaultRole: this.defaultRole,
+      seed: { ...this.seed },
+      users: { ...this.state.users },
+      chats: JSON.parse(JSON.stringify(this.state.chats)),
+    };
+  }
+}
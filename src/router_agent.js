@@ -1,5 +1,6 @@
 import path from "node:path";
 import { runGeminiPrompt } from "./gemini.js";
+import { normalizeProvider, resolveProviderId } from "./providers.js";
 
 function asObject(v) {
   return v && typeof v === "object" ? v : {};
@@ -63,19 +64,13 @@ function parseJsonObjectFromText(text) {
   return null;
 }
 
-function normalizeProvider(raw) {
-  const key = String(raw || "").trim().toLowerCase();
-  if (["chatgpt", "gpt", "openai"].includes(key)) return "chatgpt";
-  if (["codex"].includes(key)) return "codex";
-  if (["gemini"].includes(key)) return "gemini";
-  return "gemini";
-}
-
 function normalizeAgentProfile(raw) {
   const row = asObject(raw);
   const id = String(row.id || row.agent_id || row.agentId || "").trim().toLowerCase();
   if (!id) return null;
-  const provider = normalizeProvider(row.provider || row.model);
+  const provider = String(row.provider || "").trim()
+    ? normalizeProvider(row.provider)
+    : (resolveProviderId(row.model) || "gemini");
   return {
     id,
     name: String(row.name || row.title || id).trim(),
@@ -0,0 +1,272 @@
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+
+export const SCHEDULE_KINDS = ["run", "chat"];
+const TICK_MS = 30 * 1000;
+
+const FIELD_SPECS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "dayOfMonth", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12 },
+  { name: "dayOfWeek", min: 0, max: 7 },
+];
+
+const MACROS = {
+  "@hourly": "0 * * * *",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@weekly": "0 0 * * 0",
+  "@monthly": "0 0 1 * *",
+  "@yearly": "0 0 1 1 *",
+};
+
+function asObject(v) {
+  return v && typeof v === "object" ? v : {};
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+function parseField(raw, spec) {
+  const values = new Set();
+  for (const part of String(raw).split(",")) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`invalid cron ${spec.name}: ${raw}`);
+    const step = m[2] ? Number(m[2]) : 1;
+    let lo = spec.min;
+    let hi = spec.max;
+    if (m[1] !== "*") {
+      const [a, b] = m[1].split("-").map(Number);
+      lo = a;
+      hi = b ?? (m[2] ? spec.max : a);
+    }
+    if (step < 1 || lo < spec.min || hi > spec.max || lo > hi) {
+      throw new Error(`invalid cron ${spec.name}: ${raw} (range ${spec.min}-${spec.max})`);
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Standard 5-field cron (minute hour day-of-month month day-of-week), evaluated in local time.
+export function parseCron(expr) {
+  const source = String(expr || "").trim();
+  const fields = (MACROS[source.toLowerCase()] || source).split(/\s+/);
+  if (fields.length !== 5) throw new Error(`cron expression needs 5 fields: "${source}"`);
+  const parsed = {};
+  FIELD_SPECS.forEach((spec, idx) => {
+    parsed[spec.name] = parseField(fields[idx], spec);
+  });
+  if (parsed.dayOfWeek.has(7)) parsed.dayOfWeek.add(0);
+  // Vixie cron: when both day fields are restricted, either may match.
+  parsed.domAny = fields[2] === "*";
+  parsed.dowAny = fields[4] === "*";
+  return parsed;
+}
+
+export function cronMatches(parsed, date) {
+  if (!parsed.minute.has(date.getMinutes())) return false;
+  if (!parsed.hour.has(date.getHours())) return false;
+  if (!parsed.month.has(date.getMonth() + 1)) return false;
+  const dom = parsed.dayOfMonth.has(date.getDate());
+  const dow = parsed.dayOfWeek.has(date.getDay());
+  if (parsed.domAny || parsed.dowAny) return dom && dow;
+  return dom || dow;
+}
+
+export function nextCronRun(expr, from = new Date()) {
+  const parsed = typeof expr === "string" ? parseCron(expr) : expr;
+  const d = new Date(from.getTime());
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  // One year of minutes is the worst case for a satisfiable expression.
+  for (let i = 0; i < 366 * 24 * 60; i += 1) {
+    if (cronMatches(parsed, d)) return d;
+    d.setMinutes(d.getMinutes() + 1);
+  }
+  return null;
+}
+
+function minuteKey(date) {
+  const d = new Date(date.getTime());
+  d.setSeconds(0, 0);
+  return d.toISOString();
+}
+
+function normalizeSchedule(raw) {
+  const row = asObject(raw);
+  const id = String(row.id || "").trim();
+  const cron = String(row.cron || "").trim();
+  const kind = String(row.kind || "").trim().toLowerCase();
+  if (!id || !cron || !SCHEDULE_KINDS.includes(kind)) return null;
+  return {
+    id,
+    cron,
+    kind,
+    text: String(row.text || "").trim(),
+    chatId: String(row.chatId || "").trim(),
+    userId: String(row.userId || "").trim(),
+    enabled: row.enabled !== false,
+    createdAt: String(row.createdAt || nowIso()),
+    lastFiredMinute: row.lastFiredMinute ? String(row.lastFiredMinute) : null,
+    lastRun: row.lastRun && typeof row.lastRun === "object"
+      ? {
+        startedAt: String(row.lastRun.startedAt || ""),
+        finishedAt: row.lastRun.finishedAt ? String(row.lastRun.finishedAt) : null,
+        status: String(row.lastRun.status || "running"),
+        jobId: String(row.lastRun.jobId || ""),
+        error: String(row.lastRun.error || ""),
+      }
+      : null,
+  };
+}
+
+function normalizeSchedules(raw = {}) {
+  const row = asObject(raw);
+  return {
+    version: 1,
+    updated_at: String(row.updated_at || nowIso()),
+    schedules: (Array.isArray(row.schedules) ? row.schedules : []).map(normalizeSchedule).filter(Boolean),
+  };
+}
+
+// RUNS_DIR/schedules.json
+export class ScheduleStore {
+  constructor({ baseDir } = {}) {
+    const dir = path.resolve(baseDir || process.cwd());
+    this.filePath = path.join(dir, "schedules.json");
+    this.state = this._load();
+  }
+
+  _load() {
+    try {
+      return normalizeSchedules(JSON.parse(fs.readFileSync(this.filePath, "utf8")));
+    } catch {
+      return normalizeSchedules({});
+    }
+  }
+
+  _save(next) {
+    const normalized = normalizeSchedules(next);
+    normalized.updated_at = nowIso();
+    fs.writeFileSync(this.filePath, JSON.stringify(normalized, null, 2), "utf8");
+    this.state = normalized;
+    return normalized;
+  }
+
+  add({ cron, kind, text, chatId, userId = "" } = {}) {
+    parseCron(cron);
+    const k = String(kind || "").trim().toLowerCase();
+    if (!SCHEDULE_KINDS.includes(k)) throw new Error(`schedule kind must be one of: ${SCHEDULE_KINDS.join(", ")}`);
+    if (!String(text || "").trim()) throw new Error("schedule text is required");
+    const entry = normalizeSchedule({
+      id: `s_${crypto.randomBytes(3).toString("hex")}`,
+      cron,
+      kind: k,
+      text,
+      chatId: chatId == null ? "" : String(chatId),
+      userId: userId == null ? "" : String(userId),
+      enabled: true,
+      createdAt: nowIso(),
+      // Do not fire in the minute the schedule was created.
+      lastFiredMinute: minuteKey(new Date()),
+    });
+    this._save({ ...this.state, schedules: [...this.state.schedules, entry] });
+    return entry;
+  }
+
+  get(id) {
+    const key = String(id || "").trim();
+    return this.state.schedules.find((s) => s.id === key) || null;
+  }
+
+  list({ chatId = "" } = {}) {
+    const key = String(chatId || "").trim();
+    return this.state.schedules.filter((s) => !key || s.chatId === key);
+  }
+
+  update(id, patch = {}) {
+    const key = String(id || "").trim();
+    let updated = null;
+    const schedules = this.state.schedules.map((entry) => {
+      if (entry.id !== key) return entry;
+      updated = normalizeSchedule({ ...entry, ...asObject(patch), id: entry.id });
+      return updated;
+    });
+    if (!updated) return null;
+    this._save({ ...this.state, schedules });
+    return updated;
+  }
+
+  setEnabled(id, enabled) {
+    return this.update(id, { enabled: !!enabled });
+  }
+
+  remove(id) {
+    const key = String(id || "").trim();
+    const before = this.state.schedules.length;
+    const schedules = this.state.schedules.filter((s) => s.id !== key);
+    if (schedules.length === before) return false;
+    this._save({ ...this.state, schedules });
+    return true;
+  }
+
+  recordStart(id, { jobId = "" } = {}) {
+    return this.update(id, { lastRun: { startedAt: nowIso(), status: "running", jobId } });
+  }
+
+  recordFinish(id, { status = "done", jobId = "", error = "" } = {}) {
+    const prev = this.get(id)?.lastRun || {};
+    return this.update(id, {
+      lastRun: {
+        startedAt: prev.startedAt || nowIso(),
+        finishedAt: nowIso(),
+        status,
+        jobId: jobId || prev.jobId || "",
+        error: String(error || "").slice(0, 500),
+      },
+    });
+  }
+
+  // Claims every enabled schedule matching `now` exactly once per minute.
+  claimDue(now = new Date()) {
+    const key = minuteKey(now);
+    const due = [];
+    for (const entry of this.state.schedules) {
+      if (!entry.enabled || entry.lastFiredMinute === key) continue;
+      let parsed;
+      try {
+        parsed = parseCron(entry.cron);
+      } catch {
+        continue;
+      }
+      if (cronMatches(parsed, now)) due.push(entry.id);
+    }
+    if (due.length === 0) return [];
+    return due.map((id) => this.update(id, { lastFiredMinute: key })).filter(Boolean);
+  }
+}
+
+// Polls the store and hands due schedules to onFire(schedule). Missed minutes while the process was down are not replayed.
+export function startScheduler({ store, onFire, intervalMs = TICK_MS } = {}) {
+  const tick = () => {
+    let due = [];
+    try {
+      due = store.claimDue(new Date());
+    } catch (e) {
+      console.error(`scheduler tick failed: ${String(e?.message ?? e)}`);
+      return;
+    }
+    for (const schedule of due) {
+      Promise.resolve()
+        .then(() => onFire(schedule))
+        .catch((e) => console.error(`schedule ${schedule.id} failed: ${String(e?.message ?? e)}`));
+    }
+  };
+  const timer = setInterval(tick, intervalMs);
+  timer.unref?.();
+  return () => clearInterval(timer);
+}
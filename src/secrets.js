@@ -0,0 +1,147 @@
+// Secret scanning/redaction for everything that leaves the process (chat messages, tracking docs, GoC,
+// conversation log, PR descriptions) and for commits (see commitSelected).
+//   SECRET_SCAN=false         disables it
+//   SECRET_PATTERNS           extra regexes: one regex, or a JSON array of regex strings / { name, pattern }
+//   SECRET_SCAN_ENV_KEYS      extra env var names whose values are secrets (comma-separated)
+// Values of env vars with secret-looking names (…TOKEN, …SECRET, …API_KEY, …PASSWORD, …) loaded at startup
+// (.env included, via dotenv) are masked wherever they appear.
+
+const MIN_ENV_VALUE_CHARS = 8;
+const SECRET_ENV_NAME_RE = /(TOKEN|SECRET|PASSWORD|PASSWD|API_?KEY|PRIVATE_?KEY|ACCESS_?KEY|CREDENTIAL)/i;
+const SCANNER_ENV_NAMES = new Set(["SECRET_SCAN", "SECRET_PATTERNS", "SECRET_SCAN_ENV_KEYS"]);
+const ASSIGN_KEY = "[A-Za-z0-9_.-]*(?:secret|password|passwd|token|api_?key|private_?key|access_?key)[A-Za-z0-9_]*";
+const ASSIGN_VALUE = "[A-Za-z0-9_\\-/+=]{12,}";
+
+// group: capture group holding the secret (the rest of the match, e.g. the key name, stays readable).
+// check(value): extra filter for the noisier rules.
+export const BUILTIN_SECRET_RULES = [
+  { id: "private_key", pattern: /-----BEGIN (?:[A-Z0-9]+ )*PRIVATE KEY-----[\s\S]*?(?:-----END (?:[A-Z0-9]+ )*PRIVATE KEY-----|$)/g },
+  { id: "aws_access_key", pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g },
+  { id: "github_token", pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{60,})\b/g },
+  { id: "sk_api_key", pattern: /\bsk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}/g },
+  { id: "stripe_key", pattern: /\b(?:sk|rk)_live_[A-Za-z0-9]{20,}\b/g },
+  { id: "slack_token", pattern: /\bxox[abposr]-[A-Za-z0-9-]{10,}/g },
+  { id: "google_api_key", pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g },
+  { id: "telegram_bot_token", pattern: /\b\d{8,10}:AA[A-Za-z0-9_-]{33}\b/g },
+  { id: "jwt", pattern: /\beyJ[A-Za-z0-9_-]{10,}\.eyJ[A-Za-z0-9_-]{10,}\.[A-Za-z0-9_-]{10,}/g },
+  {
+    id: "secret_assignment",
+    pattern: new RegExp(`\\b${ASSIGN_KEY}["']?\\s*[:=]\\s*(["'])(${ASSIGN_VALUE})\\1`, "gi"),
+    group: 2,
+    check: (value) => /\d/.test(value) && /[A-Za-z]/.test(value),
+  },
+  {
+    id: "secret_env_line",
+    pattern: new RegExp(`^\\s*(?:export\\s+)?${ASSIGN_KEY}=(${ASSIGN_VALUE})\\s*$`, "gim"),
+    group: 1,
+    check: (value) => /\d/.test(value) && /[A-Za-z]/.test(value),
+  },
+];
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function parseCustomPatterns(raw) {
+  const text = String(raw || "").trim();
+  if (!text) return [];
+  let list = [text];
+  if (text.startsWith("[")) {
+    try {
+      list = JSON.parse(text);
+    } catch (e) {
+      throw new Error(`SECRET_PATTERNS is not valid JSON: ${e.message}`);
+    }
+  }
+  return (Array.isArray(list) ? list : []).map((item, idx) => {
+    const source = typeof item === "string" ? item : String(item?.pattern || "");
+    const name = typeof item === "string" ? `custom_${idx + 1}` : String(item?.name || `custom_${idx + 1}`);
+    if (!source) throw new Error(`SECRET_PATTERNS[${idx}] has no pattern`);
+    try {
+      return { id: name, pattern: new RegExp(source, "g") };
+    } catch (e) {
+      throw new Error(`SECRET_PATTERNS[${idx}] is not a valid regex: ${e.message}`);
+    }
+  });
+}
+
+function envValueRules(env) {
+  const extra = new Set(String(env.SECRET_SCAN_ENV_KEYS || "").split(",").map((s) => s.trim()).filter(Boolean));
+  const seen = new Set();
+  const rules = [];
+  for (const [name, raw] of Object.entries(env)) {
+    if (SCANNER_ENV_NAMES.has(name) || (!extra.has(name) && !SECRET_ENV_NAME_RE.test(name))) continue;
+    const value = String(raw ?? "").trim();
+    if (value.length < MIN_ENV_VALUE_CHARS || /^\d+$/.test(value) || /^(true|false|none|null)$/i.test(value)) continue;
+    if (seen.has(value)) continue;
+    seen.add(value);
+    rules.push({ id: `env:${name}`, pattern: new RegExp(escapeRegExp(value), "g"), literal: value.length });
+  }
+  // Longer values first so a value containing another is masked whole.
+  return rules.sort((a, b) => b.literal - a.literal);
+}
+
+function lineAt(text, index) {
+  let line = 1;
+  for (let i = text.indexOf("\n"); i !== -1 && i < index; i = text.indexOf("\n", i + 1)) line += 1;
+  return line;
+}
+
+// Never echo a secret back: enough to find it, not to use it.
+function preview(value) {
+  const s = String(value);
+  return s.length <= 8 ? `(${s.length} chars)` : `${s.slice(0, 4)}… (${s.length} chars)`;
+}
+
+export function createSecretScanner(env = process.env) {
+  const enabled = String(env.SECRET_SCAN ?? "true").trim().toLowerCase() !== "false";
+  const rules = enabled ? [...envValueRules(env), ...BUILTIN_SECRET_RULES, ...parseCustomPatterns(env.SECRET_PATTERNS)] : [];
+
+  // Non-overlapping matches, earlier rules winning: [{ rule, start, end, line, preview }] sorted by position.
+  function scan(input) {
+    const text = String(input ?? "");
+    if (!text || rules.length === 0) return [];
+    const found = [];
+    const overlaps = (start, end) => found.some((f) => start < f.end && f.start < end);
+    for (const rule of rules) {
+      const re = new RegExp(rule.pattern.source, rule.pattern.flags.includes("d") ? rule.pattern.flags : `${rule.pattern.flags}d`);
+      for (const m of text.matchAll(re)) {
+        if (!m[0]) continue;
+        const [start, end] = rule.group ? m.indices[rule.group] : [m.index, m.index + m[0].length];
+        const value = text.slice(start, end);
+        if (rule.check && !rule.check(value)) continue;
+        if (overlaps(start, end)) continue;
+        found.push({ rule: rule.id, start, end, line: lineAt(text, start), preview: preview(value) });
+      }
+    }
+    return found.sort((a, b) => a.start - b.start);
+  }
+
+  // Returns { text, findings } with every finding replaced by [REDACTED:<rule>].
+  function redact(input) {
+    const text = String(input ?? "");
+    const findings = scan(text);
+    if (findings.length === 0) return { text, findings };
+    let out = "";
+    let at = 0;
+    for (const f of findings) {
+      out += `${text.slice(at, f.start)}[REDACTED:${f.rule}]`;
+      at = f.end;
+    }
+    return { text: out + text.slice(at), findings };
+  }
+
+  return {
+    enabled,
+    rules: rules.map((rule) => rule.id),
+    scan,
+    redact,
+    redactText: (input) => redact(input).text,
+  };
+}
+
+export function formatFindings(findings, { file = "", limit = 10 } = {}) {
+  const lines = findings.slice(0, limit).map((f) => `${file ? `${file}:` : "line "}${f.line} ${f.rule} ${f.preview}`);
+  if (findings.length > limit) lines.push(`… ${findings.length - limit} more`);
+  return lines;
+}
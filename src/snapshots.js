@@ -0,0 +1,248 @@
+import fs from "node:fs";
+import path from "node:path";
+import { runCommand } from "./proc.js";
+
+const INDEX_FILE = "snapshots.jsonl";
+const GIT_TIMEOUT_MS = 120000;
+const PROMPT_CHARS = 300;
+
+function git(args, cwd, { signal = null, env = {}, input } = {}) {
+  return runCommand("git", args, { cwd, timeoutMs: GIT_TIMEOUT_MS, abortSignal: signal, env, input });
+}
+
+function gitError(what, result) {
+  return new Error(`${what} failed (exit=${result.exitCode})\n${String(result.stderr || result.stdout || "").trim()}`);
+}
+
+function nulList(text) {
+  return String(text || "").split("\0").filter(Boolean);
+}
+
+// Workspace snapshots taken before every file-writing agent run (codexImplement), so a bad change can be undone.
+// Each snapshot is a commit of the whole working tree (tracked + untracked, minus ignored files) built on a
+// throwaway index and kept under refs/ddalggak/snapshots/<jobId>/<step>; HEAD, the branch and the real index
+// are never touched. <jobDir>/snapshots.jsonl holds one row per step:
+// { step, ref, commit, head, agent, run_id, label, prompt, at }.
+// RUNS_DIR is left out of snapshots and restores: without a job worktree the snapshotted repo is the workspace,
+// and RUNS_DIR (default <workspace>/.orchestrator) holds this very index, approvals, artifacts and job meta.
+export class SnapshotStore {
+  constructor(jobs) {
+    this.jobs = jobs;
+  }
+
+  _file(jobId) {
+    return path.join(this.jobs.jobDir(jobId), INDEX_FILE);
+  }
+
+  _tmpIndex(jobId) {
+    const dir = path.join(this.jobs.jobDir(jobId), "spill");
+    fs.mkdirSync(dir, { recursive: true });
+    return path.join(dir, `snapshot-index-${process.pid}-${Date.now()}`);
+  }
+
+  async _toplevel(codeRoot, signal) {
+    const r = await git(["rev-parse", "--show-toplevel"], codeRoot, { signal });
+    if (!r.ok) throw gitError(`git rev-parse in ${codeRoot}`, r);
+    return String(r.stdout || "").trim();
+  }
+
+  // RUNS_DIR relative to the repo top level ("/"-separated), or "" when it lies outside the repo.
+  _runsDirIn(top) {
+    let base = path.resolve(this.jobs.baseDir);
+    try {
+      base = fs.realpathSync(base);
+    } catch {}
+    const rel = path.relative(top, base);
+    if (!rel) return ".";
+    if (rel === ".." || rel.startsWith(`..${path.sep}`) || path.isAbsolute(rel)) return "";
+    return rel.split(path.sep).join("/");
+  }
+
+  // Drops RUNS_DIR entries from the throwaway index `env` points at (tracked ones would otherwise stay).
+  async _unindexRunsDir(top, env, signal) {
+    const runs = this._runsDirIn(top);
+    if (!runs) return;
+    if (runs === ".") throw new Error(`RUNS_DIR ${this.jobs.baseDir} is the repository itself; refusing to snapshot it`);
+    const rm = await git(["rm", "-r", "-q", "--cached", "--ignore-unmatch", "--", runs], top, { signal, env });
+    if (!rm.ok) throw gitError("git rm --cached (RUNS_DIR)", rm);
+  }
+
+  // Tree object of the current working tree, built on a copy of the real index (keeps its stat cache).
+  async _writeTree(jobId, top, signal) {
+    const tmp = this._tmpIndex(jobId);
+    const env = { GIT_INDEX_FILE: tmp };
+    try {
+      const real = await git(["rev-parse", "--git-path", "index"], top, { signal });
+      const realIndex = real.ok ? path.resolve(top, String(real.stdout || "").trim()) : "";
+      if (realIndex && fs.existsSync(realIndex)) fs.copyFileSync(realIndex, tmp);
+      const runs = this._runsDirIn(top);
+      const add = await git(["add", "-A", "--", ".", ...(runs && runs !== "." ? [`:(exclude)${runs}`] : [])], top, { signal, env });
+      if (!add.ok) throw gitError("git add (snapshot index)", add);
+      await this._unindexRunsDir(top, env, signal);
+      const tree = await git(["write-tree"], top, { signal, env });
+      if (!tree.ok) throw gitError("git write-tree", tree);
+      return String(tree.stdout || "").trim();
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+  }
+
+  // meta: { agent, runId, label, prompt }. Returns the new row.
+  async take(jobId, codeRoot, { agent = null, runId = null, label = "", prompt = "", signal = null } = {}) {
+    const top = await this._toplevel(codeRoot, signal);
+    const tree = await this._writeTree(jobId, top, signal);
+    const headRes = await git(["rev-parse", "--verify", "-q", "HEAD"], top, { signal });
+    const head = headRes.ok ? String(headRes.stdout || "").trim() : "";
+    const step = this.list(jobId).reduce((max, row) => Math.max(max, Number(row.step) || 0), 0) + 1;
+    const message = `ddalggak snapshot ${jobId} #${step}${label ? ` (${label})` : ""}`;
+    const commitRes = await git(["commit-tree", tree, ...(head ? ["-p", head] : []), "-m", message], top, {
+      signal,
+      env: {
+        GIT_AUTHOR_NAME: "ddalggak", GIT_AUTHOR_EMAIL: "ddalggak@localhost",
+        GIT_COMMITTER_NAME: "ddalggak", GIT_COMMITTER_EMAIL: "ddalggak@localhost",
+      },
+    });
+    if (!commitRes.ok) throw gitError("git commit-tree", commitRes);
+    const commit = String(commitRes.stdout || "").trim();
+    const ref = `refs/ddalggak/snapshots/${jobId}/${step}`;
+    const update = await git(["update-ref", ref, commit], top, { signal });
+    if (!update.ok) throw gitError("git update-ref", update);
+    const row = {
+      step,
+      ref,
+      commit,
+      head,
+      agent: agent ? String(agent) : null,
+      run_id: runId ? String(runId) : null,
+      label: String(label || ""),
+      prompt: String(prompt || "").replace(/\s+/g, " ").trim().slice(0, PROMPT_CHARS),
+      at: new Date().toISOString(),
+    };
+    fs.mkdirSync(path.dirname(this._file(jobId)), { recursive: true });
+    fs.appendFileSync(this._file(jobId), `${JSON.stringify(row)}\n`, "utf8");
+    return row;
+  }
+
+  list(jobId) {
+    const file = this._file(jobId);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  get(jobId, step) {
+    const n = Number(step);
+    return this.list(jobId).find((row) => Number(row.step) === n) || null;
+  }
+
+  latest(jobId, { excludeLabel = "" } = {}) {
+    const rows = this.list(jobId).filter((row) => !excludeLabel || row.label !== excludeLabel);
+    return rows.length > 0 ? rows[rows.length - 1] : null;
+  }
+
+  // What each step's agent run changed: `git diff --shortstat` from the snapshot to the next one
+  // (or to the current working tree for the newest). Returns Map(step -> "2 files changed, ...").
+  async diffstats(jobId, codeRoot, rows = this.list(jobId), { signal = null } = {}) {
+    const all = this.list(jobId);
+    const out = new Map();
+    if (rows.length === 0) return out;
+    const top = await this._toplevel(codeRoot, signal);
+    let current = "";
+    for (const row of rows) {
+      const idx = all.findIndex((r) => r.step === row.step);
+      const next = all[idx + 1];
+      if (!next && !current) current = await this._writeTree(jobId, top, signal);
+      const r = await git(["diff", "--shortstat", row.commit, next ? next.commit : current], top, { signal });
+      out.set(row.step, r.ok ? (String(r.stdout || "").trim() || "no changes") : "(snapshot missing)");
+    }
+    return out;
+  }
+
+  // Restores the working tree to snapshot `step`: its files are written back and files it did not have
+  // (ignored ones aside) are removed. The state being replaced is snapshotted first (label "rollback"), so a
+  // rollback can itself be rolled back. Only the restored paths are reset to HEAD in the real index; whatever
+  // else is staged in the checkout stays staged.
+  // Returns { ok, step, safety, changes: [{ status, path }] } or { ok: false, error }.
+  async restore(jobId, codeRoot, step, { by = "", signal = null } = {}) {
+    const row = this.get(jobId, step);
+    if (!row) return { ok: false, error: `no snapshot #${step}` };
+    const top = await this._toplevel(codeRoot, signal);
+    const exists = await git(["cat-file", "-e", `${row.commit}^{commit}`], top, { signal });
+    if (!exists.ok) return { ok: false, error: `snapshot #${step} commit ${row.commit} is gone` };
+
+    const safety = await this.take(jobId, codeRoot, { label: "rollback", prompt: `before rollback to #${step}${by ? ` by ${by}` : ""}`, signal });
+    const diff = await git(["diff", "--name-status", "-z", "--no-renames", safety.commit, row.commit], top, { signal });
+    if (!diff.ok) return { ok: false, error: gitError("git diff", diff).message };
+    const parts = nulList(diff.stdout);
+    const runs = this._runsDirIn(top);
+    const inRuns = (file) => !!runs && (runs === "." || file === runs || file.startsWith(`${runs}/`));
+    const changes = [];
+    for (let i = 0; i + 1 < parts.length; i += 2) {
+      // Snapshots taken before RUNS_DIR was excluded may still carry it; never restore or remove it.
+      if (!inRuns(parts[i + 1])) changes.push({ status: parts[i], path: parts[i + 1] });
+    }
+    if (changes.length === 0) return { ok: true, step: row.step, safety, changes };
+
+    const tmp = this._tmpIndex(jobId);
+    const env = { GIT_INDEX_FILE: tmp };
+    try {
+      const read = await git(["read-tree", row.commit], top, { signal, env });
+      if (!read.ok) return { ok: false, error: gitError("git read-tree", read).message };
+      await this._unindexRunsDir(top, env, signal);
+      const checkout = await git(["checkout-index", "-a", "-f"], top, { signal, env });
+      if (!checkout.ok) return { ok: false, error: gitError("git checkout-index", checkout).message };
+    } finally {
+      fs.rmSync(tmp, { force: true });
+    }
+    // "D" (present now, absent from the snapshot): created after the snapshot was taken.
+    for (const change of changes.filter((c) => c.status === "D")) {
+      fs.rmSync(path.join(top, change.path), { force: true });
+    }
+    const reset = await git(["--literal-pathspecs", "reset", "-q", "--pathspec-from-file=-", "--pathspec-file-nul"], top, {
+      signal,
+      input: changes.map((c) => `${c.path}\0`).join(""),
+    });
+    if (!reset.ok && safety.head) return { ok: false, error: gitError("git reset", reset).message };
+    return { ok: true, step: row.step, safety, changes: changes.map((c) => ({ ...c, status: c.status === "D" ? "removed" : (c.status === "A" ? "restored" : "reverted") })) };
+  }
+
+  // Deletes the job's snapshot refs (e.g. on worktree cleanup) so their objects can be garbage-collected.
+  async drop(jobId, repoRoot, { signal = null } = {}) {
+    const refs = await git(["for-each-ref", "--format=%(refname)", `refs/ddalggak/snapshots/${jobId}/`], repoRoot, { signal });
+    const names = String(refs.stdout || "").split("\n").map((s) => s.trim()).filter(Boolean);
+    for (const name of names) await git(["update-ref", "-d", name], repoRoot, { signal });
+    return names.length;
+  }
+}
+
+export function formatSnapshotLine(row, stat = "") {
+  const when = String(row.at || "").slice(0, 16).replace("T", " ");
+  const who = row.label === "rollback" ? "rollback" : `@${row.agent || "agent"}`;
+  return `#${row.step} ${when} ${who}${stat ? ` — ${stat}` : ""}${row.prompt ? `\n   ${row.prompt.slice(0, 160)}` : ""}`;
+}
+
+// decisions.md entry for a rollback attempt to `target` (a snapshot row; may be null when it was not found).
+export function formatRollbackDecision(result, { target = null, step = target?.step, by = "" } = {}) {
+  if (!result.ok) {
+    return [`## rollback failed`, `- to: #${step}`, `- by: ${by}`, `- error: ${String(result.error || "").split("\n")[0]}`].join("\n");
+  }
+  const changes = Array.isArray(result.changes) ? result.changes : [];
+  return [
+    "## rollback",
+    `- to: #${step} (${target?.label === "rollback" ? "rollback" : `@${target?.agent || "agent"}`} @ ${target?.at || "-"})`,
+    ...(target?.prompt ? [`- prompt: ${target.prompt}`] : []),
+    `- by: ${by}`,
+    `- undo: #${result.safety.step}`,
+    `- files (${changes.length}):`,
+    ...changes.map((c) => `  - ${c.status} ${c.path}`),
+  ].join("\n");
+}
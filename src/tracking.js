@@ -7,6 +7,13 @@ export class Tracking {
   constructor(jobs, opts = {}) {
     this.jobs = jobs;
     this.appendHook = typeof opts.appendHook === "function" ? opts.appendHook : null;
+    this.redact = typeof opts.redact === "function" ? opts.redact : null;
+  }
+
+  // redact(text) -> text, applied to every appended chunk before it is written or handed to the hook.
+  setRedactor(redact) {
+    this.redact = typeof redact === "function" ? redact : null;
+    return this.redact;
   }
 
   setAppendHook(hook) {
@@ -38,6 +45,10 @@ export class Tracking {
     return names;
   }
 
+  list(jobId) {
+    return fs.readdirSync(this._sharedDir(jobId)).filter((name) => SAFE_DOC_RE.test(name)).sort();
+  }
+
   read(jobId, name) {
     name = this._validateName(name);
     const p = path.join(this._sharedDir(jobId), name);
@@ -49,6 +60,7 @@ export class Tracking {
     name = this._validateName(name);
     const p = path.join(this._sharedDir(jobId), name);
     if (!fs.existsSync(p)) throw new Error(`Doc not found: ${name}`);
+    if (this.redact) markdown = this.redact(String(markdown));
     const prefix = timestamp ? `\n\n---\n\n**${new Date().toISOString()}**\n\n` : "\n\n";
     const chunk = prefix + markdown;
     fs.appendFileSync(p, chunk, "utf8");
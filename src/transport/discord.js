@@ -0,0 +1,290 @@
+import { EventEmitter } from "node:events";
+import { RecentMap, keyboardRows, openWebSocket, prefixedId, splitChatId, splitText } from "./index.js";
+
+const API_BASE = "https://discord.com/api/v10";
+const PREFIX = "discord";
+const CONTENT_MAX = 2000;
+const RECONNECT_MAX_MS = 30000;
+// GUILDS | GUILD_MESSAGES | DIRECT_MESSAGES | MESSAGE_CONTENT
+const INTENTS = (1 << 0) | (1 << 9) | (1 << 12) | (1 << 15);
+// Close codes after which identifying again cannot succeed.
+const FATAL_CLOSE_CODES = new Set([4004, 4010, 4011, 4012, 4013, 4014]);
+
+const OP = {
+  DISPATCH: 0,
+  HEARTBEAT: 1,
+  IDENTIFY: 2,
+  RESUME: 6,
+  RECONNECT: 7,
+  INVALID_SESSION: 9,
+  HELLO: 10,
+  HEARTBEAT_ACK: 11,
+};
+
+function buildComponents(replyMarkup) {
+  const rows = keyboardRows(replyMarkup);
+  if (rows.length === 0) return [];
+  // Discord allows 5 rows x 5 buttons.
+  const flat = [];
+  for (const row of rows) {
+    for (let i = 0; i < row.length; i += 5) flat.push(row.slice(i, i + 5));
+  }
+  return flat.slice(0, 5).map((row) => ({
+    type: 1,
+    components: row.map((btn) => (btn.url
+      ? { type: 2, style: 5, label: btn.text.slice(0, 80), url: btn.url }
+      : { type: 2, style: 2, label: btn.text.slice(0, 80), custom_id: btn.data.slice(0, 100) })),
+  }));
+}
+
+// Discord gateway (websocket) for incoming messages/button clicks, REST for outgoing messages.
+export class DiscordTransport extends EventEmitter {
+  constructor({ token } = {}) {
+    super();
+    if (!token) throw new Error("Discord transport needs DISCORD_BOT_TOKEN");
+    this.kind = "discord";
+    this.prefix = PREFIX;
+    this.maxTextLength = 1900;
+    this.token = token;
+    this.socket = null;
+    this.stopped = true;
+    this.seq = null;
+    this.sessionId = "";
+    this.resumeUrl = "";
+    this.applicationId = "";
+    this.botUserId = "";
+    this.heartbeatTimer = null;
+    this.awaitingAck = false;
+    this.retryMs = 1000;
+    this.interactions = new RecentMap(500);
+  }
+
+  async _api(method, route, body = undefined) {
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const res = await fetch(`${API_BASE}${route}`, {
+        method,
+        headers: { authorization: `Bot ${this.token}`, "content-type": "application/json" },
+        body: body === undefined ? undefined : JSON.stringify(body),
+      });
+      if (res.status === 429 && attempt === 0) {
+        const info = await res.json().catch(() => ({}));
+        await new Promise((resolve) => setTimeout(resolve, Math.ceil((Number(info.retry_after) || 1) * 1000)));
+        continue;
+      }
+      if (res.status === 204) return {};
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(`discord ${method} ${route} failed: ${res.status} ${data.message || ""}`.trim());
+      return data;
+    }
+    throw new Error(`discord ${method} ${route} failed: rate limited`);
+  }
+
+  async start() {
+    this.stopped = false;
+    const gateway = await this._api("GET", "/gateway/bot");
+    this.gatewayUrl = String(gateway.url || "wss://gateway.discord.gg");
+    await this._connect();
+  }
+
+  async stop() {
+    this.stopped = true;
+    this._stopHeartbeat();
+    try { this.socket?.close(1000); } catch {}
+    this.socket = null;
+  }
+
+  async _connect() {
+    if (this.stopped) return;
+    const base = this.sessionId && this.resumeUrl ? this.resumeUrl : this.gatewayUrl;
+    const socket = await openWebSocket(`${base}/?v=10&encoding=json`);
+    this.socket = socket;
+    socket.addEventListener("message", (event) => this._onFrame(String(event.data)));
+    socket.addEventListener("error", (event) => this._error(event?.error || new Error("discord socket error")));
+    socket.addEventListener("close", (event) => {
+      if (this.socket === socket) this.socket = null;
+      this._stopHeartbeat();
+      const code = Number(event?.code);
+      if (FATAL_CLOSE_CODES.has(code)) {
+        this._error(new Error(`discord gateway closed (code=${code}); not reconnecting`));
+        return;
+      }
+      this._scheduleReconnect();
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    const wait = this.retryMs;
+    this.retryMs = Math.min(RECONNECT_MAX_MS, this.retryMs * 2);
+    setTimeout(() => { void this._connect(); }, wait).unref?.();
+  }
+
+  _send(op, d) {
+    try { this.socket?.send(JSON.stringify({ op, d })); } catch {}
+  }
+
+  _startHeartbeat(intervalMs) {
+    this._stopHeartbeat();
+    this.awaitingAck = false;
+    this.heartbeatTimer = setInterval(() => {
+      // No ACK since the last beat: the connection is a zombie, drop it and resume.
+      if (this.awaitingAck) {
+        try { this.socket?.close(4000); } catch {}
+        return;
+      }
+      this.awaitingAck = true;
+      this._send(OP.HEARTBEAT, this.seq);
+    }, intervalMs);
+    this.heartbeatTimer.unref?.();
+  }
+
+  _stopHeartbeat() {
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+
+  _error(error) {
+    const e = error instanceof Error ? error : new Error(String(error));
+    e.code = e.code || "DISCORD";
+    this.emit("polling_error", e);
+  }
+
+  _identify() {
+    if (this.sessionId) {
+      this._send(OP.RESUME, { token: this.token, session_id: this.sessionId, seq: this.seq });
+      return;
+    }
+    this._send(OP.IDENTIFY, {
+      token: this.token,
+      intents: INTENTS,
+      properties: { os: process.platform, browser: "ddalggak", device: "ddalggak" },
+    });
+  }
+
+  _onFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (frame.s != null) this.seq = frame.s;
+    switch (frame.op) {
+      case OP.HELLO:
+        this._startHeartbeat(Number(frame.d?.heartbeat_interval) || 41250);
+        this._identify();
+        return;
+      case OP.HEARTBEAT:
+        this._send(OP.HEARTBEAT, this.seq);
+        return;
+      case OP.HEARTBEAT_ACK:
+        this.awaitingAck = false;
+        return;
+      case OP.RECONNECT:
+        try { this.socket?.close(4000); } catch {}
+        return;
+      case OP.INVALID_SESSION:
+        if (!frame.d) {
+          this.sessionId = "";
+          this.seq = null;
+        }
+        setTimeout(() => this._identify(), 1000 + Math.floor(Math.random() * 4000)).unref?.();
+        return;
+      case OP.DISPATCH:
+        this._onDispatch(frame.t, frame.d || {});
+        return;
+      default:
+    }
+  }
+
+  _onDispatch(type, d) {
+    if (type === "READY") {
+      this.retryMs = 1000;
+      this.sessionId = String(d.session_id || "");
+      this.resumeUrl = String(d.resume_gateway_url || "");
+      this.applicationId = String(d.application?.id || "");
+      this.botUserId = String(d.user?.id || "");
+      return;
+    }
+    if (type === "RESUMED") {
+      this.retryMs = 1000;
+      return;
+    }
+    if (type === "MESSAGE_CREATE") {
+      if (d.author?.bot || !d.author?.id) return;
+      let text = String(d.content || "");
+      let mentioned = false;
+      if (this.botUserId) {
+        const mentionRe = new RegExp(`<@!?${this.botUserId}>`, "g");
+        if (mentionRe.test(text)) {
+          text = text.replace(mentionRe, " ").replace(/\s+/g, " ").trim();
+          mentioned = true;
+        }
+      }
+      this.emit("message", {
+        message_id: String(d.id),
+        date: Math.floor(Date.parse(d.timestamp || "") / 1000) || Math.floor(Date.now() / 1000),
+        chat: { id: prefixedId(PREFIX, d.channel_id), type: d.guild_id ? "group" : "private", title: String(d.channel_id) },
+        from: { id: prefixedId(PREFIX, d.author.id), username: String(d.author.username || "") },
+        text,
+        mentioned,
+      });
+      return;
+    }
+    // type 3 = message component (button click)
+    if (type === "INTERACTION_CREATE" && Number(d.type) === 3) {
+      const user = d.member?.user || d.user || {};
+      const callbackId = prefixedId(PREFIX, d.id);
+      this.interactions.set(callbackId, { token: d.token });
+      // Discord fails the click unless it is acknowledged within 3s; the runner may answer later or not at all.
+      void this._api("POST", `/interactions/${d.id}/${d.token}/callback`, { type: 6 }).catch((e) => this._error(e));
+      this.emit("callback_query", {
+        id: callbackId,
+        data: String(d.data?.custom_id || ""),
+        from: { id: prefixedId(PREFIX, user.id || ""), username: String(user.username || "") },
+        message: {
+          message_id: String(d.message?.id || ""),
+          chat: { id: prefixedId(PREFIX, d.channel_id) },
+        },
+      });
+    }
+  }
+
+  async sendMessage(chatId, text, opts = {}) {
+    const channel = splitChatId(chatId).id;
+    const parts = splitText(String(text ?? "") || "(empty)", CONTENT_MAX);
+    const replyTo = opts.reply_parameters?.message_id || opts.reply_to_message_id;
+    let last = null;
+    for (let i = 0; i < parts.length; i += 1) {
+      const isLast = i === parts.length - 1;
+      last = await this._api("POST", `/channels/${channel}/messages`, {
+        content: parts[i],
+        ...(isLast ? { components: buildComponents(opts.reply_markup) } : {}),
+        ...(i === 0 && replyTo ? { message_reference: { message_id: String(replyTo), fail_if_not_exists: false } } : {}),
+        allowed_mentions: { parse: [] },
+      });
+    }
+    return { message_id: String(last?.id || ""), chat: { id: chatId } };
+  }
+
+  async editMessageText(text, opts = {}) {
+    const channel = splitChatId(opts.chat_id).id;
+    const content = String(text ?? "");
+    await this._api("PATCH", `/channels/${channel}/messages/${opts.message_id}`, {
+      content: content.length > CONTENT_MAX ? `${content.slice(0, CONTENT_MAX - 20)}\n…(truncated)…` : content,
+      components: buildComponents(opts.reply_markup),
+    });
+    return true;
+  }
+
+  // Click is already acknowledged on receipt; a toast text becomes an ephemeral follow-up.
+  async answerCallbackQuery(callbackId, opts = {}) {
+    const ctx = this.interactions.get(callbackId);
+    this.interactions.delete(callbackId);
+    if (!ctx || !opts?.text || !this.applicationId) return true;
+    try {
+      await this._api("POST", `/webhooks/${this.applicationId}/${ctx.token}`, { content: String(opts.text), flags: 64 });
+    } catch {}
+    return true;
+  }
+}
@@ -0,0 +1,173 @@
+// Chat transports share the Telegram bot surface the runner was written against:
+//   sendMessage(chatId, text, { reply_markup: { inline_keyboard }, reply_to_message_id })
+//   editMessageText(text, { chat_id, message_id, reply_markup })
+//   answerCallbackQuery(callbackId, { text })
+//   on("message" | "callback_query" | "polling_error", handler)
+// Telegram chat ids stay as-is; other platforms prefix theirs ("slack:C123", "discord:123")
+// so one process can serve several platforms without id collisions.
+
+const DEFAULT_MAX_TEXT = 3800;
+const START_RETRY_MS = 5000;
+const START_RETRY_MAX_MS = 5 * 60 * 1000;
+
+export function splitChatId(chatId) {
+  const raw = String(chatId ?? "");
+  const m = raw.match(/^([a-z]+):(.+)$/);
+  return m ? { prefix: m[1], id: m[2] } : { prefix: "", id: raw };
+}
+
+export function prefixedId(prefix, id) {
+  return prefix ? `${prefix}:${id}` : String(id);
+}
+
+// Flattens Telegram inline_keyboard rows into [{ text, data, url }] rows.
+export function keyboardRows(replyMarkup) {
+  const rows = Array.isArray(replyMarkup?.inline_keyboard) ? replyMarkup.inline_keyboard : [];
+  return rows
+    .map((row) => (Array.isArray(row) ? row : [])
+      .map((btn) => ({
+        text: String(btn?.text || "").trim() || "•",
+        data: btn?.callback_data ? String(btn.callback_data) : "",
+        url: String(btn?.url || btn?.web_app?.url || ""),
+      }))
+      .filter((btn) => btn.data || btn.url))
+    .filter((row) => row.length > 0);
+}
+
+export function splitText(text, size) {
+  const s = String(text ?? "");
+  if (s.length <= size) return [s];
+  const out = [];
+  for (let i = 0; i < s.length; i += size) out.push(s.slice(i, i + size));
+  return out;
+}
+
+// Node 22+ ships WebSocket; older runtimes use the "ws" package (same addEventListener API).
+export async function openWebSocket(url) {
+  const WebSocketImpl = globalThis.WebSocket || (await import("ws")).default;
+  return new WebSocketImpl(url);
+}
+
+// Small bounded map for ids we must remember briefly (callback ids, seen event ids).
+export class RecentMap extends Map {
+  constructor(limit = 500) {
+    super();
+    this.limit = limit;
+  }
+
+  set(key, value) {
+    super.set(key, value);
+    while (this.size > this.limit) this.delete(this.keys().next().value);
+    return this;
+  }
+}
+
+export class TransportHub {
+  constructor(transports = []) {
+    this.byPrefix = new Map();
+    this.handlers = [];
+    this.redact = (text) => text;
+    this.startTimers = new Set();
+    this.stopped = false;
+    for (const transport of transports) this.add(transport);
+  }
+
+  add(transport) {
+    this.byPrefix.set(transport.prefix || "", transport);
+    for (const [event, handler] of this.handlers) transport.on(event, handler);
+    return transport;
+  }
+
+  // redact(text) -> text, applied to every outgoing text (messages, edits, callback toasts, captions).
+  setRedactor(redact) {
+    this.redact = typeof redact === "function" ? redact : (text) => text;
+    return this;
+  }
+
+  get kinds() {
+    return Array.from(this.byPrefix.values()).map((t) => t.kind);
+  }
+
+  _for(chatOrCallbackId) {
+    const { prefix } = splitChatId(chatOrCallbackId);
+    const transport = this.byPrefix.get(prefix);
+    if (!transport) throw new Error(`no transport for chat ${chatOrCallbackId}`);
+    return transport;
+  }
+
+  maxTextLength(chatId) {
+    try {
+      return this._for(chatId).maxTextLength || DEFAULT_MAX_TEXT;
+    } catch {
+      return DEFAULT_MAX_TEXT;
+    }
+  }
+
+  on(event, handler) {
+    this.handlers.push([event, handler]);
+    for (const transport of this.byPrefix.values()) transport.on(event, handler);
+    return this;
+  }
+
+  sendMessage(chatId, text, opts = {}) {
+    return this._for(chatId).sendMessage(chatId, this.redact(String(text ?? "")), opts);
+  }
+
+  editMessageText(text, opts = {}) {
+    return this._for(opts.chat_id).editMessageText(this.redact(String(text ?? "")), opts);
+  }
+
+  answerCallbackQuery(callbackId, opts = {}) {
+    const safe = opts?.text ? { ...opts, text: this.redact(String(opts.text)) } : opts;
+    return this._for(callbackId).answerCallbackQuery(callbackId, safe);
+  }
+
+  sendDocument(chatId, doc, opts = {}, fileOpts = {}) {
+    const transport = this._for(chatId);
+    if (opts?.caption) opts = { ...opts, caption: this.redact(String(opts.caption)) };
+    if (typeof transport.sendDocument !== "function") {
+      return transport.sendMessage(chatId, `${opts?.caption || ""}\n(file: ${typeof doc === "string" ? doc : "attachment"})`.trim());
+    }
+    return transport.sendDocument(chatId, doc, opts, fileOpts);
+  }
+
+  async getMe() {
+    const telegram = this.byPrefix.get("");
+    return telegram ? await telegram.getMe() : null;
+  }
+
+  // A platform that cannot come up (bad token, API outage) must not take the others down with it: its failure
+  // is reported as a polling_error and start() is retried with backoff, like the transports' own reconnects.
+  async start() {
+    this.stopped = false;
+    for (const transport of this.byPrefix.values()) await this._start(transport, START_RETRY_MS);
+  }
+
+  async _start(transport, retryMs) {
+    if (this.stopped) return;
+    try {
+      await transport.start();
+    } catch (error) {
+      const e = error instanceof Error ? error : new Error(String(error));
+      e.message = `${transport.kind || "transport"} start failed (retry in ${Math.round(retryMs / 1000)}s): ${e.message}`;
+      e.code = e.code || `${String(transport.kind || "transport").toUpperCase()}_START`;
+      transport.emit("polling_error", e);
+      const timer = setTimeout(() => {
+        this.startTimers.delete(timer);
+        void this._start(transport, Math.min(START_RETRY_MAX_MS, retryMs * 2));
+      }, retryMs);
+      this.startTimers.add(timer);
+    }
+  }
+
+  async stop() {
+    this.stopped = true;
+    for (const timer of this.startTimers) clearTimeout(timer);
+    this.startTimers.clear();
+    for (const transport of this.byPrefix.values()) {
+      try {
+        await transport.stop();
+      } catch {}
+    }
+  }
+}
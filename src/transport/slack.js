@@ -0,0 +1,234 @@
+import { EventEmitter } from "node:events";
+import { RecentMap, keyboardRows, openWebSocket, prefixedId, splitChatId, splitText } from "./index.js";
+
+const API_BASE = "https://slack.com/api";
+const PREFIX = "slack";
+const SECTION_MAX = 2900;
+const MAX_BLOCKS = 45;
+const RECONNECT_MAX_MS = 30000;
+
+function decodeSlackText(text) {
+  return String(text || "")
+    .replace(/<(https?:[^|>]+)\|([^>]+)>/g, "$2 ($1)")
+    .replace(/<(https?:[^>]+)>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+}
+
+function buildBlocks(text, replyMarkup) {
+  const rows = keyboardRows(replyMarkup);
+  if (rows.length === 0) return undefined;
+  const blocks = splitText(text, SECTION_MAX)
+    .filter((part) => part.trim())
+    .map((part) => ({ type: "section", text: { type: "plain_text", text: part, emoji: true } }));
+  rows.forEach((row, rowIdx) => {
+    blocks.push({
+      type: "actions",
+      elements: row.slice(0, 25).map((btn, idx) => (btn.url
+        ? { type: "button", text: { type: "plain_text", text: btn.text.slice(0, 75) }, url: btn.url, action_id: `link_${rowIdx}_${idx}` }
+        : { type: "button", text: { type: "plain_text", text: btn.text.slice(0, 75) }, value: btn.data, action_id: `cb_${rowIdx}_${idx}` })),
+    });
+  });
+  return blocks.slice(-MAX_BLOCKS);
+}
+
+// Slack Socket Mode: events arrive over a websocket opened with the app-level token (xapp-…),
+// messages are sent with the bot token (xoxb-…) through the Web API.
+export class SlackTransport extends EventEmitter {
+  constructor({ appToken, botToken } = {}) {
+    super();
+    if (!appToken || !botToken) throw new Error("Slack transport needs SLACK_APP_TOKEN and SLACK_BOT_TOKEN");
+    this.kind = "slack";
+    this.prefix = PREFIX;
+    this.maxTextLength = 3800;
+    this.appToken = appToken;
+    this.botToken = botToken;
+    this.botUserId = "";
+    this.socket = null;
+    this.stopped = true;
+    this.retryMs = 1000;
+    this.callbacks = new RecentMap(500);
+    this.seenEvents = new RecentMap(500);
+    this.nextCallbackId = 1;
+  }
+
+  async _api(method, args = {}, token = this.botToken) {
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      const res = await fetch(`${API_BASE}/${method}`, {
+        method: "POST",
+        headers: { authorization: `Bearer ${token}`, "content-type": "application/json; charset=utf-8" },
+        body: JSON.stringify(args),
+      });
+      if (res.status === 429 && attempt === 0) {
+        const waitSec = Number(res.headers.get("retry-after")) || 1;
+        await new Promise((resolve) => setTimeout(resolve, waitSec * 1000));
+        continue;
+      }
+      const body = await res.json().catch(() => ({}));
+      if (!body.ok) throw new Error(`slack ${method} failed: ${body.error || res.status}`);
+      return body;
+    }
+    throw new Error(`slack ${method} failed: rate limited`);
+  }
+
+  async start() {
+    this.stopped = false;
+    const auth = await this._api("auth.test");
+    this.botUserId = String(auth.user_id || "");
+    await this._connect();
+  }
+
+  async stop() {
+    this.stopped = true;
+    try { this.socket?.close(); } catch {}
+    this.socket = null;
+  }
+
+  async _connect() {
+    if (this.stopped) return;
+    let url = "";
+    try {
+      url = (await this._api("apps.connections.open", {}, this.appToken)).url;
+    } catch (e) {
+      this._error(e);
+      this._scheduleReconnect();
+      return;
+    }
+    const socket = await openWebSocket(url);
+    this.socket = socket;
+    socket.addEventListener("open", () => { this.retryMs = 1000; });
+    socket.addEventListener("message", (event) => { void this._onFrame(String(event.data)); });
+    socket.addEventListener("error", (event) => this._error(event?.error || new Error("slack socket error")));
+    socket.addEventListener("close", () => {
+      if (this.socket === socket) this.socket = null;
+      this._scheduleReconnect();
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    const wait = this.retryMs;
+    this.retryMs = Math.min(RECONNECT_MAX_MS, this.retryMs * 2);
+    setTimeout(() => { void this._connect(); }, wait).unref?.();
+  }
+
+  _error(error) {
+    const e = error instanceof Error ? error : new Error(String(error));
+    e.code = e.code || "SLACK";
+    this.emit("polling_error", e);
+  }
+
+  async _onFrame(raw) {
+    let frame;
+    try {
+      frame = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (frame.envelope_id) {
+      try { this.socket?.send(JSON.stringify({ envelope_id: frame.envelope_id })); } catch {}
+    }
+    if (frame.type === "disconnect") {
+      try { this.socket?.close(); } catch {}
+      return;
+    }
+    const payload = frame.payload || {};
+    if (frame.type === "events_api") this._onEvent(payload.event || {});
+    if (frame.type === "slash_commands") {
+      this._emitMessage({
+        channel: payload.channel_id,
+        user: payload.user_id,
+        text: `${payload.command || ""} ${payload.text || ""}`.trim(),
+        ts: `${Date.now() / 1000}`,
+        channelType: String(payload.channel_name || "") === "directmessage" ? "im" : "channel",
+        mentioned: true,
+      });
+    }
+    if (frame.type === "interactive" && payload.type === "block_actions") {
+      const action = (payload.actions || []).find((row) => row.value);
+      if (!action) return;
+      const channel = payload.channel?.id || payload.container?.channel_id || "";
+      const callbackId = prefixedId(PREFIX, `cb${this.nextCallbackId++}`);
+      this.callbacks.set(callbackId, { channel, user: payload.user?.id || "" });
+      this.emit("callback_query", {
+        id: callbackId,
+        data: String(action.value),
+        from: { id: prefixedId(PREFIX, payload.user?.id || ""), username: payload.user?.username || "" },
+        message: {
+          message_id: payload.message?.ts || payload.container?.message_ts || "",
+          chat: { id: prefixedId(PREFIX, channel) },
+        },
+      });
+    }
+  }
+
+  _onEvent(event) {
+    if (event.type !== "message" && event.type !== "app_mention") return;
+    if (event.bot_id || event.subtype || !event.user || event.user === this.botUserId) return;
+    // With both message.* and app_mention subscriptions Slack delivers mentions twice.
+    const key = `${event.channel}:${event.ts}`;
+    if (this.seenEvents.has(key)) return;
+    this.seenEvents.set(key, true);
+    this._emitMessage({
+      channel: event.channel,
+      user: event.user,
+      text: event.text,
+      ts: event.ts,
+      threadTs: event.thread_ts,
+      channelType: event.channel_type || (event.type === "app_mention" ? "channel" : ""),
+      mentioned: event.type === "app_mention",
+    });
+  }
+
+  _emitMessage({ channel, user, text, ts, channelType, mentioned = false }) {
+    let clean = decodeSlackText(text);
+    const mentionRe = this.botUserId ? new RegExp(`<@${this.botUserId}>`, "g") : null;
+    if (mentionRe && mentionRe.test(clean)) {
+      clean = clean.replace(mentionRe, " ").replace(/\s+/g, " ").trim();
+      mentioned = true;
+    }
+    this.emit("message", {
+      message_id: ts,
+      date: Math.floor(Number(ts) || Date.now() / 1000),
+      chat: { id: prefixedId(PREFIX, channel), type: channelType === "im" ? "private" : "group", title: channel },
+      from: { id: prefixedId(PREFIX, user) },
+      text: clean,
+      mentioned,
+    });
+  }
+
+  async sendMessage(chatId, text, opts = {}) {
+    const channel = splitChatId(chatId).id;
+    const threadTs = opts.reply_parameters?.message_id || opts.reply_to_message_id;
+    const r = await this._api("chat.postMessage", {
+      channel,
+      text: String(text ?? ""),
+      blocks: buildBlocks(String(text ?? ""), opts.reply_markup),
+      ...(threadTs ? { thread_ts: String(threadTs) } : {}),
+      unfurl_links: false,
+    });
+    return { message_id: r.ts, chat: { id: chatId } };
+  }
+
+  async editMessageText(text, opts = {}) {
+    await this._api("chat.update", {
+      channel: splitChatId(opts.chat_id).id,
+      ts: String(opts.message_id),
+      text: String(text ?? ""),
+      blocks: buildBlocks(String(text ?? ""), opts.reply_markup) || [],
+    });
+    return true;
+  }
+
+  // Slack has no callback toast; short notes go out as an ephemeral message to the clicking user.
+  async answerCallbackQuery(callbackId, opts = {}) {
+    const ctx = this.callbacks.get(callbackId);
+    this.callbacks.delete(callbackId);
+    if (!ctx || !opts?.text) return true;
+    try {
+      await this._api("chat.postEphemeral", { channel: ctx.channel, user: ctx.user, text: String(opts.text) });
+    } catch {}
+    return true;
+  }
+}
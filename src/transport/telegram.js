@@ -0,0 +1,47 @@
+import TelegramBot from "node-telegram-bot-api";
+
+// Thin wrapper: the runner's message/callback shapes are Telegram's own, so everything passes through.
+export class TelegramTransport {
+  constructor(token, options = {}) {
+    this.kind = "telegram";
+    this.prefix = "";
+    this.maxTextLength = 3800;
+    this.bot = new TelegramBot(token, options);
+  }
+
+  on(event, handler) {
+    this.bot.on(event, handler);
+  }
+
+  emit(event, ...args) {
+    return this.bot.emit(event, ...args);
+  }
+
+  sendMessage(chatId, text, opts = {}) {
+    return this.bot.sendMessage(chatId, text, opts);
+  }
+
+  editMessageText(text, opts = {}) {
+    return this.bot.editMessageText(text, opts);
+  }
+
+  answerCallbackQuery(callbackId, opts = {}) {
+    return this.bot.answerCallbackQuery(callbackId, opts);
+  }
+
+  sendDocument(chatId, doc, opts = {}, fileOpts = {}) {
+    return this.bot.sendDocument(chatId, doc, opts, fileOpts);
+  }
+
+  getMe() {
+    return this.bot.getMe();
+  }
+
+  start() {
+    return this.bot.startPolling({ restart: true });
+  }
+
+  stop() {
+    return this.bot.stopPolling({ cancel: true });
+  }
+}
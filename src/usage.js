@@ -0,0 +1,161 @@
+import fs from "node:fs";
+import path from "node:path";
+
+function toCount(raw) {
+  if (raw == null || raw === "") return null;
+  const n = Number(String(raw).replace(/,/g, ""));
+  return Number.isFinite(n) && n >= 0 ? Math.floor(n) : null;
+}
+
+function lastMatch(text, re) {
+  let found = null;
+  for (const m of text.matchAll(re)) found = m;
+  return found;
+}
+
+// Best-effort token/model extraction from provider CLI output. Each CLI reports differently (or not at all):
+//   codex exec   → "model: gpt-5-codex" header and a trailing "tokens used: 12,345" (or "tokens used\n12,345")
+//   JSON outputs → input_tokens/output_tokens/total_tokens, prompt_tokens/completion_tokens,
+//                  promptTokenCount/candidatesTokenCount/totalTokenCount (Gemini API stats)
+// Missing values stay null so callers can tell "unknown" from zero.
+export function parseUsage({ stdout = "", stderr = "" } = {}) {
+  const text = `${stdout || ""}\n${stderr || ""}`;
+  const num = (re) => toCount(lastMatch(text, re)?.[1]);
+  const input = num(/["']?(?:input_tokens|prompt_tokens|promptTokenCount)["']?\s*[:=]\s*([\d,]+)/gi);
+  const output = num(/["']?(?:output_tokens|completion_tokens|candidatesTokenCount)["']?\s*[:=]\s*([\d,]+)/gi);
+  let total = num(/["']?(?:total_tokens|totalTokenCount)["']?\s*[:=]\s*([\d,]+)/gi);
+  if (total == null) total = num(/tokens used[:\s]*([\d,]+)/gi);
+  if (total == null && input != null && output != null) total = input + output;
+  const model = lastMatch(text, /^\s*model:\s*([A-Za-z0-9._:/-]+)\s*$/gim)?.[1]
+    || lastMatch(text, /["']model["']\s*:\s*["']([^"']+)["']/g)?.[1]
+    || null;
+  return { input_tokens: input, output_tokens: output, total_tokens: total, model };
+}
+
+function emptyTotals() {
+  return { calls: 0, failed: 0, duration_ms: 0, input_tokens: 0, output_tokens: 0, total_tokens: 0, calls_with_tokens: 0 };
+}
+
+function addRow(totals, row) {
+  totals.calls += 1;
+  if (!row.ok) totals.failed += 1;
+  totals.duration_ms += Number(row.duration_ms) || 0;
+  if (row.total_tokens != null) {
+    totals.calls_with_tokens += 1;
+    totals.input_tokens += Number(row.input_tokens) || 0;
+    totals.output_tokens += Number(row.output_tokens) || 0;
+    totals.total_tokens += Number(row.total_tokens) || 0;
+  }
+}
+
+// { total, byAgent: { id: totals }, byProvider, byLabel } for rows from UsageLog.list().
+export function summarizeUsage(rows = []) {
+  const out = { total: emptyTotals(), byAgent: {}, byProvider: {}, byLabel: {} };
+  for (const row of rows) {
+    addRow(out.total, row);
+    for (const [bucket, key] of [["byAgent", row.agent], ["byProvider", row.provider], ["byLabel", row.label]]) {
+      const k = String(key || "-");
+      out[bucket][k] = out[bucket][k] || emptyTotals();
+      addRow(out[bucket][k], row);
+    }
+  }
+  return out;
+}
+
+export function formatUsageTotals(t) {
+  const secs = Math.round((Number(t.duration_ms) || 0) / 1000);
+  const time = secs >= 3600 ? `${(secs / 3600).toFixed(1)}h` : secs >= 60 ? `${Math.round(secs / 60)}m` : `${secs}s`;
+  const tokens = t.calls_with_tokens > 0
+    ? `${t.total_tokens.toLocaleString("en-US")} tok${t.calls_with_tokens < t.calls ? ` (${t.calls_with_tokens}/${t.calls} calls reported)` : ""}`
+    : "tokens n/a";
+  return `${t.calls} calls${t.failed ? ` (${t.failed} failed)` : ""}, ${time}, ${tokens}`;
+}
+
+function heaviest(entries) {
+  return entries.sort((a, b) => (b[1].total_tokens - a[1].total_tokens) || (b[1].duration_ms - a[1].duration_ms));
+}
+
+// Text report shared by /usage and `ddalggak usage`. summary: summarize() or summarizeAll() output.
+export function formatUsageReport(summary, { title = "📊 usage", labelJob = (id) => id, limit = 10 } = {}) {
+  if (!summary || summary.total.calls === 0) return `${title}\n(기록 없음)`;
+  const lines = [title, `- total: ${formatUsageTotals(summary.total)}`];
+  const section = (heading, entries) => {
+    if (entries.length === 0) return;
+    lines.push("", heading);
+    for (const [key, totals] of entries.slice(0, limit)) lines.push(`- ${key}: ${formatUsageTotals(totals)}`);
+    if (entries.length > limit) lines.push(`… 외 ${entries.length - limit}개`);
+  };
+  if (Array.isArray(summary.byJob)) {
+    section("jobs", heaviest(summary.byJob.map((row) => [labelJob(row.jobId), row.total])));
+  }
+  section("agents", heaviest(Object.entries(summary.byAgent)));
+  section("providers", heaviest(Object.entries(summary.byProvider)));
+  if (!Array.isArray(summary.byJob)) section("steps", heaviest(Object.entries(summary.byLabel)));
+  return lines.join("\n");
+}
+
+// One JSON line per provider call in <jobDir>/usage.jsonl.
+export class UsageLog {
+  constructor(jobs) {
+    this.jobs = jobs;
+  }
+
+  _file(jobId) {
+    return path.join(this.jobs.jobDir(jobId), "usage.jsonl");
+  }
+
+  // result: runCommand-style { ok, exitCode, stdout, stderr, durationMs }.
+  record(jobId, { agent = null, provider = null, model = null, label = "", prompt = "" } = {}, result = {}) {
+    const parsed = parseUsage(result);
+    const row = {
+      at: new Date().toISOString(),
+      agent: agent ? String(agent) : null,
+      provider: provider ? String(provider) : null,
+      model: parsed.model || (model ? String(model) : null),
+      label: String(label || ""),
+      ok: !!result.ok,
+      exit_code: Number.isFinite(Number(result.exitCode)) ? Number(result.exitCode) : null,
+      duration_ms: Number(result.durationMs) || 0,
+      input_tokens: parsed.input_tokens,
+      output_tokens: parsed.output_tokens,
+      total_tokens: parsed.total_tokens,
+      prompt_chars: String(prompt || "").length,
+      output_chars: String(result.stdout || "").length,
+    };
+    fs.appendFileSync(this._file(jobId), `${JSON.stringify(row)}\n`, "utf8");
+    return row;
+  }
+
+  list(jobId) {
+    const file = this._file(jobId);
+    if (!fs.existsSync(file)) return [];
+    return fs.readFileSync(file, "utf8")
+      .split("\n")
+      .filter(Boolean)
+      .map((line) => {
+        try {
+          return JSON.parse(line);
+        } catch {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  summarize(jobId) {
+    return summarizeUsage(this.list(jobId));
+  }
+
+  // Per-job summaries (jobs without usage are skipped) plus the combined summary.
+  summarizeAll({ includeArchived = false } = {}) {
+    const byJob = [];
+    const all = [];
+    for (const meta of this.jobs.list({ includeArchived })) {
+      const rows = this.list(meta.jobId);
+      if (rows.length === 0) continue;
+      all.push(...rows);
+      byJob.push({ jobId: meta.jobId, ...summarizeUsage(rows) });
+    }
+    return { byJob, ...summarizeUsage(all) };
+  }
+}
@@ -0,0 +1,100 @@
+import fs from "node:fs";
+import path from "node:path";
+import { runCommand } from "./proc.js";
+
+const GIT_TIMEOUT_MS = 120000;
+
+function git(args, cwd, signal = null) {
+  return runCommand("git", args, { cwd, timeoutMs: GIT_TIMEOUT_MS, abortSignal: signal });
+}
+
+function gitError(label, result) {
+  const details = String(result?.stderr || result?.stdout || "(no output)").trim();
+  return new Error(`${label} failed (exit=${result?.exitCode ?? -1})\n${details}`);
+}
+
+export function jobBranchName(jobId) {
+  const prefix = String(process.env.JOB_BRANCH_PREFIX || "ddalggak/").trim();
+  return `${prefix}${jobId}`;
+}
+
+export function jobWorktreePath(jobDir) {
+  return path.join(jobDir, "worktree");
+}
+
+export async function isGitRepo(root, signal = null) {
+  const r = await git(["rev-parse", "--is-inside-work-tree"], root, signal);
+  return r.ok && String(r.stdout || "").trim() === "true";
+}
+
+// Creates (or reuses) RUNS_DIR/runs/<jobId>/worktree checked out on the job branch.
+export async function ensureJobWorktree({ repoRoot, jobDir, jobId, signal = null }) {
+  const worktreePath = jobWorktreePath(jobDir);
+  const branch = jobBranchName(jobId);
+  if (fs.existsSync(path.join(worktreePath, ".git"))) {
+    return { path: worktreePath, branch, created: false };
+  }
+  if (!(await isGitRepo(repoRoot, signal))) {
+    throw new Error(`not a git repository: ${repoRoot}`);
+  }
+
+  const head = await git(["rev-parse", "HEAD"], repoRoot, signal);
+  if (!head.ok) throw gitError("git rev-parse HEAD", head);
+  const baseRef = String(head.stdout || "").trim();
+
+  const branchExists = (await git(["rev-parse", "--verify", "--quiet", `refs/heads/${branch}`], repoRoot, signal)).ok;
+  const args = branchExists
+    ? ["worktree", "add", worktreePath, branch]
+    : ["worktree", "add", "-b", branch, worktreePath, baseRef];
+  const added = await git(args, repoRoot, signal);
+  if (!added.ok) throw gitError("git worktree add", added);
+  return { path: worktreePath, branch, baseRef, created: true };
+}
+
+export async function worktreeStatus(worktreePath, signal = null) {
+  const r = await git(["status", "--porcelain=v1"], worktreePath, signal);
+  if (!r.ok) throw gitError("git status", r);
+  return String(r.stdout || "");
+}
+
+// Merges the job branch into whatever branch the main checkout has checked out.
+export async function mergeJobBranch({ repoRoot, worktreePath, branch, signal = null }) {
+  const pending = await worktreeStatus(worktreePath, signal);
+  if (pending.trim()) {
+    throw new Error(`worktree has uncommitted changes (commit them first with /commit):\n${pending.trim()}`);
+  }
+  // `git merge --abort` after a conflict resets the main checkout and can take local edits with it, so only
+  // merge into a clean one. Untracked files (e.g. RUNS_DIR) are left alone by both and don't count.
+  const local = await git(["status", "--porcelain=v1", "--untracked-files=no"], repoRoot, signal);
+  if (!local.ok) throw gitError("git status", local);
+  if (String(local.stdout || "").trim()) {
+    throw new Error(`main checkout has uncommitted changes (commit or stash them first):\n${String(local.stdout).trim()}`);
+  }
+  const target = await git(["rev-parse", "--abbrev-ref", "HEAD"], repoRoot, signal);
+  const merged = await git(["merge", "--no-ff", "--no-edit", branch], repoRoot, signal);
+  if (!merged.ok) {
+    await git(["merge", "--abort"], repoRoot);
+    throw gitError(`git merge ${branch}`, merged);
+  }
+  return {
+    target: String(target.stdout || "").trim() || "HEAD",
+    output: String(merged.stdout || merged.stderr || "").trim(),
+  };
+}
+
+export async function removeJobWorktree({ repoRoot, worktreePath, branch, force = false, signal = null }) {
+  const notes = [];
+  if (fs.existsSync(worktreePath)) {
+    const removed = await git(["worktree", "remove", ...(force ? ["--force"] : []), worktreePath], repoRoot, signal);
+    if (!removed.ok) throw gitError("git worktree remove", removed);
+    notes.push(`removed worktree ${worktreePath}`);
+  }
+  await git(["worktree", "prune"], repoRoot, signal);
+  if (branch) {
+    // -d refuses to drop unmerged work unless forced.
+    const deleted = await git(["branch", force ? "-D" : "-d", branch], repoRoot, signal);
+    if (!deleted.ok) throw gitError(`git branch ${force ? "-D" : "-d"} ${branch}`, deleted);
+    notes.push(`deleted branch ${branch}`);
+  }
+  return notes;
+}
@@ -2,15 +2,26 @@ import "dotenv/config";
 import fs from "node:fs";
 import path from "node:path";
 import process from "node:process";
-import TelegramBot from "node-telegram-bot-api";
 
 import { Workspace } from "./src/workspace.js";
 import { Jobs } from "./src/jobs.js";
 import { Tracking } from "./src/tracking.js";
-import { Approvals } from "./src/approvals.js";
+import { ApprovalPolicyError, Approvals } from "./src/approvals.js";
+import { QuotaExceededError } from "./src/quota.js";
+import { describeLimitHits, normalizeLimits } from "./src/limits.js";
+import { UsageLog, formatUsageReport, formatUsageTotals } from "./src/usage.js";
+import { ArtifactStore, formatBytes } from "./src/artifacts.js";
+import { ROLES, RoleStore, requiredRoleForAction, requiredRoleForApproval, requiredRoleForCallback, requiredRoleForCommand, roleAllows } from "./src/roles.js";
 import { runCommand } from "./src/proc.js";
-import { runCodexExec } from "./src/codex.js";
+import { commitSelected, formatChangeLine, formatCommitDecision, formatSecretFinding, hashChanges, listChanges, scanChanges } from "./src/commit.js";
+import { createSecretScanner } from "./src/secrets.js";
+import { SnapshotStore, formatRollbackDecision, formatSnapshotLine } from "./src/snapshots.js";
+import { EVENT_TYPES, EventLog, formatTimeline, summarizeEvents } from "./src/events.js";
+import { branchCommits, buildPrDescription, checkRemote, currentBranch, formatRemoteDecision, openPullRequest, pushBranch, remoteConfig } from "./src/remote.js";
+import { formatChecksFeedback, formatChecksMarkdown, readLastChecks, runConfiguredChecks } from "./src/checks.js";
+import { ensureJobWorktree, mergeJobBranch, removeJobWorktree } from "./src/worktree.js";
 import { runGeminiPrompt } from "./src/gemini.js";
+import { getProvider, listProviders, normalizeProvider, providerCapabilities, resolveProviderId } from "./src/providers.js";
 import { OrchestratorMemory } from "./src/settings.js";
 import { orchestratorNotes, buildChatGPTNextStepPrompt } from "./src/prompts.js";
 import { clip, chunk, extractCodexInstruction, extractJsonPlan } from "./src/textutil.js";
@@ -29,25 +40,57 @@ import {
   ensureToolsThread,
   ensureGlobalThread,
   normalizeJobConfig as normalizeSupervisorJobConfig,
+  loadLocalJobConfig,
   appendTrackingChunkToGoc,
 } from "./src/goc_mapping.js";
 import { ChatSessionStore } from "./src/chat/session.js";
+import { QueueStore } from "./src/queue_store.js";
+import { ScheduleStore, nextCronRun, startScheduler } from "./src/scheduler.js";
+import { HttpError, createHeadlessBot, startHttpApi } from "./src/http_api.js";
+import { TransportHub } from "./src/transport/index.js";
+import { TelegramTransport } from "./src/transport/telegram.js";
+import { SlackTransport } from "./src/transport/slack.js";
+import { DiscordTransport } from "./src/transport/discord.js";
 import { routeWithSupervisor } from "./src/chat/supervisor_router.js";
 import { executeSupervisorActions } from "./src/chat/executor.js";
+import { approvalPolicyFor } from "./src/chat/actions.js";
 import { expandDetailContext } from "./src/chat/unfold.js";
 import { ChatRunManager } from "./src/chat/run_manager.js";
 
 const TOKEN = process.env.TELEGRAM_BOT_TOKEN;
-if (!TOKEN) { console.error("Missing TELEGRAM_BOT_TOKEN"); process.exit(1); }
+const SLACK_APP_TOKEN = String(process.env.SLACK_APP_TOKEN || "").trim();
+const SLACK_BOT_TOKEN = String(process.env.SLACK_BOT_TOKEN || "").trim();
+const DISCORD_BOT_TOKEN = String(process.env.DISCORD_BOT_TOKEN || "").trim();
+if (!TOKEN && !(SLACK_APP_TOKEN && SLACK_BOT_TOKEN) && !DISCORD_BOT_TOKEN) {
+  console.error("Missing TELEGRAM_BOT_TOKEN (or SLACK_APP_TOKEN+SLACK_BOT_TOKEN / DISCORD_BOT_TOKEN)");
+  process.exit(1);
+}
 
 const FENCE = "```";
 
 const workspace = new Workspace();
+// Masks secrets in everything that leaves the process: tracking docs (and their GoC copies), the conversation
+// log, chat messages (see bot.setRedactor) and PR descriptions.
+const secrets = createSecretScanner();
 const jobs = new Jobs(workspace);
-const tracking = new Tracking(jobs);
-const approvals = new Approvals(jobs);
-
-const ALLOWED_USERS = (process.env.TELEGRAM_ALLOWED_USER_IDS ?? "").split(",").map(s => s.trim()).filter(Boolean);
+jobs.setRedactor(secrets.redactText);
+const tracking = new Tracking(jobs, { redact: secrets.redactText });
+const approvals = new Approvals(jobs, { ttlSec: APPROVAL_TTL_SEC });
+const usage = new UsageLog(jobs);
+const artifacts = new ArtifactStore(jobs);
+const snapshots = new SnapshotStore(jobs);
+const events = new EventLog(jobs, { redact: secrets.redactText });
+
+// Slack/Discord user ids are listed with their prefix, e.g. "slack:U0123,discord:4567".
+// The older allowlists (TELEGRAM_ALLOWED_USER_IDS / ALLOWED_USER_IDS) grant admin.
+function envIds(...names) {
+  return names.map((name) => process.env[name] || "").join(",").split(",").map(s => s.trim()).filter(Boolean);
+}
+const roleSeed = {};
+for (const id of envIds("VIEWER_USER_IDS")) roleSeed[id] = "viewer";
+for (const id of envIds("OPERATOR_USER_IDS")) roleSeed[id] = "operator";
+for (const id of envIds("ADMIN_USER_IDS", "TELEGRAM_ALLOWED_USER_IDS", "ALLOWED_USER_IDS")) roleSeed[id] = "admin";
+const roles = new RoleStore({ baseDir: jobs.baseDir, seed: roleSeed, defaultRole: process.env.DEFAULT_ROLE });
 const MAX_CONCURRENCY = Number(process.env.MAX_CONCURRENCY ?? 1);
 const AUTO_SUGGEST_ENABLED = String(process.env.AUTO_SUGGEST_GPT_PROMPT ?? "true").toLowerCase() !== "false";
 const CHAT_VERBOSE = String(process.env.CHAT_VERBOSE ?? "false").toLowerCase() === "true";
@@ -68,6 +111,37 @@ const MAX_PARALLEL_PER_RUN = Number.isFinite(Number(process.env.MAX_PARALLEL_PER
 const INTERRUPT_DEBOUNCE_MS = Number.isFinite(Number(process.env.INTERRUPT_DEBOUNCE_MS))
   ? Math.max(0, Math.floor(Number(process.env.INTERRUPT_DEBOUNCE_MS)))
   : 500;
+const STREAM_AGENT_OUTPUT = String(process.env.STREAM_AGENT_OUTPUT ?? "true").toLowerCase() !== "false";
+const STREAM_EDIT_INTERVAL_MS = Number.isFinite(Number(process.env.STREAM_EDIT_INTERVAL_MS))
+  ? Math.max(1000, Math.floor(Number(process.env.STREAM_EDIT_INTERVAL_MS)))
+  : 3000;
+const STREAM_TAIL_CHARS = 3000;
+const GIT_DIFF_CAPTURE_BYTES = 64 * 1024;
+// Tracking docs inline outputs up to this size; longer ones get an excerpt and a link to the artifact.
+const ARTIFACT_INLINE_CHARS = 4000;
+const ARTIFACT_LIST_LIMIT = 30;
+const ARTIFACT_BUTTONS = 8;
+const TELEGRAM_DOCUMENT_MAX_BYTES = 50 * 1024 * 1024;
+// Text artifacts are secret-scanned before they are sent; bigger ones are not sent at all.
+const ARTIFACT_SCAN_MAX_BYTES = 8 * 1024 * 1024;
+const SNAPSHOT_LIST_LIMIT = 15;
+const SNAPSHOT_BUTTONS = 6;
+const TIMELINE_LIMIT = 40;
+// Commit approval cards list every changed file but only this many get include/exclude buttons.
+const COMMIT_TOGGLE_LIMIT = 20;
+const JOB_WORKTREES = String(process.env.JOB_WORKTREES ?? "true").toLowerCase() !== "false";
+// When an agent's provider stays over its usage/rate limit, hand the task to another registry agent
+// with the same file-writing capability (an agent's meta.fallback is always honoured).
+const QUOTA_FAILOVER = String(process.env.QUOTA_FAILOVER ?? "false").toLowerCase() === "true";
+const HTTP_API_ENABLED = String(process.env.HTTP_API_ENABLED ?? "false").toLowerCase() === "true";
+const HTTP_API_HOST = String(process.env.HTTP_API_HOST || "127.0.0.1").trim();
+const HTTP_API_PORT = Number.isFinite(Number(process.env.HTTP_API_PORT)) ? Number(process.env.HTTP_API_PORT) : 8787;
+const HTTP_API_TOKEN = String(process.env.HTTP_API_TOKEN || "").trim();
+// Who approvals decided over the HTTP API are recorded as (and what approval policies list to allow it).
+const HTTP_API_ACTOR = "http:api";
+const APPROVAL_TTL_SEC = Number.isFinite(Number(process.env.APPROVAL_TTL_SEC)) && Number(process.env.APPROVAL_TTL_SEC) > 0
+  ? Math.floor(Number(process.env.APPROVAL_TTL_SEC))
+  : 86400;
 const LEGACY_AGENT_MAP = {
   gemini: "researcher",
   codex: "coder",
@@ -76,7 +150,10 @@ const LEGACY_AGENT_MAP = {
 
 const memory = new OrchestratorMemory({ baseDir: jobs.baseDir });
 const chatSessionStore = new ChatSessionStore({ baseDir: jobs.baseDir });
+const queueStore = new QueueStore({ baseDir: jobs.baseDir });
+const scheduleStore = new ScheduleStore({ baseDir: jobs.baseDir });
 let agentRegistry = loadAgents();
+for (const error of agentRegistry.errors) console.error(`[agents] ${error}`);
 let gocClient = null;
 let gocReady = false;
 let gocInitError = "";
@@ -151,8 +228,21 @@ function releaseSingleInstanceLock() {
 acquireSingleInstanceLock();
 process.on("exit", () => { releaseSingleInstanceLock(); });
 
-function isAllowedChat(chatId) { void chatId; return true; }
-function isAllowedUser(userId) { return ALLOWED_USERS.length === 0 || ALLOWED_USERS.includes(String(userId)); }
+function isAllowedChat(chatId) { return roles.chatAllowed(chatId); }
+function isAllowedUser(userId, chatId = null) { return roles.roleFor(userId, chatId) !== "none"; }
+
+// "" when the user's role in this chat reaches `required`, otherwise a message naming the missing role.
+function roleDenial(userId, chatId, required, what) {
+  const role = roles.roleFor(userId, chatId);
+  if (roleAllows(role, required)) return "";
+  return `⛔ ${what} 은(는) ${required} 권한이 필요합니다. (현재 권한: ${role})\n권한 변경은 admin에게 요청하세요: /role set ${userId} ${required}`;
+}
+
+function roleDenialForAction(userId, chatId, action) {
+  const required = requiredRoleForAction(action?.type);
+  const role = roles.roleFor(userId, chatId);
+  return roleAllows(role, required) ? "" : `${action?.type || "action"} requires ${required} (current role: ${role})`;
+}
 const TRACK_DOC_NAMES = ["plan.md", "research.md", "progress.md", "decisions.md"];
 const gocFallbackByJob = new Map();
 
@@ -164,6 +254,175 @@ function runSharedDir(jobId) {
   return path.join(runDir(jobId), "shared");
 }
 
+// Full stdout/stderr of outputs too large for runCommand's in-memory capture.
+function runSpillDir(jobId) {
+  return path.join(runDir(jobId), "spill");
+}
+
+// Appends one provider call to <jobDir>/usage.jsonl; accounting must never break the run itself.
+function recordUsage(jobId, result, meta = {}) {
+  if (!jobId || !result) return;
+  try {
+    usage.record(jobId, meta, result);
+  } catch {}
+}
+
+// Keeps a run's output in <jobDir>/artifacts/ and returns the bounded text tracking docs should carry plus
+// a link to the artifact. Like usage accounting, a failing store must not break the run.
+function storeOutputArtifact(jobId, text, result, meta = {}) {
+  let artifact = null;
+  let excerpt = String(text || "");
+  try {
+    ({ artifact, excerpt } = artifacts.putOutput(jobId, excerpt, result, meta));
+  } catch {}
+  return {
+    text: clip(excerpt, ARTIFACT_INLINE_CHARS),
+    excerpt,
+    artifact,
+    link: artifact ? artifacts.link(artifact) : "",
+  };
+}
+
+function withArtifactLink(text, stored) {
+  return stored.link ? `${text}\n\n→ ${stored.link}` : text;
+}
+
+function formatArtifacts(jobId, rows) {
+  if (rows.length === 0) return `📦 artifacts ${jobLabel(jobId)}\n(없음)`;
+  const shown = rows.slice(-ARTIFACT_LIST_LIMIT).reverse();
+  return [
+    `📦 artifacts ${jobLabel(jobId)} (${rows.length})`,
+    ...shown.map((row) => {
+      const by = [row.agent, row.run_id].filter(Boolean).join(" · ");
+      return `- ${row.id} ${row.name} · ${row.mime} · ${formatBytes(row.bytes)}${by ? ` · ${by}` : ""} · ${String(row.at || "").slice(0, 16).replace("T", " ")}`;
+    }),
+    ...(rows.length > shown.length ? [`… 외 ${rows.length - shown.length}개`] : []),
+    "",
+    `받기: /artifacts ${jobId} <id|name>`,
+  ].join("\n");
+}
+
+function artifactKeyboard(jobId, rows) {
+  const buttons = rows.slice(-ARTIFACT_BUTTONS).reverse().map((row) => ({
+    text: `📄 ${clip(row.name, 28).replace(/\n/g, " ")}`,
+    callback_data: `art:${jobId}:${row.id}`,
+  }));
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 2) keyboard.push(buttons.slice(i, i + 2));
+  return { inline_keyboard: keyboard };
+}
+
+async function sendArtifact(bot, chatId, jobId, row) {
+  const file = artifacts.path(jobId, row);
+  if (!fs.existsSync(file)) {
+    await bot.sendMessage(chatId, `❌ artifact 파일이 없습니다: ${row.id} (${row.file})`);
+    return;
+  }
+  if (row.bytes > TELEGRAM_DOCUMENT_MAX_BYTES) {
+    await bot.sendMessage(chatId, `⚠️ ${row.name} (${formatBytes(row.bytes)})은 전송 한도를 넘습니다.\n서버 경로: ${file}`);
+    return;
+  }
+  const isText = /^text\/|^application\/(json|x-ndjson)$/.test(String(row.mime || ""));
+  let doc = file;
+  let note = "";
+  if (isText && secrets.enabled) {
+    if (row.bytes > ARTIFACT_SCAN_MAX_BYTES) {
+      await bot.sendMessage(chatId, `⚠️ ${row.name} (${formatBytes(row.bytes)})은 secret 검사 한도(${formatBytes(ARTIFACT_SCAN_MAX_BYTES)})를 넘어 전송하지 않습니다.\n서버 경로: ${file}`);
+      return;
+    }
+    const { text, findings } = secrets.redact(fs.readFileSync(file, "utf8"));
+    if (findings.length > 0) {
+      doc = Buffer.from(text, "utf8");
+      note = `\n🔒 secret ${findings.length}건 가림`;
+    }
+  }
+  await bot.sendDocument(
+    chatId,
+    doc,
+    { caption: `📄 ${row.name} (${row.id}, ${formatBytes(row.bytes)})${note}` },
+    { filename: row.name, contentType: row.mime }
+  );
+}
+
+// Taken before every file-writing agent run. A workspace that cannot be snapshotted (not a git repo, ...)
+// only loses the undo point; the run itself goes ahead.
+async function snapshotBeforeImplement(jobId, meta) {
+  try {
+    return await snapshots.take(jobId, jobWorkspaceRoot(jobId), meta);
+  } catch (e) {
+    jobs.log(jobId, `snapshot skipped: ${clip(String(e?.message ?? e), 300)}`);
+    return null;
+  }
+}
+
+async function formatSnapshots(jobId, rows) {
+  if (rows.length === 0) return `📸 snapshots ${jobLabel(jobId)}\n(없음 — 코드 수정 agent가 실행될 때마다 자동으로 생깁니다)`;
+  const shown = rows.slice(-SNAPSHOT_LIST_LIMIT).reverse();
+  let stats = new Map();
+  try {
+    stats = await snapshots.diffstats(jobId, jobWorkspaceRoot(jobId), shown);
+  } catch {}
+  return [
+    `📸 snapshots ${jobLabel(jobId)} (${rows.length})`,
+    "diffstat = 그 snapshot 이후 바뀐 내용 (다음 snapshot 또는 현재 작업 트리까지)",
+    ...shown.map((row) => formatSnapshotLine(row, stats.get(row.step))),
+    ...(rows.length > shown.length ? [`… 외 ${rows.length - shown.length}개`] : []),
+    "",
+    `되돌리기: /rollback ${jobId} <step>`,
+  ].join("\n");
+}
+
+function snapshotKeyboard(jobId, rows) {
+  const buttons = rows.slice(-SNAPSHOT_BUTTONS).reverse().map((row) => ({
+    text: `↩️ #${row.step}${row.agent ? ` @${clip(row.agent, 16).replace(/\n/g, " ")}` : ""}`,
+    callback_data: `rb:${jobId}:${row.step}`,
+  }));
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += 3) keyboard.push(buttons.slice(i, i + 3));
+  return { inline_keyboard: keyboard };
+}
+
+// Restores snapshot `step` (default: the one before the latest agent run, i.e. undo it). Runs through the
+// job queue so it never interleaves with an agent writing to the same workspace.
+async function rollbackJob(bot, chatId, jobId, step, by) {
+  const target = step ? snapshots.get(jobId, step) : snapshots.latest(jobId, { excludeLabel: "rollback" });
+  if (!target) {
+    await bot.sendMessage(chatId, step ? `❌ snapshot 없음: #${step}\n목록: /rollback ${jobId}` : `되돌릴 snapshot이 없습니다. (${jobLabel(jobId)})`);
+    return null;
+  }
+  const result = await enqueue(
+    () => snapshots.restore(jobId, jobWorkspaceRoot(jobId), target.step, { by }),
+    { jobId, chatId, label: "rollback" }
+  ).catch((e) => ({ ok: false, error: String(e?.message ?? e) }));
+  tracking.append(jobId, "decisions.md", formatRollbackDecision(result, { target, by }));
+  if (!result.ok) {
+    await sendLong(bot, chatId, `⛔ 되돌리기 실패 (#${target.step}): ${result.error}`);
+    return result;
+  }
+  const files = result.changes.map((c) => `${c.status} ${c.path}`);
+  await sendLong(bot, chatId, [
+    files.length > 0 ? `↩️ #${target.step} 시점으로 되돌렸습니다. (${files.length}개 파일)` : `↩️ #${target.step}와 현재 작업 트리가 같아 바뀐 파일이 없습니다.`,
+    ...files.slice(0, 40).map((line) => `- ${line}`),
+    ...(files.length > 40 ? [`… 외 ${files.length - 40}개`] : []),
+    "",
+    `되돌리기 취소: /rollback ${jobId} ${result.safety.step}`,
+  ].join("\n"));
+  return result;
+}
+
+function jobWorktree(jobId) {
+  try {
+    const wt = jobs.readMeta(jobId)?.worktree;
+    if (wt?.path && fs.existsSync(wt.path)) return wt;
+  } catch {}
+  return null;
+}
+
+// Code root for a job: its own git worktree when one exists, otherwise the shared workspace.
+function jobWorkspaceRoot(jobId) {
+  return jobWorktree(jobId)?.path || workspace.root;
+}
+
 function loadLocalContextDocs(jobId, docNames, maxCharsPerDoc = 3500) {
   let out = "";
   for (const name of docNames) {
@@ -201,6 +460,118 @@ function rememberLastChatJob(chatId, jobId) {
   lastChatJobByChat.set(chatKey, key);
 }
 
+// Makes jobId the chat's current job (used by /chat, /context, /gptapply defaults).
+function switchChatJob(chatId, jobId) {
+  const key = String(jobId || "").trim();
+  if (!key) return;
+  rememberLastChatJob(chatId, key);
+  chatSessionStore.upsert(chatId, { jobId: key });
+}
+
+// /archive <jobId> --delete. Refuses while the job runs, is queued or waits on an approval; otherwise removes its
+// worktree (and branch: unmerged work still needs /cleanup --force first) and snapshot refs, then the job dir.
+async function deleteJob(chatId, jobId) {
+  const key = String(jobId);
+  if (jobAbortControllers.has(key) || queue.some((item) => String(item?.jobId ?? "") === key)) {
+    throw new Error("실행 중이거나 대기열에 있는 job입니다. 먼저 /stop 하세요.");
+  }
+  const pending = approvals.list(key, { status: "pending" });
+  if (pending.length > 0) {
+    throw new Error(`대기 중인 승인 요청이 있습니다 (${pending.map((rec) => rec.token).join(", ")}). 먼저 /deny 또는 /revoke 하세요.`);
+  }
+  const notes = [];
+  const wt = jobs.readMeta(key)?.worktree;
+  if (wt?.path && !wt.removedAt) {
+    notes.push(...await removeJobWorktree({ repoRoot: workspace.root, worktreePath: wt.path, branch: wt.branch }));
+    jobs.updateMeta(key, { worktree: { ...wt, removedAt: new Date().toISOString() } });
+  }
+  const dropped = await snapshots.drop(key, workspace.root).catch(() => 0);
+  if (dropped > 0) notes.push(`snapshot refs removed: ${dropped}`);
+  const { dir } = jobs.delete(key);
+  notes.push(`removed ${dir}`);
+  for (const map of [activeJobByChat, lastChatJobByChat]) {
+    for (const [chatKey, value] of map) if (value === key) map.delete(chatKey);
+  }
+  if (String(chatSessionStore.get(chatId)?.jobId || "") === key) chatSessionStore.upsert(chatId, { jobId: "" });
+  return notes;
+}
+
+// /jobs [text] [--mine] [--chat] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--archived|--all]
+function parseJobsFilter(rawArgs, { userId, chatId } = {}) {
+  const tokens = String(rawArgs || "").split(/\s+/).filter(Boolean);
+  const opts = { limit: 10 };
+  const text = [];
+  for (let i = 0; i < tokens.length; i += 1) {
+    const token = tokens[i];
+    if (token === "--mine") opts.ownerUserId = userId;
+    else if (token === "--chat") opts.ownerChatId = chatId;
+    else if (token === "--archived") opts.archivedOnly = true;
+    else if (token === "--all") opts.includeArchived = true;
+    else if (token === "--since" && tokens[i + 1]) opts.since = tokens[++i];
+    else if (token === "--until" && tokens[i + 1]) opts.until = tokens[++i];
+    else if (token === "--limit" && tokens[i + 1]) opts.limit = Math.max(1, Math.min(30, Number(tokens[++i]) || 10));
+    else text.push(token);
+  }
+  opts.text = text.join(" ");
+  return opts;
+}
+
+// Turns a jobId / slug / prefix into a full jobId; replies with the error (incl. candidates) and returns "".
+async function resolveJobRef(bot, chatId, ref) {
+  try {
+    return jobs.resolve(ref);
+  } catch (e) {
+    if (e?.code === "EAMBIGUOUS") {
+      await bot.sendMessage(chatId, [
+        `여러 job이 일치합니다: ${ref}`,
+        ...e.candidates.map((meta) => `- ${meta.slug || meta.jobId.slice(0, 8)} · ${clip(String(meta.title || ""), 50)} (${meta.jobId})`),
+        "더 길게 입력하세요.",
+      ].join("\n"));
+    } else {
+      await bot.sendMessage(chatId, `❌ ${String(e?.message ?? e)}`);
+    }
+    return "";
+  }
+}
+
+function jobLabel(jobId) {
+  const slug = jobs.readMeta(jobId)?.slug;
+  return slug ? `${slug} (${jobId})` : jobId;
+}
+
+function formatJobLine(meta, currentJobId = "") {
+  const marker = meta.jobId === currentJobId ? "👉 " : "";
+  const archived = meta.archivedAt ? " [archived]" : "";
+  const date = String(meta.createdAt || "").slice(0, 16).replace("T", " ");
+  return `${marker}${meta.slug || meta.jobId.slice(0, 8)} · ${clip(String(meta.title || "(untitled)"), 60)}${archived}\n   ${date}`;
+}
+
+function jobButtons(meta) {
+  return [
+    { text: `🔀 ${clip(String(meta.title || meta.jobId), 24).replace(/\n/g, " ")}`, callback_data: `use_job:${meta.jobId}` },
+    meta.archivedAt
+      ? { text: "📤 복원", callback_data: `unarchive_job:${meta.jobId}` }
+      : { text: "🗄 보관", callback_data: `archive_job:${meta.jobId}` },
+  ];
+}
+
+function formatJobDetail(meta, currentJobId = "") {
+  const lines = [
+    `📁 ${meta.title || "(untitled)"}${meta.jobId === currentJobId ? " (현재 job)" : ""}`,
+    `jobId=${meta.jobId}`,
+    ...(meta.slug ? [`slug=${meta.slug}`] : []),
+    `created=${meta.createdAt || "-"}`,
+    `owner_user=${meta.ownerUserId || "-"}, owner_chat=${meta.ownerChatId || "-"}`,
+    ...(meta.archivedAt ? [`archived=${meta.archivedAt}`] : []),
+    ...(meta.worktree?.branch ? [`branch=${meta.worktree.branch}${meta.worktree.removedAt ? " (removed)" : ""}`] : []),
+  ];
+  try {
+    const progress = tracking.read(meta.jobId, "progress.md");
+    lines.push("", "progress.md (tail):", clip(progress.slice(-900), 900));
+  } catch {}
+  return lines.join("\n");
+}
+
 function resetChatSession(chatId) {
   const chatKey = String(chatId);
   requestChatInterrupt(chatId, { mode: "cancel", reason: "chat_reset" });
@@ -250,7 +621,7 @@ async function buildContextInfo(target, { chatId = null } = {}) {
     };
   }
 
-  const jobId = String(resolved).trim();
+  const jobId = jobs.resolve(resolved);
   const map = await ensureJobThread(client, {
     jobId,
     jobDir: runDir(jobId),
@@ -340,7 +711,7 @@ async function appendChatMessageToGoc(jobId, {
   userId = "",
 } = {}) {
   const cleanJobId = String(jobId || "").trim();
-  const cleanText = String(text || "").trim();
+  const cleanText = secrets.redactText(String(text || "")).trim();
   if (!cleanJobId || !cleanText) return null;
   if (memoryModeWithFallback() !== "goc") return null;
   try {
@@ -381,16 +752,100 @@ function convoToText(convo) {
 }
 
 async function sendLong(bot, chatId, text) {
-  for (const part of chunk(text, 3800)) await bot.sendMessage(chatId, part);
+  const size = typeof bot.maxTextLength === "function" ? bot.maxTextLength(chatId) : 3800;
+  // Redact before splitting so a secret cut in two by a chunk boundary is still caught.
+  for (const part of chunk(secrets.redactText(text), size)) await bot.sendMessage(chatId, part);
 }
 
 function ensureCommandOk(name, result) {
   if (result?.ok) return;
   const exitCode = Number.isInteger(result?.exitCode) ? result.exitCode : -1;
   const details = clip(String(result?.stderr || result?.stdout || "(no output)"), 1500);
+  if (result?.quota?.limited) {
+    throw new QuotaExceededError(`${name} usage/rate limit persisted after ${result.quota.attempts} attempt(s)\n${details}`, {
+      provider: name,
+      retryAfterSec: result.quota.retryAfterSec,
+      attempts: result.quota.attempts,
+    });
+  }
   throw new Error(`${name} failed (exit=${exitCode})\n${details}`);
 }
 
+// Live progress message for long agent runs: output chunks are tailed into one message
+// edited at most every STREAM_EDIT_INTERVAL_MS (Telegram rate-limits edits).
+function createOutputStreamer(bot, chatId, jobId, title) {
+  if (!STREAM_AGENT_OUTPUT || !bot || !chatId) return { onChunk: undefined, finish: async () => {} };
+  const startedAt = Date.now();
+  const stopKeyboard = { inline_keyboard: [[{ text: "⏹ 중단", callback_data: `stop:${jobId}` }]] };
+  let tail = "";
+  let totalChars = 0;
+  let messageId = null;
+  let lastRendered = "";
+  let lastEditAt = 0;
+  let timer = null;
+  let finished = false;
+  let chain = Promise.resolve();
+
+  const render = (header) => {
+    const elapsedSec = Math.round((Date.now() - startedAt) / 1000);
+    const body = tail.trim() ? `\n\n${totalChars > tail.length ? "…" : ""}${tail.trimStart()}` : "";
+    return `${header} (${elapsedSec}s, ${totalChars} chars)${body}`;
+  };
+
+  const push = (header, keyboard) => {
+    chain = chain.then(async () => {
+      const text = render(header);
+      if (text === lastRendered) return;
+      lastRendered = text;
+      lastEditAt = Date.now();
+      const reply_markup = keyboard || { inline_keyboard: [] };
+      try {
+        if (messageId === null) {
+          const sent = await bot.sendMessage(chatId, text, { reply_markup });
+          messageId = sent?.message_id ?? null;
+        } else {
+          await bot.editMessageText(text, { chat_id: chatId, message_id: messageId, reply_markup });
+        }
+      } catch {}
+    });
+    return chain;
+  };
+
+  const schedule = () => {
+    if (finished || timer) return;
+    const wait = Math.max(0, STREAM_EDIT_INTERVAL_MS - (Date.now() - lastEditAt));
+    timer = setTimeout(() => {
+      timer = null;
+      if (!finished) push(`⏳ ${title} 실행 중…`, stopKeyboard);
+    }, wait);
+  };
+
+  return {
+    onChunk: (text) => {
+      if (finished) return;
+      const piece = String(text || "");
+      totalChars += piece.length;
+      tail = (tail + piece).slice(-STREAM_TAIL_CHARS);
+      schedule();
+    },
+    finish: async (status = "done") => {
+      if (finished) return;
+      finished = true;
+      if (timer) clearTimeout(timer);
+      timer = null;
+      // Nothing was streamed yet: skip the message entirely instead of posting an empty card.
+      if (messageId === null && totalChars === 0) {
+        await chain;
+        return;
+      }
+      const header = status === "cancelled"
+        ? `⏹️ ${title} 중단됨`
+        : (status === "failed" ? `❌ ${title} 실패` : `✅ ${title} 완료`);
+      await push(header, null);
+    },
+  };
+}
+
 function refreshAgentRegistryLocal() {
   agentRegistry = loadAgents();
   return agentRegistry;
@@ -537,11 +992,17 @@ function buildChatStatusCard(chatId, runtime = null) {
   const queueItems = queue.filter((item) => String(item?.jobId || "").trim() === currentJobId);
   const activeController = currentJobId ? jobAbortControllers.get(currentJobId) : null;
   const interrupt = session.interrupt && typeof session.interrupt === "object" ? session.interrupt : null;
-  const pendingApproval = session.pending_approval && typeof session.pending_approval === "object"
-    ? session.pending_approval
-    : null;
+  const pendingApprovals = approvals.listAll({ status: "pending", chatId: chatKey });
   const enabledAgents = runtime?.agentSelection?.enabled_ids || runtime?.enabledAgentIds || [];
   const enabledTools = runtime?.toolSelection?.enabled_ids || runtime?.enabledToolIds || [];
+  let jobUsage = null;
+  try {
+    jobUsage = currentJobId ? usage.summarize(currentJobId).total : null;
+  } catch {}
+  let jobEvents = null;
+  try {
+    jobEvents = currentJobId ? summarizeEvents(events.list(currentJobId)) : null;
+  } catch {}
 
   const lines = [
     "📋 현재 상태",
@@ -552,8 +1013,10 @@ function buildChatStatusCard(chatId, runtime = null) {
     `- queue_for_job: ${queueItems.length}`,
     `- abort_signal: ${activeController ? (activeController.signal.aborted ? "aborted" : "active") : "none"}`,
     `- pending_interrupt: ${interrupt?.requested ? `${interrupt.mode}${interrupt.reason ? ` (${clip(interrupt.reason, 90)})` : ""}` : "none"}`,
-    `- pending_approval: ${pendingApproval ? (pendingApproval.reason || "yes") : "none"}`,
+    `- pending_approvals: ${pendingApprovals.length}${pendingApprovals.length ? ` (/approvals)` : ""}`,
     `- pending_user_messages: ${Array.isArray(session.pending_user_messages) ? session.pending_user_messages.length : 0}`,
+    `- usage: ${jobUsage ? `${formatUsageTotals(jobUsage)} (/usage)` : "none"}`,
+    `- events: ${jobEvents?.events ? `${jobEvents.events}${jobEvents.errors ? `, errors ${jobEvents.errors}` : ""} (/timeline ${currentJobId})` : "none"}`,
   ];
   if (Array.isArray(enabledAgents) && enabledAgents.length > 0) {
     lines.push(`- enabled_agents: ${enabledAgents.map((id) => `@${id}`).join(", ")}`);
@@ -571,10 +1034,11 @@ function buildChatStatusCard(chatId, runtime = null) {
       running: !!activeJobId,
       queue_for_job: queueItems.length,
       pending_interrupt: interrupt,
-      pending_approval: pendingApproval,
+      pending_approvals: pendingApprovals.map((rec) => ({ job_id: rec.jobId, token: rec.token, purpose: rec.purpose, summary: rec.summary, expires_at: rec.expiresAt })),
       pending_user_messages: Array.isArray(session.pending_user_messages) ? session.pending_user_messages.length : 0,
       enabled_agents: Array.isArray(enabledAgents) ? enabledAgents : [],
       enabled_tools: Array.isArray(enabledTools) ? enabledTools : [],
+      usage: jobUsage,
     },
   };
 }
@@ -699,6 +1163,14 @@ function parseJsonObjectFromText(raw) {
   return null;
 }
 
+function normalizeChecksAction(raw) {
+  const list = Array.isArray(raw?.checks) ? raw.checks : (Array.isArray(raw?.names) ? raw.names : []);
+  return {
+    type: "run_checks",
+    checks: list.map((name) => String(name || "").trim().toLowerCase()).filter(Boolean),
+  };
+}
+
 function normalizeRouterAction(raw) {
   const type = String(raw?.type || "").trim().toLowerCase();
   if (!type) return null;
@@ -725,6 +1197,8 @@ function normalizeRouterAction(raw) {
 
   if (type === "git_summary") return { type: "git_summary" };
 
+  if (type === "run_checks") return normalizeChecksAction(raw);
+
   if (type === "chatgpt_prompt") {
     const question = String(raw.question || raw.prompt || raw.task || "").trim();
     return { type: "chatgpt_prompt", question };
@@ -792,6 +1266,7 @@ function cancelJobExecution(jobId) {
   let dropped = 0;
   for (let i = queue.length - 1; i >= 0; i -= 1) {
     if (String(queue[i]?.jobId ?? "") !== key) continue;
+    queueStore.markFinished(queue[i].storeId, "interrupted", "cancelled before start");
     queue[i].reject(makeCancelledError(key));
     queue.splice(i, 1);
     dropped += 1;
@@ -808,6 +1283,7 @@ function requestChatInterrupt(chatId, { mode = "replan", reason = "" } = {}) {
   const result = targetJobId
     ? cancelJobExecution(targetJobId)
     : { aborted: false, dropped: 0 };
+  if (targetJobId) events.record(targetJobId, "interrupt", { mode: interruptMode, reason, aborted: result.aborted, dropped: result.dropped });
 
   chatSessionStore.upsert(chatId, (session) => ({
     ...session,
@@ -818,14 +1294,12 @@ function requestChatInterrupt(chatId, { mode = "replan", reason = "" } = {}) {
       reason: String(reason || "").trim(),
       ts: new Date().toISOString(),
     },
-    pending_approval: interruptMode === "cancel" ? null : session.pending_approval,
     pending_user_messages: interruptMode === "cancel" ? [] : session.pending_user_messages,
-    state: interruptMode === "cancel"
-      ? "idle"
-      : (session.pending_approval ? "awaiting_approval" : session.state),
+    state: interruptMode === "cancel" ? "idle" : session.state,
   }));
 
   if (interruptMode === "cancel") {
+    revokeSupervisorApprovals(targetJobId, `cancelled: ${String(reason || "interrupt").trim() || "interrupt"}`);
     if (activeJobByChat.get(chatKey) === String(targetJobId || "")) {
       activeJobByChat.delete(chatKey);
     }
@@ -839,9 +1313,51 @@ function requestChatInterrupt(chatId, { mode = "replan", reason = "" } = {}) {
   };
 }
 
-async function enqueue(fn, { jobId = "", signal = null, label = "" } = {}) {
+function stopJobForChat(chatId, targetJobId, reason = "/stop") {
+  const chatKey = String(chatId);
+  const fromAwait = getAwait(chatId)?.jobId;
+  const result = cancelJobExecution(targetJobId);
+  events.record(targetJobId, "interrupt", { mode: "cancel", reason, aborted: result.aborted, dropped: result.dropped });
+  if (activeJobByChat.get(chatKey) === String(targetJobId)) activeJobByChat.delete(chatKey);
+  if (fromAwait && String(fromAwait) === String(targetJobId)) clearAwait(chatId);
+  if (lastChatJobByChat.get(chatKey) === String(targetJobId)) lastChatJobByChat.delete(chatKey);
+  chatSessionStore.upsert(chatId, (session) => {
+    if (String(session.jobId || "").trim() && String(session.jobId || "").trim() !== String(targetJobId).trim()) {
+      return session;
+    }
+    return {
+      ...session,
+      interrupt: {
+        requested: true,
+        mode: "cancel",
+        reason,
+        ts: new Date().toISOString(),
+      },
+      pending_user_messages: [],
+      state: "idle",
+    };
+  });
+  revokeSupervisorApprovals(targetJobId, `cancelled: ${reason}`);
+  return result;
+}
+
+function chatIdForJob(jobId) {
+  const key = String(jobId || "").trim();
+  if (!key) return "";
+  for (const [chatKey, activeJobId] of activeJobByChat.entries()) {
+    if (activeJobId === key) return chatKey;
+  }
+  try {
+    return String(jobs.readMeta(key)?.ownerChatId || "");
+  } catch {
+    return "";
+  }
+}
+
+async function enqueue(fn, { jobId = "", signal = null, label = "", chatId = "" } = {}) {
+  const stored = queueStore.add({ jobId, chatId: chatId || chatIdForJob(jobId), label });
   return await new Promise((resolve, reject) => {
-    queue.push({ fn, resolve, reject, jobId: String(jobId || ""), signal, label });
+    queue.push({ fn, resolve, reject, jobId: String(jobId || ""), signal, label, storeId: stored.id });
     pump();
   });
 }
@@ -850,12 +1366,207 @@ async function pump() {
   const item = queue.shift();
   if (!item) return;
   if (item.signal?.aborted) {
+    queueStore.markFinished(item.storeId, "interrupted", "cancelled before start");
     item.reject(makeCancelledError(item.jobId || "unknown"));
     pump();
     return;
   }
   running += 1;
-  try { item.resolve(await item.fn()); } catch (e) { item.reject(e); } finally { running -= 1; pump(); }
+  queueStore.markRunning(item.storeId);
+  try {
+    const result = await item.fn();
+    queueStore.markFinished(item.storeId, "done");
+    item.resolve(result);
+  } catch (e) {
+    queueStore.markFinished(item.storeId, isCancelledError(e) ? "interrupted" : "failed", String(e?.message ?? e));
+    item.reject(e);
+  } finally {
+    running -= 1;
+    pump();
+  }
+}
+
+function formatQueue(jobId = "") {
+  const rows = queueStore.list({ jobId, limit: 20 });
+  const counts = {};
+  for (const entry of queueStore.list({ jobId })) counts[entry.state] = (counts[entry.state] || 0) + 1;
+  const icon = { queued: "⏳", running: "🏃", done: "✅", failed: "❌", interrupted: "⚠️" };
+  const lines = [
+    `📋 queue${jobId ? ` (jobId=${jobId})` : ""}`,
+    `file=${queueStore.filePath}`,
+    Object.entries(counts).map(([state, n]) => `${state}=${n}`).join(", ") || "(empty)",
+    "",
+    ...rows.map((entry) => {
+      const when = entry.finishedAt || entry.startedAt || entry.enqueuedAt;
+      const tail = entry.error ? ` — ${clip(entry.error, 120).split("\n")[0]}` : "";
+      return `${icon[entry.state] || "-"} ${entry.state} ${entry.label || "(run)"} job=${entry.jobId || "-"} @${when}${tail}`;
+    }),
+  ];
+  return lines.join("\n");
+}
+
+// Boot recovery: runs the previous process never finished are marked interrupted
+// and each owning chat gets a resume button (resume = /continue on that job).
+async function announceRecoveredRuns() {
+  const recovered = queueStore.recoverOrphans();
+  if (recovered.length === 0) return;
+  const byJob = new Map();
+  for (const entry of recovered) {
+    if (!entry.jobId) continue;
+    const row = byJob.get(entry.jobId) || { chatId: entry.chatId, labels: [] };
+    row.labels.push(entry.label || "(run)");
+    if (!row.chatId && entry.chatId) row.chatId = entry.chatId;
+    byJob.set(entry.jobId, row);
+  }
+  for (const [jobId, row] of byJob.entries()) {
+    if (!row.chatId) continue;
+    try {
+      await bot.sendMessage(row.chatId, [
+        "♻️ 재시작으로 중단된 실행이 있습니다.",
+        `jobId=${jobId}`,
+        ...row.labels.map((label) => `- ${label}`),
+        "",
+        "재개하면 /continue와 같이 현재 문서 기준으로 다시 라우팅합니다.",
+      ].join("\n"), {
+        reply_markup: {
+          inline_keyboard: [[
+            { text: "▶️ 재개", callback_data: `resume:${jobId}` },
+            { text: "무시", callback_data: `resume_skip:${jobId}` },
+          ]],
+        },
+      });
+    } catch (e) {
+      console.error(`recovery notice failed (job=${jobId}): ${String(e?.message ?? e)}`);
+    }
+  }
+}
+
+function formatSchedule(entry) {
+  let next = "-";
+  try {
+    const at = entry.enabled ? nextCronRun(entry.cron) : null;
+    if (at) next = at.toLocaleString();
+  } catch (e) {
+    next = `invalid (${String(e?.message ?? e)})`;
+  }
+  const last = entry.lastRun
+    ? `${entry.lastRun.status}${entry.lastRun.jobId ? ` job=${jobLabel(entry.lastRun.jobId)}` : ""} @${String(entry.lastRun.finishedAt || entry.lastRun.startedAt).slice(0, 16).replace("T", " ")}${entry.lastRun.error ? ` (${clip(entry.lastRun.error, 80)})` : ""}`
+    : "아직 실행 안 됨";
+  return [
+    `${entry.enabled ? "✅" : "⏸"} ${entry.id} \`${entry.cron}\` ${entry.kind} "${clip(entry.text, 60)}"`,
+    `   next: ${next}`,
+    `   last: ${last}`,
+  ].join("\n");
+}
+
+function scheduleButtons(entry) {
+  return [
+    entry.enabled
+      ? { text: `⏸ ${entry.id} 끄기`, callback_data: `sched_off:${entry.id}` }
+      : { text: `▶️ ${entry.id} 켜기`, callback_data: `sched_on:${entry.id}` },
+    { text: "🗑 삭제", callback_data: `sched_rm:${entry.id}` },
+  ];
+}
+
+// /schedule "<cron>" run|chat "<text>"  (quotes may be straight or curly; Telegram clients auto-replace them)
+function parseScheduleArgs(raw) {
+  const text = String(raw || "").replace(/[“”]/g, "\"").replace(/[‘’]/g, "'").trim();
+  const m = text.match(/^(["'])(.+?)\1\s+(\S+)\s+([\s\S]+)$/) || text.match(/^(@\w+)\s+(\S+)\s+([\s\S]+)$/);
+  if (!m) return null;
+  const [cron, kind, body] = m.length === 5 ? [m[2], m[3], m[4]] : [m[1], m[2], m[3]];
+  return { cron: cron.trim(), kind: kind.toLowerCase(), text: body.trim().replace(/^(["'])([\s\S]*)\1$/, "$2").trim() };
+}
+
+// Fired by the scheduler; goes through the same paths as a user typing /run or /chat in the owning chat.
+async function fireSchedule(entry) {
+  if (!entry.chatId) return;
+  const userId = entry.userId || null;
+  // Runs as its creator: a role revoked (or never high enough) since the schedule was made stops it here.
+  const denied = roleDenial(userId, entry.chatId, "operator", `예약 실행 ${entry.id}`);
+  if (denied) {
+    scheduleStore.recordFinish(entry.id, { status: "failed", error: `permission denied: ${roles.roleFor(userId, entry.chatId)} < operator` });
+    try {
+      await bot.sendMessage(entry.chatId, denied);
+    } catch (e) {
+      console.error(`schedule notice failed (${entry.id}): ${String(e?.message ?? e)}`);
+    }
+    return;
+  }
+  try {
+    await bot.sendMessage(entry.chatId, `⏰ 예약 실행 ${entry.id} (\`${entry.cron}\`)\n${entry.kind}: ${entry.text}`);
+  } catch (e) {
+    console.error(`schedule notice failed (${entry.id}): ${String(e?.message ?? e)}`);
+  }
+  scheduleStore.recordStart(entry.id);
+  if (entry.kind === "chat") {
+    try {
+      const r = await chatRunManager.handleIncoming({
+        chatId: entry.chatId,
+        userId,
+        text: entry.text,
+        chatInfo: { chat_id: entry.chatId, title: "", type: "" },
+      });
+      scheduleStore.recordFinish(entry.id, { status: r?.status === "ignored" ? "failed" : "dispatched" });
+    } catch (e) {
+      scheduleStore.recordFinish(entry.id, { status: "failed", error: String(e?.message ?? e) });
+    }
+    return;
+  }
+  const result = await runGoal(bot, entry.chatId, entry.text, {
+    userId,
+    onJobCreated: (jobId) => scheduleStore.recordStart(entry.id, { jobId }),
+  });
+  scheduleStore.recordFinish(entry.id, result);
+}
+
+async function setupJobWorktree(job) {
+  if (!JOB_WORKTREES) return `workspace: ${workspace.root} (shared, JOB_WORKTREES=false)`;
+  try {
+    const wt = await ensureJobWorktree({ repoRoot: workspace.root, jobDir: job.dir, jobId: job.jobId });
+    jobs.updateMeta(job.jobId, {
+      worktree: { path: wt.path, branch: wt.branch, baseRef: wt.baseRef || "", createdAt: new Date().toISOString() },
+    });
+    jobs.log(job.jobId, `worktree ready: ${wt.path} (${wt.branch})`);
+    return `worktree: ${wt.path} (branch ${wt.branch})`;
+  } catch (e) {
+    const reason = clip(String(e?.message ?? e), 300);
+    jobs.log(job.jobId, `worktree unavailable, using shared workspace: ${reason}`);
+    return `workspace: ${workspace.root} (shared; worktree unavailable: ${reason.split("\n")[0]})`;
+  }
+}
+
+// Cancellations show up as the interrupt event that caused them; anything else is an error event.
+function recordJobError(jobId, where, e) {
+  if (!jobId || isCancelledError(e)) return;
+  events.record(jobId, "error", { where, message: String(e?.message ?? e) });
+}
+
+function recordApprovalRequested(rec) {
+  events.record(rec.jobId, "approval_requested", {
+    token: rec.token,
+    approval_action: rec.payload?.action || null,
+    summary: rec.summary,
+    by: rec.requestedBy,
+  });
+}
+
+function recordRoute(jobId, source, route) {
+  const actions = Array.isArray(route?.actions) ? route.actions : [];
+  events.record(jobId, "route_decided", { source, reason: route?.reason || "", actions: actions.map((a) => actionLabel(a)) });
+}
+
+// action_started/action_finished around one plan action. agent_run is timed by executeAgentRun (with its run id).
+async function timedAction(jobId, act, fn) {
+  const timer = events.start(jobId, { action: act.type, label: actionLabel(act) });
+  try {
+    const result = await fn();
+    timer.finish("ok");
+    return result;
+  } catch (e) {
+    if (isCancelledError(e)) timer.finish("cancelled");
+    else timer.fail(e);
+    throw e;
+  }
 }
 
 async function createJob(goal, { ownerUserId = null, ownerChatId = null } = {}) {
@@ -868,13 +1579,27 @@ async function createJob(goal, { ownerUserId = null, ownerChatId = null } = {})
   tracking.init(job.jobId);
   tracking.append(job.jobId, "plan.md", orchestratorNotes({ goal }), { timestamp: false });
   tracking.append(job.jobId, "research.md", `## Goal\n\n${goal}\n`, { timestamp: false });
-  tracking.append(job.jobId, "progress.md", `## Started\n- goal: ${goal}\n`, { timestamp: false });
+  const worktreeLine = await setupJobWorktree(job);
+  tracking.append(job.jobId, "progress.md", `## Started\n- goal: ${goal}\n- ${worktreeLine}\n`, { timestamp: false });
   jobs.appendConversation(job.jobId, "user", goal, { kind: "goal" });
+  events.record(job.jobId, "job_created", { title: goal, by: ownerUserId != null ? actorId(ownerUserId) : null });
   return job;
 }
 
+// Notes limit hits (timeout, truncated output) in progress.md and passes them to onLimit(hits).
+async function reportLimitHits(jobId, adapter, result, onLimit = null) {
+  const hits = describeLimitHits(result);
+  if (hits.length === 0) return;
+  tracking.append(jobId, "progress.md", `## ${adapter.label} limit reached\n${hits.map((h) => `- ${h}`).join("\n")}\n`);
+  if (typeof onLimit === "function") {
+    try { await onLimit(hits); } catch {}
+  }
+}
+
 async function geminiResearch(jobId, goal, signal = null, opts = {}) {
-  const sectionTitle = String(opts.sectionTitle || "Gemini notes");
+  const agent = opts.agent || null;
+  const adapter = getProvider(agent?.provider || "gemini");
+  const sectionTitle = String(opts.sectionTitle || `${adapter.label} notes`);
   const outputGuide = String(opts.outputGuide || "").trim();
   const roleMemo = memory.getAgentRole("gemini");
   const ctx = await loadContextDocs(jobId, ["research.md"]);
@@ -904,15 +1629,24 @@ async function geminiResearch(jobId, goal, signal = null, opts = {}) {
       "- 검증(테스트/체크)",
     ].join("\n"),
   ].join("\n");
-  const r = await runGeminiPrompt({ workspaceRoot: workspace.root, cwd: runDir(jobId), prompt, signal });
-  const out = (r.stdout || r.stderr || "");
-  tracking.append(jobId, "research.md", `## ${sectionTitle}\n\n${out}\n`);
-  jobs.appendConversation(jobId, "gemini", out, { kind: "research" });
-  ensureCommandOk("Gemini", r);
-  return out;
+  const r = await adapter.run({ prompt, cwd: runDir(jobId), signal, workspaceRoot: jobWorkspaceRoot(jobId), agent, onChunk: opts.onChunk, onQuota: opts.onQuota, spillDir: runSpillDir(jobId) });
+  const agentId = agent?.id || adapter.id;
+  recordUsage(jobId, r, { agent: agentId, provider: adapter.id, model: agent?.model, label: "research", prompt });
+  await reportLimitHits(jobId, adapter, r, opts.onLimit);
+  const stored = storeOutputArtifact(jobId, r.stdout || r.stderr || "", r, {
+    name: `research-${agentId}.md`, agent: agentId, provider: adapter.id, runId: opts.runId, label: "research",
+  });
+  const doc = withArtifactLink(stored.text, stored);
+  tracking.append(jobId, "research.md", `## ${sectionTitle}\n\n${doc}\n`);
+  jobs.appendConversation(jobId, adapter.id, doc, { kind: "research", ...(stored.artifact ? { artifact: stored.artifact.id } : {}) });
+  ensureCommandOk(adapter.label, r);
+  return stored.excerpt;
 }
 
-async function codexImplement(jobId, instruction, signal = null) {
+async function codexImplement(jobId, instruction, signal = null, opts = {}) {
+  const agent = opts.agent || null;
+  const adapter = getProvider(agent?.provider || "codex");
+  const codeRoot = jobWorkspaceRoot(jobId);
   const roleMemo = memory.getAgentRole("codex");
   const ctx = await loadContextDocs(jobId, ["plan.md", "research.md"], 6000);
   const trackDocs = TRACK_DOC_NAMES.map(n => `- ${path.join(runSharedDir(jobId), n)}`).join("\n");
@@ -925,7 +1659,7 @@ async function codexImplement(jobId, instruction, signal = null) {
     "너는 코드 수정 에이전트다.",
     "규칙:",
     "- 네트워크 접근 금지.",
-    `- CODEX_WORKSPACE_ROOT(코드 작업 영역) 내부 파일만 수정: ${workspace.root}`,
+    `- 코드 작업 영역(이 job 전용 worktree 또는 CODEX_WORKSPACE_ROOT) 내부 파일만 수정: ${codeRoot}`,
     `- 현재 run dir: ${runDir(jobId)}`,
     "- 아래 트래킹 문서는 run/shared에서만 관리하고, CODEX_WORKSPACE_ROOT 루트에 동명 파일을 만들지 말 것:",
     trackDocs,
@@ -936,24 +1670,60 @@ async function codexImplement(jobId, instruction, signal = null) {
     instruction,
     "",
   ].join("\n");
-  const r = await runCodexExec({ workspaceRoot: workspace.root, cwd: runDir(jobId), prompt, signal });
-  const out = (r.stdout || r.stderr || "");
-  tracking.append(jobId, "progress.md", `## Codex output\n\n${out}\n`);
-  jobs.appendConversation(jobId, "codex", out, { kind: "implementation" });
-  ensureCommandOk("Codex", r);
-  return out;
+  const agentId = agent?.id || adapter.id;
+  const snapshot = await snapshotBeforeImplement(jobId, { agent: agentId, runId: opts.runId, label: "implement", prompt: opts.taskPrompt || instruction });
+  const r = await adapter.run({ prompt, cwd: runDir(jobId), signal, workspaceRoot: codeRoot, agent, onChunk: opts.onChunk, onQuota: opts.onQuota, spillDir: runSpillDir(jobId) });
+  recordUsage(jobId, r, { agent: agentId, provider: adapter.id, model: agent?.model, label: "implement", prompt });
+  await reportLimitHits(jobId, adapter, r, opts.onLimit);
+  const stored = storeOutputArtifact(jobId, r.stdout || r.stderr || "", r, {
+    name: `implement-${agentId}.md`, agent: agentId, provider: adapter.id, runId: opts.runId, label: "implement",
+  });
+  const doc = withArtifactLink(stored.text, stored);
+  tracking.append(jobId, "progress.md", `## ${adapter.label} output\n\n${doc}\n${snapshot ? `\n되돌리기: /rollback ${jobId} ${snapshot.step} (snapshot #${snapshot.step})\n` : ""}`);
+  jobs.appendConversation(jobId, adapter.id, doc, { kind: "implementation", ...(stored.artifact ? { artifact: stored.artifact.id } : {}) });
+  ensureCommandOk(adapter.label, r);
+  return stored.excerpt;
 }
 
+// The full diff becomes a git.diff artifact (diffs over GIT_DIFF_CAPTURE_BYTES never sit in memory whole);
+// progress.md gets an excerpt and the link.
 async function gitSummary(jobId, signal = null) {
-  const status = await runCommand("git", ["status", "--porcelain=v1"], { cwd: workspace.root, abortSignal: signal });
-  const diff = await runCommand("git", ["diff"], { cwd: workspace.root, timeoutMs: 120000, abortSignal: signal });
+  const codeRoot = jobWorkspaceRoot(jobId);
+  const spillDir = runSpillDir(jobId);
+  const status = await runCommand("git", ["status", "--porcelain=v1"], { cwd: codeRoot, abortSignal: signal, spillDir });
+  const diff = await runCommand("git", ["diff"], { cwd: codeRoot, timeoutMs: 120000, abortSignal: signal, captureBytes: GIT_DIFF_CAPTURE_BYTES, spillDir });
   ensureCommandOk("git status", status);
   ensureCommandOk("git diff", diff);
 
   tracking.append(jobId, "progress.md", `## git status\n\n${FENCE}\n${status.stdout}\n${FENCE}\n`);
-  tracking.append(jobId, "progress.md", `## git diff\n\n${FENCE}diff\n${diff.stdout}\n${FENCE}\n`);
+  if (!String(diff.stdout || "").trim()) {
+    tracking.append(jobId, "progress.md", "## git diff\n\n(no changes)\n");
+    return { status: status.stdout || "", diff: "", artifact: null };
+  }
+  const stored = storeOutputArtifact(jobId, diff.stdout, diff, { name: "git.diff", label: "git_diff" });
+  tracking.append(jobId, "progress.md", withArtifactLink(`## git diff\n\n${FENCE}diff\n${stored.text}\n${FENCE}`, stored) + "\n");
+
+  return { status: status.stdout || "", diff: stored.excerpt, artifact: stored.artifact };
+}
+
+async function runJobChecks(jobId, { names = [], signal = null } = {}) {
+  const checked = await runConfiguredChecks(jobs.baseDir, {
+    cwd: jobWorkspaceRoot(jobId), names, signal, spillDir: runSpillDir(jobId), saveDir: runDir(jobId),
+  });
+  if (checked.cancelled) throw makeCancelledError(jobId);
+  if (checked.summary) {
+    tracking.append(jobId, "progress.md", formatChecksMarkdown(checked.summary));
+    jobs.appendConversation(jobId, "checks", formatChecksFeedback(checked.summary), { kind: "checks", ok: checked.ok });
+  }
+  return checked;
+}
 
-  return { status: status.stdout || "", diff: diff.stdout || "" };
+function lastChecksFeedback(jobId) {
+  try {
+    return formatChecksFeedback(readLastChecks(runDir(jobId)));
+  } catch {
+    return "";
+  }
 }
 
 function getGoalFromResearch(jobId) {
@@ -1004,6 +1774,7 @@ async function decideRunRoute(jobId, { mode, goal, seedInstruction = "", signal
     "    {\"type\":\"agent_run\", \"agent\":\"researcher\", \"prompt\":\"...\", \"inputs\":{}},",
     "    {\"type\":\"agent_run\", \"agent\":\"coder\", \"prompt\":\"...\", \"inputs\":{}},",
     "    {\"type\":\"chatgpt_prompt\", \"question\":\"...\"},",
+    "    {\"type\":\"run_checks\", \"checks\":[]},",
     "    {\"type\":\"git_summary\"}",
     "  ]",
     "}",
@@ -1012,6 +1783,11 @@ async function decideRunRoute(jobId, { mode, goal, seedInstruction = "", signal
     "- 중복 작업 금지. 같은 분석/계획/구현을 반복 배정하지 말 것.",
     "- 필요한 최소 액션만 포함.",
     "- action은 최대 4개.",
+    "- 코드 변경 뒤 검증이 필요하면 run_checks(lint/test/build)를 배치한다.",
+    "- last checks가 FAIL이면 실패 로그를 근거로 coder 수정 지시를 먼저 배치하고 run_checks로 재검증한다.",
+    "",
+    "last checks:",
+    lastChecksFeedback(jobId) || "(none)",
     "",
     `mode=${mode}`,
     `goal=${goal}`,
@@ -1038,6 +1814,7 @@ async function decideRunRoute(jobId, { mode, goal, seedInstruction = "", signal
       () => runGeminiPrompt({ workspaceRoot: workspace.root, cwd: runDir(jobId), prompt, signal }),
       { jobId, signal, label: "agent_router" }
     );
+    recordUsage(jobId, r, { agent: "router", provider: "gemini", label: "agent_router", prompt });
     const out = (r.stdout || r.stderr || "").trim();
     if (!r.ok) return defaultRouteFor(mode, goal, seedInstruction);
 
@@ -1060,6 +1837,10 @@ async function decideRunRoute(jobId, { mode, goal, seedInstruction = "", signal
       }
       if (a.type === "git_summary") {
         normalized.push({ type: "git_summary" });
+        continue;
+      }
+      if (a.type === "run_checks") {
+        normalized.push({ type: "run_checks", checks: Array.isArray(a.checks) ? a.checks : [] });
       }
     }
     if (normalized.length === 0) return defaultRouteFor(mode, goal, seedInstruction);
@@ -1111,6 +1892,7 @@ async function reflectAutoSuggest(jobId, trigger, question, signal = null) {
       () => runGeminiPrompt({ workspaceRoot: workspace.root, cwd: runDir(jobId), prompt, signal }),
       { jobId, signal, label: "auto_reflection" }
     );
+    recordUsage(jobId, r, { agent: "reflection", provider: "gemini", label: "auto_reflection", prompt });
     const out = (r.stdout || r.stderr || "").trim();
     if (!r.ok) return { shouldAsk: false, reason: clip(`reflection failed: ${out}`, 300) };
 
@@ -1222,11 +2004,27 @@ function normalizeActionShape(raw) {
     return { type: "track_append", doc: raw.doc || "plan.md", markdown: String(raw.markdown || "") };
   }
   if (type === "git_summary") return { type: "git_summary" };
+  if (type === "run_checks") return normalizeChecksAction(raw);
   if (type === "commit_request") {
     const message = String(raw.message || "").trim();
     if (!message) return null;
     return { type: "commit_request", message };
   }
+  if (type === "rollback") {
+    const step = Number(raw.step);
+    return { type: "rollback", step: Number.isInteger(step) && step > 0 ? step : null };
+  }
+  if (type === "push_request") {
+    return { type: "push_request", remote: String(raw.remote || "").trim() };
+  }
+  if (type === "pr_request") {
+    return {
+      type: "pr_request",
+      title: String(raw.title || "").trim(),
+      base: String(raw.base || "").trim(),
+      remote: String(raw.remote || "").trim(),
+    };
+  }
   return null;
 }
 
@@ -1235,6 +2033,7 @@ function actionLabel(act) {
   if (act.type === "agent_run") return `agent_run:${act.agent}`;
   if (act.type === "chatgpt_prompt") return "chatgpt_prompt";
   if (act.type === "track_append") return `track_append:${act.doc || "plan.md"}`;
+  if (act.type === "run_checks") return `run_checks:${act.checks?.length ? act.checks.join(",") : "all"}`;
   return String(act.type);
 }
 
@@ -1270,6 +2069,7 @@ function chatActionLabel(action) {
   if (type === "interrupt") return `interrupt:${action.mode || "replan"}`;
   if (type === "spawn_agents") return `spawn_agents:${Array.isArray(action.agents) ? action.agents.length : 0}`;
   if (type === "open_context") return `open_context:${action.scope || "current"}`;
+  if (type === "run_checks") return `run_checks:${Array.isArray(action.checks) && action.checks.length ? action.checks.join(",") : "all"}`;
   return type;
 }
 
@@ -1288,10 +2088,10 @@ function formatChatSummary(routePlan, results) {
 function findDefaultChatAgentId() {
   if (agentRegistry?.byId?.has("researcher")) return "researcher";
   const agents = Array.isArray(agentRegistry?.agents) ? agentRegistry.agents : [];
-  const gemini = agents.find((row) => String(row?.provider || "").trim().toLowerCase() === "gemini");
+  const gemini = agents.find((row) => normalizeProvider(row?.provider) === "gemini");
   if (gemini?.id) return String(gemini.id).trim().toLowerCase();
-  const nonChatgpt = agents.find((row) => String(row?.provider || "").trim().toLowerCase() !== "chatgpt");
-  if (nonChatgpt?.id) return String(nonChatgpt.id).trim().toLowerCase();
+  const nonInteractive = agents.find((row) => getProvider(row?.provider) && !providerCapabilities(row?.provider).interactive);
+  if (nonInteractive?.id) return String(nonInteractive.id).trim().toLowerCase();
   return "";
 }
 
@@ -1325,8 +2125,8 @@ function sanitizeChatRoutePlan(routePlan, message) {
     }
 
     const agentId = resolveAgentId(action.agent || "");
-    const provider = String(findAgentConfig(agentId)?.provider || "").trim().toLowerCase();
-    if (!allowChatGPTPlanner && provider === "chatgpt") {
+    const provider = normalizeProvider(findAgentConfig(agentId)?.provider, "");
+    if (!allowChatGPTPlanner && providerCapabilities(provider).interactive) {
       removedChatGpt += 1;
       continue;
     }
@@ -1536,6 +2336,7 @@ async function synthesizeChatReply(message, routePlan, execution = {}) {
       () => runGeminiPrompt({ workspaceRoot: workspace.root, cwd, prompt }),
       { jobId, label: "chat_synthesize" }
     );
+    recordUsage(jobId, r, { agent: "supervisor", provider: "gemini", label: "chat_synthesize", prompt });
     const out = String(r?.stdout || r?.stderr || "").trim();
     if (r?.ok && out) return clip(out, 3800);
   } catch {}
@@ -1553,14 +2354,6 @@ function parseJsonMaybeLoose(text) {
   }
 }
 
-function normalizeProviderName(raw) {
-  const key = String(raw || "").trim().toLowerCase();
-  if (["chatgpt", "gpt", "openai"].includes(key)) return "chatgpt";
-  if (["codex"].includes(key)) return "codex";
-  if (["gemini"].includes(key)) return "gemini";
-  return "gemini";
-}
-
 function parseStructuredFromResource(resource, preferredPayloadKey = "") {
   const row = resource && typeof resource === "object" ? resource : {};
   const payload = row.payload && typeof row.payload === "object"
@@ -1698,7 +2491,9 @@ function buildAgentProfileFromProposal(action) {
     id,
     name: String(action?.name || id).trim() || id,
     description: String(action?.description || "").trim(),
-    provider: normalizeProviderName(action?.provider || action?.model || "gemini"),
+    provider: String(action?.provider || "").trim()
+      ? normalizeProvider(action.provider)
+      : (resolveProviderId(action?.model) || "gemini"),
     model: String(action?.model || action?.provider || "gemini").trim() || "gemini",
     prompt: String(action?.prompt || action?.goal || "").trim(),
     meta: action?.meta && typeof action.meta === "object" ? action.meta : {},
@@ -1809,8 +2604,12 @@ async function findLatestAgentProfileNodeForPublish(client, agentsSlot, { agentN
 
 async function loadSupervisorRuntime(jobId, { chatMeta = null } = {}) {
   const reg = await refreshAgentRegistry({ includeCompiled: true });
+  let localJobConfig = { job_id: String(jobId || "").trim() };
+  try {
+    localJobConfig = loadLocalJobConfig(runDir(jobId), jobId);
+  } catch {}
   const fallbackNormalized = normalizeSupervisorJobConfig(
-    { job_id: String(jobId || "").trim() },
+    localJobConfig,
     { agentsCatalog: reg.agents, toolsCatalog: [] }
   );
   const fallbackAgentSet = new Set(
@@ -1870,7 +2669,7 @@ async function loadSupervisorRuntime(jobId, { chatMeta = null } = {}) {
     .filter(Boolean);
 
   const normalized = normalizeSupervisorJobConfig(
-    rawJobConfig || { job_id: String(jobId || "").trim() },
+    rawJobConfig || localJobConfig,
     { agentsCatalog: reg.agents, toolsCatalog }
   );
   const enabledAgentSet = new Set(
@@ -2472,7 +3271,6 @@ function buildSupervisorExecutionCallbacks({
       if (mode === "cancel") {
         chatSessionStore.upsert(chatId, {
           pending_user_messages: [],
-          pending_approval: null,
           state: "idle",
         });
       }
@@ -2483,6 +3281,12 @@ function buildSupervisorExecutionCallbacks({
           : "🔄 현재 실행을 중단하고 새 지시로 재계획할게요.",
       };
     },
+    runChecks: async ({ action }) => {
+      return await enqueue(
+        () => runJobChecks(jobId, { names: action.checks, signal: controller.signal }),
+        { jobId, signal: controller.signal, label: "chat_v2_run_checks" }
+      );
+    },
     summarize: async ({ results }) => {
       const okCount = results.filter((row) => row.status === "ok").length;
       const errorCount = results.filter((row) => row.status === "error").length;
@@ -2563,6 +3367,7 @@ function buildSupervisorExecutionCallbacks({
         `- public_node_id: ${installed.public_node_id || selected.public_node_id || "unknown"}`,
         `- installed_agent_id: ${installed.agent_id || "unknown"}`,
         `- created_node: ${installed.created?.id || "unknown"}`,
+        ...(installed.stripped_command?.length > 0 ? [`- stripped: ${installed.stripped_command.join(", ")}`] : []),
       ].join("\n"));
       return {
         ...installed,
@@ -2710,7 +3515,6 @@ async function runSupervisorChat(
   chatSessionStore.upsert(chatId, {
     jobId: currentJobId,
     state: "routing",
-    pending_approval: null,
     interrupt: null,
   });
 
@@ -2748,7 +3552,13 @@ async function runSupervisorChat(
       signal: controller.signal,
       locale: "ko-KR",
       routerPolicy: memory.getRouterPrompt(),
-      contextSummary: runtime.contextSummary,
+      contextSummary: [runtime.contextSummary, lastChecksFeedback(currentJobId)].filter(Boolean).join("\n\n"),
+      onRun: (r, prompt) => recordUsage(currentJobId, r, { agent: "supervisor", provider: "gemini", label: "supervisor_route", prompt }),
+    });
+    events.record(currentJobId, "route_decided", {
+      source: "supervisor",
+      reason: routePlan.reason || "",
+      actions: (Array.isArray(routePlan.actions) ? routePlan.actions : []).map((row) => chatActionLabel(row)),
     });
 
     chatSessionStore.upsert(chatId, {
@@ -2777,6 +3587,9 @@ async function runSupervisorChat(
       agents: runtime.agents,
       tools: runtime.tools,
       sessionStore: chatSessionStore,
+      approvals,
+      requestedBy: actorId(userId),
+      authorize: (action) => roleDenialForAction(userId, chatId, action),
       callbacks: buildSupervisorExecutionCallbacks({
         bot,
         chatId,
@@ -2786,6 +3599,7 @@ async function runSupervisorChat(
         controller,
         verbose,
       }),
+      onEvent: (type, data) => events.record(currentJobId, type, data),
     });
 
     tracking.append(currentJobId, "decisions.md", [
@@ -2798,25 +3612,12 @@ async function runSupervisorChat(
     ].join("\n"));
 
     if (execution.pendingApproval) {
-      chatSessionStore.upsert(chatId, {
-        jobId: currentJobId,
-        state: "awaiting_approval",
-        pending_approval: {
-          ...execution.pendingApproval,
-          blocked_index: Number.isFinite(Number(execution.blocked_index))
-            ? Number(execution.blocked_index)
-            : Number(execution.pendingApproval?.blocked_index ?? -1),
-          remaining_actions: Array.isArray(execution.remaining_actions)
-            ? execution.remaining_actions
-            : (Array.isArray(execution.pendingApproval?.remaining_actions)
-              ? execution.pendingApproval.remaining_actions
-              : []),
-        },
-      });
       tracking.append(currentJobId, "decisions.md", [
         "## /chat approval required",
+        `- token: ${execution.pendingApproval.id}`,
         `- reason: ${execution.pendingApproval.reason}`,
         `- action: ${chatActionLabel(execution.pendingApproval.action)}`,
+        `- requested_by: ${actorId(userId)}`,
       ].join("\n"));
     }
 
@@ -2850,27 +3651,16 @@ async function runSupervisorChat(
       userId,
     });
     if (execution.pendingApproval?.id) {
-      await bot.sendMessage(
-        chatId,
-        `승인 대기 중입니다.\nreason=${execution.pendingApproval.reason}\naction=${chatActionLabel(execution.pendingApproval.action)}`,
-        {
-          reply_markup: {
-            inline_keyboard: [[
-              { text: "✅ Approve", callback_data: `approve_action:${execution.pendingApproval.id}` },
-              { text: "❌ Reject", callback_data: `reject_action:${execution.pendingApproval.id}` },
-            ]],
-          },
-        }
-      );
+      await sendSupervisorApprovalCard(bot, chatId, currentJobId, execution.pendingApproval);
     }
     return { routePlan, execution, jobId: currentJobId };
+  } catch (e) {
+    recordJobError(currentJobId, "supervisor_chat", e);
+    throw e;
   } finally {
     if (activeJobByChat.get(chatKey) === currentJobId) activeJobByChat.delete(chatKey);
     jobAbortControllers.delete(currentJobId);
-    chatSessionStore.upsert(chatId, (session) => ({
-      ...session,
-      state: session.pending_approval ? "awaiting_approval" : "idle",
-    }));
+    chatSessionStore.upsert(chatId, { state: "idle" });
   }
 }
 
@@ -2984,17 +3774,65 @@ async function executeChatActions(bot, chatId, userId, message, routePlan, { ver
   return { results, currentJobId, outputs };
 }
 
-async function executeAgentRun(bot, chatId, jobId, act, { signal = null, notify = true } = {}) {
+// limits.max_job_wall_clock_sec: total run time of this agent in this job (from usage.jsonl). Refuses the run
+// once it is used up, otherwise hands the remainder to the provider as a timeout cap.
+async function applyJobWallClock(bot, chatId, jobId, agent, { notify = true } = {}) {
+  const limits = normalizeLimits(agent.limits);
+  if (!limits.max_job_wall_clock_sec) return agent;
+  let usedSec = 0;
+  try {
+    usedSec = Math.floor((usage.summarize(jobId).byAgent[agent.id]?.duration_ms || 0) / 1000);
+  } catch {}
+  const remaining = limits.max_job_wall_clock_sec - usedSec;
+  if (remaining <= 0) {
+    const msg = `@${agent.id} 은(는) 이 job에서 누적 실행 시간 한도(max_job_wall_clock_sec=${limits.max_job_wall_clock_sec}s)를 모두 사용했습니다 (사용: ${usedSec}s).`;
+    tracking.append(jobId, "progress.md", `## ${agent.id} limit reached\n- ${msg}\n`);
+    if (notify) await bot.sendMessage(chatId, `⛔ ${msg}\nagents.json의 limits를 늘리거나 다른 agent를 사용하세요.`);
+    throw new Error(`${agent.id}: max_job_wall_clock_sec exhausted (${usedSec}s used)`);
+  }
+  return { ...agent, limits: { ...limits, remaining_job_sec: remaining } };
+}
+
+// meta.fallback names the agent to use explicitly; with QUOTA_FAILOVER any headless registry agent on another
+// provider with the same file-writing capability qualifies.
+function pickFailoverAgent(agent, failedAdapter) {
+  const runnable = (row) => {
+    const adapter = getProvider(row?.provider);
+    return !!adapter
+      && adapter.id !== failedAdapter.id
+      && typeof adapter.run === "function"
+      && !adapter.capabilities.interactive
+      && adapter.capabilities.writesFiles === failedAdapter.capabilities.writesFiles;
+  };
+  const explicit = String(agent?.meta?.fallback || "").trim();
+  if (explicit) {
+    const row = findAgentConfig(explicit);
+    return row && row.id !== agent.id && runnable(row) ? row : null;
+  }
+  if (!QUOTA_FAILOVER) return null;
+  const agents = Array.isArray(agentRegistry?.agents) ? agentRegistry.agents : [];
+  return agents.find((row) => row.id !== agent.id && runnable(row)) || null;
+}
+
+async function executeAgentRun(bot, chatId, jobId, act, { signal = null, notify = true, failoverFrom = "" } = {}) {
   await refreshAgentRegistry();
   const agentId = resolveAgentId(act.agent || "");
   const taskPrompt = String(act.prompt || "").trim();
   if (!agentId || !taskPrompt) throw new Error("invalid agent_run action");
 
-  const agent = findAgentConfig(agentId);
-  if (!agent) throw new Error(`Unknown agent: ${agentId}. Check agents registry: ${agentRegistry.path}`);
+  const configured = findAgentConfig(agentId);
+  if (!configured) throw new Error(`Unknown agent: ${agentId}. Check agents registry: ${agentRegistry.path}`);
+  const agent = await applyJobWallClock(bot, chatId, jobId, configured, { notify });
 
-  const provider = String(agent.provider || "gemini").trim().toLowerCase();
+  const provider = normalizeProvider(agent.provider);
   const model = String(agent.model || provider).trim() || provider;
+  const adapter = getProvider(provider);
+  if (!adapter) {
+    throw new Error(`Unsupported provider for agent ${agentId}: ${provider}. Declare it under "providers" in ${agentRegistry.path}`);
+  }
+  if (!adapter.capabilities.interactive && typeof adapter.run !== "function") {
+    throw new Error(`Unsupported provider for agent ${agentId}: ${provider} has no command. Set "command" for it under "providers" in ${agentRegistry.path}`);
+  }
   const rolePrompt = String(agent.prompt || "").trim();
   const combinedInstruction = rolePrompt
     ? `[ROLE]\n${rolePrompt}\n\n[TASK]\n${taskPrompt}`
@@ -3006,65 +3844,84 @@ async function executeAgentRun(bot, chatId, jobId, act, { signal = null, notify
     ? `[AGENT ROLE]\n${rolePrompt}\n\n[QUESTION]\n${taskPrompt}`
     : taskPrompt;
 
-  const runProvider = async (providerPrompt) => {
-    if (provider === "chatgpt") {
-      await sendChatGPTPrompt(bot, chatId, jobId, providerPrompt);
-      return `ChatGPT prompt generated by agent=${agentId}\nquestion=${providerPrompt}`;
+  const notifyGocFallback = async () => {
+    const fallback = gocFallbackByJob.get(String(jobId));
+    if (!fallback) return;
+    if (notify) {
+      await bot.sendMessage(chatId, `⚠️ GoC 컨텍스트 조회 실패로 local fallback 사용 중입니다.\nreason=${clip(fallback, 180)}`);
     }
-
-    throw new Error(`Unsupported provider for agent ${agentId}: ${provider}`);
+    gocFallbackByJob.delete(String(jobId));
   };
 
-  const appendLocalLogs = (output, mode) => {
-    const section = `## Agent ${agentId} output (${mode})`;
-    if (provider === "codex") {
-      tracking.append(jobId, "progress.md", `${section}\n\n${output}\n`);
-    } else {
-      tracking.append(jobId, "research.md", `${section}\n\n${output}\n`);
-    }
+  // Interactive providers (ChatGPT) have no runner: hand the user a copy/paste prompt instead.
+  if (adapter.capabilities.interactive) {
+    await sendChatGPTPrompt(bot, chatId, jobId, combinedChatQuestion);
+    const output = `ChatGPT prompt generated by agent=${agentId}\nquestion=${combinedChatQuestion}`;
+    const mode = memoryModeWithFallback();
+    tracking.append(jobId, "research.md", `## Agent ${agentId} output (${mode})\n\n${output}\n`);
     jobs.appendConversation(jobId, agentId, output, { kind: "agent_run", provider, model, mode });
+    return { output, mode, agent, provider, model };
+  }
+  const streamer = createOutputStreamer(bot, chatId, jobId, `${agentId} (${adapter.label})`);
+  const onLimit = async (hits) => {
+    if (!notify) return;
+    await bot.sendMessage(chatId, `⚠️ @${agentId} (${adapter.label}) 실행 한도 도달: ${hits.join(", ")}\nagents.json의 limits로 조정할 수 있습니다.`);
   };
-
-  if (provider === "codex") {
-    const output = await codexImplement(jobId, combinedInstruction, signal);
-    const fallback = gocFallbackByJob.get(String(jobId));
-    if (fallback) {
-      if (notify) {
-        await bot.sendMessage(chatId, `⚠️ GoC 컨텍스트 조회 실패로 local fallback 사용 중입니다.\nreason=${clip(fallback, 180)}`);
+  const onQuota = async ({ attempt, waitSec, giveUp }) => {
+    if (giveUp || !notify) return;
+    await bot.sendMessage(chatId, `⏳ @${agentId} (${adapter.label}) 사용량/레이트 리밋 감지 → ${waitSec}초 후 재시도 (#${attempt})`);
+  };
+  // Same id format as chat runs (run_manager.js); tags this call's artifacts.
+  const runId = `run_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+  const timer = events.start(jobId, { action: "agent_run", label: `agent_run:${agentId}`, runId, agent: agentId, provider });
+  let output = "";
+  try {
+    output = adapter.capabilities.writesFiles
+      ? await codexImplement(jobId, combinedInstruction, signal, { agent, runId, taskPrompt, onChunk: streamer.onChunk, onQuota, onLimit })
+      : await geminiResearch(jobId, combinedGoal, signal, {
+        agent,
+        runId,
+        onChunk: streamer.onChunk,
+        onQuota,
+        onLimit,
+        sectionTitle: `${agentId} notes`,
+        outputGuide: [
+          "출력:",
+          "- 핵심 요약",
+          "- 구현 전 확인사항",
+          "- 리스크와 완화책",
+          "- 검증 체크리스트",
+        ].join("\n"),
+      });
+    await streamer.finish("done");
+    timer.finish("ok");
+  } catch (e) {
+    await streamer.finish(signal?.aborted || isCancelledError(e) ? "cancelled" : "failed");
+    if (signal?.aborted || isCancelledError(e)) timer.finish("cancelled");
+    else timer.fail(e, `agent_run:${agentId}`);
+    if (e instanceof QuotaExceededError) {
+      const fallback = failoverFrom ? null : pickFailoverAgent(agent, adapter);
+      const waitHint = e.retryAfterSec ? ` (한도 해제까지 약 ${Math.ceil(e.retryAfterSec / 60)}분)` : "";
+      tracking.append(jobId, "decisions.md", [
+        "## provider quota exceeded",
+        `- agent: ${agentId} (${adapter.id})`,
+        `- attempts: ${e.attempts}`,
+        `- failover: ${fallback ? fallback.id : "none"}`,
+      ].join("\n"));
+      if (fallback) {
+        if (notify) {
+          await bot.sendMessage(chatId, `⚠️ @${agentId} (${adapter.label}) 사용량/레이트 리밋이 ${e.attempts}회 시도 후에도 계속됩니다${waitHint}.\n→ @${fallback.id} (${getProvider(fallback.provider)?.label || fallback.provider})로 전환해 같은 작업을 이어갑니다.`);
+        }
+        return await executeAgentRun(bot, chatId, jobId, { ...act, agent: fallback.id }, { signal, notify, failoverFrom: agentId });
       }
-      gocFallbackByJob.delete(String(jobId));
-    }
-    return { output, mode: memoryModeWithFallback(), agent, provider, model };
-  }
-  if (provider === "gemini") {
-    const output = await geminiResearch(jobId, combinedGoal, signal, {
-      sectionTitle: `${agentId} notes`,
-      outputGuide: [
-        "출력:",
-        "- 핵심 요약",
-        "- 구현 전 확인사항",
-        "- 리스크와 완화책",
-        "- 검증 체크리스트",
-      ].join("\n"),
-    });
-    const fallback = gocFallbackByJob.get(String(jobId));
-    if (fallback) {
       if (notify) {
-        await bot.sendMessage(chatId, `⚠️ GoC 컨텍스트 조회 실패로 local fallback 사용 중입니다.\nreason=${clip(fallback, 180)}`);
+        await bot.sendMessage(chatId, `⛔ @${agentId} (${adapter.label}) 사용량/레이트 리밋으로 중단했습니다${waitHint}. 시도 ${e.attempts}회.\n대체 agent가 없습니다 (agents.json의 meta.fallback 또는 QUOTA_FAILOVER=true). 한도가 풀리면 /continue ${jobId}`);
       }
-      gocFallbackByJob.delete(String(jobId));
     }
-    return { output, mode: memoryModeWithFallback(), agent, provider, model };
+    throw e;
   }
-  if (provider === "chatgpt") {
-    const output = await runProvider(combinedChatQuestion);
-    appendLocalLogs(output, memoryModeWithFallback());
-    return { output, mode: memoryModeWithFallback(), agent, provider, model };
-  }
-
-  const output = await runProvider(combinedChatQuestion);
-  appendLocalLogs(output, memoryModeWithFallback());
-  return { output, mode: memoryModeWithFallback(), agent, provider, model };
+  await notifyGocFallback();
+  return { output, mode: memoryModeWithFallback(), agent, provider, model, runId, ...(failoverFrom ? { failoverFrom } : {}) };
 }
 
 async function executeRoutedPlan(bot, chatId, jobId, route, signal = null, opts = {}) {
@@ -3090,14 +3947,24 @@ async function executeRoutedPlan(bot, chatId, jobId, route, signal = null, opts
     }
 
     if (act.type === "git_summary") {
-      const { status, diff } = await gitSummary(jobId, signal);
-      await sendLong(bot, chatId, `📌 git status\n${FENCE}\n${clip(status, 1500)}\n${FENCE}\n\n📌 git diff(일부)\n${FENCE}diff\n${clip(diff, 2500)}\n${FENCE}\n\n커밋: /commit ${jobId} <message>`);
+      const { status, diff, artifact } = await timedAction(jobId, act, () => gitSummary(jobId, signal));
+      await sendLong(bot, chatId, `📌 git status\n${FENCE}\n${clip(status, 1500)}\n${FENCE}\n\n📌 git diff(일부)\n${FENCE}diff\n${clip(diff, 2500)}\n${FENCE}${artifact ? `\n전체 diff: /artifacts ${jobId} ${artifact.id}` : ""}\n\n커밋: /commit ${jobId} <message>`);
+      continue;
+    }
+
+    if (act.type === "run_checks") {
+      await bot.sendMessage(chatId, "🧪 checks 실행 중…");
+      const checked = await enqueue(
+        () => timedAction(jobId, act, () => runJobChecks(jobId, { names: act.checks, signal })),
+        { jobId, signal, label: "run_checks" }
+      );
+      await sendLong(bot, chatId, checked.text);
       continue;
     }
 
     if (act.type === "chatgpt_prompt") {
       const q = String(act.question || "현재 상태에서 다음 단계 action plan(JSON)을 제안해줘.").trim();
-      await sendChatGPTPrompt(bot, chatId, jobId, q);
+      await timedAction(jobId, act, () => sendChatGPTPrompt(bot, chatId, jobId, q));
       askedChatGPT = true;
     }
   }
@@ -3106,17 +3973,24 @@ async function executeRoutedPlan(bot, chatId, jobId, route, signal = null, opts
 }
 
 async function executeActions(bot, chatId, jobId, plan, signal = null, opts = {}) {
-  void opts;
   if (!plan || !Array.isArray(plan.actions)) return;
-  const allowed = new Set(["track_append", "agent_run", "gemini", "codex", "git_summary", "chatgpt_prompt", "chatgpt", "commit_request"]);
+  const allowed = new Set(["track_append", "agent_run", "gemini", "codex", "git_summary", "run_checks", "chatgpt_prompt", "chatgpt", "commit_request", "push_request", "pr_request", "rollback"]);
+  recordRoute(jobId, opts.source || "plan", { reason: plan.reason || plan.summary || "", actions: plan.actions.map((a) => normalizeActionShape(a) || a) });
 
   for (const rawAct of plan.actions) {
     if (!rawAct || !allowed.has(String(rawAct.type || "").trim().toLowerCase())) continue;
     const act = normalizeActionShape(rawAct);
     if (!act) continue;
+    // authorize(act) returns why the user applying the plan may not run this action, or "".
+    const denied = typeof opts.authorize === "function" ? String(opts.authorize(act) || "") : "";
+    if (denied) {
+      events.record(jobId, "action_finished", { action: act.type, label: actionLabel(act), status: "blocked", duration_ms: 0, note: `permission denied: ${denied}` });
+      await bot.sendMessage(chatId, `⛔ ${actionLabel(act)} 건너뜀: ${denied}`);
+      continue;
+    }
 
     if (act.type === "track_append") {
-      tracking.append(jobId, act.doc || "plan.md", String(act.markdown || ""));
+      await timedAction(jobId, act, () => tracking.append(jobId, act.doc || "plan.md", String(act.markdown || "")));
       await bot.sendMessage(chatId, `📝 기록 업데이트: ${act.doc || "plan.md"}`);
     }
 
@@ -3132,361 +4006,1050 @@ async function executeActions(bot, chatId, jobId, plan, signal = null, opts = {}
     }
 
     if (act.type === "git_summary") {
-      const { status, diff } = await gitSummary(jobId, signal);
-      await sendLong(bot, chatId, `📌 git status\n${FENCE}\n${clip(status, 1500)}\n${FENCE}\n\n📌 git diff(일부)\n${FENCE}diff\n${clip(diff, 2500)}\n${FENCE}`);
+      const { status, diff, artifact } = await timedAction(jobId, act, () => gitSummary(jobId, signal));
+      await sendLong(bot, chatId, `📌 git status\n${FENCE}\n${clip(status, 1500)}\n${FENCE}\n\n📌 git diff(일부)\n${FENCE}diff\n${clip(diff, 2500)}\n${FENCE}${artifact ? `\n전체 diff: /artifacts ${jobId} ${artifact.id}` : ""}`);
+    }
+
+    if (act.type === "run_checks") {
+      await bot.sendMessage(chatId, "🧪 checks 실행 중…");
+      const checked = await enqueue(
+        () => timedAction(jobId, act, () => runJobChecks(jobId, { names: act.checks, signal })),
+        { jobId, signal, label: "run_checks" }
+      );
+      await sendLong(bot, chatId, checked.text);
     }
 
     if (act.type === "chatgpt_prompt") {
       const q = String(act.question || act.prompt || "").trim();
       if (!q) continue;
-      await sendChatGPTPrompt(bot, chatId, jobId, q);
+      await timedAction(jobId, act, () => sendChatGPTPrompt(bot, chatId, jobId, q));
     }
 
     if (act.type === "commit_request") {
       const message = String(act.message || "").trim();
       if (!message) continue;
-      const rec = approvals.request(jobId, { purpose: "git commit", summary: `Commit changes with message: ${message}`, payload: { action: "git_commit", message } });
-      await bot.sendMessage(chatId,
-        `🟡 커밋 승인 필요\njobId=${jobId}\nmessage=${message}\ntoken=${rec.token}`,
-        { reply_markup: { inline_keyboard: [[{ text: "✅ Approve", callback_data: `approve:${jobId}:${rec.token}` }, { text: "❌ Deny", callback_data: `deny:${jobId}:${rec.token}` }]] } }
-      );
+      await timedAction(jobId, act, () => requestCommitApproval(bot, chatId, jobId, message, opts.telegramUserId ? actorId(opts.telegramUserId) : "plan"));
+    }
+
+    if (act.type === "push_request" || act.type === "pr_request") {
+      const requestedBy = opts.telegramUserId ? actorId(opts.telegramUserId) : "plan";
+      await timedAction(jobId, act, () => requestRemoteApproval(bot, chatId, jobId, act.type === "pr_request" ? "git_pr" : "git_push", act, requestedBy));
+    }
+
+    if (act.type === "rollback") {
+      await timedAction(jobId, act, () => rollbackJob(bot, chatId, jobId, act.step, opts.telegramUserId ? actorId(opts.telegramUserId) : "plan"));
     }
   }
 }
 
-// GPT paste/apply state per chat
-const awaiting = new Map(); // chatId -> { jobId, userId, expiresAt }
-function setAwait(chatId, jobId, userId) { awaiting.set(String(chatId), { jobId, userId, expiresAt: Date.now() + 20 * 60 * 1000 }); }
-function clearAwait(chatId) { awaiting.delete(String(chatId)); }
-function getAwait(chatId) {
-  const st = awaiting.get(String(chatId));
-  if (!st) return null;
-  if (Date.now() > st.expiresAt) { awaiting.delete(String(chatId)); return null; }
-  return st;
+function approvalMarkup(jobId, token) {
+  return { inline_keyboard: [[{ text: "✅ Approve", callback_data: `approve:${jobId}:${token}` }, { text: "❌ Deny", callback_data: `deny:${jobId}:${token}` }]] };
 }
 
-function isHardStopMessage(text) {
-  const msg = String(text || "").trim().toLowerCase();
-  if (!msg) return false;
-  return msg === "/stop"
-    || msg === "stop"
-    || msg.includes("중단")
-    || msg.includes("취소")
-    || msg.includes("멈춰")
-    || msg.includes("cancel");
+// "telegram:123" for bare Telegram ids; Slack/Discord ids already carry their platform prefix.
+function actorId(userId) {
+  const id = String(userId ?? "").trim();
+  if (!id) return "unknown";
+  return /^[a-z]+:/.test(id) ? id : `telegram:${id}`;
 }
 
-function extractPlainChatMessage(msg, text, botUsername = "") {
-  const raw = String(text || "").trim();
-  if (!raw) return "";
-  if (!TELEGRAM_REQUIRE_MENTION_IN_GROUP) return raw;
-
-  const chatType = String(msg?.chat?.type || "").trim().toLowerCase();
-  const isGroupChat = chatType === "group" || chatType === "supergroup";
-  if (!isGroupChat) return raw;
+function formatExpiry(rec) {
+  if (!rec.expiresAt) return "없음";
+  const leftMin = Math.round((new Date(rec.expiresAt).getTime() - Date.now()) / 60000);
+  const at = String(rec.expiresAt).slice(0, 16).replace("T", " ");
+  if (leftMin <= 0) return `${at} (만료됨)`;
+  return `${at} (${leftMin >= 120 ? `${Math.round(leftMin / 60)}시간` : `${leftMin}분`} 남음)`;
+}
 
-  if (raw.startsWith("!")) {
-    return raw.slice(1).trim();
+function formatApprovalProgress(rec) {
+  const policy = rec.policy || {};
+  const votes = Array.isArray(rec.approvals) ? rec.approvals : [];
+  const required = Number(policy.required) || 1;
+  const lines = [`승인 진행: ${votes.length}/${required}${votes.length ? ` (${votes.map((row) => row.by).join(", ")})` : ""}`];
+  if (Array.isArray(policy.approvers) && policy.approvers.length > 0) {
+    lines.push(`승인자${policy.level ? `(${policy.level})` : ""}: ${policy.approvers.join(", ")}`);
   }
-
-  const normalizedUsername = String(botUsername || "").trim().toLowerCase();
-  if (!normalizedUsername) return "";
-
-  const mentionPrefix = new RegExp(`^@${normalizedUsername}(?:\\s+|\\s*[:,]\\s*)?`, "i");
-  if (mentionPrefix.test(raw)) {
-    return raw.replace(mentionPrefix, "").trim();
+  if (policy.forbid_self) lines.push(`자기 승인 불가 (요청: ${rec.requestedBy || "-"})`);
+  if (rec.status === "pending") {
+    lines.push(`만료: ${formatExpiry(rec)}`);
+  } else {
+    lines.push(`결과: ${rec.status.toUpperCase()}${rec.decidedBy ? ` by ${rec.decidedBy}` : ""} @${String(rec.decidedAt || "").slice(0, 16).replace("T", " ")}`);
   }
+  return lines.join("\n");
+}
 
-  const entities = Array.isArray(msg?.entities) ? msg.entities : [];
-  for (const entity of entities) {
-    if (!entity || entity.type !== "mention") continue;
-    const offset = Number(entity.offset);
-    const length = Number(entity.length);
-    if (!Number.isFinite(offset) || !Number.isFinite(length) || length <= 1) continue;
-    const mentioned = raw.slice(offset, offset + length).trim().toLowerCase();
-    if (mentioned === `@${normalizedUsername}`) {
-      const stripped = `${raw.slice(0, offset)} ${raw.slice(offset + length)}`.replace(/\s+/g, " ").trim();
-      return stripped;
+// Commit requests snapshot the job's changed files; protected paths (COMMIT_PROTECTED_PATHS) start excluded
+// and cannot be toggled in. Files with secret findings start excluded too (the commit re-scans and blocks them).
+// The approver narrows the selection with the card's file buttons.
+async function requestCommitApproval(bot, chatId, jobId, message, requestedBy) {
+  const codeRoot = jobWorkspaceRoot(jobId);
+  const changes = await listChanges(codeRoot);
+  const findings = await scanChanges(codeRoot, changes.filter((row) => !row.protected), { scanner: secrets });
+  for (const row of changes) {
+    const hits = findings.filter((f) => f.path === row.path).length;
+    if (hits > 0) row.secrets = hits;
+  }
+  const files = changes.filter((row) => !row.protected && !row.secrets).map((row) => row.path);
+  if (files.length === 0) {
+    const locked = changes.filter((row) => row.protected);
+    if (findings.length > 0) {
+      await sendLong(bot, chatId, `⛔ 커밋할 수 있는 변경이 없습니다. secret 의심 항목:\n${findings.map((f) => `- ${formatSecretFinding(f)}`).join("\n")}`);
+      return null;
     }
+    await bot.sendMessage(chatId, locked.length > 0
+      ? `⛔ 커밋할 수 있는 변경이 없습니다. 보호된 경로만 변경됨:\n${locked.map((row) => `- ${row.path} (${row.protected})`).join("\n")}`
+      : `커밋할 변경 사항이 없습니다. (${jobLabel(jobId)})`);
+    return null;
   }
-  return "";
+  // Every file the card lets the approver tick, so a later toggle is covered too.
+  const hashes = await hashChanges(codeRoot, changes.filter((row) => !row.protected).map((row) => row.path));
+  const rec = approvals.request(jobId, {
+    purpose: "git commit",
+    summary: `Commit ${files.length} file(s) with message: ${message}`,
+    payload: { action: "git_commit", message, changes, files, hashes },
+    requestedBy,
+    chatId,
+    policy: await commitApprovalPolicy(jobId),
+  });
+  recordApprovalRequested(rec);
+  const wt = jobWorktree(jobId);
+  await postApprovalCard(bot, chatId, rec,
+    [
+      "🟡 커밋 승인 필요",
+      `job=${jobLabel(jobId)}`,
+      `message=${message}`,
+      wt ? `branch=${wt.branch}` : `workspace=${workspace.root}`,
+      `token=${rec.token}`,
+      ...(findings.length > 0 ? [
+        `🔑 secret 의심 ${findings.length}건 (해당 파일은 제외됨, 넣어도 커밋 시 다시 검사해 막음):`,
+        ...findings.slice(0, 10).map((f) => `- ${formatSecretFinding(f)}`),
+      ] : []),
+    ].join("\n"));
+  return rec;
 }
 
-const botOptions = {
-  polling: {
-    autoStart: false,
-    interval: Number.isFinite(TELEGRAM_POLLING_INTERVAL_MS) ? TELEGRAM_POLLING_INTERVAL_MS : 1000,
-    params: { timeout: Number.isFinite(TELEGRAM_POLLING_TIMEOUT_SEC) ? TELEGRAM_POLLING_TIMEOUT_SEC : 15 },
-  },
-};
-if (TELEGRAM_FORCE_IPV4) botOptions.request = { family: 4 };
-const bot = new TelegramBot(TOKEN, botOptions);
-let botUsername = "";
-
-const chatRunManager = new ChatRunManager({
-  sessionStore: chatSessionStore,
-  interruptDebounceMs: INTERRUPT_DEBOUNCE_MS,
-  cancelCurrent: async ({ chatId, mode, reason }) => {
-    return requestChatInterrupt(chatId, { mode, reason });
-  },
-  onAck: async ({ chatId, mode }) => {
-    const text = mode === "cancel"
-      ? "⛔️ 중단했어요. 다음 지시를 주세요."
-      : "🔄 변경 사항을 반영하기 위해 현재 실행을 중단하고 재계획할게요.";
-    await bot.sendMessage(chatId, text);
-  },
-  onRunError: async ({ chatId, error }) => {
-    if (isCancelledError(error)) return;
-    await bot.sendMessage(chatId, `❌ /chat 실패: ${String(error?.message ?? error)}`);
-  },
-  runChat: async ({ chatId, userId, message, inputKind, pendingCount, telegramMessageId, chatInfo }) => {
-    await runSupervisorChat(
-      bot,
-      chatId,
-      userId,
-      message,
-      {
-        debug: false,
-        chatInfo: chatInfo && typeof chatInfo === "object"
-          ? chatInfo
-          : { chat_id: String(chatId || "") },
-        inputKind: inputKind || (pendingCount > 1 ? "interrupt_update" : "chat_message"),
-        telegramMessageId,
-      }
-    );
-  },
-});
-
-let shuttingDown = false;
-async function shutdown(code = 0) {
-  if (shuttingDown) return;
-  shuttingDown = true;
-  try { await bot.stopPolling({ cancel: true }); } catch {}
-  releaseSingleInstanceLock();
-  process.exit(code);
+function formatCommitSelection(rec) {
+  const changes = Array.isArray(rec.payload?.changes) ? rec.payload.changes : [];
+  if (changes.length === 0) return "";
+  const selected = new Set(rec.payload.files || []);
+  const added = changes.reduce((n, row) => n + (selected.has(row.path) ? Number(row.added) || 0 : 0), 0);
+  const deleted = changes.reduce((n, row) => n + (selected.has(row.path) ? Number(row.deleted) || 0 : 0), 0);
+  const lines = changes.slice(0, 40).map((row) => {
+    const mark = row.protected ? "🔒" : (selected.has(row.path) ? "✅" : "⬜");
+    return `${mark} ${formatChangeLine(row)}${row.protected ? ` — protected: ${row.protected}` : ""}${row.secrets ? ` — 🔑 secrets: ${row.secrets}` : ""}`;
+  });
+  if (changes.length > 40) lines.push(`… 외 ${changes.length - 40}개`);
+  return [`files: ${selected.size}/${changes.length} 선택 (+${added} -${deleted})`, ...lines].join("\n");
 }
 
-let lastPollingErrorSig = "";
-let lastPollingErrorAt = 0;
-let suppressedPollingErrors = 0;
+function approvalCardText(rec, text) {
+  const files = rec.payload?.action === "git_commit" ? formatCommitSelection(rec) : "";
+  return [text, files, formatApprovalProgress(rec)].filter(Boolean).join("\n");
+}
 
-bot.on("polling_error", (error) => {
-  const code = String(error?.code ?? "UNKNOWN");
-  const message = String(error?.message ?? error);
-  const telegramCode = Number(error?.response?.body?.error_code ?? 0);
-  const sig = `${code}|${telegramCode}|${message}`;
-  const now = Date.now();
+// Approve/deny, plus one include/exclude toggle per changed file on pending commit requests.
+function approvalKeyboard(rec) {
+  if (rec.status !== "pending") return { inline_keyboard: [] };
+  const rows = approvalMarkup(rec.jobId, rec.token).inline_keyboard;
+  const changes = rec.payload?.action === "git_commit" && Array.isArray(rec.payload.changes) ? rec.payload.changes : [];
+  const selected = new Set(rec.payload?.files || []);
+  const toggles = changes.slice(0, COMMIT_TOGGLE_LIMIT).map((row, idx) => ({
+    text: `${row.protected ? "🔒" : (selected.has(row.path) ? "✅" : "⬜")} ${clip(path.posix.basename(row.path), 24).replace(/\n/g, " ")}`,
+    callback_data: `cf:${rec.jobId}:${rec.token}:${idx}`,
+  }));
+  for (let i = 0; i < toggles.length; i += 2) rows.push(toggles.slice(i, i + 2));
+  return { inline_keyboard: rows };
+}
 
-  if (sig === lastPollingErrorSig && now - lastPollingErrorAt < 10000) {
-    suppressedPollingErrors += 1;
+async function toggleCommitFile(bot, q, chatId, userId, data) {
+  const [, jobId = "", token = "", idxRaw = ""] = data.split(":");
+  let rec = null;
+  try {
+    rec = approvals.get(jobId, token);
+  } catch {}
+  const change = rec?.payload?.action === "git_commit" ? rec.payload.changes?.[Number(idxRaw)] : null;
+  if (!rec || rec.status !== "pending" || !change) {
+    await bot.answerCallbackQuery(q.id, { text: "대기 중인 커밋 요청이 아닙니다" });
     return;
   }
-  if (suppressedPollingErrors > 0) {
-    console.error(`polling_error repeated ${suppressedPollingErrors} times (suppressed).`);
-    suppressedPollingErrors = 0;
+  const roleDenied = roleDenial(userId, chatId, requiredRoleForApproval(rec.payload.action), "커밋 파일 선택");
+  if (roleDenied) {
+    await bot.answerCallbackQuery(q.id, { text: "admin 권한이 필요합니다" });
+    await bot.sendMessage(chatId, roleDenied);
+    return;
   }
-  lastPollingErrorSig = sig;
-  lastPollingErrorAt = now;
+  const denied = approvals.checkDecider(rec, actorId(userId));
+  if (denied) {
+    await bot.answerCallbackQuery(q.id, { text: "승인자만 파일을 고를 수 있습니다" });
+    await bot.sendMessage(chatId, `⛔ ${denied}`);
+    return;
+  }
+  if (change.protected) {
+    await bot.answerCallbackQuery(q.id, { text: `보호된 경로 (${change.protected})` });
+    return;
+  }
+  const files = new Set(rec.payload.files || []);
+  const include = !files.has(change.path);
+  if (include) files.add(change.path);
+  else files.delete(change.path);
+  const hadVotes = Array.isArray(rec.approvals) && rec.approvals.length > 0;
+  const updated = approvals.updatePayload(jobId, token, {
+    files: rec.payload.changes.map((row) => row.path).filter((p) => files.has(p)),
+  });
+  await bot.answerCallbackQuery(q.id, { text: `${include ? "포함" : "제외"}: ${change.path}${hadVotes ? " (승인 초기화)" : ""}` });
+  await refreshApprovalCards(updated);
+}
 
-  if (code === "ETELEGRAM" && telegramCode === 409) {
-    console.error("Telegram polling conflict (409): another bot instance is already using this token.");
-    console.error("Run only one instance (npm start or systemd service), then restart.");
-    void shutdown(1);
+// Commits the approved selection only; the outcome (SHA and files, or why it was blocked) goes to decisions.md.
+async function runApprovedCommit(bot, chatId, rec) {
+  const jobId = rec.jobId;
+  const message = rec.payload.message ?? "commit";
+  const codeRoot = jobWorkspaceRoot(jobId);
+  const wt = jobWorktree(jobId);
+  // Requests made before per-file selection existed carry no file list: take every unprotected change.
+  const files = Array.isArray(rec.payload.files)
+    ? rec.payload.files
+    : (await listChanges(codeRoot)).filter((row) => !row.protected).map((row) => row.path);
+  const result = await commitSelected(codeRoot, { files, message, hashes: rec.payload.hashes, scanner: secrets });
+  tracking.append(jobId, "decisions.md", formatCommitDecision(result, { token: rec.token, message, ref: wt ? wt.branch : codeRoot }));
+  if (!result.ok) {
+    await sendLong(bot, chatId, result.changed
+      ? `⛔ 커밋하지 않았습니다: 승인 요청 이후 파일이 바뀌었습니다. 다시 커밋을 요청하세요.\n${result.changed.map((p) => `- ${p}`).join("\n")}`
+      : `⛔ 커밋하지 않았습니다: ${result.error}`);
     return;
   }
+  tracking.append(jobId, "progress.md", `## git commit\n\n${FENCE}\n${result.output}\n${FENCE}\n`);
+  await sendLong(bot, chatId, [
+    `✅ 커밋 완료 ${result.sha.slice(0, 12)}${wt ? ` (${wt.branch})` : ""}`,
+    ...result.files.map((row) => `- ${formatChangeLine(row)}`),
+    "",
+    clip(result.output, 1500),
+  ].join("\n"));
+  await suggestNextPrompt(bot, chatId, jobId, "커밋 이후 다음 단계(테스트/PR/배포 등)를 결정해줘.", "commit");
+}
 
-  if (code === "EFATAL" && message.includes("AggregateError")) {
-    console.error("Telegram polling fatal network error (EFATAL AggregateError).");
-    console.error("Check outbound network/DNS, and keep TELEGRAM_FORCE_IPV4=true if your host has unstable IPv6.");
+// Push and pull-request requests name the job branch (worktree branch, else the workspace's checked-out branch)
+// up front so the approver sees exactly what leaves the machine.
+async function requestRemoteApproval(bot, chatId, jobId, action, { remote = "", base = "", title = "" } = {}, requestedBy) {
+  const config = remoteConfig();
+  const codeRoot = jobWorkspaceRoot(jobId);
+  const branch = jobWorktree(jobId)?.branch || await currentBranch(codeRoot);
+  if (!branch) {
+    await bot.sendMessage(chatId, `⛔ push할 브랜치를 찾지 못했습니다 (detached HEAD?). (${jobLabel(jobId)})`);
+    return null;
+  }
+  const target = remote || config.remote;
+  const refused = await checkRemote(codeRoot, target);
+  if (refused) {
+    await bot.sendMessage(chatId, `⛔ push 요청을 만들지 않았습니다: ${refused} (${jobLabel(jobId)})`);
+    return null;
+  }
+  const isPr = action === "git_pr";
+  const prTitle = title || String(jobs.readMeta(jobId)?.title || "").trim() || jobId;
+  const payload = isPr
+    ? { action, remote: target, branch, base: base || config.base, title: prTitle }
+    : { action, remote: target, branch };
+  const rec = approvals.request(jobId, {
+    purpose: isPr ? "pull request" : "git push",
+    summary: isPr ? `Push ${branch} to ${target} and open a PR into ${payload.base}: ${prTitle}` : `Push ${branch} to ${target}`,
+    payload,
+    requestedBy,
+    chatId,
+    policy: await commitApprovalPolicy(jobId),
+  });
+  recordApprovalRequested(rec);
+  await postApprovalCard(bot, chatId, rec, [
+    isPr ? "🟡 PR 승인 필요" : "🟡 push 승인 필요",
+    `job=${jobLabel(jobId)}`,
+    `remote=${target}`,
+    `branch=${branch}`,
+    ...(isPr ? [`base=${payload.base}`, `title=${prTitle}`, `forge=${config.forge}`] : []),
+    `token=${rec.token}`,
+  ].join("\n"));
+  return rec;
+}
+
+// Pushes the approved branch; for git_pr also builds the description from plan.md/decisions.md (kept as the
+// pr.md artifact) and hands it to the FORGE adapter. Outcomes go to decisions.md either way.
+async function runApprovedRemote(bot, chatId, rec) {
+  const jobId = rec.jobId;
+  const { action, remote, branch, base, title } = rec.payload;
+  const codeRoot = jobWorkspaceRoot(jobId);
+  if (action === "git_push") {
+    await bot.sendMessage(chatId, `⬆️ push 중… ${branch} → ${remote}`);
+    const result = await pushBranch({ codeRoot, remote, branch });
+    tracking.append(jobId, "decisions.md", formatRemoteDecision(result, { action, token: rec.token, remote, branch }));
+    if (!result.ok) {
+      await sendLong(bot, chatId, `⛔ push 실패: ${result.error}${result.output ? `\n${FENCE}\n${clip(result.output, 1500)}\n${FENCE}` : ""}`);
+      return;
+    }
+    await bot.sendMessage(chatId, `✅ push 완료 ${branch} → ${remote} (${result.sha.slice(0, 12)})`);
     return;
   }
 
-  console.error(`polling_error [${code}] ${message}`);
-});
+  const readDoc = (name) => {
+    try {
+      return tracking.read(jobId, name);
+    } catch {
+      return "";
+    }
+  };
+  // The docs are already redacted; commit subjects and the title are not.
+  const body = secrets.redactText(buildPrDescription({
+    title,
+    jobId,
+    plan: readDoc("plan.md"),
+    decisions: readDoc("decisions.md"),
+    commits: await branchCommits({ codeRoot, remote, base, branch }),
+  }));
+  const artifact = artifacts.put(jobId, body, { name: "pr.md", label: `PR: ${title}` });
+  const { forge } = remoteConfig();
+  await bot.sendMessage(chatId, `⬆️ push 후 PR 생성 중… ${branch} → ${remote} (base=${base}, forge=${forge})`);
+  const result = await openPullRequest({ codeRoot, remote, branch, base, title: secrets.redactText(title), body, forge });
+  tracking.append(jobId, "decisions.md", formatRemoteDecision(result, { action, token: rec.token, remote, branch, base, artifact }));
+  const descLine = `PR 설명: /artifacts ${jobId} ${artifact.id}`;
+  if (!result.ok) {
+    await sendLong(bot, chatId, `⛔ PR 실패: ${result.error}${result.push?.ok ? "\n(push는 완료됨)" : ""}\n${descLine}`);
+    return;
+  }
+  await sendLong(bot, chatId, [
+    result.url ? `✅ PR 생성: ${result.url}` : `✅ push 완료 ${branch} → ${remote}. forge=${result.forge}라 PR은 직접 열어주세요.`,
+    descLine,
+  ].join("\n"));
+}
 
-bot.on("callback_query", async (q) => {
+// Commits, pushes and PRs write to the repo or a remote, so they follow the job's L3 approval policy.
+async function commitApprovalPolicy(jobId) {
   try {
-    const msg = q.message;
-    if (!msg) return;
-    const chatId = msg.chat.id;
-    const userId = q.from?.id;
-    if (!isAllowedChat(chatId) || !isAllowedUser(userId)) return;
+    const runtime = await loadSupervisorRuntime(jobId);
+    return approvalPolicyFor("L3", runtime.jobConfig?.approval);
+  } catch {
+    return null;
+  }
+}
 
-    const data = String(q.data || "").trim();
-    if (data.startsWith("approve_action:") || data.startsWith("reject_action:")) {
-      const isApprove = data.startsWith("approve_action:");
-      const approvalId = String(data.split(":")[1] || "").trim();
-      const session = chatSessionStore.get(chatId);
-      const pending = session?.pending_approval && typeof session.pending_approval === "object"
-        ? session.pending_approval
-        : null;
-
-      if (!pending?.id) {
-        await bot.answerCallbackQuery(q.id, { text: "pending approval 없음" });
-        await bot.sendMessage(chatId, "현재 승인 대기 중인 액션이 없습니다.");
-        return;
-      }
-      if (String(pending.id) !== approvalId) {
-        await bot.answerCallbackQuery(q.id, { text: "approval id 불일치" });
-        await bot.sendMessage(chatId, "승인 토큰이 현재 대기 상태와 일치하지 않습니다.");
-        return;
-      }
+async function postApprovalCard(bot, chatId, rec, text) {
+  const sent = await bot.sendMessage(chatId, approvalCardText(rec, text), { reply_markup: approvalKeyboard(rec) });
+  try {
+    approvals.attachCard(rec.jobId, rec.token, { chatId, messageId: sent?.message_id, text });
+  } catch {}
+  return sent;
+}
 
-      const pendingJobId = String(pending.job_id || session.jobId || resolveCurrentJobIdForChat(chatId) || "").trim();
-      if (!pendingJobId) {
-        chatSessionStore.upsert(chatId, { state: "idle", pending_approval: null });
-        await bot.answerCallbackQuery(q.id, { text: "job 없음" });
-        await bot.sendMessage(chatId, "승인 재개 대상 jobId를 찾지 못해 pending 상태를 정리했습니다.");
-        return;
-      }
+// Re-renders every card posted for this request: progress while pending, final result (no buttons) after.
+async function refreshApprovalCards(rec) {
+  for (const card of Array.isArray(rec.cards) ? rec.cards : []) {
+    try {
+      await bot.editMessageText(approvalCardText(rec, card.text), {
+        chat_id: card.chatId,
+        message_id: card.messageId,
+        reply_markup: approvalKeyboard(rec),
+      });
+    } catch {}
+  }
+}
 
-      if (!isApprove) {
-        chatSessionStore.upsert(chatId, {
-          jobId: pendingJobId,
-          state: "idle",
-          pending_approval: null,
-        });
-        tracking.append(pendingJobId, "decisions.md", [
-          "## /chat approval rejected",
-          `- approval_id: ${approvalId}`,
-          `- action: ${chatActionLabel(pending.action)}`,
-          `- rejected_by: telegram:${userId}`,
-        ].join("\n"));
-        await bot.answerCallbackQuery(q.id, { text: "rejected" });
-        await bot.sendMessage(chatId, "승인 거절됨. 대기 중이던 액션은 취소되었습니다.");
-        return;
+function formatApprovalLine(rec, idx) {
+  const when = (iso) => String(iso || "").slice(0, 16).replace("T", " ");
+  const votes = Array.isArray(rec.approvals) ? rec.approvals.length : 0;
+  const decided = rec.status === "pending"
+    ? `승인 ${votes}/${Number(rec.policy?.required) || 1} · 만료: ${formatExpiry(rec)}`
+    : `${rec.status}${rec.decidedBy ? ` by ${rec.decidedBy}` : ""} @${when(rec.decidedAt)}`;
+  return [
+    `${idx + 1}. ${jobLabel(rec.jobId)} · ${rec.purpose || "approval"} · token=${rec.token}`,
+    `   ${clip(String(rec.summary || ""), 160)}`,
+    `   요청: ${when(rec.createdAt)}${rec.requestedBy ? ` by ${rec.requestedBy}` : ""} · ${decided}`,
+  ].join("\n");
+}
+
+// Pending approvals (commit + supervisor actions) across jobs or for one job; each row gets approve/deny/revoke buttons.
+// history=true lists decided/expired ones too (who decided and when), without buttons.
+async function sendApprovalList(bot, chatId, jobId = "", { history = false } = {}) {
+  const status = history ? null : "pending";
+  const rows = jobId ? approvals.list(jobId, { status }) : approvals.listAll({ status });
+  if (rows.length === 0) {
+    await bot.sendMessage(chatId, jobId ? `대기 중인 승인 요청이 없습니다. (${jobLabel(jobId)})` : "대기 중인 승인 요청이 없습니다.");
+    return;
+  }
+  const shown = history ? rows.slice(-15) : rows.slice(0, 10);
+  const lines = shown.map((rec, idx) => formatApprovalLine(rec, idx));
+  if (rows.length > shown.length) lines.push(`… 외 ${rows.length - shown.length}건${jobId ? "" : " (/approvals <jobId>로 좁혀보기)"}`);
+  if (history) {
+    await sendLong(bot, chatId, `📜 승인 기록 ${rows.length}건 (최근 ${shown.length}건)\n\n${lines.join("\n")}`);
+    return;
+  }
+  await bot.sendMessage(chatId, `🟡 대기 중인 승인 ${rows.length}건\n\n${lines.join("\n")}`, {
+    reply_markup: {
+      inline_keyboard: shown.map((rec, idx) => [
+        { text: `✅ ${idx + 1}`, callback_data: `approve:${rec.jobId}:${rec.token}` },
+        { text: `❌ ${idx + 1}`, callback_data: `deny:${rec.jobId}:${rec.token}` },
+        { text: `🗑 ${idx + 1}`, callback_data: `revoke:${rec.jobId}:${rec.token}` },
+      ]),
+    },
+  });
+}
+
+function logApprovalDecision(rec) {
+  const blocked = rec.payload?.action === "supervisor_resume" ? rec.payload.blocked_action : null;
+  tracking.append(rec.jobId, "decisions.md", [
+    `## approval ${rec.status}`,
+    `- token: ${rec.token}`,
+    `- purpose: ${rec.purpose}`,
+    ...(blocked ? [`- action: ${chatActionLabel(blocked)}`] : []),
+    `- requested_by: ${rec.requestedBy || "-"} @ ${rec.createdAt}`,
+    `- decided_by: ${rec.decidedBy || "-"} @ ${rec.decidedAt || "-"}`,
+    ...(rec.note ? [`- note: ${rec.note}`] : []),
+  ].join("\n"));
+}
+
+async function revokeApproval(bot, chatId, jobId, token, { by = null, note = null } = {}) {
+  const current = approvals.get(jobId, token);
+  if (current.status !== "pending") {
+    await bot.sendMessage(chatId, `ℹ️ 이미 처리된 요청입니다: ${token} (${current.status}${current.decidedBy ? ` by ${current.decidedBy}` : ""})`);
+    return current;
+  }
+  const rec = approvals.revoke(jobId, token, { by, note });
+  logApprovalDecision(rec);
+  await refreshApprovalCards(rec);
+  await bot.sendMessage(chatId, `🗑 REVOKED: ${token}`);
+  return rec;
+}
+
+// /stop and cancel interrupts drop the supervisor actions that were waiting on this job.
+function revokeSupervisorApprovals(jobId, note) {
+  if (!jobId) return;
+  try {
+    for (const rec of approvals.list(jobId, { status: "pending" })) {
+      if (rec.payload?.action !== "supervisor_resume") continue;
+      const revoked = approvals.revoke(jobId, rec.token, { by: "system", note });
+      logApprovalDecision(revoked);
+      void refreshApprovalCards(revoked);
+    }
+  } catch {}
+}
+
+// Periodic sweep so stale requests are marked expired (and their chat told) even if nobody opens them.
+async function expireStaleApprovals() {
+  let expired = [];
+  try {
+    expired = approvals.expireStale();
+  } catch (e) {
+    console.error(`approval expiry sweep failed: ${String(e?.message ?? e)}`);
+    return;
+  }
+  for (const rec of expired) {
+    logApprovalDecision(rec);
+    await refreshApprovalCards(rec);
+    const chatId = rec.chatId ?? jobs.readMeta(rec.jobId)?.ownerChatId;
+    if (chatId == null || chatId === "") continue;
+    try {
+      await bot.sendMessage(chatId, `⌛ 승인 요청 만료: ${jobLabel(rec.jobId)} token=${rec.token}\n${clip(String(rec.summary || ""), 200)}`);
+    } catch {}
+  }
+}
+
+// Single entry point for /approve, /deny, approve:/deny: buttons and the HTTP API, whatever the request kind.
+async function decideApproval(bot, chatId, jobId, token, decision, { userId = null, by = null, note = null } = {}) {
+  const actor = by || actorId(userId);
+  const current = approvals.get(jobId, token);
+  if (current.status === "expired" || current.status === "revoked") {
+    await bot.sendMessage(chatId, `⌛ ${current.status.toUpperCase()}: ${token}\n이 승인 요청은 더 이상 유효하지 않습니다. 필요하면 다시 요청하세요.`);
+    return current;
+  }
+  if (current.status !== "pending") {
+    await bot.sendMessage(chatId, `ℹ️ 이미 처리된 요청입니다: ${token} (${current.status}${current.decidedBy ? ` by ${current.decidedBy}` : ""})`);
+    return current;
+  }
+  // Chat deciders need the role of the command the payload stands for (HTTP API callers hold the API token).
+  const roleDenied = userId != null
+    ? roleDenial(userId, chatId, requiredRoleForApproval(current.payload?.action), `승인 결정(${current.payload?.action || current.purpose})`)
+    : "";
+  if (roleDenied) {
+    await bot.sendMessage(chatId, roleDenied);
+    return current;
+  }
+  const rec = approvals.decide(jobId, token, decision === "approve" ? "approve" : "deny", { by: actor, note });
+  await refreshApprovalCards(rec);
+  if (rec.status === "pending") {
+    const votes = Array.isArray(rec.approvals) ? rec.approvals.length : 0;
+    const required = Number(rec.policy?.required) || 1;
+    tracking.append(jobId, "decisions.md", `## approval vote\n- token: ${token}\n- by: ${actor}\n- progress: ${votes}/${required}`);
+    await bot.sendMessage(chatId, `🗳 승인 ${votes}/${required}: ${token} (by ${actor})\n${required - votes}명 더 승인해야 실행됩니다.`);
+    return rec;
+  }
+  logApprovalDecision(rec);
+  await bot.sendMessage(chatId, `🔐 ${rec.status.toUpperCase()}: ${token} (by ${actor})`);
+
+  if (rec.status === "approved" && rec.payload?.action === "git_commit") {
+    await runApprovedCommit(bot, chatId, rec);
+  }
+  if (rec.status === "approved" && (rec.payload?.action === "git_push" || rec.payload?.action === "git_pr")) {
+    await runApprovedRemote(bot, chatId, rec);
+  }
+  if (rec.payload?.action === "supervisor_resume") {
+    if (rec.status === "approved") {
+      await resumeSupervisorApproval(bot, chatId, userId, rec);
+    } else {
+      await bot.sendMessage(chatId, "승인 거절됨. 대기 중이던 액션은 취소되었습니다.");
+    }
+  }
+  return rec;
+}
+
+async function sendSupervisorApprovalCard(bot, chatId, jobId, pendingApproval, heading = "승인 대기 중입니다.") {
+  const text = `${heading}\nreason=${pendingApproval.reason}\naction=${chatActionLabel(pendingApproval.action)}\ntoken=${pendingApproval.id}`;
+  let rec = null;
+  try {
+    rec = approvals.get(jobId, pendingApproval.id);
+  } catch {}
+  if (rec) {
+    await postApprovalCard(bot, chatId, rec, text);
+    return;
+  }
+  await bot.sendMessage(chatId, text, { reply_markup: approvalMarkup(jobId, pendingApproval.id) });
+}
+
+// Re-runs the supervisor actions that were blocked when the approval was requested, first one marked approved.
+async function resumeSupervisorApproval(bot, chatId, userId, rec) {
+  const pending = rec.payload || {};
+  const pendingJobId = String(rec.jobId);
+  const remainingActions = Array.isArray(pending.remaining_actions) && pending.remaining_actions.length > 0
+    ? pending.remaining_actions
+    : (pending.blocked_action ? [pending.blocked_action] : []);
+  if (remainingActions.length === 0) {
+    await bot.sendMessage(chatId, "재개할 남은 action이 없어 승인 대기를 해제했습니다.");
+    return;
+  }
+
+  const resumedActions = remainingActions.map((action, index) => {
+    if (index !== 0) return action;
+    return { ...action, approved: true, _approved: true };
+  });
+  const runtime = await loadSupervisorRuntime(pendingJobId, {
+    chatMeta: { chat_id: String(chatId || "") },
+  });
+  const controller = resetJobAbortController(pendingJobId);
+  const chatKey = String(chatId);
+  activeJobByChat.set(chatKey, pendingJobId);
+  rememberLastChatJob(chatId, pendingJobId);
+  const session = chatSessionStore.upsert(chatId, {
+    jobId: pendingJobId,
+    state: "executing",
+  });
+
+  try {
+    const resumePlan = {
+      reason: `resume_after_approval:${rec.token}`,
+      actions: resumedActions,
+      final_response_style: runtime.jobConfig?.final_response_style || "concise",
+    };
+    events.record(pendingJobId, "route_decided", {
+      source: "approval_resume",
+      reason: resumePlan.reason,
+      actions: resumedActions.map((row) => chatActionLabel(row)),
+    });
+    const resumedExecution = await executeSupervisorActions({
+      chatId,
+      userId,
+      jobId: pendingJobId,
+      plan: resumePlan,
+      jobConfig: runtime.jobConfig,
+      agents: runtime.agents,
+      tools: runtime.tools,
+      sessionStore: chatSessionStore,
+      approvals,
+      requestedBy: actorId(userId),
+      authorize: (action) => roleDenialForAction(userId, chatId, action),
+      callbacks: buildSupervisorExecutionCallbacks({
+        bot,
+        chatId,
+        userId,
+        jobId: pendingJobId,
+        runtime,
+        controller,
+        verbose: CHAT_VERBOSE,
+      }),
+      onEvent: (type, data) => events.record(pendingJobId, type, data),
+    });
+
+    const prevDone = pending.already_done && typeof pending.already_done === "object"
+      ? pending.already_done
+      : {};
+    const mergedExecution = {
+      ...resumedExecution,
+      currentJobId: pendingJobId,
+      results: [
+        ...(Array.isArray(prevDone.results) ? prevDone.results : []),
+        ...(Array.isArray(resumedExecution.results) ? resumedExecution.results : []),
+      ],
+      outputs: [
+        ...(Array.isArray(prevDone.outputs) ? prevDone.outputs : []),
+        ...(Array.isArray(resumedExecution.outputs) ? resumedExecution.outputs : []),
+      ],
+    };
+    const summaryPlan = session?.last_route && typeof session.last_route === "object"
+      ? session.last_route
+      : resumePlan;
+    const finalReply = await synthesizeChatReply("승인된 액션 재개", summaryPlan, mergedExecution);
+    const replyText = resumedExecution.pendingApproval
+      ? `${finalReply}\n\n⚠️ 추가 승인 필요: ${resumedExecution.pendingApproval.reason}`
+      : finalReply;
+    await sendLong(bot, chatId, replyText);
+
+    tracking.append(pendingJobId, "decisions.md", [
+      "## /chat approval resumed",
+      `- approval_id: ${rec.token}`,
+      `- resumed_actions: ${resumedActions.map((row) => chatActionLabel(row)).join(" -> ")}`,
+      `- pending_after_resume: ${resumedExecution.pendingApproval ? resumedExecution.pendingApproval.id : "no"}`,
+      `- approved_by: ${rec.decidedBy || actorId(userId)}`,
+    ].join("\n"));
+
+    if (resumedExecution.pendingApproval?.id) {
+      await sendSupervisorApprovalCard(bot, chatId, pendingJobId, resumedExecution.pendingApproval, "추가 승인 대기 중입니다.");
+    }
+  } catch (e) {
+    recordJobError(pendingJobId, "approval_resume", e);
+    throw e;
+  } finally {
+    if (activeJobByChat.get(chatKey) === pendingJobId) activeJobByChat.delete(chatKey);
+    jobAbortControllers.delete(pendingJobId);
+    chatSessionStore.upsert(chatId, { state: "idle" });
+  }
+}
+
+// Shared by /run and scheduled runs. Reports to chatId and resolves with the final status instead of throwing.
+async function runGoal(bot, chatId, goal, { userId = null, ownerChatId = chatId, onJobCreated = null } = {}) {
+  let jobId = "";
+  try {
+    await bot.sendMessage(chatId, "🚀 시작합니다…");
+    const job = await createJob(goal, { ownerUserId: userId, ownerChatId });
+    jobId = String(job.jobId);
+    if (onJobCreated) onJobCreated(jobId);
+    const controller = resetJobAbortController(jobId);
+    const chatKey = String(chatId);
+    activeJobByChat.set(chatKey, jobId);
+    await bot.sendMessage(chatId, `✅ Job created: ${job.slug} (${job.jobId})\ngoal: ${goal}\nrun_dir: ${runDir(jobId)}\n복잡하면: /gptprompt ${job.slug} <질문>`);
+
+    try {
+      const route = await decideRunRoute(jobId, {
+        mode: "run",
+        goal,
+        seedInstruction: goal,
+        signal: controller.signal,
+      });
+      recordRoute(jobId, "run", route);
+      tracking.append(jobId, "decisions.md", [
+        "## Multi-Agent routing",
+        `- mode: run`,
+        `- reason: ${route.reason}`,
+        `- actions: ${route.actions.map((a) => actionLabel(a)).join(" -> ")}`,
+      ].join("\n"));
+      await bot.sendMessage(chatId, `🧭 Multi-Agent 라우팅\n${route.actions.map((a) => `- ${actionLabel(a)}`).join("\n")}`);
+
+      const routed = await executeRoutedPlan(bot, chatId, jobId, route, controller.signal, {
+        telegramUserId: userId,
+      });
+      if (!routed.askedChatGPT) {
+        await suggestNextPrompt(bot, chatId, jobId, "현재 상태에서 다음 단계를 action plan(JSON)으로 제안해줘.", "run", controller.signal);
       }
+    } finally {
+      if (activeJobByChat.get(chatKey) === jobId) activeJobByChat.delete(chatKey);
+      jobAbortControllers.delete(jobId);
+    }
+    return { status: "done", jobId, error: "" };
+  } catch (e) {
+    const cancelled = isCancelledError(e);
+    if (!cancelled) recordJobError(jobId, "run", e);
+    // The failure may be the chat itself (bot not in it, no transport for its prefix), so reporting is best-effort.
+    try {
+      await bot.sendMessage(chatId, cancelled ? "⏹️ 작업이 중단되었습니다." : `❌ 실패: ${String(e?.message ?? e)}`);
+    } catch {}
+    return cancelled
+      ? { status: "cancelled", jobId, error: "" }
+      : { status: "failed", jobId, error: String(e?.message ?? e) };
+  }
+}
 
-      await bot.answerCallbackQuery(q.id, { text: "approved" });
-      const remainingActions = Array.isArray(pending.remaining_actions) && pending.remaining_actions.length > 0
-        ? pending.remaining_actions
-        : (pending.action ? [pending.action] : []);
-      if (remainingActions.length === 0) {
-        chatSessionStore.upsert(chatId, {
-          jobId: pendingJobId,
-          state: "idle",
-          pending_approval: null,
-        });
-        await bot.sendMessage(chatId, "재개할 남은 action이 없어 승인 대기를 해제했습니다.");
+async function continueJob(bot, chatId, jobId, userId) {
+  const jobKey = String(jobId);
+  const controller = resetJobAbortController(jobKey);
+  const chatKey = String(chatId);
+  activeJobByChat.set(chatKey, jobKey);
+  await bot.sendMessage(chatId, `▶️ Continue job ${jobId}\nrun_dir: ${runDir(jobKey)}`);
+
+  let instruction = "run/shared의 plan.md와 research.md를 반영해 CODEX_WORKSPACE_ROOT 코드 변경을 진행해라.";
+  try {
+    const planText = tracking.read(jobId, "plan.md");
+    const extracted = extractCodexInstruction(planText);
+    if (extracted) instruction = extracted;
+  } catch {}
+
+  try {
+    const goal = getGoalFromResearch(jobKey);
+    const route = await decideRunRoute(jobKey, {
+      mode: "continue",
+      goal,
+      seedInstruction: instruction,
+      signal: controller.signal,
+    });
+    recordRoute(jobKey, "continue", route);
+    tracking.append(jobKey, "decisions.md", [
+      "## Multi-Agent routing",
+      `- mode: continue`,
+      `- reason: ${route.reason}`,
+      `- actions: ${route.actions.map((a) => actionLabel(a)).join(" -> ")}`,
+    ].join("\n"));
+    await bot.sendMessage(chatId, `🧭 Multi-Agent 라우팅\n${route.actions.map((a) => `- ${actionLabel(a)}`).join("\n")}`);
+
+    const routed = await executeRoutedPlan(bot, chatId, jobKey, route, controller.signal, {
+      telegramUserId: userId,
+    });
+    if (!routed.askedChatGPT) {
+      await suggestNextPrompt(bot, chatId, jobKey, "현재 변경 결과를 바탕으로 다음 action plan(JSON)을 제안해줘.", "continue", controller.signal);
+    }
+  } catch (e) {
+    if (isCancelledError(e)) {
+      await bot.sendMessage(chatId, `⏹️ 작업이 중단되었습니다. (jobId=${jobKey})`);
+    } else {
+      recordJobError(jobKey, "continue", e);
+      await bot.sendMessage(chatId, `❌ 실패: ${String(e?.message ?? e)}`);
+    }
+  } finally {
+    if (activeJobByChat.get(chatKey) === jobKey) activeJobByChat.delete(chatKey);
+    jobAbortControllers.delete(jobKey);
+  }
+}
+
+// GPT paste/apply state per chat
+const awaiting = new Map(); // chatId -> { jobId, userId, expiresAt }
+function setAwait(chatId, jobId, userId) { awaiting.set(String(chatId), { jobId, userId, expiresAt: Date.now() + 20 * 60 * 1000 }); }
+function clearAwait(chatId) { awaiting.delete(String(chatId)); }
+function getAwait(chatId) {
+  const st = awaiting.get(String(chatId));
+  if (!st) return null;
+  if (Date.now() > st.expiresAt) { awaiting.delete(String(chatId)); return null; }
+  return st;
+}
+
+function isHardStopMessage(text) {
+  const msg = String(text || "").trim().toLowerCase();
+  if (!msg) return false;
+  return msg === "/stop"
+    || msg === "stop"
+    || msg.includes("중단")
+    || msg.includes("취소")
+    || msg.includes("멈춰")
+    || msg.includes("cancel");
+}
+
+function extractPlainChatMessage(msg, text, botUsername = "") {
+  const raw = String(text || "").trim();
+  if (!raw) return "";
+  if (!TELEGRAM_REQUIRE_MENTION_IN_GROUP) return raw;
+  // Slack/Discord transports strip their own @mention and flag the message instead.
+  if (msg?.mentioned) return raw;
+
+  const chatType = String(msg?.chat?.type || "").trim().toLowerCase();
+  const isGroupChat = chatType === "group" || chatType === "supergroup";
+  if (!isGroupChat) return raw;
+
+  if (raw.startsWith("!")) {
+    return raw.slice(1).trim();
+  }
+
+  const normalizedUsername = String(botUsername || "").trim().toLowerCase();
+  if (!normalizedUsername) return "";
+
+  const mentionPrefix = new RegExp(`^@${normalizedUsername}(?:\\s+|\\s*[:,]\\s*)?`, "i");
+  if (mentionPrefix.test(raw)) {
+    return raw.replace(mentionPrefix, "").trim();
+  }
+
+  const entities = Array.isArray(msg?.entities) ? msg.entities : [];
+  for (const entity of entities) {
+    if (!entity || entity.type !== "mention") continue;
+    const offset = Number(entity.offset);
+    const length = Number(entity.length);
+    if (!Number.isFinite(offset) || !Number.isFinite(length) || length <= 1) continue;
+    const mentioned = raw.slice(offset, offset + length).trim().toLowerCase();
+    if (mentioned === `@${normalizedUsername}`) {
+      const stripped = `${raw.slice(0, offset)} ${raw.slice(offset + length)}`.replace(/\s+/g, " ").trim();
+      return stripped;
+    }
+  }
+  return "";
+}
+
+const botOptions = {
+  polling: {
+    autoStart: false,
+    interval: Number.isFinite(TELEGRAM_POLLING_INTERVAL_MS) ? TELEGRAM_POLLING_INTERVAL_MS : 1000,
+    params: { timeout: Number.isFinite(TELEGRAM_POLLING_TIMEOUT_SEC) ? TELEGRAM_POLLING_TIMEOUT_SEC : 15 },
+  },
+};
+if (TELEGRAM_FORCE_IPV4) botOptions.request = { family: 4 };
+const transports = [];
+if (TOKEN) transports.push(new TelegramTransport(TOKEN, botOptions));
+// Without any role config everyone is admin; fine for a private Telegram bot, not for a Slack workspace or a
+// Discord bot anyone can DM. Those only start once roles (or DEFAULT_ROLE) are configured.
+const openTransports = [];
+if (SLACK_APP_TOKEN && SLACK_BOT_TOKEN) openTransports.push(["Slack", () => new SlackTransport({ appToken: SLACK_APP_TOKEN, botToken: SLACK_BOT_TOKEN })]);
+if (DISCORD_BOT_TOKEN) openTransports.push(["Discord", () => new DiscordTransport({ token: DISCORD_BOT_TOKEN })]);
+for (const [label, make] of openTransports) {
+  if (roles.configured) transports.push(make());
+  else console.error(`${label} transport disabled: no roles configured. Set ADMIN_USER_IDS (or other *_USER_IDS) or DEFAULT_ROLE first.`);
+}
+if (transports.length === 0) {
+  console.error("No transport can start (see above).");
+  process.exit(1);
+}
+const bot = new TransportHub(transports).setRedactor(secrets.redactText);
+let botUsername = "";
+
+const chatRunManager = new ChatRunManager({
+  sessionStore: chatSessionStore,
+  interruptDebounceMs: INTERRUPT_DEBOUNCE_MS,
+  cancelCurrent: async ({ chatId, mode, reason }) => {
+    return requestChatInterrupt(chatId, { mode, reason });
+  },
+  onAck: async ({ chatId, mode }) => {
+    const text = mode === "cancel"
+      ? "⛔️ 중단했어요. 다음 지시를 주세요."
+      : "🔄 변경 사항을 반영하기 위해 현재 실행을 중단하고 재계획할게요.";
+    await bot.sendMessage(chatId, text);
+  },
+  onRunError: async ({ chatId, error }) => {
+    if (isCancelledError(error)) return;
+    await bot.sendMessage(chatId, `❌ /chat 실패: ${String(error?.message ?? error)}`);
+  },
+  runChat: async ({ chatId, userId, message, inputKind, pendingCount, telegramMessageId, chatInfo }) => {
+    await runSupervisorChat(
+      bot,
+      chatId,
+      userId,
+      message,
+      {
+        debug: false,
+        chatInfo: chatInfo && typeof chatInfo === "object"
+          ? chatInfo
+          : { chat_id: String(chatId || "") },
+        inputKind: inputKind || (pendingCount > 1 ? "interrupt_update" : "chat_message"),
+        telegramMessageId,
+      }
+    );
+  },
+});
+
+function formatRoles(chatId) {
+  const state = roles.list();
+  const lines = [`기본 권한: ${state.defaultRole}`];
+  const chat = state.chats[String(chatId)];
+  if (chat) {
+    lines.push("", `이 채팅 (${chatId})`, `- default: ${chat.default_role || "-"}`);
+    for (const [id, role] of Object.entries(chat.users)) lines.push(`- ${id}: ${role}`);
+  }
+  const globalUsers = { ...state.seed, ...state.users };
+  if (Object.keys(globalUsers).length > 0) {
+    lines.push("", "전역");
+    for (const [id, role] of Object.entries(globalUsers)) lines.push(`- ${id}: ${role}${state.users[id] ? "" : " (env)"}`);
+  }
+  return lines.join("\n");
+}
+
+async function handleRoleCommand(bot, chatId, userId, argv) {
+  const [sub = "list", ...restArgs] = argv;
+  const scoped = restArgs.includes("--chat");
+  const params = restArgs.filter((a) => a !== "--chat");
+  const usage = `Usage: /role list | set <userId> <${[...ROLES, "none"].join("|")}> [--chat] | rm <userId> [--chat] | chat <role|clear>`;
+  try {
+    if (sub === "list") {
+      await bot.sendMessage(chatId, formatRoles(chatId));
+      return;
+    }
+    // The first entry ends the "everyone is admin" fallback; pin the caller so they keep admin.
+    const state = roles.list();
+    if (state.defaultRole === "admin" && !state.users[String(userId)] && !state.seed[String(userId)]) roles.setUserRole(userId, "admin");
+    if (sub === "set" && params.length === 2) {
+      roles.setUserRole(params[0], params[1], { chatId: scoped ? chatId : null });
+      await bot.sendMessage(chatId, `✅ ${params[0]} → ${params[1]}${scoped ? " (이 채팅)" : ""}`);
+      return;
+    }
+    if (sub === "rm" && params.length === 1) {
+      roles.removeUser(params[0], { chatId: scoped ? chatId : null });
+      await bot.sendMessage(chatId, `✅ ${params[0]} 권한 설정 삭제${scoped ? " (이 채팅)" : ""} → 현재 ${roles.roleFor(params[0], chatId)}`);
+      return;
+    }
+    if (sub === "chat" && params.length === 1) {
+      roles.setChatDefault(chatId, params[0] === "clear" ? null : params[0]);
+      await bot.sendMessage(chatId, `✅ 이 채팅 기본 권한: ${params[0] === "clear" ? roles.defaultRole : params[0]}`);
+      return;
+    }
+    await bot.sendMessage(chatId, usage);
+  } catch (e) {
+    await bot.sendMessage(chatId, `❌ ${String(e?.message ?? e)}\n${usage}`);
+  }
+}
+
+let shuttingDown = false;
+async function shutdown(code = 0) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  try { await bot.stop(); } catch {}
+  releaseSingleInstanceLock();
+  process.exit(code);
+}
+
+let lastPollingErrorSig = "";
+let lastPollingErrorAt = 0;
+let suppressedPollingErrors = 0;
+
+bot.on("polling_error", (error) => {
+  const code = String(error?.code ?? "UNKNOWN");
+  const message = String(error?.message ?? error);
+  const telegramCode = Number(error?.response?.body?.error_code ?? 0);
+  const sig = `${code}|${telegramCode}|${message}`;
+  const now = Date.now();
+
+  if (sig === lastPollingErrorSig && now - lastPollingErrorAt < 10000) {
+    suppressedPollingErrors += 1;
+    return;
+  }
+  if (suppressedPollingErrors > 0) {
+    console.error(`polling_error repeated ${suppressedPollingErrors} times (suppressed).`);
+    suppressedPollingErrors = 0;
+  }
+  lastPollingErrorSig = sig;
+  lastPollingErrorAt = now;
+
+  if (code === "ETELEGRAM" && telegramCode === 409) {
+    console.error("Telegram polling conflict (409): another bot instance is already using this token.");
+    console.error("Run only one instance (npm start or systemd service), then restart.");
+    void shutdown(1);
+    return;
+  }
+
+  if (code === "EFATAL" && message.includes("AggregateError")) {
+    console.error("Telegram polling fatal network error (EFATAL AggregateError).");
+    console.error("Check outbound network/DNS, and keep TELEGRAM_FORCE_IPV4=true if your host has unstable IPv6.");
+    return;
+  }
+
+  console.error(`polling_error [${code}] ${message}`);
+});
+
+bot.on("callback_query", async (q) => {
+  try {
+    const msg = q.message;
+    if (!msg) return;
+    const chatId = msg.chat.id;
+    const userId = q.from?.id;
+    if (!isAllowedChat(chatId) || !isAllowedUser(userId, chatId)) return;
+
+    const data = String(q.data || "").trim();
+    const callbackDenied = roleDenial(userId, chatId, requiredRoleForCallback(data), `버튼(${data.split(":")[0]})`);
+    if (callbackDenied) {
+      await bot.answerCallbackQuery(q.id, { text: "권한 없음" });
+      await bot.sendMessage(chatId, callbackDenied);
+      return;
+    }
+    if (data.startsWith("resume:") || data.startsWith("resume_skip:")) {
+      const isResume = data.startsWith("resume:");
+      const targetJobId = String(data.slice(data.indexOf(":") + 1) || "").trim();
+      if (!targetJobId) return;
+      queueStore.markResumed(targetJobId);
+      if (!isResume) {
+        await bot.answerCallbackQuery(q.id, { text: "무시함" });
+        return;
+      }
+      if (jobAbortControllers.has(targetJobId)) {
+        await bot.answerCallbackQuery(q.id, { text: "이미 실행 중" });
+        return;
+      }
+      await bot.answerCallbackQuery(q.id, { text: "재개합니다" });
+      await continueJob(bot, chatId, targetJobId, userId);
+      return;
+    }
+    if (data.startsWith("sched_on:") || data.startsWith("sched_off:") || data.startsWith("sched_rm:")) {
+      const kind = data.slice(0, data.indexOf(":"));
+      const entry = scheduleStore.get(data.slice(kind.length + 1));
+      if (!entry || entry.chatId !== String(chatId)) {
+        await bot.answerCallbackQuery(q.id, { text: "schedule 없음" });
+        return;
+      }
+      if (kind === "sched_rm") {
+        scheduleStore.remove(entry.id);
+        await bot.answerCallbackQuery(q.id, { text: "삭제됨" });
+        await bot.sendMessage(chatId, `🗑 schedule 삭제: ${entry.id}`);
+        return;
+      }
+      const updated = scheduleStore.setEnabled(entry.id, kind === "sched_on");
+      await bot.answerCallbackQuery(q.id, { text: updated.enabled ? "켜짐" : "꺼짐" });
+      await bot.sendMessage(chatId, formatSchedule(updated));
+      return;
+    }
+    if (data.startsWith("use_job:") || data.startsWith("archive_job:") || data.startsWith("unarchive_job:")) {
+      const kind = data.slice(0, data.indexOf(":"));
+      const targetJobId = String(data.slice(kind.length + 1) || "").trim();
+      const meta = jobs.find(targetJobId)[0];
+      if (!meta || meta.jobId !== targetJobId) {
+        await bot.answerCallbackQuery(q.id, { text: "job 없음" });
+        return;
+      }
+      if (kind === "use_job") {
+        switchChatJob(chatId, targetJobId);
+        await bot.answerCallbackQuery(q.id, { text: "현재 job 변경" });
+        await bot.sendMessage(chatId, `🔀 현재 job: ${meta.title || targetJobId}\njobId=${targetJobId}`);
+        return;
+      }
+      const updated = jobs.archive(targetJobId, { unarchive: kind === "unarchive_job" });
+      await bot.answerCallbackQuery(q.id, { text: updated.archivedAt ? "보관됨" : "복원됨" });
+      await bot.sendMessage(chatId, `${updated.archivedAt ? "🗄 보관" : "📤 복원"}: ${updated.title || targetJobId}\njobId=${targetJobId}`);
+      return;
+    }
+    if (data.startsWith("cf:")) {
+      await toggleCommitFile(bot, q, chatId, userId, data);
+      return;
+    }
+    if (data.startsWith("art:")) {
+      const [, targetJobId = "", artifactId = ""] = data.split(":");
+      const meta = jobs.find(targetJobId)[0];
+      const row = meta?.jobId === targetJobId ? artifacts.find(targetJobId, artifactId) : null;
+      if (!row) {
+        await bot.answerCallbackQuery(q.id, { text: "artifact 없음" });
+        return;
+      }
+      await bot.answerCallbackQuery(q.id, { text: "전송 중" });
+      await sendArtifact(bot, chatId, targetJobId, row);
+      return;
+    }
+    if (data.startsWith("rb:")) {
+      const [, targetJobId = "", stepRaw = ""] = data.split(":");
+      const meta = jobs.find(targetJobId)[0];
+      if (meta?.jobId !== targetJobId || !snapshots.get(targetJobId, stepRaw)) {
+        await bot.answerCallbackQuery(q.id, { text: "snapshot 없음" });
         return;
       }
-
-      const resumedActions = remainingActions.map((action, index) => {
-        if (index !== 0) return action;
-        return { ...action, approved: true, _approved: true };
-      });
-      const runtime = await loadSupervisorRuntime(pendingJobId, {
-        chatMeta: { chat_id: String(chatId || "") },
-      });
-      const controller = resetJobAbortController(pendingJobId);
-      const chatKey = String(chatId);
-      activeJobByChat.set(chatKey, pendingJobId);
-      rememberLastChatJob(chatId, pendingJobId);
-      chatSessionStore.upsert(chatId, {
-        jobId: pendingJobId,
-        state: "executing",
-        pending_approval: null,
-      });
-
-      try {
-        const resumePlan = {
-          reason: `resume_after_approval:${approvalId}`,
-          actions: resumedActions,
-          final_response_style: runtime.jobConfig?.final_response_style || "concise",
-        };
-        const resumedExecution = await executeSupervisorActions({
-          chatId,
-          userId,
-          jobId: pendingJobId,
-          plan: resumePlan,
-          jobConfig: runtime.jobConfig,
-          agents: runtime.agents,
-          tools: runtime.tools,
-          sessionStore: chatSessionStore,
-          callbacks: buildSupervisorExecutionCallbacks({
-            bot,
-            chatId,
-            userId,
-            jobId: pendingJobId,
-            runtime,
-            controller,
-            verbose: CHAT_VERBOSE,
-          }),
-        });
-
-        const prevDone = pending.already_done && typeof pending.already_done === "object"
-          ? pending.already_done
-          : {};
-        const mergedExecution = {
-          ...resumedExecution,
-          currentJobId: pendingJobId,
-          results: [
-            ...(Array.isArray(prevDone.results) ? prevDone.results : []),
-            ...(Array.isArray(resumedExecution.results) ? resumedExecution.results : []),
-          ],
-          outputs: [
-            ...(Array.isArray(prevDone.outputs) ? prevDone.outputs : []),
-            ...(Array.isArray(resumedExecution.outputs) ? resumedExecution.outputs : []),
-          ],
-        };
-        const summaryPlan = session.last_route && typeof session.last_route === "object"
-          ? session.last_route
-          : resumePlan;
-        const finalReply = await synthesizeChatReply("승인된 액션 재개", summaryPlan, mergedExecution);
-        const replyText = resumedExecution.pendingApproval
-          ? `${finalReply}\n\n⚠️ 추가 승인 필요: ${resumedExecution.pendingApproval.reason}`
-          : finalReply;
-        await sendLong(bot, chatId, replyText);
-
-        tracking.append(pendingJobId, "decisions.md", [
-          "## /chat approval resumed",
-          `- approval_id: ${approvalId}`,
-          `- resumed_actions: ${resumedActions.map((row) => chatActionLabel(row)).join(" -> ")}`,
-          `- pending_after_resume: ${resumedExecution.pendingApproval ? "yes" : "no"}`,
-          `- approved_by: telegram:${userId}`,
-        ].join("\n"));
-
-        if (resumedExecution.pendingApproval?.id) {
-          chatSessionStore.upsert(chatId, {
-            jobId: pendingJobId,
-            state: "awaiting_approval",
-            pending_approval: {
-              ...resumedExecution.pendingApproval,
-              blocked_index: Number.isFinite(Number(resumedExecution.blocked_index))
-                ? Number(resumedExecution.blocked_index)
-                : Number(resumedExecution.pendingApproval?.blocked_index ?? -1),
-              remaining_actions: Array.isArray(resumedExecution.remaining_actions)
-                ? resumedExecution.remaining_actions
-                : (Array.isArray(resumedExecution.pendingApproval?.remaining_actions)
-                  ? resumedExecution.pendingApproval.remaining_actions
-                  : []),
-            },
-          });
-          await bot.sendMessage(
-            chatId,
-            `추가 승인 대기 중입니다.\nreason=${resumedExecution.pendingApproval.reason}\naction=${chatActionLabel(resumedExecution.pendingApproval.action)}`,
-            {
-              reply_markup: {
-                inline_keyboard: [[
-                  { text: "✅ Approve", callback_data: `approve_action:${resumedExecution.pendingApproval.id}` },
-                  { text: "❌ Reject", callback_data: `reject_action:${resumedExecution.pendingApproval.id}` },
-                ]],
-              },
-            }
-          );
-        } else {
-          chatSessionStore.upsert(chatId, {
-            jobId: pendingJobId,
-            state: "idle",
-            pending_approval: null,
-          });
-        }
-      } finally {
-        if (activeJobByChat.get(chatKey) === pendingJobId) activeJobByChat.delete(chatKey);
-        jobAbortControllers.delete(pendingJobId);
+      await bot.answerCallbackQuery(q.id, { text: `#${stepRaw}로 되돌리는 중` });
+      await rollbackJob(bot, chatId, targetJobId, Number(stepRaw), actorId(userId));
+      return;
+    }
+    if (data.startsWith("stop:")) {
+      const targetJobId = String(data.slice("stop:".length) || "").trim();
+      const { aborted, dropped } = targetJobId
+        ? stopJobForChat(chatId, targetJobId, "stop_button")
+        : { aborted: false, dropped: 0 };
+      await bot.answerCallbackQuery(q.id, { text: aborted || dropped ? "중단 요청 완료" : "이미 종료됨" });
+      if (aborted || dropped) {
+        await bot.sendMessage(chatId, `⏹️ 중단 요청 완료\njobId=${targetJobId}\n실행중 중단=${aborted}\n큐 제거=${dropped}`);
       }
       return;
     }
+    // Cards sent before approvals moved into the shared store carry in-session appr_ ids.
+    if (data.startsWith("approve_action:") || data.startsWith("reject_action:")) {
+      await bot.answerCallbackQuery(q.id, { text: "만료된 승인 버튼" });
+      await bot.sendMessage(chatId, "이전 형식의 승인 버튼입니다. /approvals 로 대기 중인 요청을 다시 확인해 주세요.");
+      return;
+    }
 
     if (data === "open_agents_ui") {
       try {
@@ -3610,20 +5173,19 @@ bot.on("callback_query", async (q) => {
     }
 
     const [action, jobId, token] = data.split(":");
-    if (!["approve", "deny"].includes(action) || !jobId || !token) return;
-    const decision = action === "approve" ? "approve" : "deny";
-    const rec = approvals.decide(jobId, token, decision, "via telegram button");
-    await bot.answerCallbackQuery(q.id, { text: `OK: ${rec.status}` });
-    await bot.sendMessage(chatId, `🔐 ${rec.status.toUpperCase()}: ${token}`);
-
-    if (rec.status === "approved" && rec.payload?.action === "git_commit") {
-      const msg2 = rec.payload.message ?? "commit";
-      const add = await runCommand("git", ["add", "-A"], { cwd: workspace.root });
-      const commit = await runCommand("git", ["commit", "-m", msg2], { cwd: workspace.root });
-      tracking.append(jobId, "progress.md", `## git commit\n\n${FENCE}\n${add.stdout || add.stderr}\n${commit.stdout || commit.stderr}\n${FENCE}\n`);
-      await sendLong(bot, chatId, `✅ 커밋 완료\n${clip(commit.stdout || commit.stderr, 3500)}`);
-      await suggestNextPrompt(bot, chatId, jobId, "커밋 이후 다음 단계(테스트/PR/배포 등)를 결정해줘.", "commit");
+    if (!["approve", "deny", "revoke"].includes(action) || !jobId || !token) return;
+    let rec;
+    try {
+      rec = action === "revoke"
+        ? await revokeApproval(bot, chatId, jobId, token, { by: actorId(userId), note: "via button" })
+        : await decideApproval(bot, chatId, jobId, token, action, { userId, note: "via button" });
+    } catch (e) {
+      if (!(e instanceof ApprovalPolicyError)) throw e;
+      await bot.answerCallbackQuery(q.id, { text: "승인 권한 없음" });
+      await bot.sendMessage(chatId, `⛔ ${e.message}`);
+      return;
     }
+    await bot.answerCallbackQuery(q.id, { text: `OK: ${rec.status}` });
   } catch {}
 });
 
@@ -3631,7 +5193,7 @@ bot.on("message", async (msg) => {
   const chatId = msg.chat?.id;
   const userId = msg.from?.id;
   if (!chatId || !userId) return;
-  if (!isAllowedChat(chatId) || !isAllowedUser(userId)) return;
+  if (!isAllowedChat(chatId) || !isAllowedUser(userId, chatId)) return;
 
   const text = (msg.text || "").trim();
   if (!text) return;
@@ -3639,6 +5201,11 @@ bot.on("message", async (msg) => {
   // Paste mode capture (non-command)
   const st = getAwait(chatId);
   if (st && !text.startsWith("/")) {
+    const pasteDenied = roleDenial(userId, chatId, "operator", "플랜 붙여넣기");
+    if (pasteDenied) {
+      await bot.sendMessage(chatId, pasteDenied);
+      return;
+    }
     const jobId = st.jobId;
     tracking.append(jobId, "plan.md", `## ChatGPT reply (pasted)\n\n${text}\n`);
     jobs.appendConversation(jobId, "chatgpt", text, { kind: "plan_reply" });
@@ -3653,6 +5220,7 @@ bot.on("message", async (msg) => {
       try {
         await executeActions(bot, chatId, jobId, plan, controller.signal, {
           telegramUserId: st.userId || userId,
+          authorize: (act) => roleDenialForAction(userId, chatId, act),
         });
         await bot.sendMessage(chatId, "🏁 액션 플랜 실행 완료.");
         await suggestNextPrompt(bot, chatId, jobId, "현재 상태에서 다음으로 무엇을 해야 하는지 action plan(JSON)으로 제안해줘.", "action_plan", controller.signal);
@@ -3660,6 +5228,7 @@ bot.on("message", async (msg) => {
         if (isCancelledError(e)) {
           await bot.sendMessage(chatId, `⏹️ 액션 플랜 실행이 중단되었습니다. (jobId=${jobId})`);
         } else {
+          recordJobError(jobId, "action_plan", e);
           await bot.sendMessage(chatId, `❌ 액션 실행 오류: ${String(e?.message ?? e)}`);
         }
       } finally {
@@ -3675,6 +5244,11 @@ bot.on("message", async (msg) => {
   if (!text.startsWith("/")) {
     const plain = extractPlainChatMessage(msg, text, botUsername);
     if (!plain) return;
+    const chatDenied = roleDenial(userId, chatId, "operator", "대화(/chat)");
+    if (chatDenied) {
+      await bot.sendMessage(chatId, chatDenied);
+      return;
+    }
     if (isHardStopMessage(plain)) {
       await chatRunManager.hardCancel({
         chatId,
@@ -3700,14 +5274,27 @@ bot.on("message", async (msg) => {
 
   const [cmd, ...rest] = text.split(/\s+/);
   const args = rest.join(" ").trim();
+  const commandLabel = cmd === "/archive" && rest.includes("--delete")
+    ? "/archive --delete"
+    : (rest[0] && /^\/(memory|settings|schedules?)$/.test(cmd) ? `${cmd} ${rest[0]}` : cmd);
+  const commandDenied = roleDenial(userId, chatId, requiredRoleForCommand(cmd, rest), commandLabel);
+  if (commandDenied) {
+    await bot.sendMessage(chatId, commandDenied);
+    return;
+  }
 
   if (cmd === "/help") {
-    await bot.sendMessage(chatId, "Commands:\n- plain text: 기본 /chat(supervisor) 처리\n- /whoami\n- /running\n- /stop [jobId]\n- /memory [show|md|policy|routing|role|agents|note|lesson|reset]\n- /settings ... (alias)\n- /agents\n- /chat [--debug] <message>|reset\n- /context <jobId|global>  (jobId 생략 시 현재 job)\n- /run <goal>\n- /continue <jobId>\n- /gptprompt <jobId> <question>\n- /gptapply [jobId]\n- /gptdone\n- /commit <jobId> <message>");
+    await bot.sendMessage(chatId, "Commands:\n(jobId 자리에는 전체 jobId, slug(예: fix-login-7k2) 또는 그 앞부분을 쓸 수 있습니다)\n- plain text: 기본 /chat(supervisor) 처리\n- /whoami\n- /running\n- /queue [jobId]\n- /usage [jobId] [--all]\n- /artifacts <jobId> [id|name]\n- /rollback <jobId> [step]\n- /timeline <jobId> [N] [--type t1,t2]\n- /stop [jobId]\n- /memory [show|md|policy|routing|role|agents|note|lesson|reset]\n- /settings ... (alias)\n- /agents\n- /chat [--debug] <message>|reset\n- /context <jobId|global>  (jobId 생략 시 현재 job)\n- /jobs [text] [--mine] [--chat] [--since date] [--archived|--all]\n- /job <prefix>\n- /archive <jobId> [--undo|--delete]\n- /rename <jobId> <title>\n- /run <goal>\n- /schedule "<cron>" run|chat "<text>" | list | on|off|rm <id>\n- /continue <jobId>\n- /gptprompt <jobId> <question>\n- /gptapply [jobId]\n- /gptdone\n- /commit <jobId> <message>\n- /push <jobId>\n- /pr <jobId> [title]\n- /approve|/deny <jobId> <token>\n- /approvals [jobId] [--all]\n- /revoke <jobId> <token>\n- /merge <jobId>\n- /cleanup <jobId> [--force]\n- /role list | set <userId> <role> [--chat] | rm <userId> [--chat] | chat <role|clear>");
     return;
   }
 
   if (cmd === "/whoami") {
-    await bot.sendMessage(chatId, `chat_id=${chatId}\nuser_id=${userId}`);
+    await bot.sendMessage(chatId, `chat_id=${chatId}\nuser_id=${userId}\nrole=${roles.roleFor(userId, chatId)}`);
+    return;
+  }
+
+  if (cmd === "/role") {
+    await handleRoleCommand(bot, chatId, userId, rest);
     return;
   }
 
@@ -3716,10 +5303,100 @@ bot.on("message", async (msg) => {
     return;
   }
 
+  if (cmd === "/usage") {
+    const all = /(^|\s)--all(\s|$)/.test(args);
+    const ref = args.replace(/(^|\s)--all(?=\s|$)/g, " ").trim();
+    const jobId = ref ? await resolveJobRef(bot, chatId, ref) : "";
+    if (ref && !jobId) return;
+    const report = jobId
+      ? formatUsageReport(usage.summarize(jobId), { title: `📊 usage ${jobLabel(jobId)}` })
+      : formatUsageReport(usage.summarizeAll({ includeArchived: all }), { title: `📊 usage (전체 job${all ? ", 보관 포함" : ""})`, labelJob: jobLabel });
+    await sendLong(bot, chatId, report);
+    return;
+  }
+
+  if (cmd === "/artifacts") {
+    const [ref, artifactRef] = args.split(/\s+/).filter(Boolean);
+    if (!ref) {
+      await bot.sendMessage(chatId, "Usage: /artifacts <jobId> [id|name]");
+      return;
+    }
+    const jobId = await resolveJobRef(bot, chatId, ref);
+    if (!jobId) return;
+    if (artifactRef) {
+      const row = artifacts.find(jobId, artifactRef);
+      if (!row) {
+        await bot.sendMessage(chatId, `❌ artifact 없음: ${artifactRef}\n목록: /artifacts ${jobId}`);
+        return;
+      }
+      await sendArtifact(bot, chatId, jobId, row);
+      return;
+    }
+    const rows = artifacts.list(jobId);
+    await bot.sendMessage(chatId, formatArtifacts(jobId, rows), rows.length > 0 ? { reply_markup: artifactKeyboard(jobId, rows) } : {});
+    return;
+  }
+
+  if (cmd === "/rollback") {
+    const [ref, stepRaw] = args.split(/\s+/).filter(Boolean);
+    if (!ref) {
+      await bot.sendMessage(chatId, "Usage: /rollback <jobId> [step]");
+      return;
+    }
+    const jobId = await resolveJobRef(bot, chatId, ref);
+    if (!jobId) return;
+    if (stepRaw) {
+      const step = Number(stepRaw);
+      if (!Number.isInteger(step) || step <= 0) {
+        await bot.sendMessage(chatId, "Usage: /rollback <jobId> [step]");
+        return;
+      }
+      await rollbackJob(bot, chatId, jobId, step, actorId(userId));
+      return;
+    }
+    const rows = snapshots.list(jobId);
+    await sendLong(bot, chatId, await formatSnapshots(jobId, rows));
+    if (rows.length > 0) await bot.sendMessage(chatId, "↩️ 되돌릴 시점 선택", { reply_markup: snapshotKeyboard(jobId, rows) });
+    return;
+  }
+
+  if (cmd === "/timeline") {
+    const typeMatch = args.match(/(?:^|\s)--type[= ](\S+)/);
+    const [ref, limitRaw] = args.replace(/(?:^|\s)--type[= ]\S+/, " ").split(/\s+/).filter(Boolean);
+    if (!ref) {
+      await bot.sendMessage(chatId, `Usage: /timeline <jobId> [N] [--type ${EVENT_TYPES.join(",")}]`);
+      return;
+    }
+    const jobId = await resolveJobRef(bot, chatId, ref);
+    if (!jobId) return;
+    const types = typeMatch ? typeMatch[1].split(",").map((t) => t.trim()).filter(Boolean) : null;
+    const unknown = (types || []).filter((t) => !EVENT_TYPES.includes(t));
+    if (unknown.length > 0) {
+      await bot.sendMessage(chatId, `❌ 알 수 없는 event type: ${unknown.join(", ")}\n가능: ${EVENT_TYPES.join(", ")}`);
+      return;
+    }
+    const limit = Number(limitRaw) > 0 ? Math.min(500, Math.floor(Number(limitRaw))) : TIMELINE_LIMIT;
+    const all = events.list(jobId, { types });
+    await sendLong(bot, chatId, formatTimeline(all.slice(-limit), {
+      title: `🕒 timeline ${jobLabel(jobId)}${types ? ` [${types.join(",")}]` : ""}`,
+      total: all.length,
+      metrics: summarizeEvents(all),
+    }));
+    return;
+  }
+
+  if (cmd === "/queue") {
+    const jobId = args ? await resolveJobRef(bot, chatId, args) : "";
+    if (args && !jobId) return;
+    await sendLong(bot, chatId, formatQueue(jobId));
+    return;
+  }
+
   if (cmd === "/stop") {
     const chatKey = String(chatId);
     const fromAwait = getAwait(chatId)?.jobId;
-    const targetJobId = args || activeJobByChat.get(chatKey) || fromAwait;
+    const targetJobId = args ? await resolveJobRef(bot, chatId, args) : (activeJobByChat.get(chatKey) || fromAwait);
+    if (args && !targetJobId) return;
     if (!targetJobId) {
       if (lastChatJobByChat.has(chatKey)) {
         resetChatSession(chatId);
@@ -3730,28 +5407,7 @@ bot.on("message", async (msg) => {
       return;
     }
 
-    const { aborted, dropped } = cancelJobExecution(targetJobId);
-    if (activeJobByChat.get(chatKey) === String(targetJobId)) activeJobByChat.delete(chatKey);
-    if (fromAwait && String(fromAwait) === String(targetJobId)) clearAwait(chatId);
-    if (lastChatJobByChat.get(chatKey) === String(targetJobId)) lastChatJobByChat.delete(chatKey);
-    chatSessionStore.upsert(chatId, (session) => {
-      if (String(session.jobId || "").trim() && String(session.jobId || "").trim() !== String(targetJobId).trim()) {
-        return session;
-      }
-      return {
-        ...session,
-        interrupt: {
-          requested: true,
-          mode: "cancel",
-          reason: "/stop",
-          ts: new Date().toISOString(),
-        },
-        pending_user_messages: [],
-        pending_approval: null,
-        state: "idle",
-      };
-    });
-
+    const { aborted, dropped } = stopJobForChat(chatId, targetJobId, "/stop");
     if (!aborted && dropped === 0) {
       await bot.sendMessage(chatId, `중단할 실행이 없어요. (jobId=${targetJobId})\n이미 종료되었거나 큐에 없습니다.\n\n${formatRunningJobs(chatId)}`);
       return;
@@ -3861,13 +5517,88 @@ bot.on("message", async (msg) => {
       `memory_mode=${MEMORY_MODE}`,
       `effective_mode=${memoryModeWithFallback()}`,
       `registry=${reg.path}`,
+      ...(reg.errors?.length > 0 ? ["", "⚠️ registry errors:", ...reg.errors.map((error) => `- ${error}`)] : []),
       "",
-      ...reg.agents.map((row) => `- ${row.id}: provider=${row.provider}, model=${row.model}${row.description ? `, ${row.description}` : ""}`),
+      ...reg.agents.map((row) => `- ${row.id}: provider=${row.provider}, model=${row.model}${row.description ? `, ${row.description}` : ""}${getProvider(row.provider) ? "" : " ⚠️ 등록되지 않은 provider"}`),
+      "",
+      "providers:",
+      ...listProviders().map((row) => {
+        const caps = [row.capabilities.writesFiles ? "writes_files" : "read_only", ...(row.capabilities.interactive ? ["interactive"] : [])];
+        return `- ${row.id}: ${row.label} (${caps.join(", ")})`;
+      }),
     ];
     await sendLong(bot, chatId, lines.join("\n"));
     return;
   }
 
+  if (cmd === "/jobs") {
+    const filter = parseJobsFilter(args, { userId, chatId });
+    const list = jobs.list(filter);
+    if (list.length === 0) {
+      await bot.sendMessage(chatId, "조건에 맞는 job이 없습니다.\nUsage: /jobs [text] [--mine] [--chat] [--since YYYY-MM-DD] [--until YYYY-MM-DD] [--archived|--all]");
+      return;
+    }
+    const currentJobId = resolveCurrentJobIdForChat(chatId);
+    await bot.sendMessage(chatId, [
+      `📚 jobs (${list.length})`,
+      ...list.map((meta) => formatJobLine(meta, currentJobId)),
+      "",
+      "버튼: 🔀 현재 job으로 전환 / 🗄 보관",
+    ].join("\n"), {
+      reply_markup: { inline_keyboard: list.map((meta) => jobButtons(meta)) },
+    });
+    return;
+  }
+
+  if (cmd === "/job") {
+    if (!args) return bot.sendMessage(chatId, "Usage: /job <jobId|slug prefix|title text>");
+    const found = jobs.find(args);
+    if (found.length === 0) return bot.sendMessage(chatId, `일치하는 job이 없습니다: ${args}`);
+    const currentJobId = resolveCurrentJobIdForChat(chatId);
+    if (found.length > 1) {
+      const shown = found.slice(0, 10);
+      await bot.sendMessage(chatId, [
+        `여러 job이 일치합니다 (${found.length}):`,
+        ...shown.map((meta) => formatJobLine(meta, currentJobId)),
+      ].join("\n"), { reply_markup: { inline_keyboard: shown.map((meta) => jobButtons(meta)) } });
+      return;
+    }
+    const meta = found[0];
+    await sendLong(bot, chatId, formatJobDetail(meta, currentJobId));
+    await bot.sendMessage(chatId, "작업:", { reply_markup: { inline_keyboard: [jobButtons(meta)] } });
+    return;
+  }
+
+  if (cmd === "/archive") {
+    const target = String(rest[0] || "").trim();
+    if (!target) return bot.sendMessage(chatId, "Usage: /archive <jobId> [--undo|--delete]");
+    const jobId = await resolveJobRef(bot, chatId, target);
+    if (!jobId) return;
+    if (rest.includes("--delete")) {
+      const title = jobs.readMeta(jobId)?.title || jobId;
+      try {
+        const notes = await deleteJob(chatId, jobId);
+        await bot.sendMessage(chatId, `🗑 삭제: ${title}\njobId=${jobId}\n${notes.join("\n")}`);
+      } catch (e) {
+        await sendLong(bot, chatId, `❌ 삭제하지 않았습니다: ${clip(String(e?.message ?? e), 2500)}`);
+      }
+      return;
+    }
+    const updated = jobs.archive(jobId, { unarchive: rest.includes("--undo") });
+    await bot.sendMessage(chatId, `${updated.archivedAt ? "🗄 보관" : "📤 복원"}: ${updated.title || updated.jobId}\njobId=${updated.jobId}`);
+    return;
+  }
+
+  if (cmd === "/rename") {
+    const title = rest.slice(1).join(" ").trim();
+    if (!rest[0] || !title) return bot.sendMessage(chatId, "Usage: /rename <jobId> <title>");
+    const jobId = await resolveJobRef(bot, chatId, rest[0]);
+    if (!jobId) return;
+    const updated = jobs.rename(jobId, title);
+    await bot.sendMessage(chatId, `✏️ 이름 변경: ${updated.title}\njobId=${updated.jobId}`);
+    return;
+  }
+
   if (cmd === "/context") {
     try {
       const arg = String(rest[0] || "").trim();
@@ -3923,107 +5654,64 @@ bot.on("message", async (msg) => {
 
   if (cmd === "/run") {
     if (!args) return bot.sendMessage(chatId, "Usage: /run <goal>");
-    const goal = args;
-    await bot.sendMessage(chatId, "🚀 시작합니다…");
-    try {
-      const job = await createJob(goal, { ownerUserId: userId, ownerChatId: chatId });
-      const jobId = String(job.jobId);
-      const controller = resetJobAbortController(jobId);
-      const chatKey = String(chatId);
-      activeJobByChat.set(chatKey, jobId);
-      await bot.sendMessage(chatId, `✅ Job created: ${job.jobId}\ngoal: ${goal}\nrun_dir: ${runDir(jobId)}\n복잡하면: /gptprompt ${job.jobId} <질문>`);
-
-      try {
-        const route = await decideRunRoute(jobId, {
-          mode: "run",
-          goal,
-          seedInstruction: goal,
-          signal: controller.signal,
-        });
-        tracking.append(jobId, "decisions.md", [
-          "## Multi-Agent routing",
-          `- mode: run`,
-          `- reason: ${route.reason}`,
-          `- actions: ${route.actions.map((a) => actionLabel(a)).join(" -> ")}`,
-        ].join("\n"));
-        await bot.sendMessage(chatId, `🧭 Multi-Agent 라우팅\n${route.actions.map((a) => `- ${actionLabel(a)}`).join("\n")}`);
+    await runGoal(bot, chatId, args, { userId });
+    return;
+  }
 
-        const routed = await executeRoutedPlan(bot, chatId, jobId, route, controller.signal, {
-          telegramUserId: userId,
-        });
-        if (!routed.askedChatGPT) {
-          await suggestNextPrompt(bot, chatId, jobId, "현재 상태에서 다음 단계를 action plan(JSON)으로 제안해줘.", "run", controller.signal);
-        }
-      } finally {
-        if (activeJobByChat.get(chatKey) === jobId) activeJobByChat.delete(chatKey);
-        jobAbortControllers.delete(jobId);
+  if (cmd === "/schedule" || cmd === "/schedules") {
+    const usage = [
+      "Usage:",
+      "/schedule \"<cron>\" run \"<goal>\"",
+      "/schedule \"<cron>\" chat \"<message>\"",
+      "/schedule list",
+      "/schedule on|off|rm <id>",
+      "예) /schedule \"0 9 * * 1-5\" run \"triage new issues\"",
+    ].join("\n");
+    const sub = String(rest[0] || "list").toLowerCase();
+    if (sub === "list") {
+      const list = scheduleStore.list({ chatId });
+      if (list.length === 0) return bot.sendMessage(chatId, `이 채팅에 등록된 schedule이 없습니다.\n\n${usage}`);
+      await bot.sendMessage(chatId, [`⏰ schedules (${list.length})`, ...list.map(formatSchedule)].join("\n"), {
+        reply_markup: { inline_keyboard: list.map(scheduleButtons) },
+      });
+      return;
+    }
+    if (["on", "off", "rm"].includes(sub)) {
+      const entry = scheduleStore.get(rest[1]);
+      if (!entry || entry.chatId !== String(chatId)) return bot.sendMessage(chatId, `schedule을 찾지 못했습니다: ${rest[1] || ""}\n\n${usage}`);
+      if (sub === "rm") {
+        scheduleStore.remove(entry.id);
+        return bot.sendMessage(chatId, `🗑 schedule 삭제: ${entry.id}`);
       }
+      return bot.sendMessage(chatId, formatSchedule(scheduleStore.setEnabled(entry.id, sub === "on")));
+    }
+    const parsed = parseScheduleArgs(args);
+    if (!parsed) return bot.sendMessage(chatId, usage);
+    try {
+      const entry = scheduleStore.add({ ...parsed, chatId, userId });
+      await bot.sendMessage(chatId, `✅ schedule 등록\n${formatSchedule(entry)}`, {
+        reply_markup: { inline_keyboard: [scheduleButtons(entry)] },
+      });
     } catch (e) {
-      if (isCancelledError(e)) {
-        await bot.sendMessage(chatId, "⏹️ 작업이 중단되었습니다.");
-      } else {
-        await bot.sendMessage(chatId, `❌ 실패: ${String(e?.message ?? e)}`);
-      }
+      await bot.sendMessage(chatId, `❌ ${String(e?.message ?? e)}\n\n${usage}`);
     }
     return;
   }
 
   if (cmd === "/continue") {
     if (!args) return bot.sendMessage(chatId, "Usage: /continue <jobId>");
-    const jobId = args;
-    const jobKey = String(jobId);
-    const controller = resetJobAbortController(jobKey);
-    const chatKey = String(chatId);
-    activeJobByChat.set(chatKey, jobKey);
-    await bot.sendMessage(chatId, `▶️ Continue job ${jobId}\nrun_dir: ${runDir(jobKey)}`);
-
-    let instruction = "run/shared의 plan.md와 research.md를 반영해 CODEX_WORKSPACE_ROOT 코드 변경을 진행해라.";
-    try {
-      const planText = tracking.read(jobId, "plan.md");
-      const extracted = extractCodexInstruction(planText);
-      if (extracted) instruction = extracted;
-    } catch {}
-
-    try {
-      const goal = getGoalFromResearch(jobKey);
-      const route = await decideRunRoute(jobKey, {
-        mode: "continue",
-        goal,
-        seedInstruction: instruction,
-        signal: controller.signal,
-      });
-      tracking.append(jobKey, "decisions.md", [
-        "## Multi-Agent routing",
-        `- mode: continue`,
-        `- reason: ${route.reason}`,
-        `- actions: ${route.actions.map((a) => actionLabel(a)).join(" -> ")}`,
-      ].join("\n"));
-      await bot.sendMessage(chatId, `🧭 Multi-Agent 라우팅\n${route.actions.map((a) => `- ${actionLabel(a)}`).join("\n")}`);
-
-      const routed = await executeRoutedPlan(bot, chatId, jobKey, route, controller.signal, {
-        telegramUserId: userId,
-      });
-      if (!routed.askedChatGPT) {
-        await suggestNextPrompt(bot, chatId, jobKey, "현재 변경 결과를 바탕으로 다음 action plan(JSON)을 제안해줘.", "continue", controller.signal);
-      }
-    } catch (e) {
-      if (isCancelledError(e)) {
-        await bot.sendMessage(chatId, `⏹️ 작업이 중단되었습니다. (jobId=${jobKey})`);
-      } else {
-        await bot.sendMessage(chatId, `❌ 실패: ${String(e?.message ?? e)}`);
-      }
-    } finally {
-      if (activeJobByChat.get(chatKey) === jobKey) activeJobByChat.delete(chatKey);
-      jobAbortControllers.delete(jobKey);
-    }
+    const jobId = await resolveJobRef(bot, chatId, args);
+    if (!jobId) return;
+    await continueJob(bot, chatId, jobId, userId);
     return;
   }
 
   if (cmd === "/gptprompt") {
     const parts = rest;
-    const jobId = parts[0];
     const question = parts.slice(1).join(" ").trim();
-    if (!jobId || !question) return bot.sendMessage(chatId, "Usage: /gptprompt <jobId> <question>");
+    if (!parts[0] || !question) return bot.sendMessage(chatId, "Usage: /gptprompt <jobId> <question>");
+    const jobId = await resolveJobRef(bot, chatId, parts[0]);
+    if (!jobId) return;
 
     jobs.appendConversation(jobId, "user", `/gptprompt ${question}`, { kind: "gptprompt" });
     await sendChatGPTPrompt(bot, chatId, jobId, question);
@@ -4031,7 +5719,8 @@ bot.on("message", async (msg) => {
   }
 
   if (cmd === "/gptapply") {
-    const targetJobId = String(args || resolveCurrentJobIdForChat(chatId) || "").trim();
+    const targetJobId = args ? await resolveJobRef(bot, chatId, args) : String(resolveCurrentJobIdForChat(chatId) || "").trim();
+    if (args && !targetJobId) return;
     if (!targetJobId) return bot.sendMessage(chatId, "Usage: /gptapply [jobId]");
     setAwait(chatId, targetJobId, userId);
     rememberLastChatJob(chatId, targetJobId);
@@ -4041,15 +5730,87 @@ bot.on("message", async (msg) => {
 
   if (cmd === "/commit") {
     const parts = rest;
-    const jobId = parts[0];
     const message = parts.slice(1).join(" ").trim();
-    if (!jobId || !message) return bot.sendMessage(chatId, "Usage: /commit <jobId> <message>");
-    const rec = approvals.request(jobId, { purpose: "git commit", summary: `Commit changes with message: ${message}`, payload: { action: "git_commit", message } });
+    if (!parts[0] || !message) return bot.sendMessage(chatId, "Usage: /commit <jobId> <message>");
+    const jobId = await resolveJobRef(bot, chatId, parts[0]);
+    if (!jobId) return;
+    await requestCommitApproval(bot, chatId, jobId, message, actorId(userId));
+    return;
+  }
 
-    await bot.sendMessage(chatId,
-      `🟡 커밋 승인 필요\njobId=${jobId}\nmessage=${message}\ntoken=${rec.token}`,
-      { reply_markup: { inline_keyboard: [[{ text: "✅ Approve", callback_data: `approve:${jobId}:${rec.token}` }, { text: "❌ Deny", callback_data: `deny:${jobId}:${rec.token}` }]] } }
-    );
+  if (cmd === "/push" || cmd === "/pr") {
+    if (!rest[0]) return bot.sendMessage(chatId, cmd === "/pr" ? "Usage: /pr <jobId> [title]" : "Usage: /push <jobId>");
+    const jobId = await resolveJobRef(bot, chatId, rest[0]);
+    if (!jobId) return;
+    const title = rest.slice(1).join(" ").trim();
+    await requestRemoteApproval(bot, chatId, jobId, cmd === "/pr" ? "git_pr" : "git_push", { title }, actorId(userId));
+    return;
+  }
+
+  if (cmd === "/approvals") {
+    const history = rest.includes("--all");
+    const ref = rest.find((arg) => !arg.startsWith("--"));
+    let jobId = "";
+    if (ref) {
+      jobId = await resolveJobRef(bot, chatId, ref);
+      if (!jobId) return;
+    }
+    await sendApprovalList(bot, chatId, jobId, { history });
+    return;
+  }
+
+  if (cmd === "/revoke") {
+    const token = String(rest[1] || "").trim();
+    if (!rest[0] || !token) return bot.sendMessage(chatId, "Usage: /revoke <jobId> <token>");
+    const jobId = await resolveJobRef(bot, chatId, rest[0]);
+    if (!jobId) return;
+    try {
+      await revokeApproval(bot, chatId, jobId, token, { by: actorId(userId), note: "via /revoke" });
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ /revoke 실패: ${String(e?.message ?? e)}`);
+    }
+    return;
+  }
+
+  if (cmd === "/approve" || cmd === "/deny") {
+    const token = String(rest[1] || "").trim();
+    if (!rest[0] || !token) return bot.sendMessage(chatId, `Usage: ${cmd} <jobId> <token>`);
+    const jobId = await resolveJobRef(bot, chatId, rest[0]);
+    if (!jobId) return;
+    try {
+      await decideApproval(bot, chatId, jobId, token, cmd === "/approve" ? "approve" : "deny", { userId, note: `via ${cmd}` });
+    } catch (e) {
+      await bot.sendMessage(chatId, `❌ ${cmd} 실패: ${String(e?.message ?? e)}`);
+    }
+    return;
+  }
+
+  if (cmd === "/merge" || cmd === "/cleanup") {
+    const force = rest.slice(1).includes("--force");
+    if (!rest[0]) return bot.sendMessage(chatId, `Usage: ${cmd} <jobId>${cmd === "/cleanup" ? " [--force]" : ""}`);
+    const jobId = await resolveJobRef(bot, chatId, rest[0]);
+    if (!jobId) return;
+    const wt = jobWorktree(jobId) || jobs.readMeta(jobId)?.worktree || null;
+    if (!wt?.branch) return bot.sendMessage(chatId, `이 job에는 전용 worktree가 없습니다. (jobId=${jobId})`);
+
+    try {
+      if (cmd === "/merge") {
+        const merged = await mergeJobBranch({ repoRoot: workspace.root, worktreePath: wt.path, branch: wt.branch });
+        tracking.append(jobId, "decisions.md", `## merge\n- branch: ${wt.branch}\n- into: ${merged.target}\n- by: telegram:${userId}\n`);
+        jobs.log(jobId, `merged ${wt.branch} into ${merged.target}`);
+        await sendLong(bot, chatId, `✅ 머지 완료: ${wt.branch} → ${merged.target}\n${clip(merged.output, 2500)}\n\n정리: /cleanup ${jobId}`);
+      } else {
+        const notes = await removeJobWorktree({ repoRoot: workspace.root, worktreePath: wt.path, branch: wt.branch, force });
+        const dropped = await snapshots.drop(jobId, workspace.root).catch(() => 0);
+        if (dropped > 0) notes.push(`snapshot refs removed: ${dropped}`);
+        jobs.updateMeta(jobId, { worktree: { ...wt, removedAt: new Date().toISOString() } });
+        tracking.append(jobId, "progress.md", `## worktree cleanup\n${notes.map((line) => `- ${line}`).join("\n")}\n`);
+        await bot.sendMessage(chatId, `🧹 정리 완료 (jobId=${jobId})\n${notes.join("\n")}`);
+      }
+    } catch (e) {
+      const hint = cmd === "/cleanup" && !force ? `\n머지하지 않은 변경을 버리려면: /cleanup ${jobId} --force` : "";
+      await sendLong(bot, chatId, `❌ ${cmd} 실패: ${clip(String(e?.message ?? e), 2500)}${hint}`);
+    }
     return;
   }
 
@@ -4061,7 +5822,7 @@ bot.on("message", async (msg) => {
 process.on("SIGINT", () => { void shutdown(0); });
 process.on("SIGTERM", () => { void shutdown(0); });
 
-console.log("Telegram orchestrator v2.1 started (polling).");
+console.log(`Orchestrator v2.1 started (transports: ${bot.kinds.join(", ")}).`);
 console.log(`Codex workspace root: ${workspace.root}`);
 console.log(`Runs dir: ${jobs.runsDir}`);
 console.log(`Memory mode: ${MEMORY_MODE} (effective=${memoryModeWithFallback()})`);
@@ -4076,4 +5837,235 @@ if (botUsername) {
 }
 if (gocInitError) console.log(`GoC init error: ${gocInitError}`);
 console.log(`Agents registry: ${agentRegistry.path}`);
-await bot.startPolling({ restart: true });
+// ---- Local HTTP API (HTTP_API_ENABLED=true) ----
+// Same entry points as the bot. Without a chatId the bot messages go to an in-memory outbox per job.
+const headlessBot = createHeadlessBot({ redact: secrets.redactText });
+const httpChatByJob = new Map();
+
+function httpReporter(jobId, body = {}) {
+  const chatId = String(body.chatId ?? "").trim();
+  if (chatId) {
+    if (!isAllowedChat(chatId)) throw new HttpError(403, `chat not allowed: ${chatId}`);
+    return { bot, chatId };
+  }
+  return { bot: headlessBot, chatId: httpChatByJob.get(jobId) || `http:${jobId}` };
+}
+
+function httpJobId(ref) {
+  try {
+    return jobs.resolve(ref);
+  } catch (e) {
+    throw new HttpError(e?.code === "EAMBIGUOUS" ? 409 : 404, String(e?.message ?? e));
+  }
+}
+
+function httpJobSummary(jobId) {
+  const meta = jobs.readMeta(jobId);
+  return {
+    ...meta,
+    running: jobAbortControllers.has(jobId),
+    runs: queueStore.list({ jobId, limit: 10 }),
+    pendingApprovals: approvals.list(jobId, { status: "pending" }).length,
+    docs: tracking.list(jobId),
+  };
+}
+
+function startHttpBackground(jobId, label, fn) {
+  if (jobAbortControllers.has(jobId)) throw new HttpError(409, `job is already running: ${jobId}`);
+  Promise.resolve()
+    .then(fn)
+    .catch((e) => console.error(`http ${label} failed (job=${jobId}): ${String(e?.message ?? e)}`));
+}
+
+function httpApiRoutes() {
+  return [
+    { method: "GET", path: "/api/health", handler: () => ({ ok: true, workspace: workspace.root, runsDir: jobs.baseDir }) },
+    {
+      method: "GET",
+      path: "/api/jobs",
+      handler: ({ query }) => ({
+        jobs: jobs.list({
+          text: query.text || "",
+          includeArchived: query.archived === "all",
+          archivedOnly: query.archived === "only",
+          since: query.since || null,
+          until: query.until || null,
+          limit: Math.max(1, Math.min(200, Number(query.limit) || 20)),
+        }),
+      }),
+    },
+    {
+      method: "POST",
+      path: "/api/jobs",
+      handler: async ({ body }) => {
+        const goal = String(body.goal || "").trim();
+        if (!goal) throw new HttpError(400, "goal is required");
+        const explicitChat = String(body.chatId ?? "").trim();
+        const created = await new Promise((resolve) => {
+          const pendingChatId = explicitChat || `http:pending-${Date.now().toString(36)}`;
+          const target = explicitChat ? httpReporter("", body).bot : headlessBot;
+          runGoal(target, pendingChatId, goal, {
+            userId: body.userId ? String(body.userId) : null,
+            ownerChatId: explicitChat || null,
+            onJobCreated: (jobId) => resolve({ jobId, chatId: pendingChatId }),
+          })
+            .then((result) => resolve({ error: result.error || result.status, chatId: pendingChatId }))
+            .catch((e) => resolve({ error: String(e?.message ?? e), chatId: pendingChatId }));
+        });
+        if (!created.jobId) throw new HttpError(500, `job creation failed: ${created.error}`);
+        if (!explicitChat) httpChatByJob.set(created.jobId, created.chatId);
+        return { status: 202, body: { jobId: created.jobId, slug: jobs.readMeta(created.jobId)?.slug || "" } };
+      },
+    },
+    { method: "GET", path: "/api/jobs/:job", handler: ({ params }) => httpJobSummary(httpJobId(params.job)) },
+    {
+      method: "POST",
+      path: "/api/jobs/:job/continue",
+      handler: ({ params, body }) => {
+        const jobId = httpJobId(params.job);
+        const { bot: target, chatId } = httpReporter(jobId, body);
+        startHttpBackground(jobId, "continue", () => continueJob(target, chatId, jobId, body.userId ? String(body.userId) : null));
+        return { status: 202, body: { jobId, started: "continue" } };
+      },
+    },
+    {
+      method: "POST",
+      path: "/api/jobs/:job/actions",
+      handler: ({ params, body }) => {
+        const jobId = httpJobId(params.job);
+        if (!Array.isArray(body.actions) || body.actions.length === 0) throw new HttpError(400, "actions[] is required");
+        const { bot: target, chatId } = httpReporter(jobId, body);
+        startHttpBackground(jobId, "actions", async () => {
+          const controller = resetJobAbortController(jobId);
+          try {
+            await executeActions(target, chatId, jobId, { jobId, actions: body.actions }, controller.signal, { source: "api" });
+            await target.sendMessage(chatId, "🏁 액션 플랜 실행 완료.");
+          } catch (e) {
+            recordJobError(jobId, "api_actions", e);
+            await target.sendMessage(chatId, isCancelledError(e) ? `⏹️ 액션 플랜 실행이 중단되었습니다. (jobId=${jobId})` : `❌ 액션 실행 오류: ${String(e?.message ?? e)}`);
+          } finally {
+            jobAbortControllers.delete(jobId);
+          }
+        });
+        return { status: 202, body: { jobId, started: "actions", count: body.actions.length } };
+      },
+    },
+    {
+      method: "POST",
+      path: "/api/jobs/:job/stop",
+      handler: ({ params }) => {
+        const jobId = httpJobId(params.job);
+        const result = cancelJobExecution(jobId);
+        events.record(jobId, "interrupt", { mode: "cancel", reason: "api_stop", ...result });
+        return { jobId, ...result };
+      },
+    },
+    { method: "GET", path: "/api/jobs/:job/runs", handler: ({ params }) => ({ runs: queueStore.list({ jobId: httpJobId(params.job) }) }) },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/usage",
+      handler: ({ params, query }) => {
+        const jobId = httpJobId(params.job);
+        return { jobId, ...usage.summarize(jobId), ...(query.raw ? { calls: usage.list(jobId) } : {}) };
+      },
+    },
+    { method: "GET", path: "/api/jobs/:job/artifacts", handler: ({ params }) => ({ artifacts: artifacts.list(httpJobId(params.job)) }) },
+    { method: "GET", path: "/api/jobs/:job/snapshots", handler: ({ params }) => ({ snapshots: snapshots.list(httpJobId(params.job)) }) },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/events",
+      handler: ({ params, query }) => {
+        const jobId = httpJobId(params.job);
+        const all = events.list(jobId, { types: query.type ? String(query.type).split(",") : null });
+        const limit = Math.max(0, Number(query.limit) || 0);
+        return { jobId, metrics: summarizeEvents(all), events: limit > 0 ? all.slice(-limit) : all };
+      },
+    },
+    { method: "GET", path: "/api/usage", handler: ({ query }) => usage.summarizeAll({ includeArchived: query.archived === "all" }) },
+    {
+      method: "GET",
+      path: "/api/runs",
+      handler: ({ query }) => ({
+        runs: queueStore.list({
+          states: query.state ? String(query.state).split(",") : [],
+          limit: Math.max(1, Math.min(300, Number(query.limit) || 50)),
+        }),
+      }),
+    },
+    {
+      method: "GET",
+      path: "/api/approvals",
+      handler: ({ query }) => ({ approvals: approvals.listAll({ status: query.status ? String(query.status).split(",") : "pending" }) }),
+    },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/approvals",
+      handler: ({ params, query }) => ({
+        approvals: approvals.list(httpJobId(params.job), { status: query.status ? String(query.status).split(",") : null }),
+      }),
+    },
+    {
+      method: "POST",
+      path: "/api/jobs/:job/approvals/:token",
+      handler: async ({ params, body }) => {
+        const jobId = httpJobId(params.job);
+        const decision = String(body.decision || "").toLowerCase();
+        if (!["approve", "deny", "revoke"].includes(decision)) throw new HttpError(400, "decision must be approve, deny or revoke");
+        const { bot: target, chatId } = httpReporter(jobId, body);
+        // One API token is one actor: a caller-supplied name would let a single token holder vote as several
+        // approvers (required_approvals) and write whatever "decided by" it likes into decisions.md.
+        const by = HTTP_API_ACTOR;
+        try {
+          if (decision === "revoke") return await revokeApproval(target, chatId, jobId, params.token, { by, note: "via http api" });
+          return await decideApproval(target, chatId, jobId, params.token, decision, { by, note: "via http api" });
+        } catch (e) {
+          if (e instanceof ApprovalPolicyError) throw new HttpError(403, e.message);
+          throw new HttpError(/Unknown approval token/.test(String(e?.message)) ? 404 : 500, String(e?.message ?? e));
+        }
+      },
+    },
+    { method: "GET", path: "/api/jobs/:job/docs", handler: ({ params }) => ({ docs: tracking.list(httpJobId(params.job)) }) },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/docs/:name",
+      handler: ({ params }) => {
+        const jobId = httpJobId(params.job);
+        try {
+          return { jobId, name: params.name, markdown: tracking.read(jobId, params.name) };
+        } catch (e) {
+          throw new HttpError(404, String(e?.message ?? e));
+        }
+      },
+    },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/conversation",
+      handler: ({ params, query }) => ({
+        conversation: jobs.tailConversation(httpJobId(params.job), Math.max(1, Math.min(1000, Number(query.limit) || 100))),
+      }),
+    },
+    {
+      method: "GET",
+      path: "/api/jobs/:job/messages",
+      handler: ({ params }) => {
+        const jobId = httpJobId(params.job);
+        return { jobId, messages: headlessBot.messages(httpChatByJob.get(jobId) || `http:${jobId}`) };
+      },
+    },
+  ];
+}
+
+if (HTTP_API_ENABLED) {
+  try {
+    const server = startHttpApi({ host: HTTP_API_HOST, port: HTTP_API_PORT, token: HTTP_API_TOKEN, routes: httpApiRoutes(), redact: secrets.redactText });
+    server.on("error", (e) => console.error(`HTTP API error: ${String(e?.message ?? e)}`));
+    console.log(`HTTP API listening on http://${HTTP_API_HOST}:${HTTP_API_PORT}`);
+  } catch (e) {
+    console.error(`HTTP API disabled: ${String(e?.message ?? e)}`);
+  }
+}
+
+await announceRecoveredRuns();
+startScheduler({ store: scheduleStore, onFire: fireSchedule });
+setInterval(() => { void expireStaleApprovals(); }, 60 * 1000).unref?.();
+await bot.start();